@@ -0,0 +1,1773 @@
+// Bee-Healthy Pollen Tracker - Core logic
+// Classification, aggregation and ranking with no DOM or network access,
+// so it can be loaded and tested outside the browser.
+class BeeHealthyCore {
+  constructor() {
+    // Constants
+    // Pollen count bands (grains/m³) per allergen for each regional scheme.
+    // Each value is the inclusive lower bound of that level; `total` grades
+    // the summed count where no single allergen applies.
+    this.POLLEN_THRESHOLD_SCHEMES = {
+      // EAACI-style European grading, with "high pollen day" limits per taxon
+      european: {
+        total: { MODERATE: 10, HIGH: 50, VERY_HIGH: 100 },
+        birch: { MODERATE: 10, HIGH: 100, VERY_HIGH: 500 },
+        alder: { MODERATE: 10, HIGH: 100, VERY_HIGH: 500 },
+        grass: { MODERATE: 5, HIGH: 50, VERY_HIGH: 150 },
+        mugwort: { MODERATE: 5, HIGH: 30, VERY_HIGH: 100 },
+        olive: { MODERATE: 15, HIGH: 200, VERY_HIGH: 600 },
+        ragweed: { MODERATE: 5, HIGH: 20, VERY_HIGH: 100 }
+      },
+      // NAB-style US grading by tree, grass and weed pollen
+      us: {
+        total: { MODERATE: 10, HIGH: 50, VERY_HIGH: 500 },
+        birch: { MODERATE: 15, HIGH: 90, VERY_HIGH: 1500 },
+        alder: { MODERATE: 15, HIGH: 90, VERY_HIGH: 1500 },
+        grass: { MODERATE: 5, HIGH: 20, VERY_HIGH: 200 },
+        mugwort: { MODERATE: 10, HIGH: 50, VERY_HIGH: 500 },
+        olive: { MODERATE: 15, HIGH: 90, VERY_HIGH: 1500 },
+        ragweed: { MODERATE: 10, HIGH: 50, VERY_HIGH: 500 }
+      }
+    };
+
+    // Pollen levels from lowest to highest
+    this.POLLEN_LEVEL_ORDER = ['Low', 'Moderate', 'High', 'Very High'];
+
+    this.UV_LEVELS = {
+      LOW: 0,
+      MODERATE: 3,
+      HIGH: 6,
+      VERY_HIGH: 8,
+      EXTREME: 11
+    };
+
+    // season and peak are message keys; startMonth and endMonth are 0-based
+    // like Date months
+    this.POLLEN_SEASONS = {
+      'Birch': { season: 'season.spring', peak: 'season.peakApril', startMonth: 2, endMonth: 4 },
+      'Alder': { season: 'season.earlySpring', peak: 'season.peakMarch', startMonth: 1, endMonth: 3 },
+      'Grass': { season: 'season.lateSpringToSummer', peak: 'season.peakJune', startMonth: 4, endMonth: 6 },
+      'Mugwort': { season: 'season.lateSummer', peak: 'season.peakLateAugust', startMonth: 7, endMonth: 8 },
+      'Olive': { season: 'season.spring', peak: 'season.peakMay', startMonth: 3, endMonth: 5 },
+      'Ragweed': { season: 'season.lateSummerToFall', peak: 'season.peakSeptember', startMonth: 7, endMonth: 9 }
+    };
+
+    this.CHART_COLORS = {
+      birch: '#4CAF50',
+      alder: '#8BC34A',
+      grass: '#CDDC39',
+      mugwort: '#FF9800',
+      olive: '#795548',
+      ragweed: '#9C27B0',
+      aqi: '#2196F3',
+      pm10: '#FF5722',
+      pm25: '#607D8B',
+      uv: '#FFC107',
+      dust: '#795548',
+      carbon: '#607D8B',
+      temperature: '#F44336',
+      humidity: '#03A9F4',
+      europeanAqi: '#3F51B5',
+      risk: '#E91E63'
+    };
+
+    // Plottable series: message key of the label, the chart views they
+    // appear in and their colors
+    this.CHART_SERIES = {
+      birch_pollen: { label: 'metric.birchPollen', color: 'birch', views: ['pollen', 'combined'] },
+      alder_pollen: { label: 'metric.alderPollen', color: 'alder', views: ['pollen', 'combined'] },
+      grass_pollen: { label: 'metric.grassPollen', color: 'grass', views: ['pollen', 'combined'] },
+      mugwort_pollen: { label: 'metric.mugwortPollen', color: 'mugwort', views: ['pollen', 'combined'] },
+      olive_pollen: { label: 'metric.olivePollen', color: 'olive', views: ['pollen', 'combined'] },
+      ragweed_pollen: { label: 'metric.ragweedPollen', color: 'ragweed', views: ['pollen', 'combined'] },
+      us_aqi: { label: 'aqi.us', color: 'aqi', views: ['air', 'combined'], axis: 'y1' },
+      european_aqi: { label: 'aqi.eu', color: 'europeanAqi', views: ['air', 'combined'], axis: 'y1' },
+      pm2_5: { label: 'metric.pm25', color: 'pm25', views: ['particulate'] },
+      pm10: { label: 'metric.pm10', color: 'pm10', views: ['particulate'] },
+      dust: { label: 'metric.dust', color: 'dust', views: ['particulate'] },
+      uv_index: { label: 'stat.uv', color: 'uv', views: ['uv'] },
+      allergy_risk: { label: 'chart.risk', color: 'risk', views: ['risk', 'combined'], axis: 'y1' }
+    };
+
+    // WHO 2021 air quality guidelines, 24-hour means in μg/m³
+    this.WHO_GUIDELINES = {
+      pm2_5: 15,
+      pm10: 45
+    };
+
+    // Allergens and the message keys of their descriptions
+    this.POLLEN_INFO = {
+      'Birch': 'pollenInfo.birch',
+      'Alder': 'pollenInfo.alder',
+      'Grass': 'pollenInfo.grass',
+      'Mugwort': 'pollenInfo.mugwort',
+      'Olive': 'pollenInfo.olive',
+      'Ragweed': 'pollenInfo.ragweed'
+    };
+
+    this.SEVERITY_LEVELS = ['mild', 'moderate', 'severe'];
+
+    // Diary symptoms and the message keys of their labels
+    this.SYMPTOMS = {
+      sneezing: 'symptom.sneezing',
+      itchyEyes: 'symptom.itchyEyes',
+      congestion: 'symptom.congestion',
+      asthma: 'symptom.asthma'
+    };
+
+    // Minimum diary days before sensitivity estimates are shown
+    this.MIN_DIARY_DAYS = 5;
+
+    // Chart navigation limits in hours
+    this.CHART_SPAN_LIMITS = { min: 6, max: 336 };
+    this.CHART_MAX_FUTURE_HOURS = 168;
+
+    // Daytime hours considered for outdoor recommendations
+    this.DAYTIME_HOURS = { start: 6, end: 21 };
+    this.OUTDOOR_WINDOW_HOURS = 2;
+
+    // Outdoor planner: activity lengths offered (hours) and slots suggested
+    this.PLANNER_DURATIONS = [1, 2, 3, 4, 6];
+    this.PLANNER_RESULTS = 3;
+
+    // Map panel: a size×size grid of samples spacingKm apart around the
+    // location, and the headline AQI that counts as a heatmap score of 1
+    this.MAP_GRID = { size: 7, spacingKm: 12 };
+    this.MAP_AQI_SCALE = { us: 100, eu: 60 };
+    // Route exposure: travel speeds (km/h), waypoints sampled along a route,
+    // departures tried either side of the chosen one (hours) and the WHO
+    // 24-hour PM2.5 guideline (μg/m³) that weighs particulates in the score
+    this.ROUTE_SPEEDS = { walking: 5, cycling: 15, transit: 30, driving: 50 };
+    this.ROUTE_MAX_SAMPLES = 8;
+    this.ROUTE_DEPARTURE_SEARCH_HOURS = 6;
+    this.ROUTE_PM25_REFERENCE = 15;
+
+    // Heatmap colour stops by score (1 = High pollen or unhealthy air)
+    this.MAP_COLOR_STOPS = [
+      [0, [76, 175, 80]],
+      [0.5, [255, 235, 59]],
+      [1, [255, 152, 0]],
+      [2, [244, 67, 54]]
+    ];
+
+    // Medication reminders: how late a missed dose is still announced
+    // (minutes), the default head start before a season (days) and the
+    // window adherence is measured over (days)
+    this.MEDICATION_GRACE_MINUTES = 60;
+    this.MEDICATION_LEAD_DAYS = 14;
+    this.ADHERENCE_DAYS = 14;
+
+    // Previous years averaged for the calendar's climatology fallback
+    this.CLIMATOLOGY_YEARS = 3;
+
+    // Days an alert stays in the firing log
+    this.ALERT_LOG_DAYS = 7;
+
+    // Metrics that alert rules can watch: message key of the label, and the
+    // unit ('pollen' for the preferred pollen unit)
+    this.ALERT_METRICS = {
+      total_pollen: { label: 'metric.totalPollen', unit: 'pollen' },
+      birch_pollen: { label: 'metric.birchPollen', unit: 'pollen' },
+      alder_pollen: { label: 'metric.alderPollen', unit: 'pollen' },
+      grass_pollen: { label: 'metric.grassPollen', unit: 'pollen' },
+      mugwort_pollen: { label: 'metric.mugwortPollen', unit: 'pollen' },
+      olive_pollen: { label: 'metric.olivePollen', unit: 'pollen' },
+      ragweed_pollen: { label: 'metric.ragweedPollen', unit: 'pollen' },
+      us_aqi: { label: 'aqi.us', unit: '' },
+      european_aqi: { label: 'aqi.eu', unit: '' },
+      pm2_5: { label: 'metric.pm25', unit: 'μg/m³' },
+      uv_index: { label: 'stat.uv', unit: '' }
+    };
+
+    // Open-Meteo publishes new model hours on the hour; refresh shortly after
+    this.AUTO_REFRESH_OFFSET_MINUTES = 5;
+
+    // Allergy risk index: points each factor contributes at its worst.
+    // Factors without data are left out and the rest scaled up to 100.
+    this.RISK_WEIGHTS = {
+      pollen: 55,
+      air: 20,
+      weather: 15,
+      uv: 10
+    };
+
+    // Values at which a risk factor reaches its full weight
+    this.RISK_LIMITS = {
+      pollen: 100,       // weighted grains/m³ (Very High)
+      us_aqi: 150,       // unhealthy for everyone
+      pm2_5: 30,         // twice the WHO 24-hour guideline
+      temperature: 25,   // °C; release starts around 10 °C
+      dryness: 30,       // relative humidity in % below 70
+      wind: 25,          // km/h
+      uv: 8              // very high
+    };
+
+    // Share of a pollen type counted when it is not one of the user's allergens
+    this.RISK_OTHER_ALLERGEN_SHARE = 0.25;
+
+    // Pollen factor multiplier by allergy severity
+    this.RISK_SEVERITY_FACTORS = { mild: 0.8, moderate: 1, severe: 1.25 };
+
+    this.RISK_LEVELS = {
+      LOW: 0,
+      MODERATE: 25,
+      HIGH: 50,
+      VERY_HIGH: 75
+    };
+
+    // Units of the hourly metrics, for exports
+    this.METRIC_UNITS = {
+      birch_pollen: 'grains/m³',
+      alder_pollen: 'grains/m³',
+      grass_pollen: 'grains/m³',
+      mugwort_pollen: 'grains/m³',
+      olive_pollen: 'grains/m³',
+      ragweed_pollen: 'grains/m³',
+      pm10: 'μg/m³',
+      pm2_5: 'μg/m³',
+      dust: 'μg/m³',
+      us_aqi: 'US AQI',
+      european_aqi: 'European AQI',
+      uv_index: 'UV index',
+      temperature_2m: '°C',
+      relative_humidity_2m: '%',
+      wind_speed_10m: 'km/h'
+    };
+
+    // Chart views a share link may select
+    this.CHART_VIEWS = ['pollen', 'air', 'particulate', 'uv', 'combined', 'risk'];
+
+    // Share targets: URL templates filled with the encoded text and link
+    this.SHARE_PLATFORMS = {
+      facebook: 'https://www.facebook.com/sharer/sharer.php?u={url}&quote={text}',
+      twitter: 'https://twitter.com/intent/tweet?text={text}&url={url}',
+      whatsapp: 'https://wa.me/?text={text}%20{url}',
+      telegram: 'https://t.me/share/url?url={url}&text={text}',
+      linkedin: 'https://www.linkedin.com/sharing/share-offsite/?url={url}',
+      reddit: 'https://www.reddit.com/submit?url={url}&title={text}',
+      email: 'mailto:?subject=Bee-Healthy%20Pollen%20Report&body={text}%0A%0A{url}'
+    };
+
+    // Chart views captured for the printable report, with their title keys
+    this.REPORT_CHART_VIEWS = {
+      pollen: 'chart.pollen',
+      air: 'chart.air'
+    };
+
+    // Wait before retrying a daily briefing that could not be delivered
+    this.BRIEFING_RETRY_MINUTES = 15;
+
+    // Page sections notifications may link to
+    this.DEEP_LINK_SECTIONS = ['current-conditions', 'forecast', 'notifications', 'medications'];
+
+    // Languages with a message catalog in i18n.js, and the locale used for
+    // their date and number formats
+    this.LANGUAGES = { en: 'English', de: 'Deutsch', es: 'Español' };
+    this.LOCALES = { en: 'en-US', de: 'de-DE', es: 'es-ES' };
+
+    // Display preferences; the pollen unit picks the wording of grains/m³
+    this.PREFERENCE_OPTIONS = {
+      temperatureUnit: ['celsius', 'fahrenheit'],
+      pollenUnit: ['grains', 'pollen'],
+      aqiStandard: ['us', 'eu'],
+      pollenThresholds: ['european', 'us', 'custom']
+    };
+    // Custom thresholds start from the European table until edited
+    this.preferences = {
+      language: 'en',
+      temperatureUnit: 'celsius',
+      pollenUnit: 'grains',
+      aqiStandard: 'us',
+      pollenThresholds: 'european',
+      customThresholds: null
+    };
+
+    // Timezone of the current location, for formatting real instants
+    this.lastTimezone = null;
+
+    // User allergy profile
+    this.userProfile = null;
+
+    // Symptom diary entries keyed by date
+    this.symptomDiary = {};
+
+    // Daily pollen aggregates keyed by local date (YYYY-MM-DD)
+    this.dailyAggregates = {};
+
+    // Latest current and hourly readings
+    this.lastReadings = null;
+  }
+
+  // Threshold table of a scheme, custom edits layered over the European one
+  getThresholdTable(scheme = this.preferences.pollenThresholds) {
+    if (scheme === 'custom') {
+      return { ...this.POLLEN_THRESHOLD_SCHEMES.european, ...this.preferences.customThresholds };
+    }
+    return this.POLLEN_THRESHOLD_SCHEMES[scheme] || this.POLLEN_THRESHOLD_SCHEMES.european;
+  }
+
+  // Level bands for an allergen ('Birch', 'birch' or 'birch_pollen'); other
+  // types use the summed-count bands
+  getPollenThresholds(type = 'total') {
+    const table = this.getThresholdTable();
+    const key = String(type).toLowerCase().replace(/_pollen$/, '');
+    return table[key] || table.total;
+  }
+
+  // Check a custom threshold table: known allergens with rising positive bands
+  isValidThresholdTable(table) {
+    if (!table || typeof table !== 'object' || Array.isArray(table)) return false;
+    const known = Object.keys(this.POLLEN_THRESHOLD_SCHEMES.european);
+    return Object.entries(table).every(([key, bands]) =>
+      known.includes(key) &&
+      [bands?.MODERATE, bands?.HIGH, bands?.VERY_HIGH].every(value => Number.isFinite(value) && value > 0) &&
+      bands.MODERATE < bands.HIGH && bands.HIGH < bands.VERY_HIGH);
+  }
+
+  // Get pollen level category for one allergen, or for a summed count
+  getPollenLevelCategory(value, type = 'total') {
+    const bands = this.getPollenThresholds(type);
+    if (value >= bands.VERY_HIGH) return 'Very High';
+    if (value >= bands.HIGH) return 'High';
+    if (value >= bands.MODERATE) return 'Moderate';
+    return 'Low';
+  }
+
+  // Overall level: the highest level any single allergen reaches
+  getOverallPollenLevel(pollenTypes) {
+    return Object.entries(pollenTypes).reduce((highest, [type, value]) => {
+      const level = this.getPollenLevelCategory(value || 0, type);
+      return this.POLLEN_LEVEL_ORDER.indexOf(level) > this.POLLEN_LEVEL_ORDER.indexOf(highest) ? level : highest;
+    }, 'Low');
+  }
+
+  // Pollen load: the highest ratio of any allergen's count to its own High
+  // band, so 1 means the overall level has just reached High
+  getPollenLoad(pollenTypes) {
+    return Object.entries(pollenTypes).reduce((load, [type, value]) =>
+      Math.max(load, (value || 0) / this.getPollenThresholds(type).HIGH), 0);
+  }
+
+  // Allergen with the highest level against its own bands, ties broken by
+  // the ratio to its High band
+  getLeadingAllergen(pollenTypes) {
+    const rank = ([type, value]) => [
+      this.POLLEN_LEVEL_ORDER.indexOf(this.getPollenLevelCategory(value || 0, type)),
+      (value || 0) / this.getPollenThresholds(type).HIGH
+    ];
+    return Object.entries(pollenTypes).reduce((a, b) => {
+      const [levelA, ratioA] = rank(a);
+      const [levelB, ratioB] = rank(b);
+      return levelB > levelA || (levelB === levelA && ratioB > ratioA) ? b : a;
+    })[0];
+  }
+
+  // Per-allergen counts of one hour of hourly data
+  getHourlyPollenTypes(hourlyData, index) {
+    return Object.fromEntries(Object.keys(this.POLLEN_INFO)
+      .map(type => [type, hourlyData[`${type.toLowerCase()}_pollen`]?.[index] || 0]));
+  }
+
+  // Overall level of an aggregated day from its per-allergen peaks
+  getDayPollenLevel(day) {
+    return this.getOverallPollenLevel(
+      Object.fromEntries(Object.entries(day.allergens).map(([type, stats]) => [type, stats.max]))
+    );
+  }
+
+  // Get UV level category
+  getUVLevelCategory(value) {
+    if (value >= this.UV_LEVELS.EXTREME) return 'Extreme';
+    if (value >= this.UV_LEVELS.VERY_HIGH) return 'Very High';
+    if (value >= this.UV_LEVELS.HIGH) return 'High';
+    if (value >= this.UV_LEVELS.MODERATE) return 'Moderate';
+    return 'Low';
+  }
+
+  // Get UV level class
+  getUVLevelClass(level) {
+    const levelLower = level.toLowerCase();
+    if (levelLower.includes('extreme')) return 'uv-extreme';
+    if (levelLower.includes('very high')) return 'uv-very-high';
+    if (levelLower.includes('high')) return 'uv-high';
+    if (levelLower.includes('moderate')) return 'uv-moderate';
+    return 'uv-low';
+  }
+
+  // Get pollen level color class
+  getPollenLevelClass(level) {
+    const levelLower = level.toLowerCase();
+    if (levelLower.includes('very high') || levelLower.includes('high')) return 'high';
+    if (levelLower.includes('moderate')) return 'moderate';
+    return 'low';
+  }
+
+  // Format pollen value
+  formatPollenValue(value) {
+    return `${this.formatNumber(value || 0, 1)} ${this.getPollenUnit()}`;
+  }
+
+  // Look up a message in the current language, filling in {placeholders}
+  t(key, params = {}) {
+    const catalogs = typeof MESSAGES === 'undefined' ? {} : MESSAGES;
+    const template = catalogs[this.preferences.language]?.[key] ?? catalogs.en?.[key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  }
+
+  // Check a preference value against the supported options
+  isValidPreference(key, value) {
+    if (key === 'language') return Object.hasOwn(this.LANGUAGES, value);
+    if (key === 'customThresholds') return value === null || this.isValidThresholdTable(value);
+    return !!this.PREFERENCE_OPTIONS[key]?.includes(value);
+  }
+
+  // Locale for date and number formats in the current language
+  getLocale() {
+    return this.LOCALES[this.preferences.language] || this.LOCALES.en;
+  }
+
+  // Format a number with a fixed number of decimals in the current locale
+  formatNumber(value, digits = 0) {
+    return value.toLocaleString(this.getLocale(), { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  }
+
+  // Format a °C reading in the preferred temperature unit
+  formatTemperature(celsius) {
+    if (this.preferences.temperatureUnit === 'fahrenheit') {
+      return `${this.formatNumber(celsius * 9 / 5 + 32, 1)}${this.t('unit.fahrenheit')}`;
+    }
+    return `${this.formatNumber(celsius, 1)}${this.t('unit.celsius')}`;
+  }
+
+  // Pollen concentration unit in the preferred wording
+  getPollenUnit() {
+    return this.t(`unit.${this.preferences.pollenUnit}`);
+  }
+
+  // Translated name of a level category (Low, High, ...)
+  getLevelLabel(level) {
+    return this.t(`level.${level}`);
+  }
+
+  // Translated allergen name
+  getPollenName(type) {
+    return this.t(`pollen.${type}`);
+  }
+
+  // Value and label of the preferred AQI standard in a reading
+  getAqiHeadline(reading) {
+    return this.preferences.aqiStandard === 'eu'
+      ? { value: reading.european_aqi, label: this.t('aqi.eu') }
+      : { value: reading.us_aqi, label: this.t('aqi.us') };
+  }
+
+  // Translated label of an alert metric
+  getMetricLabel(metric) {
+    return this.t(this.ALERT_METRICS[metric].label);
+  }
+
+  // Format an alert metric value with its unit; without digits the value
+  // keeps the precision it was entered with
+  formatMetricValue(metric, value, digits = null) {
+    const { unit } = this.ALERT_METRICS[metric];
+    const text = digits === null ? value.toLocaleString(this.getLocale()) : this.formatNumber(value, digits);
+    if (unit === 'pollen') return `${text} ${this.getPollenUnit()}`;
+    return unit ? `${text} ${unit}` : text;
+  }
+
+  // Extract per-allergen pollen values from current data
+  getPollenTypes(current) {
+    return {
+      'Birch': current.birch_pollen || 0,
+      'Alder': current.alder_pollen || 0,
+      'Grass': current.grass_pollen || 0,
+      'Mugwort': current.mugwort_pollen || 0,
+      'Olive': current.olive_pollen || 0,
+      'Ragweed': current.ragweed_pollen || 0
+    };
+  }
+
+  // Check if an allergen is in the user's profile
+  isUserAllergen(type) {
+    return !!this.userProfile?.allergies?.includes(type.toLowerCase());
+  }
+
+  // Order allergen entries with the user's allergens first, then by value
+  rankAllergens(pollenTypes) {
+    return Object.entries(pollenTypes).sort((a, b) => {
+      const aMine = this.isUserAllergen(a[0]);
+      const bMine = this.isUserAllergen(b[0]);
+      if (aMine !== bMine) return aMine ? -1 : 1;
+      return (b[1] || 0) * this.getAllergenWeight(b[0]) - (a[1] || 0) * this.getAllergenWeight(a[0]);
+    });
+  }
+
+  // Find main allergen, preferring the user's own allergens when present
+  getMainAllergen(pollenTypes) {
+    const ranked = this.rankAllergens(pollenTypes);
+    const userAllergen = ranked.find(([type, value]) => this.isUserAllergen(type) && value > 0);
+    if (userAllergen) {
+      return userAllergen;
+    }
+
+    // Weight by personal sensitivity learned from the symptom diary
+    return Object.entries(pollenTypes).reduce((a, b) =>
+      pollenTypes[a[0]] * this.getAllergenWeight(a[0]) >= pollenTypes[b[0]] * this.getAllergenWeight(b[0]) ? a : b
+    );
+  }
+
+  // Build high pollen alert message, listing the user's allergens first
+  getPollenAlertMessage(pollenTypes, overallPollenLevel) {
+    const userHigh = this.rankAllergens(pollenTypes)
+      .filter(([type, value]) => this.isUserAllergen(type) &&
+        ['High', 'Very High'].includes(this.getPollenLevelCategory(value, type)))
+      .map(([type, value]) => `${this.getPollenName(type)} (${this.getLevelLabel(this.getPollenLevelCategory(value, type))})`);
+
+    if (userHigh.length > 0) {
+      return this.t('alert.yourAllergens', { allergens: userHigh.join(', ') });
+    }
+    return this.t('alert.highPollen', { level: this.getLevelLabel(overallPollenLevel) });
+  }
+
+  // Format a date as a local YYYY-MM-DD key, matching the API's local timestamps
+  formatDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  // Parse a YYYY-MM-DD key as a local date
+  parseDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  // Check if a date is today
+  isToday(date) {
+    const today = new Date();
+    return date.getDate() === today.getDate() &&
+           date.getMonth() === today.getMonth() &&
+           date.getFullYear() === today.getFullYear();
+  }
+
+  // Shift an API local timestamp (YYYY-MM-DDTHH:MM) by a number of hours
+  shiftLocalTime(time, hours) {
+    const shifted = new Date(new Date(`${time}:00Z`).getTime() + hours * 3600000);
+    return shifted.toISOString().slice(0, 16);
+  }
+
+  // Format an API local timestamp as wall-clock time in the location's timezone.
+  // The API already returns times in that timezone, so they are read as UTC
+  // and formatted as UTC to avoid shifting them into the browser's timezone.
+  formatLocalTime(time, options) {
+    return new Date(`${time}:00Z`).toLocaleString(this.getLocale(), { ...options, timeZone: 'UTC' });
+  }
+
+  // Format a real point in time as wall-clock time at the current location
+  formatInstant(date, options) {
+    return new Date(date).toLocaleString(this.getLocale(), { ...options, timeZone: this.lastTimezone || undefined });
+  }
+
+  // Wall-clock time of a real point in time at the current location, as an
+  // API local timestamp (YYYY-MM-DDTHH:MM)
+  getLocationTime(date = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: this.lastTimezone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+  }
+
+  // Format the hour part of an API local timestamp
+  formatHour(time) {
+    return time.slice(11, 16);
+  }
+
+  // Get the first and last day shown in a month's grid (whole weeks)
+  getCalendarGridRange(year, month) {
+    const startDate = new Date(year, month, 1);
+    startDate.setDate(startDate.getDate() - startDate.getDay());
+
+    const endDate = new Date(year, month + 1, 0);
+    endDate.setDate(endDate.getDate() + (6 - endDate.getDay()));
+
+    return { startDate, endDate };
+  }
+
+  // Aggregate hourly pollen data into per-allergen daily peaks and means
+  aggregateDailyPollen(hourlyData, source) {
+    const days = {};
+    if (!hourlyData?.time) return days;
+
+    const types = Object.keys(this.POLLEN_INFO);
+
+    hourlyData.time.forEach((time, i) => {
+      const key = time.slice(0, 10);
+      if (!days[key]) {
+        days[key] = { source, hours: 0, totalMax: 0, allergens: {} };
+        types.forEach(type => {
+          days[key].allergens[type] = { max: 0, peakTime: null, sum: 0, count: 0 };
+        });
+      }
+
+      const day = days[key];
+      let total = 0;
+      let hasValue = false;
+
+      types.forEach(type => {
+        const value = hourlyData[`${type.toLowerCase()}_pollen`]?.[i];
+        if (value === null || value === undefined) return;
+
+        const stats = day.allergens[type];
+        if (stats.peakTime === null || value > stats.max) {
+          stats.max = value;
+          stats.peakTime = time;
+        }
+        stats.sum += value;
+        stats.count++;
+        total += value;
+        hasValue = true;
+      });
+
+      if (hasValue) {
+        day.hours++;
+        day.totalMax = Math.max(day.totalMax, total);
+      }
+    });
+
+    // Finalize means and drop days without any readings
+    Object.entries(days).forEach(([key, day]) => {
+      if (day.hours === 0) {
+        delete days[key];
+        return;
+      }
+      Object.values(day.allergens).forEach(stats => {
+        stats.mean = stats.count ? stats.sum / stats.count : 0;
+        delete stats.sum;
+        delete stats.count;
+      });
+    });
+
+    return days;
+  }
+
+  // Average daily aggregates from several years into a typical day per MM-DD
+  buildClimatology(yearlyAggregates) {
+    const grouped = {};
+    yearlyAggregates.forEach(days => {
+      Object.entries(days).forEach(([key, day]) => {
+        const monthDay = key.slice(5);
+        (grouped[monthDay] = grouped[monthDay] || []).push(day);
+      });
+    });
+
+    const climatology = {};
+    Object.entries(grouped).forEach(([monthDay, samples]) => {
+      const average = (pick) => samples.reduce((sum, day) => sum + pick(day), 0) / samples.length;
+      const allergens = {};
+      Object.keys(this.POLLEN_INFO).forEach(type => {
+        allergens[type] = {
+          max: average(day => day.allergens[type].max),
+          mean: average(day => day.allergens[type].mean)
+        };
+      });
+      climatology[monthDay] = {
+        source: 'climatology',
+        years: samples.length,
+        totalMax: average(day => day.totalMax),
+        allergens
+      };
+    });
+
+    return climatology;
+  }
+
+  // Get pollen level for a specific date from its daily peak
+  getPollenLevelForDate(date) {
+    const dayData = this.dailyAggregates[this.formatDateKey(date)];
+    if (!dayData || dayData.totalMax <= 0) {
+      return null;
+    }
+    return this.getDayPollenLevel(dayData);
+  }
+
+  // Aggregate the hourly forecast into days by local date in the API timezone
+  aggregateDailyForecast(hourlyData) {
+    const days = this.aggregateDailyPollen(hourlyData, 'forecast');
+
+    Object.entries(days).forEach(([key, day]) => {
+      const indices = hourlyData.time
+        .map((time, i) => time.startsWith(key) ? i : -1)
+        .filter(i => i >= 0);
+      const valuesOf = (metric) => indices
+        .map(i => hourlyData[metric]?.[i])
+        .filter(value => value !== null && value !== undefined);
+
+      const aqi = valuesOf('us_aqi');
+      const uv = valuesOf('uv_index');
+      day.aqi = aqi.length ? { max: Math.max(...aqi), mean: aqi.reduce((a, b) => a + b, 0) / aqi.length } : null;
+      day.uv = uv.length ? { max: Math.max(...uv) } : null;
+
+      // Allergen driving the day's level
+      day.driver = this.getLeadingAllergen(
+        Object.fromEntries(Object.entries(day.allergens).map(([type, stats]) => [type, stats.max]))
+      );
+
+      day.bestWindow = this.findBestOutdoorWindow(hourlyData, indices);
+    });
+
+    return days;
+  }
+
+  // Score one forecast hour for outdoor exposure (lower is better)
+  getExposureScore(hourlyData, index) {
+    const pollen = this.getPollenLoad(this.getHourlyPollenTypes(hourlyData, index));
+    const aqi = hourlyData.us_aqi?.[index] || 0;
+    const uv = hourlyData.uv_index?.[index] || 0;
+    return pollen + aqi / 100 + uv / this.UV_LEVELS.HIGH;
+  }
+
+  // Find the lowest-exposure daytime window within a day's hours
+  findBestOutdoorWindow(hourlyData, indices, hours = this.OUTDOOR_WINDOW_HOURS) {
+    const daytime = indices.filter(i => {
+      const hour = parseInt(hourlyData.time[i].slice(11, 13));
+      return hour >= this.DAYTIME_HOURS.start && hour + hours <= this.DAYTIME_HOURS.end;
+    });
+
+    let best = null;
+    daytime.forEach(start => {
+      const window = indices.slice(indices.indexOf(start), indices.indexOf(start) + hours);
+      if (window.length < hours) return;
+
+      const score = window.reduce((sum, i) => sum + this.getExposureScore(hourlyData, i), 0) / hours;
+      if (!best || score < best.score) {
+        best = { start: hourlyData.time[window[0]], hours, score };
+      }
+    });
+
+    return best;
+  }
+
+  // Rank non-overlapping windows of `hours` consecutive forecast hours
+  // between two local timestamps by mean exposure (lowest first). Hours
+  // without pollen data are skipped.
+  findOutdoorWindows(hourlyData, { fromTime, toTime, hours, daytimeOnly = true, count = this.PLANNER_RESULTS }) {
+    const pollenKeys = Object.keys(this.POLLEN_INFO).map(type => `${type.toLowerCase()}_pollen`);
+    const hasPollen = (i) => pollenKeys.some(key => typeof hourlyData[key]?.[i] === 'number');
+
+    const candidates = [];
+    hourlyData.time.forEach((start, first) => {
+      const end = this.shiftLocalTime(start, hours);
+      if (start < fromTime || end > toTime) return;
+
+      const startHour = parseInt(start.slice(11, 13));
+      if (daytimeOnly && (startHour < this.DAYTIME_HOURS.start || startHour + hours > this.DAYTIME_HOURS.end)) return;
+
+      const indices = [];
+      for (let k = 0; k < hours; k++) {
+        const i = first + k;
+        if (hourlyData.time[i] !== this.shiftLocalTime(start, k) || !hasPollen(i)) return;
+        indices.push(i);
+      }
+
+      const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+      const allergens = Object.fromEntries(Object.keys(this.POLLEN_INFO).map(type =>
+        [type, mean(indices.map(i => this.getHourlyPollenTypes(hourlyData, i)[type]))]));
+      candidates.push({
+        start,
+        end,
+        hours,
+        score: mean(indices.map(i => this.getExposureScore(hourlyData, i))),
+        pollen: mean(indices.map(i => this.getMetricValue(hourlyData, 'total_pollen', i))),
+        pollenLevel: this.getOverallPollenLevel(allergens),
+        aqi: mean(indices.map(i => hourlyData.us_aqi?.[i] || 0)),
+        uv: Math.max(...indices.map(i => hourlyData.uv_index?.[i] || 0))
+      });
+    });
+
+    candidates.sort((a, b) => a.score - b.score || a.start.localeCompare(b.start));
+
+    const picked = [];
+    candidates.forEach(candidate => {
+      if (picked.length >= count) return;
+      if (picked.some(slot => candidate.start < slot.end && slot.start < candidate.end)) return;
+      picked.push(candidate);
+    });
+    return picked;
+  }
+
+  // Explain what a planner slot trades off against the best one
+  explainOutdoorWindow(slot, best) {
+    const notes = [];
+
+    if (slot === best) {
+      notes.push(this.t('planner.noteBest'));
+    } else {
+      const compare = (name, value, bestValue, unit, digits) => {
+        const more = value - bestValue;
+        if (Math.abs(more) < Math.max(bestValue * 0.1, 1)) return;
+        notes.push(this.t(more > 0 ? `planner.more.${name}` : `planner.less.${name}`, {
+          value: `${this.formatNumber(value, digits)} ${unit}`,
+          best: `${this.formatNumber(bestValue, digits)} ${unit}`
+        }));
+      };
+      compare('pollen', slot.pollen, best.pollen, this.getPollenUnit(), 1);
+      compare('air', slot.aqi, best.aqi, 'AQI', 0);
+      compare('uv', slot.uv, best.uv, 'UV', 1);
+    }
+
+    if (slot.pollenLevel === 'High' || slot.pollenLevel === 'Very High') {
+      notes.push(this.t('planner.notePollen', { level: this.getLevelLabel(slot.pollenLevel) }));
+    }
+    if (slot.aqi > 100) {
+      notes.push(this.t('planner.noteAir', { aqi: Math.round(slot.aqi) }));
+    }
+    if (this.getUVLevelCategory(slot.uv) !== 'Low') {
+      notes.push(this.t('planner.noteUv', { uv: this.formatNumber(slot.uv, 1), advice: this.getUVAdvice(slot.uv) }));
+    }
+
+    return notes;
+  }
+
+  // Compact iCalendar date-time for a local API timestamp
+  formatIcsTime(time) {
+    return `${time.replace(/[-:]/g, '')}00`;
+  }
+
+  // iCalendar file with one event at local API timestamps in a timezone
+  buildIcsEvent({ start, end, summary, description, timezone, uid, now = new Date() }) {
+    const tz = timezone ? `;TZID=${timezone}` : '';
+    const escape = (text) => text.replace(/[\\;,]/g, match => `\\${match}`).replace(/\n/g, '\\n');
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Bee-Healthy//Outdoor Planner//EN',
+      'BEGIN:VEVENT',
+      `UID:${uid}`,
+      `DTSTAMP:${now.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`,
+      `DTSTART${tz}:${this.formatIcsTime(start)}`,
+      `DTEND${tz}:${this.formatIcsTime(end)}`,
+      `SUMMARY:${escape(summary)}`,
+      `DESCRIPTION:${escape(description)}`,
+      'END:VEVENT',
+      'END:VCALENDAR',
+      ''
+    ].join('\r\n');
+  }
+
+  // Google Calendar link for an event at local API timestamps
+  getGoogleCalendarUrl({ start, end, summary, description, timezone }) {
+    const params = new URLSearchParams({
+      action: 'TEMPLATE',
+      text: summary,
+      dates: `${this.formatIcsTime(start)}/${this.formatIcsTime(end)}`,
+      details: description
+    });
+    if (timezone) params.set('ctz', timezone);
+    return `https://calendar.google.com/calendar/render?${params}`;
+  }
+
+  // Get a metric value from current or hourly data at an index
+  getMetricValue(data, metric, index = null) {
+    const read = (key) => {
+      const value = index === null ? data[key] : data[key]?.[index];
+      return value || 0;
+    };
+
+    if (metric === 'total_pollen') {
+      return Object.keys(this.POLLEN_INFO)
+        .reduce((sum, type) => sum + read(`${type.toLowerCase()}_pollen`), 0);
+    }
+    return read(metric);
+  }
+
+  // Compute the personal allergy risk (0-100) for current data, or for one
+  // hour of hourly data. Returns null without pollen data.
+  getRiskScore(data, index = null) {
+    const read = (key) => {
+      const value = index === null ? data[key] : data[key]?.[index];
+      return typeof value === 'number' ? value : null;
+    };
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+
+    // Pollen, counting the user's own allergens in full
+    const pollenTypes = Object.keys(this.POLLEN_INFO).map(type => [type, read(`${type.toLowerCase()}_pollen`)]);
+    if (pollenTypes.every(([, value]) => value === null)) return null;
+
+    const hasProfile = this.userProfile?.allergies?.length > 0;
+    const load = pollenTypes.reduce((sum, [type, value]) => {
+      const share = !hasProfile || this.isUserAllergen(type) ? 1 : this.RISK_OTHER_ALLERGEN_SHARE;
+      return sum + (value || 0) * share * this.getAllergenWeight(type);
+    }, 0);
+    const severity = this.RISK_SEVERITY_FACTORS[this.userProfile?.severity] || 1;
+
+    const factors = [{
+      key: 'pollen',
+      label: this.t(hasProfile ? 'risk.pollenYours' : 'risk.pollen'),
+      value: clamp(load / this.RISK_LIMITS.pollen * severity),
+      detail: this.t('risk.pollenDetail', { value: this.formatPollenValue(load) })
+    }];
+
+    // Air pollution irritates airways already inflamed by pollen
+    const aqi = read('us_aqi');
+    const pm25 = read('pm2_5');
+    if (aqi !== null || pm25 !== null) {
+      factors.push({
+        key: 'air',
+        label: this.t('risk.air'),
+        value: clamp(Math.max((aqi || 0) / this.RISK_LIMITS.us_aqi, (pm25 || 0) / this.RISK_LIMITS.pm2_5)),
+        detail: [
+          aqi !== null && `${this.t('aqi.us')} ${Math.round(aqi)}`,
+          pm25 !== null && `${this.t('metric.pm25')} ${this.formatNumber(pm25, 1)} μg/m³`
+        ].filter(Boolean).join(', ')
+      });
+    }
+
+    // Warm, dry and windy weather releases and spreads more pollen
+    const weather = [
+      ['temperature_2m', (t) => (t - 10) / (this.RISK_LIMITS.temperature - 10), (t) => this.formatTemperature(t)],
+      ['relative_humidity_2m', (h) => (70 - h) / this.RISK_LIMITS.dryness, (h) => this.t('risk.humidity', { value: Math.round(h) })],
+      ['wind_speed_10m', (w) => w / this.RISK_LIMITS.wind, (w) => this.t('risk.wind', { value: Math.round(w) })]
+    ].map(([key, score, describe]) => [read(key), score, describe]).filter(([value]) => value !== null);
+    if (weather.length > 0) {
+      factors.push({
+        key: 'weather',
+        label: this.t('risk.weather'),
+        value: weather.reduce((sum, [value, score]) => sum + clamp(score(value)), 0) / weather.length,
+        detail: weather.map(([value, , describe]) => describe(value)).join(', ')
+      });
+    }
+
+    const uv = read('uv_index');
+    if (uv !== null) {
+      factors.push({
+        key: 'uv',
+        label: this.t('risk.uv'),
+        value: clamp(uv / this.RISK_LIMITS.uv),
+        detail: this.t('risk.uvDetail', { value: this.formatNumber(uv, 1) })
+      });
+    }
+
+    const totalWeight = factors.reduce((sum, factor) => sum + this.RISK_WEIGHTS[factor.key], 0);
+    factors.forEach(factor => {
+      factor.points = factor.value * this.RISK_WEIGHTS[factor.key] * 100 / totalWeight;
+    });
+
+    const score = Math.round(factors.reduce((sum, factor) => sum + factor.points, 0));
+    return { score, level: this.getRiskLevelCategory(score), factors };
+  }
+
+  // Get allergy risk category
+  getRiskLevelCategory(score) {
+    if (score >= this.RISK_LEVELS.VERY_HIGH) return 'Very High';
+    if (score >= this.RISK_LEVELS.HIGH) return 'High';
+    if (score >= this.RISK_LEVELS.MODERATE) return 'Moderate';
+    return 'Low';
+  }
+
+  // One line per risk factor, for breakdown tooltips
+  describeRiskFactors(risk) {
+    return risk.factors.map(factor => this.t('risk.factor', { label: factor.label, points: Math.round(factor.points), detail: factor.detail }));
+  }
+
+  // Add an allergy_risk series computed for every hour
+  addRiskSeries(hourlyData) {
+    hourlyData.allergy_risk = hourlyData.time.map((_, i) => this.getRiskScore(hourlyData, i)?.score ?? null);
+    return hourlyData;
+  }
+
+  // Merge another source's hourly arrays into a series, aligned by timestamp
+  mergeHourlySeries(hourlyData, otherHourly) {
+    const merged = { ...hourlyData };
+    if (!otherHourly?.time) return merged;
+
+    const indexByTime = new Map(otherHourly.time.map((time, i) => [time, i]));
+    Object.keys(otherHourly).forEach(metric => {
+      if (metric === 'time' || merged[metric]) return;
+      merged[metric] = hourlyData.time.map(time => {
+        const i = indexByTime.get(time);
+        return i === undefined ? null : otherHourly[metric][i];
+      });
+    });
+    return merged;
+  }
+
+  // Check if an hour falls within a (possibly overnight) hour range
+  isHourInRange(hour, start, end) {
+    if (start === null || end === null) return false;
+    if (start <= end) return hour >= start && hour < end;
+    return hour >= start || hour < end;
+  }
+
+  // Rules used when the user has not defined any: warn when the overall
+  // pollen level (any allergen against its own bands) reaches High
+  getDefaultAlertRules() {
+    return [{
+      id: 'default-high-pollen',
+      metric: 'pollen_level',
+      level: 'High',
+      scope: 'current',
+      threshold: null,
+      lookaheadHours: 0,
+      fromHour: null,
+      toHour: null,
+      quietStart: null,
+      quietEnd: null,
+      dedupeMinutes: 180
+    }];
+  }
+
+  // Describe an alert rule in plain words
+  describeAlertRule(rule) {
+    const params = {
+      metric: this.getMetricLabel(rule.metric),
+      threshold: this.formatMetricValue(rule.metric, rule.threshold),
+      hours: rule.lookaheadHours,
+      from: rule.fromHour,
+      to: rule.toHour
+    };
+    let key = 'alert.ruleNow';
+    if (rule.scope === 'forecast') {
+      key = rule.fromHour !== null && rule.toHour !== null ? 'alert.ruleForecastHours' : 'alert.ruleForecast';
+    }
+    const parts = [this.t(key, params)];
+
+    if (rule.quietStart !== null && rule.quietEnd !== null) {
+      parts.push(this.t('alert.ruleQuiet', { start: rule.quietStart, end: rule.quietEnd }));
+    }
+    if (rule.dedupeMinutes > 0) {
+      parts.push(this.t('alert.ruleDedupe', { hours: (rule.dedupeMinutes / 60).toLocaleString(this.getLocale()) }));
+    }
+    return parts.join(', ');
+  }
+
+  // Find the first forecast hour where a rule's threshold is exceeded.
+  // Hours are compared as the location's local timestamps, like the API's.
+  findForecastExceedance(rule, hourlyData, now) {
+    if (!hourlyData?.time) return null;
+
+    const start = `${this.getLocationTime(now).slice(0, 13)}:00`;
+    const end = this.shiftLocalTime(start, rule.lookaheadHours);
+    for (let i = 0; i < hourlyData.time.length; i++) {
+      const time = hourlyData.time[i];
+      if (time < start || time > end) continue;
+
+      if (rule.fromHour !== null && rule.toHour !== null &&
+          !this.isHourInRange(parseInt(time.slice(11, 13)), rule.fromHour, rule.toHour)) {
+        continue;
+      }
+
+      const value = this.getMetricValue(hourlyData, rule.metric, i);
+      if (value > rule.threshold) {
+        return { time, value };
+      }
+    }
+    return null;
+  }
+
+  // Check alert rules against current and forecast readings. Rules fired
+  // within their de-duplication window are skipped; fired alerts are
+  // recorded in alertLog.
+  checkAlertRules(rules, current, hourlyData, alertLog, now = new Date()) {
+    const fired = [];
+
+    rules.forEach(rule => {
+      if (this.isHourInRange(now.getHours(), rule.quietStart, rule.quietEnd)) return;
+
+      if (rule.metric !== 'pollen_level' && !this.ALERT_METRICS[rule.metric]) return;
+
+      let key;
+      let message;
+      let section;
+
+      if (rule.scope === 'forecast') {
+        const hit = this.findForecastExceedance(rule, hourlyData, now);
+        if (!hit) return;
+        // One alert per rule and forecast day, so the window still applies
+        // as the first exceeding hour moves closer
+        key = `${rule.id}@${hit.time.slice(0, 10)}`;
+        const when = `${this.formatLocalTime(hit.time, { weekday: 'short' })} ${this.formatHour(hit.time)}`;
+        message = this.t('alert.forecast', { metric: this.getMetricLabel(rule.metric), value: this.formatMetricValue(rule.metric, hit.value, 1), when });
+        section = 'forecast';
+      } else {
+        if (!current) return;
+        key = rule.id;
+        if (rule.metric === 'pollen_level') {
+          const pollenTypes = this.getPollenTypes(current);
+          const level = this.getOverallPollenLevel(pollenTypes);
+          if (this.POLLEN_LEVEL_ORDER.indexOf(level) < this.POLLEN_LEVEL_ORDER.indexOf(rule.level)) return;
+          message = this.getPollenAlertMessage(pollenTypes, level);
+        } else {
+          const value = this.getMetricValue(current, rule.metric);
+          if (value <= rule.threshold) return;
+          message = this.t('alert.current', {
+            metric: this.getMetricLabel(rule.metric),
+            value: this.formatMetricValue(rule.metric, value, 1),
+            threshold: this.formatMetricValue(rule.metric, rule.threshold)
+          });
+        }
+        section = 'current-conditions';
+      }
+
+      // De-duplicate repeated alerts within the rule's window
+      const lastFired = alertLog[key];
+      if (lastFired && now.getTime() - lastFired < rule.dedupeMinutes * 60000) return;
+
+      alertLog[key] = now.getTime();
+      fired.push({ message, section });
+    });
+
+    return fired;
+  }
+
+  // Combine firing logs, keeping the latest time per alert and dropping
+  // entries older than the log keeps
+  mergeAlertLogs(alertLog, otherLog, now = new Date()) {
+    const cutoff = now.getTime() - this.ALERT_LOG_DAYS * 24 * 3600000;
+    const merged = {};
+    [alertLog, otherLog].forEach(log => Object.entries(log || {}).forEach(([key, time]) => {
+      if (time >= cutoff && !(merged[key] >= time)) merged[key] = time;
+    }));
+    return merged;
+  }
+
+  // Title and options for a system notification linking to a page section
+  getBrowserNotification(message, type, section = 'current-conditions') {
+    return {
+      title: this.t(type === 'warning' ? 'notification.warningTitle' : 'notification.infoTitle'),
+      options: {
+        body: message,
+        icon: '/icon-192x192.png',
+        badge: '/icon-192x192.png',
+        tag: 'bee-healthy-notification',
+        requireInteraction: type === 'warning',
+        data: { section },
+        actions: [
+          {
+            action: 'view',
+            title: this.t('notification.view')
+          },
+          {
+            action: 'dismiss',
+            title: this.t('notification.dismiss')
+          }
+        ]
+      }
+    };
+  }
+
+  // Milliseconds until the next auto-refresh, aligned to the API's hourly
+  // updates: the next multiple of the interval plus a few minutes
+  getNextRefreshDelay(intervalMinutes, now = new Date()) {
+    const intervalMs = intervalMinutes * 60000;
+    const offsetMs = this.AUTO_REFRESH_OFFSET_MINUTES * 60000;
+    const next = (Math.floor((now.getTime() - offsetMs) / intervalMs) + 1) * intervalMs + offsetMs;
+    return next - now.getTime();
+  }
+
+  // Sun protection advice for a UV index, following the WHO bands
+  getUVAdvice(value) {
+    const level = this.getUVLevelCategory(value || 0);
+    if (level === 'Extreme') return this.t('uv.adviceExtreme');
+    if (level === 'Very High' || level === 'High') return this.t('uv.adviceHigh');
+    if (level === 'Moderate') return this.t('uv.adviceModerate');
+    return this.t('uv.adviceLow');
+  }
+
+  // Milliseconds until the next daily briefing at a local HH:MM. A briefing
+  // missed earlier today (app closed at that time) is due straight away.
+  getNextBriefingDelay(time, lastSentDate = null, now = new Date()) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const next = new Date(now);
+    next.setHours(hours, minutes, 0, 0);
+
+    if (next <= now) {
+      if (lastSentDate !== this.formatDateKey(now)) return 0;
+      next.setDate(next.getDate() + 1);
+    }
+    return next - now;
+  }
+
+  // Subject, plain-text and HTML bodies for a daily briefing
+  formatBriefing(params) {
+    const lines = [
+      this.t('briefing.pollenNow', { level: params.pollen_level, allergen: params.main_allergen }),
+      this.t('briefing.peak', { peak: params.forecast_peak }),
+      this.t('briefing.outdoors', { window: params.best_outdoor_window }),
+      this.t('briefing.uv', { uv: params.uv_max, advice: params.uv_advice }),
+      this.t('briefing.allergies', { allergies: params.user_allergies, severity: params.severity_level })
+    ];
+    if (params.user_medications) {
+      lines.push(this.t('briefing.medications', { medications: params.user_medications }));
+    }
+
+    return {
+      subject: this.t('briefing.subject', { location: params.location, date: params.date }),
+      text: lines.join('\n'),
+      html: `<ul>${lines.map(line => `<li>${this.escapeHtml(line)}</li>`).join('')}</ul>`,
+      params
+    };
+  }
+
+  // Get recorded pollen, PM2.5 and AQI daily means for a date
+  getDailyExposure(dateKey) {
+    const dayData = this.dailyAggregates[dateKey];
+    if (!dayData || dayData.source === 'climatology') {
+      return null;
+    }
+
+    const exposure = {};
+    Object.entries(dayData.allergens).forEach(([type, stats]) => {
+      exposure[type] = stats.mean;
+    });
+
+    // Air quality means from the hourly data, when it covers that day
+    const hourlyData = this.lastReadings?.hourly;
+    if (hourlyData?.time) {
+      const indices = hourlyData.time
+        .map((time, i) => time.startsWith(dateKey) ? i : -1)
+        .filter(i => i >= 0);
+      const mean = (metric) => {
+        const values = indices.map(i => hourlyData[metric]?.[i]).filter(value => value !== null && value !== undefined);
+        return values.length ? values.reduce((a, b) => a + b, 0) / values.length : undefined;
+      };
+      if (indices.length > 0) {
+        exposure['PM2.5'] = mean('pm2_5');
+        exposure['AQI'] = mean('us_aqi');
+      }
+    }
+
+    return exposure;
+  }
+
+  // Total symptom score for an entry (0-40)
+  getSymptomScore(entry) {
+    return Object.keys(this.SYMPTOMS).reduce((sum, symptom) => sum + (entry[symptom] || 0), 0);
+  }
+
+  // Pearson correlation coefficient of two equal-length series
+  correlate(xs, ys) {
+    const n = xs.length;
+    if (n < 2) return null;
+
+    const meanX = xs.reduce((a, b) => a + b, 0) / n;
+    const meanY = ys.reduce((a, b) => a + b, 0) / n;
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+
+    for (let i = 0; i < n; i++) {
+      covariance += (xs[i] - meanX) * (ys[i] - meanY);
+      varianceX += (xs[i] - meanX) ** 2;
+      varianceY += (ys[i] - meanY) ** 2;
+    }
+
+    if (varianceX === 0 || varianceY === 0) return null;
+    return covariance / Math.sqrt(varianceX * varianceY);
+  }
+
+  // Correlate symptom scores with each recorded exposure factor
+  getSensitivityEstimates() {
+    const entries = Object.entries(this.symptomDiary)
+      .map(([dateKey, entry]) => ({ entry, exposure: entry.exposure || this.getDailyExposure(dateKey) }))
+      .filter(({ exposure }) => exposure);
+
+    if (entries.length < this.MIN_DIARY_DAYS) {
+      return null;
+    }
+
+    const factors = [...Object.keys(this.POLLEN_INFO), 'PM2.5', 'AQI'];
+    const estimates = {};
+
+    factors.forEach(factor => {
+      const pairs = entries.filter(({ exposure }) => typeof exposure[factor] === 'number');
+      if (pairs.length < this.MIN_DIARY_DAYS) return;
+
+      const r = this.correlate(
+        pairs.map(({ exposure }) => exposure[factor]),
+        pairs.map(({ entry }) => this.getSymptomScore(entry))
+      );
+      if (r !== null) {
+        estimates[factor] = r;
+      }
+    });
+
+    return estimates;
+  }
+
+  // Ranking weight for an allergen from its symptom correlation
+  getAllergenWeight(type) {
+    if (this.sensitivityCache === undefined) {
+      this.sensitivityCache = this.getSensitivityEstimates();
+    }
+    const r = this.sensitivityCache?.[type];
+    return r > 0 ? 1 + r : 1;
+  }
+
+  // Summarize sensitivity estimates in plain words
+  describeSensitivity(estimates) {
+    const allergens = Object.entries(estimates)
+      .filter(([factor]) => this.POLLEN_INFO[factor])
+      .sort((a, b) => b[1] - a[1]);
+
+    if (allergens.length === 0) {
+      return this.t('sensitivity.noVariation');
+    }
+
+    const [top, topR] = allergens[0];
+    if (topR < 0.3) {
+      return this.t('sensitivity.unclear');
+    }
+
+    const [low, lowR] = allergens[allergens.length - 1];
+    if (allergens.length > 1 && topR - lowR >= 0.3) {
+      return this.t('sensitivity.muchMore', { top: this.getPollenName(top), low: this.getPollenName(low) });
+    }
+    return this.t('sensitivity.closest', { top: this.getPollenName(top) });
+  }
+
+  // Merge stored readings with the latest fetched series into hourly export
+  // rows between two local timestamps. Stored readings win for hours in both.
+  mergeExportRows(records, hourlyData, currentTime, fromTime, toTime, metrics) {
+    const rows = new Map();
+
+    records.forEach(record => {
+      const row = { time: record.time, kind: record.kind };
+      metrics.forEach(metric => { row[metric] = record.values[metric] ?? null; });
+      rows.set(record.time, row);
+    });
+
+    hourlyData?.time?.forEach((time, i) => {
+      if (time < fromTime || time > toTime || rows.has(time)) return;
+      const row = { time, kind: currentTime && time <= currentTime ? 'model' : 'forecast' };
+      metrics.forEach(metric => { row[metric] = hourlyData[metric]?.[i] ?? null; });
+      rows.set(time, row);
+    });
+
+    return [...rows.values()].sort((a, b) => a.time.localeCompare(b.time));
+  }
+
+  // Format rows as CSV with a header line; missing values are left empty
+  toCsv(rows, columns) {
+    const cell = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(column => cell(row[column])).join(','))].join('\n') + '\n';
+  }
+
+  // Query string for a share link to a location, chart view and range
+  buildShareQuery({ lat, lon, view, offset, span }) {
+    const params = new URLSearchParams({ lat: lat.toFixed(4), lon: lon.toFixed(4) });
+    if (view) params.set('view', view);
+    if (offset !== undefined && span !== undefined) {
+      params.set('offset', offset);
+      params.set('span', span);
+    }
+    return `?${params}`;
+  }
+
+  // Read a share link's query string, dropping anything invalid. The range
+  // is kept within the chart's span limits and the forecast horizon.
+  parseShareQuery(search, minOffset = -90 * 24) {
+    const params = new URLSearchParams(search);
+    const shared = {};
+
+    const lat = parseFloat(params.get('lat'));
+    const lon = parseFloat(params.get('lon'));
+    if (lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180) {
+      shared.lat = lat;
+      shared.lon = lon;
+    }
+
+    if (this.CHART_VIEWS.includes(params.get('view'))) {
+      shared.view = params.get('view');
+    }
+
+    const offset = parseInt(params.get('offset'));
+    const span = parseInt(params.get('span'));
+    if (Number.isFinite(offset) && Number.isFinite(span)) {
+      shared.span = Math.min(this.CHART_SPAN_LIMITS.max, Math.max(this.CHART_SPAN_LIMITS.min, span));
+      shared.offset = Math.min(this.CHART_MAX_FUTURE_HOURS - shared.span, Math.max(minOffset, offset));
+    }
+
+    return shared;
+  }
+
+  // Link that shares text and a URL on a platform
+  getSharePlatformUrl(platform, text, url) {
+    const template = this.SHARE_PLATFORMS[platform];
+    if (!template) return null;
+    return template
+      .replace('{text}', encodeURIComponent(text))
+      .replace('{url}', encodeURIComponent(url));
+  }
+
+  // Sample points on a square grid centred on a location, north to south
+  // and west to east
+  buildMapGrid(lat, lon, size = this.MAP_GRID.size, spacingKm = this.MAP_GRID.spacingKm) {
+    const latStep = spacingKm / 111.32;
+    const lonStep = spacingKm / (111.32 * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+    const half = (size - 1) / 2;
+    const points = [];
+
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        points.push({
+          row,
+          col,
+          lat: Number((lat + (half - row) * latStep).toFixed(4)),
+          lon: Number((lon + (col - half) * lonStep).toFixed(4))
+        });
+      }
+    }
+    return points;
+  }
+
+  // Area covered by a grid, padded by half a cell so samples sit in cell centres
+  getMapBounds(points) {
+    const size = Math.sqrt(points.length);
+    const lats = points.map(point => point.lat);
+    const lons = points.map(point => point.lon);
+    const latPad = size > 1 ? (Math.max(...lats) - Math.min(...lats)) / (size - 1) / 2 : 0.05;
+    const lonPad = size > 1 ? (Math.max(...lons) - Math.min(...lons)) / (size - 1) / 2 : 0.05;
+
+    return {
+      north: Math.max(...lats) + latPad,
+      south: Math.min(...lats) - latPad,
+      west: Math.min(...lons) - lonPad,
+      east: Math.max(...lons) + lonPad
+    };
+  }
+
+  // Project a coordinate onto a width×height canvas covering the bounds.
+  // A plain linear projection is accurate enough over a few dozen km.
+  projectToMap(lat, lon, bounds, width, height) {
+    return {
+      x: (lon - bounds.west) / (bounds.east - bounds.west) * width,
+      y: (bounds.north - lat) / (bounds.north - bounds.south) * height
+    };
+  }
+
+  // Coordinate under a canvas position
+  unprojectFromMap(x, y, bounds, width, height) {
+    return {
+      lat: bounds.north - y / height * (bounds.north - bounds.south),
+      lon: bounds.west + x / width * (bounds.east - bounds.west)
+    };
+  }
+
+  // Heatmap score of one sample: the worst allergen relative to its High
+  // band, or the headline AQI relative to MAP_AQI_SCALE. Null without data.
+  getMapScore(reading, layer) {
+    if (!reading) return null;
+
+    if (layer === 'aqi') {
+      const { value } = this.getAqiHeadline(reading);
+      return typeof value === 'number' ? value / this.MAP_AQI_SCALE[this.preferences.aqiStandard] : null;
+    }
+
+    const pollenTypes = this.getPollenTypes(reading);
+    const hasData = Object.keys(pollenTypes).some(type => typeof reading[`${type.toLowerCase()}_pollen`] === 'number');
+    if (!hasData) return null;
+    return Math.max(...Object.entries(pollenTypes).map(([type, value]) => value / this.getPollenThresholds(type).HIGH));
+  }
+
+  // Bilinear interpolation in a size×size grid of scores at fractional
+  // grid position (col, row); missing corners are left out of the blend
+  interpolateGrid(scores, size, col, row) {
+    const clamp = (value) => Math.min(Math.max(value, 0), size - 1);
+    const x = clamp(col);
+    const y = clamp(row);
+    const x0 = Math.floor(x);
+    const y0 = Math.floor(y);
+    const x1 = Math.min(x0 + 1, size - 1);
+    const y1 = Math.min(y0 + 1, size - 1);
+
+    let total = 0;
+    let weights = 0;
+    [[x0, y0, (1 - (x - x0)) * (1 - (y - y0))], [x1, y0, (x - x0) * (1 - (y - y0))],
+     [x0, y1, (1 - (x - x0)) * (y - y0)], [x1, y1, (x - x0) * (y - y0)]].forEach(([cx, cy, weight]) => {
+      const score = scores[cy * size + cx];
+      if (score === null || weight === 0) return;
+      total += score * weight;
+      weights += weight;
+    });
+    return weights > 0 ? total / weights : null;
+  }
+
+  // Heatmap colour for a score, interpolated between MAP_COLOR_STOPS
+  getMapColor(score, alpha = 0.6) {
+    const stops = this.MAP_COLOR_STOPS;
+    const clamped = Math.min(Math.max(score, stops[0][0]), stops[stops.length - 1][0]);
+    const upper = stops.findIndex(([at]) => at >= clamped);
+    const [toAt, to] = stops[upper];
+    const [fromAt, from] = stops[Math.max(upper - 1, 0)];
+    const mix = toAt === fromAt ? 0 : (clamped - fromAt) / (toAt - fromAt);
+    const [red, green, blue] = from.map((channel, i) => Math.round(channel + (to[i] - channel) * mix));
+    return `rgba(${red}, ${green}, ${blue}, ${alpha})`;
+  }
+
+  // Read track, route or waypoint coordinates from a GPX document, preferring
+  // the most detailed kind present
+  parseGpx(text) {
+    for (const tag of ['trkpt', 'rtept', 'wpt']) {
+      const points = [];
+      const pattern = new RegExp(`<${tag}\\b([^>]*)>`, 'g');
+      let match;
+      while ((match = pattern.exec(text))) {
+        const lat = parseFloat(match[1].match(/\blat\s*=\s*["']([^"']+)["']/)?.[1]);
+        const lon = parseFloat(match[1].match(/\blon\s*=\s*["']([^"']+)["']/)?.[1]);
+        if (Number.isFinite(lat) && Number.isFinite(lon)) {
+          points.push({ lat, lon });
+        }
+      }
+      if (points.length > 0) return points;
+    }
+    return [];
+  }
+
+  // Great-circle distance in km
+  getDistanceKm(from, to) {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLon = toRad(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  // Pick up to maxSamples waypoints spread evenly by distance, always keeping
+  // both ends. Each sample records its distance along the full route.
+  sampleRoute(points, maxSamples = this.ROUTE_MAX_SAMPLES) {
+    let km = 0;
+    const route = points.map((point, i) => {
+      if (i > 0) km += this.getDistanceKm(points[i - 1], point);
+      return { lat: point.lat, lon: point.lon, km };
+    });
+    if (route.length <= maxSamples) return route;
+
+    const samples = [];
+    for (let i = 0; i < maxSamples; i++) {
+      const target = km * i / (maxSamples - 1);
+      const nearest = route.reduce((best, point) =>
+        Math.abs(point.km - target) < Math.abs(best.km - target) ? point : best);
+      if (samples[samples.length - 1] !== nearest) samples.push(nearest);
+    }
+    return samples;
+  }
+
+  // Value of a metric in an hourly series at the hour nearest a local time
+  getValueAtTime(hourlyData, metric, time) {
+    const hour = `${this.shiftLocalTime(time, 0.5).slice(0, 13)}:00`;
+    const index = hourlyData.time.indexOf(hour);
+    return index < 0 ? null : this.getMetricValue(hourlyData, metric, index);
+  }
+
+  // Estimate cumulative exposure along a sampled route leaving at a local
+  // time: each leg contributes the mean of its two ends, at the time the
+  // traveller is halfway along it, multiplied by the hours it takes. Doses
+  // are grains/m³·h, μg/m³·h and UV index·h; pollenLoad is the pollen load
+  // (see getPollenLoad) times hours. `series` holds the hourly
+  // forecast of each sample; times are wall-clock times at the start, so
+  // routes across timezones are matched by local hour. Returns null when
+  // the forecast does not cover the whole trip.
+  estimateRouteExposure(samples, series, departure, speedKmh) {
+    if (samples.length < 2) return null;
+    const distanceKm = samples[samples.length - 1].km;
+    if (distanceKm <= 0) return null;
+
+    const allergens = Object.keys(this.POLLEN_INFO);
+    const dose = { pollen: 0, pollenLoad: 0, pm2_5: 0, uv: 0 };
+    const peak = { pollen: 0, pm2_5: 0, uv: 0 };
+    const byAllergen = Object.fromEntries(allergens.map(type => [type, 0]));
+
+    for (let i = 1; i < samples.length; i++) {
+      const hours = (samples[i].km - samples[i - 1].km) / speedKmh;
+      const midway = this.shiftLocalTime(departure, (samples[i - 1].km + samples[i].km) / 2 / speedKmh);
+      const mean = (metric) => {
+        const values = [series[i - 1], series[i]].map(data => this.getValueAtTime(data, metric, midway));
+        return values.includes(null) ? null : (values[0] + values[1]) / 2;
+      };
+
+      const pm25 = mean('pm2_5');
+      const uv = mean('uv_index');
+      const pollen = allergens.map(type => [type, mean(`${type.toLowerCase()}_pollen`)]);
+      if (pm25 === null || uv === null || pollen.some(([, value]) => value === null)) return null;
+
+      const totalPollen = pollen.reduce((sum, [, value]) => sum + value, 0);
+      pollen.forEach(([type, value]) => { byAllergen[type] += value * hours; });
+      dose.pollen += totalPollen * hours;
+      dose.pollenLoad += this.getPollenLoad(Object.fromEntries(pollen)) * hours;
+      dose.pm2_5 += pm25 * hours;
+      dose.uv += uv * hours;
+      peak.pollen = Math.max(peak.pollen, totalPollen);
+      peak.pm2_5 = Math.max(peak.pm2_5, pm25);
+      peak.uv = Math.max(peak.uv, uv);
+    }
+
+    const hours = distanceKm / speedKmh;
+    const exposure = {
+      departure,
+      arrival: this.shiftLocalTime(departure, hours),
+      hours,
+      distanceKm,
+      dose,
+      peak,
+      byAllergen
+    };
+    exposure.score = this.getRouteScore(exposure);
+    return exposure;
+  }
+
+  // Combined route score (lower is better), on the same footing as the
+  // hourly exposure score but over doses
+  getRouteScore(exposure) {
+    return exposure.dose.pollenLoad +
+      exposure.dose.pm2_5 / this.ROUTE_PM25_REFERENCE +
+      exposure.dose.uv / this.UV_LEVELS.HIGH;
+  }
+
+  // Try whole-hour departures around the chosen one, no earlier than
+  // `earliest`, and return the lowest-exposure trip
+  findBestDeparture(samples, series, departure, speedKmh, earliest = null) {
+    const first = `${departure.slice(0, 13)}:00`;
+    let best = null;
+
+    for (let offset = -this.ROUTE_DEPARTURE_SEARCH_HOURS; offset <= this.ROUTE_DEPARTURE_SEARCH_HOURS; offset++) {
+      const candidate = this.shiftLocalTime(first, offset);
+      if (earliest && candidate < earliest) continue;
+      const exposure = this.estimateRouteExposure(samples, series, candidate, speedKmh);
+      if (exposure && (!best || exposure.score < best.score)) {
+        best = exposure;
+      }
+    }
+    return best;
+  }
+
+  // Parse "08:00, 20:00" into sorted, unique HH:MM dose times; null when
+  // any entry is not a valid time
+  parseDoseTimes(text) {
+    const entries = text.split(/[,;\s]+/).filter(Boolean);
+    if (entries.length === 0) return null;
+
+    const times = [];
+    for (const entry of entries) {
+      const match = entry.match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) return null;
+      times.push(`${match[1].padStart(2, '0')}:${match[2]}`);
+    }
+    return [...new Set(times)].sort();
+  }
+
+  // Season start (MM-DD) at a location: the first day of typical data whose
+  // mean reaches the allergen's Moderate band, or null if none does
+  estimateSeasonStart(type, climatology) {
+    const moderate = this.getPollenThresholds(type).MODERATE;
+    return Object.keys(climatology).sort()
+      .find(monthDay => climatology[monthDay].allergens?.[type]?.mean >= moderate) || null;
+  }
+
+  // First and last day of an allergen's season in a year, starting on the
+  // location's estimated start when known
+  getSeasonWindow(type, year, seasonStarts = {}) {
+    const { startMonth, endMonth } = this.POLLEN_SEASONS[type];
+    const start = seasonStarts[type]
+      ? `${year}-${seasonStarts[type]}`
+      : `${year}-${String(startMonth + 1).padStart(2, '0')}-01`;
+    const end = new Date(Date.UTC(year, endMonth + 1, 0)).toISOString().slice(0, 10);
+    return { start, end };
+  }
+
+  // Courses of a seasonal medication: for each of its allergens, the season
+  // this year or next that has not ended by dateKey, begun leadDays early
+  getMedicationCourses(medication, dateKey, seasonStarts = {}) {
+    const year = parseInt(dateKey.slice(0, 4));
+    return medication.allergens.map(type => {
+      let window = this.getSeasonWindow(type, year, seasonStarts);
+      if (window.end < dateKey) {
+        window = this.getSeasonWindow(type, year + 1, seasonStarts);
+      }
+      const from = this.shiftLocalTime(`${window.start}T00:00`, -24 * medication.leadDays).slice(0, 10);
+      return { allergen: type, from, ...window };
+    }).sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  // Whether doses are due on a day: every day without allergens, otherwise
+  // only during a course
+  isMedicationDue(medication, dateKey, seasonStarts = {}) {
+    if (medication.allergens.length === 0) return true;
+    return this.getMedicationCourses(medication, dateKey, seasonStarts)
+      .some(course => course.from <= dateKey && dateKey <= course.end);
+  }
+
+  // Delay in ms until the next dose of any medication, or null if none is
+  // due within a year
+  getNextDoseDelay(medications, now = new Date(), seasonStarts = {}) {
+    for (let day = 0; day <= 366; day++) {
+      const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + day);
+      const dateKey = this.formatDateKey(date);
+      const times = medications
+        .filter(medication => this.isMedicationDue(medication, dateKey, seasonStarts))
+        .flatMap(medication => medication.times)
+        .map(time => {
+          const [hours, minutes] = time.split(':').map(Number);
+          return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+        })
+        .filter(time => time > now);
+      if (times.length > 0) {
+        return Math.min(...times) - now;
+      }
+    }
+    return null;
+  }
+
+  // Doses due over the last `days` days up to now, and how many were marked
+  // taken. `taken` maps YYYY-MM-DD to { medicationId: ['HH:MM', ...] }.
+  getAdherence(medication, taken, now = new Date(), days = this.ADHERENCE_DAYS, seasonStarts = {}) {
+    const nowTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    let due = 0;
+    let done = 0;
+
+    for (let day = 0; day < days; day++) {
+      const dateKey = this.formatDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - day));
+      if (!this.isMedicationDue(medication, dateKey, seasonStarts)) continue;
+
+      const times = day === 0 ? medication.times.filter(time => time <= nowTime) : medication.times;
+      const marked = taken[dateKey]?.[medication.id] || [];
+      due += times.length;
+      done += times.filter(time => marked.includes(time)).length;
+    }
+    return { due, taken: done, rate: due > 0 ? done / due : null };
+  }
+
+  // Parse raw "lat, lon" input
+  parseCoordinates(query) {
+    const match = query.trim().match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match) return null;
+
+    const lat = parseFloat(match[1]);
+    const lon = parseFloat(match[2]);
+    if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+
+    return { name: `${lat.toFixed(4)}, ${lon.toFixed(4)}`, detail: this.t('search.coordinates'), lat, lon };
+  }
+
+  // Escape user-entered text for HTML output
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
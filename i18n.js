@@ -0,0 +1,1574 @@
+// Bee-Healthy Pollen Tracker - Message catalogs
+//
+// One catalog per supported language, keyed by dotted message names. Values
+// may contain {placeholders}, filled in by BeeHealthyCore.t(). Keys missing
+// from a catalog fall back to English.
+//
+// Static page text is marked up with data-i18n="<key>" (text content),
+// data-i18n-placeholder, data-i18n-aria-label or data-i18n-alt="<key>" and
+// translated by applyTranslations().
+
+const MESSAGES = {
+  en: {
+    'app.tagline': 'Track pollen levels, air quality, and UV index to manage your allergies effectively',
+
+    'section.location': 'Location Information',
+    'section.savedLocations': 'Saved Locations',
+    'section.forecast': '7-Day Forecast',
+    'section.tips': 'Allergy Tips',
+    'section.planner': 'Outdoor Planner',
+    'section.breakdown': 'Current Pollen Breakdown',
+    'section.airQuality': 'Air Quality Details',
+    'section.chart': 'Pollen Levels Over Time',
+    'section.diary': 'Symptom Diary',
+    'section.sensitivity': 'Personal Sensitivity',
+    'section.calendar': 'Pollen Season Calendar',
+    'section.notifications': 'Notifications',
+    'section.share': 'Share Report',
+
+    'stat.risk': 'Allergy Risk',
+    'stat.pollen': 'Pollen Level',
+    'stat.aqi': 'Air Quality',
+    'stat.uv': 'UV Index',
+    'stat.temperature': 'Temperature',
+    'stat.humidity': 'Humidity',
+    'stat.dataTime': 'Data Time',
+    'stat.mainAllergen': 'Main Allergen:',
+
+    'button.refresh': 'Refresh Data',
+    'button.useLocation': 'Use My Location',
+    'button.profile': 'My Allergy Profile',
+    'button.help': 'Help',
+    'button.saveLocation': 'Save Current Location',
+    'button.compare': 'Compare All',
+
+    'autoRefresh.label': 'Auto-refresh',
+    'autoRefresh.off': 'Off',
+    'autoRefresh.hourly': 'Every hour',
+    'autoRefresh.every3': 'Every 3 hours',
+    'autoRefresh.every6': 'Every 6 hours',
+    'autoRefresh.paused': 'Paused',
+    'autoRefresh.next': 'Next update {time}',
+
+    'search.placeholder': 'Search city, postcode or "lat, lon"',
+
+    'prefs.language': 'Language',
+    'prefs.temperature': 'Temperature',
+    'prefs.pollenUnit': 'Pollen unit',
+    'prefs.aqi': 'Headline AQI',
+
+    'chart.pollen': 'Pollen',
+    'chart.air': 'Air Quality',
+    'chart.pollenLevels': 'Pollen Levels',
+    'chart.combined': 'Combined View',
+    'chart.uv': 'UV Index',
+    'chart.particulate': 'Particulates',
+    'chart.risk': 'Allergy Risk',
+
+    'tips.mask': 'Wear a mask outdoors when pollen levels are high',
+    'tips.windows': 'Keep windows closed during high pollen seasons',
+    'tips.clothes': 'Change clothes after being outside for extended periods',
+    'tips.purifier': 'Use air purifiers with HEPA filters indoors',
+    'tips.check': 'Check pollen levels before planning outdoor activities',
+    'tips.sunscreen': 'Apply sunscreen when UV index is 3 or higher',
+    'tips.shower': 'Shower before bed to remove pollen from hair and skin',
+    'tips.medication': 'Consider allergy medication before symptoms begin',
+
+    'planner.intro': 'Find the times with the least pollen, air pollution and UV for a run, a commute or outdoor play.',
+    'planner.activity': 'Activity',
+    'planner.duration': 'Duration',
+    'planner.from': 'From',
+    'planner.to': 'To',
+    'planner.daytime': 'Daytime only',
+    'planner.find': 'Find Best Times',
+    'planner.hours': '{count} hours',
+    'planner.hour': '1 hour',
+    'planner.best': 'Best',
+    'planner.loading': 'Forecast data is still loading.',
+    'planner.empty': 'No forecast hours with pollen data fit this range. Try a shorter activity or a wider range.',
+    'planner.invalidRange': 'Please choose a valid date range to plan.',
+
+    'level.None': 'None',
+    'level.Low': 'Low',
+    'level.Moderate': 'Moderate',
+    'level.High': 'High',
+    'level.Very High': 'Very High',
+    'level.Extreme': 'Extreme',
+
+    'pollen.Birch': 'Birch',
+    'pollen.Alder': 'Alder',
+    'pollen.Grass': 'Grass',
+    'pollen.Mugwort': 'Mugwort',
+    'pollen.Olive': 'Olive',
+    'pollen.Ragweed': 'Ragweed',
+    'pollen.name': '{type} Pollen',
+
+    'unit.grains': 'grains/m³',
+    'unit.pollen': 'pollen/m³',
+    'unit.celsius': '°C',
+    'unit.fahrenheit': '°F',
+
+    'aqi.us': 'US AQI',
+    'aqi.eu': 'European AQI',
+
+    'common.loading': 'Loading...',
+    'common.error': 'Error',
+    'common.today': 'Today',
+    'location.yours': '(Your Location)',
+    'location.error': 'Error loading data',
+    'error.loadFailed': 'Failed to load data: {message}',
+    'allergen.yours': 'Your allergen',
+    'allergen.yoursSuffix': '(your allergen)',
+    'breakdown.none': 'No pollen data available',
+
+    'forecast.drivenBy': 'Driven by',
+    'forecast.aqiMax': 'AQI max',
+    'forecast.uvMax': 'UV max',
+    'forecast.bestTime': 'Best time outdoors:',
+    'forecast.window': '{time} for {hours}h',
+    'forecast.noDaytime': 'No daytime data',
+    'forecast.allergen': 'Allergen',
+    'forecast.peak': 'Peak',
+    'forecast.mean': 'Mean',
+    'forecast.peakHour': 'Peak hour',
+    'forecast.none': 'No forecast data available',
+
+    'stale.banner': 'You are offline. Showing cached data, last updated at {time}.',
+    'stale.unknown': 'an unknown time',
+
+    'notification.warningTitle': '⚠️ High Pollen Alert',
+    'notification.infoTitle': 'ℹ️ Bee-Healthy Update',
+    'notification.view': 'View Details',
+    'notification.dismiss': 'Dismiss',
+
+    'thresholds.title': 'Understanding Pollen Levels',
+    'thresholds.intro': 'Each allergen is graded against its own bands, because a count that is high for ragweed is low for birch. The overall level is the highest level any allergen reaches.',
+    'thresholds.scheme': 'Threshold scheme',
+    'thresholds.european': 'European (EAACI)',
+    'thresholds.us': 'US (NAB)',
+    'thresholds.custom': 'Custom',
+    'thresholds.total': 'All pollen (sum)',
+    'thresholds.caption': 'Lower bound of each level in {unit}. Counts below every band are {low}.',
+    'thresholds.save': 'Save Thresholds',
+    'thresholds.invalid': 'Each allergen needs positive bands that rise from Moderate to Very High.',
+
+    'section.map': 'Pollen & Air Quality Map',
+    'map.intro': 'A heatmap of current pollen or air quality sampled around the location, with your saved locations marked.',
+    'map.show': 'Show Map',
+    'map.hide': 'Hide Map',
+    'map.loading': 'Sampling {count} points around the location...',
+    'map.hint': 'Click anywhere on the map to load that point.',
+    'map.error': 'Could not load the map: {message}',
+    'map.pollenLegend': 'Worst allergen compared with its High band',
+
+    'section.route': 'Route Exposure',
+    'route.intro': 'Estimate the pollen, PM2.5 and UV you will take in along a commute or trip, and find a better time to leave.',
+    'route.waypoints': 'Waypoints',
+    'route.placeholder': 'One "lat, lon" or place per line',
+    'route.gpx': 'Import GPX',
+    'route.mode': 'Travel mode',
+    'route.walking': 'Walking',
+    'route.cycling': 'Cycling',
+    'route.transit': 'Bus or tram',
+    'route.driving': 'Driving',
+    'route.departure': 'Departure',
+    'route.estimate': 'Estimate Exposure',
+    'route.loading': 'Fetching the forecast along the route...',
+    'route.tooFew': 'Enter at least two waypoints or import a GPX track.',
+    'route.unknownPlace': 'Could not find "{place}".',
+    'route.noDeparture': 'Choose a departure time.',
+    'route.outOfRange': 'The forecast does not cover this trip. Choose an earlier departure.',
+    'route.error': 'Could not estimate the route: {message}',
+    'route.gpxLoaded': 'Imported {name}: {count} points, {km} km.',
+    'route.gpxEmpty': 'No track, route or waypoints found in this GPX file.',
+    'route.summary': '{km} km in {duration}, {from}–{to}',
+    'route.duration': '{hours} h {minutes} min',
+    'route.dose': 'Exposure',
+    'route.suggest': 'Leaving on {time} would cut your exposure by {percent}%.',
+    'route.useSuggestion': 'Use this time',
+    'route.alreadyBest': 'No departure within {hours} hours either way is clearly better.',
+    'section.medications': 'Medication Reminders',
+    'medication.intro': 'Get reminded of your daily doses, and of when to start preventive medication ahead of your pollen seasons.',
+    'medication.name': 'Medication',
+    'medication.namePlaceholder': 'e.g. Nasal spray',
+    'medication.times': 'Dose times',
+    'medication.lead': 'Start days before season',
+    'medication.add': 'Add Medication',
+    'medication.allergens': 'Seasonal for (leave empty to take it year-round):',
+    'medication.note': 'Reminders appear while Bee Healthy is open in a tab.',
+    'medication.invalid': 'Enter a name and dose times like 08:00, 20:00.',
+    'medication.empty': 'No medications yet.',
+    'medication.remove': 'Remove medication',
+    'medication.daily': 'Every day',
+    'medication.inCourse': '{allergen} course: {from} to {end}, season from {start}',
+    'medication.nextCourse': 'Next {allergen} course starts {from}, ahead of the season from {start}',
+    'medication.adherence': 'Taken {taken} of {due} doses in the last {days} days ({percent}%)',
+    'medication.doseReminder': 'Time for your {name} ({time}).',
+    'medication.startCourse': 'Start taking {name} now: {allergen} season is expected from {start}.',
+
+    'report.title': 'Bee-Healthy Allergy Report',
+    'report.mainAllergen': 'Main Allergen',
+    'report.allergies': 'Allergies: {allergies}',
+    'report.severity': 'Severity: {severity}',
+    'report.medications': 'Medications: {medications}',
+    'report.level': 'Level',
+    'report.day': 'Day',
+    'report.driver': 'Driver',
+    'report.symptoms': 'Symptom Notes',
+    'report.date': 'Date',
+    'report.score': 'Score',
+    'report.medication': 'Medication',
+    'report.chartAlt': '{title} chart',
+    'report.noCurrent': 'No current data',
+    'report.noForecast': 'No forecast data',
+    'report.noSymptoms': 'No symptoms logged',
+
+    'summary.unknownLocation': 'Unknown Location',
+    'summary.unknown': 'Unknown',
+    'summary.noAllergies': 'None specified',
+    'summary.noSeverity': 'Not specified',
+    'severity.mild': 'Mild',
+    'severity.moderate': 'Moderate',
+    'severity.severe': 'Severe',
+    'share.text': 'Pollen in {location}: {level} ({allergen}), AQI {aqi}, UV {uv}',
+    'profile.saved': 'Allergy profile saved',
+    'common.na': 'N/A',
+
+    'metric.totalPollen': 'Total Pollen',
+    'metric.birchPollen': 'Birch Pollen',
+    'metric.alderPollen': 'Alder Pollen',
+    'metric.grassPollen': 'Grass Pollen',
+    'metric.mugwortPollen': 'Mugwort Pollen',
+    'metric.olivePollen': 'Olive Pollen',
+    'metric.ragweedPollen': 'Ragweed Pollen',
+    'metric.pm25': 'PM2.5',
+
+    'alert.yourAllergens': 'High pollen alert for your allergens: {allergens}. Take precautions today.',
+    'alert.highPollen': 'High pollen alert! Current level: {level}. Take precautions if you have allergies.',
+    'alert.forecast': '{metric} forecast to reach {value} at {when}.',
+    'alert.current': '{metric} is {value}, above your threshold of {threshold}.',
+    'alert.ruleNow': '{metric} above {threshold} now',
+    'alert.ruleForecast': '{metric} above {threshold} within the next {hours}h',
+    'alert.ruleForecastHours': '{metric} above {threshold} within the next {hours}h between {from}:00 and {to}:00',
+    'alert.ruleQuiet': 'quiet {start}:00–{end}:00',
+    'alert.ruleDedupe': 'at most every {hours}h',
+    'alert.invalidRule': 'Please choose a metric and a numeric threshold',
+    'alert.noRules': 'No custom rules. Alerts fire when any allergen reaches High.',
+    'alert.removeRule': 'Remove rule',
+
+    'risk.pollen': 'Pollen',
+    'risk.pollenYours': 'Pollen (your allergens)',
+    'risk.pollenDetail': '{value} weighted',
+    'risk.air': 'Air quality',
+    'risk.weather': 'Weather',
+    'risk.humidity': '{value}% humidity',
+    'risk.wind': 'wind {value} km/h',
+    'risk.uv': 'UV',
+    'risk.uvDetail': 'UV index {value}',
+    'risk.factor': '{label}: {points} pts ({detail})',
+
+    'planner.noteBest': 'Lowest combined pollen, air pollution and UV exposure in your range.',
+    'planner.more.pollen': 'More pollen than the best slot ({value} vs {best}).',
+    'planner.less.pollen': 'Less pollen than the best slot ({value} vs {best}).',
+    'planner.more.air': 'More air pollution than the best slot ({value} vs {best}).',
+    'planner.less.air': 'Less air pollution than the best slot ({value} vs {best}).',
+    'planner.more.uv': 'More UV than the best slot ({value} vs {best}).',
+    'planner.less.uv': 'Less UV than the best slot ({value} vs {best}).',
+    'planner.notePollen': 'Pollen stays {level}: consider a mask and sunglasses, and shower afterwards.',
+    'planner.noteAir': 'Air quality is unhealthy for sensitive groups (AQI {aqi}): keep exertion light.',
+    'planner.noteUv': 'UV peaks at {uv}. {advice}',
+
+    'uv.adviceExtreme': 'Avoid being outside around midday; shirt, hat, sunscreen and shade are essential.',
+    'uv.adviceHigh': 'Seek shade around midday and wear sunscreen, a hat and sunglasses.',
+    'uv.adviceModerate': 'Wear sunscreen and sunglasses if you are outside for long.',
+    'uv.adviceLow': 'No sun protection needed.',
+
+    'dayDetails.history': 'Observed',
+    'dayDetails.forecast': 'Forecast',
+    'dayDetails.climatology': 'Typical for this date (previous years)',
+    'dayDetails.overall': 'Overall:',
+    'dayDetails.mean': 'Daily mean',
+    'dayDetails.unit': 'Values in {unit}.',
+    'dayDetails.none': 'No pollen data available for this day.',
+
+    'symptom.sneezing': 'Sneezing',
+    'symptom.itchyEyes': 'Itchy Eyes',
+    'symptom.congestion': 'Congestion',
+    'symptom.asthma': 'Asthma',
+    'diary.logged': 'Symptoms logged for {date}',
+    'diary.empty': 'No symptoms logged yet.',
+    'diary.score': 'score {score}/40',
+    'diary.remove': 'Remove entry',
+
+    'sensitivity.needMore': 'Log symptoms on at least {days} days to see your personal sensitivity ({logged} so far).',
+    'sensitivity.noVariation': 'Not enough pollen variation in your logged days yet.',
+    'sensitivity.unclear': 'Your symptoms do not clearly track any single allergen yet.',
+    'sensitivity.muchMore': 'Your symptoms track {top} much more than {low}.',
+    'sensitivity.closest': 'Your symptoms track {top} most closely.',
+    'sensitivity.dataset': 'Correlation with symptoms',
+    'sensitivity.axis': 'Correlation (r)',
+
+    'briefing.subject': 'Bee-Healthy briefing for {location} – {date}',
+    'briefing.pollenNow': 'Pollen now: {level} (main allergen: {allergen})',
+    'briefing.peak': "Today's peak: {peak}",
+    'briefing.outdoors': 'Best time outdoors: {window}',
+    'briefing.uv': 'UV: {uv}. {advice}',
+    'briefing.allergies': 'Your allergies: {allergies} ({severity})',
+    'briefing.medications': 'Medications: {medications}',
+    'briefing.forecastPeak': '{level} ({value}), driven by {allergen} around {time}',
+    'briefing.noPollen': 'No pollen expected',
+    'briefing.endpoint.webhook': 'Webhook URL',
+    'briefing.endpoint.emailjs': 'EmailJS endpoint (optional)',
+    'briefing.endpoint.smtp': 'Relay URL (default http://localhost:8025/send)',
+    'briefing.scheduled': 'Daily briefing scheduled for {time}.',
+    'briefing.saved': 'Daily briefing settings saved.',
+    'briefing.sendFailed': 'Daily briefing could not be sent: {message}',
+    'briefing.testSent': 'Test briefing sent.',
+    'briefing.testFailed': 'Test briefing failed: {message}',
+
+    'notify.test': 'Test Notification',
+    'notify.enableButton': 'Enable Browser Notifications',
+    'notify.unsupported': 'Notifications not supported in this browser',
+    'notify.enableInSettings': 'Please enable notifications in your browser settings',
+    'notify.enabled': "Notifications enabled! You'll now receive pollen alerts.",
+    'notify.denied': 'Notification permission denied',
+    'notify.statusUnsupported': 'Notifications not supported',
+    'notify.statusEnabled': 'Browser notifications enabled',
+    'notify.statusBlocked': 'Notifications blocked - check browser settings',
+    'notify.statusPrompt': 'Click "{button}" to get alerts',
+    'notify.testMessage': 'This is a test notification. You will be alerted when pollen levels are high.',
+
+    'export.invalidRange': 'Please choose a valid date range to export.',
+    'export.empty': 'No readings in the selected date range.',
+    'share.title': 'Bee-Healthy Pollen Report',
+    'share.failed': 'Sharing failed. Please try again.',
+    'share.copied': 'Link copied to clipboard',
+    'share.copyPrompt': 'Copy this link:',
+
+    'savedLocations.namePrompt': 'Name this location (e.g. Home, Office):',
+    'savedLocations.renamePrompt': 'New name for this location:',
+    'savedLocations.saved': 'Saved "{name}" to your locations',
+    'savedLocations.empty': 'No saved locations yet. Save the current location to start a watchlist.',
+    'savedLocations.show': 'Show this location',
+    'savedLocations.moveUp': 'Move up',
+    'savedLocations.moveDown': 'Move down',
+    'savedLocations.rename': 'Rename',
+    'savedLocations.remove': 'Remove',
+    'compare.empty': 'Save at least one location to compare.',
+    'compare.loading': 'Loading comparison...',
+    'compare.error': 'Failed to load data',
+
+    'metric.pm10': 'PM10',
+    'metric.dust': 'Dust',
+
+    'search.coordinates': 'Coordinates',
+    'search.noResults': 'No matching places found',
+    'search.unavailable': 'Location search is unavailable right now',
+    'search.showing': 'Showing {place}',
+    'geolocation.detecting': 'Detecting...',
+    'geolocation.requesting': 'Requesting location permission...',
+    'geolocation.unsupported': 'Geolocation is not supported by this browser.',
+    'geolocation.detected': 'Location detected! ({lat}, {lon})',
+    'geolocation.failed': 'Unable to retrieve your location.',
+    'geolocation.denied': 'Location access denied. Please allow location access in your browser settings.',
+    'geolocation.unavailable': 'Location information is unavailable.',
+    'geolocation.timeout': 'Location request timed out.',
+    'geolocation.unknown': 'An unknown error occurred while getting location.',
+    'geolocation.searchInstead': '{message} You can search for a city or postcode instead.',
+
+    'chart.now': 'Now',
+    'chart.noData': 'No data',
+    'chart.whoGuideline': 'WHO {metric} guideline ({limit} μg/m³, 24h)',
+    'chart.axis.pollen': 'Pollen ({unit})',
+    'chart.axis.aqi': 'AQI',
+    'chart.axis.particulate': 'Concentration (μg/m³)',
+    'chart.axis.risk': 'Allergy Risk (0-100)',
+    'chart.axis.combined': 'AQI / Allergy Risk',
+    'chart.axis.timeOfDay': 'Time of Day',
+    'chart.axis.date': 'Date',
+    'chart.title.pollen': 'Pollen Levels ({window})',
+    'chart.title.air': 'Air Quality Index ({window})',
+    'chart.title.uv': 'UV Index ({window})',
+    'chart.title.particulate': 'Particulate Matter ({window})',
+    'chart.title.risk': 'Personal Allergy Risk ({window})',
+    'chart.title.combined': 'Pollen Levels & Air Quality ({window})',
+
+    'pollenInfo.more': 'More info about {type}',
+    'pollenInfo.none': 'No info available.',
+    'pollenInfo.seasonal': 'Seasonal Information:',
+    'pollenInfo.season': 'Season: {season}',
+    'pollenInfo.months': 'Months: {from} to {to}',
+    'pollenInfo.peak': 'Peak: {peak}',
+    'pollenInfo.noSeason': 'No seasonal data available.',
+    'pollenInfo.birch': 'Birch pollen is a common allergen in many regions, typically released in the spring. It can cause symptoms like sneezing, runny nose, and itchy eyes. Those with birch pollen allergies may also experience cross-reactivity with certain foods like apples, carrots, and almonds.',
+    'pollenInfo.alder': "Alder pollen is released by alder trees, primarily in early spring. It's a significant allergen in many parts of the world and can trigger hay fever symptoms. Alder trees are often found near water sources like rivers and streams.",
+    'pollenInfo.grass': 'Grass pollen is one of the most common causes of hay fever, with symptoms peaking in late spring and summer. There are many types of grass that produce pollen, and levels are typically highest on warm, dry days with mild winds.',
+    'pollenInfo.mugwort': "Mugwort pollen is released by the mugwort plant, a weed that blooms in late summer. It's a common allergen in many regions and can cause severe allergic reactions. Mugwort pollen counts are highest in rural areas.",
+    'pollenInfo.olive': 'Olive pollen is prevalent in Mediterranean regions where olive trees are cultivated. The pollination season typically occurs in late spring. Olive pollen can cause significant allergic reactions in sensitive individuals.',
+    'pollenInfo.ragweed': 'Ragweed pollen is a major cause of seasonal allergies in North America, particularly in the fall. A single ragweed plant can produce up to a billion grains of pollen per season, which can travel hundreds of miles on the wind.',
+
+    'season.spring': 'Spring',
+    'season.earlySpring': 'Early Spring',
+    'season.lateSpringToSummer': 'Late Spring to Summer',
+    'season.lateSummer': 'Late Summer',
+    'season.lateSummerToFall': 'Late Summer to Fall',
+    'season.peakMarch': 'March',
+    'season.peakApril': 'April',
+    'season.peakMay': 'May',
+    'season.peakJune': 'June',
+    'season.peakLateAugust': 'Late August',
+    'season.peakSeptember': 'September',
+
+    'breakdown.noCurrent': 'No current data available',
+    'breakdown.insignificant': 'No significant pollen detected at this time',
+    'planner.defaultActivity': 'Outdoor time',
+    'planner.googleCalendar': 'Google Calendar',
+    'planner.icsFile': 'Calendar File (.ics)',
+    'planner.plannedFor': 'Planned with Bee-Healthy for {location}.',
+    'planner.yourLocation': 'your location',
+
+    'loading.forecast': 'Loading forecast...',
+    'loading.pollen': 'Loading pollen data...',
+    'loading.airQuality': 'Loading air quality data...',
+    'search.label': 'Search location',
+
+    'chartRange.label': 'Time window',
+    'chartRange.last24': 'Last 24 Hours',
+    'chartRange.last3Days': 'Last 3 Days',
+    'chartRange.lastWeek': 'Last Week',
+    'chartRange.yesterdayPlus2': 'Yesterday to +2 Days',
+    'chartRange.next24': 'Next 24 Hours',
+    'chartRange.next3Days': 'Next 3 Days',
+    'chartRange.next7Days': 'Next 7 Days',
+    'chartRange.custom': 'Custom',
+    'chart.earlier': 'Earlier',
+    'chart.zoomIn': 'Zoom in',
+    'chart.zoomOut': 'Zoom out',
+    'chart.later': 'Later',
+
+    'diary.medication': 'Medication taken',
+    'diary.medicationPlaceholder': 'e.g. Cetirizine 10mg',
+    'diary.log': 'Log Symptoms',
+
+    'calendar.sun': 'Sun',
+    'calendar.mon': 'Mon',
+    'calendar.tue': 'Tue',
+    'calendar.wed': 'Wed',
+    'calendar.thu': 'Thu',
+    'calendar.fri': 'Fri',
+    'calendar.sat': 'Sat',
+    'calendar.low': 'Low Pollen',
+    'calendar.moderate': 'Moderate Pollen',
+    'calendar.high': 'High Pollen',
+    'calendar.veryHigh': 'Very High Pollen',
+    'calendar.typical': 'Typical (no forecast yet)',
+
+    'notify.intro': 'Get alerts when pollen levels are high in your area.',
+    'notify.highPollen': 'Notify me when pollen is high',
+    'alert.rulesTitle': 'Alert Rules',
+    'alert.metric': 'Metric',
+    'alert.threshold': 'Threshold',
+    'alert.when': 'When',
+    'alert.scopeNow': 'Right now',
+    'alert.scope12': 'In the next 12 hours',
+    'alert.scope24': 'In the next 24 hours',
+    'alert.scope48': 'In the next 48 hours',
+    'alert.forecastHours': 'Forecast hours',
+    'alert.quietHours': 'Quiet hours',
+    'alert.repeat': 'Repeat at most every (hours)',
+    'alert.add': 'Add Rule',
+
+    'briefing.title': 'Daily Briefing',
+    'briefing.enable': 'Send me a briefing every day at',
+    'briefing.delivery': 'Delivery',
+    'briefing.transport.webhook': 'Webhook (Slack, Matrix)',
+    'briefing.transport.emailjs': 'Email via EmailJS',
+    'briefing.transport.smtp': 'Email via local SMTP relay',
+    'briefing.endpointLabel': 'Endpoint URL',
+    'briefing.recipient': 'Recipient email',
+    'briefing.serviceId': 'Service ID',
+    'briefing.templateId': 'Template ID',
+    'briefing.publicKey': 'Public key',
+    'briefing.serviceIdLabel': 'EmailJS service ID',
+    'briefing.templateIdLabel': 'EmailJS template ID',
+    'briefing.publicKeyLabel': 'EmailJS public key',
+    'briefing.save': 'Save Briefing',
+    'briefing.note': 'Briefings are sent while Bee-Healthy is open in a tab.',
+    'briefing.preview': 'Preview Briefing',
+    'briefing.sendTest': 'Send Test Briefing',
+
+    'share.intro': 'Share current conditions with others. Links open at this location, chart view and time range.',
+    'share.native': 'Share…',
+    'share.copy': 'Copy Link',
+    'share.card': 'Image Card',
+    'share.email': 'Email',
+    'share.report': 'Allergist Report (PDF)',
+    'export.title': 'Export Data',
+    'footer.credits': 'Bee-Healthy Pollen Tracker © 2023 | Data provided by Open-Meteo',
+    'footer.disclaimer': 'This information is for educational purposes only and should not replace professional medical advice.',
+
+    'help.title': 'Bee-Healthy Help Guide',
+    'help.low': 'Minimal impact for most people',
+    'help.moderate': 'Symptoms possible for sensitive individuals',
+    'help.high': 'Symptoms likely for sensitive individuals',
+    'help.veryHigh': 'Symptoms affect most sensitive individuals',
+    'help.chartsTitle': 'Using the Charts',
+    'help.charts': 'Switch between different data views using the chart controls. Hover over data points to see exact values.',
+    'help.locationTitle': 'Location Services',
+    'help.location': 'For the most accurate data, allow location access. Your data is not stored on our servers.',
+    'help.close': 'Got it!',
+
+    'shareCard.title': 'Share Card',
+    'shareCard.alt': 'Share card with current pollen conditions',
+    'shareCard.download': 'Download',
+    'shareCard.share': 'Share',
+    'profile.privacy': 'Your profile is stored only on this device.',
+    'profile.allergens': 'Allergens I react to',
+    'profile.severity': 'Severity',
+    'profile.medications': 'Medications',
+    'profile.medicationsPlaceholder': 'e.g. Cetirizine 10mg daily, nasal spray',
+    'profile.save': 'Save Profile'
+  },
+
+  de: {
+    'app.tagline': 'Pollenflug, Luftqualität und UV-Index im Blick behalten und Allergien besser managen',
+
+    'section.location': 'Standort',
+    'section.savedLocations': 'Gespeicherte Orte',
+    'section.forecast': '7-Tage-Vorhersage',
+    'section.tips': 'Tipps für Allergiker',
+    'section.planner': 'Draußen-Planer',
+    'section.breakdown': 'Aktuelle Pollenbelastung',
+    'section.airQuality': 'Luftqualität im Detail',
+    'section.chart': 'Pollenverlauf',
+    'section.diary': 'Symptomtagebuch',
+    'section.sensitivity': 'Persönliche Empfindlichkeit',
+    'section.calendar': 'Pollenflugkalender',
+    'section.notifications': 'Benachrichtigungen',
+    'section.share': 'Bericht teilen',
+
+    'stat.risk': 'Allergierisiko',
+    'stat.pollen': 'Pollenbelastung',
+    'stat.aqi': 'Luftqualität',
+    'stat.uv': 'UV-Index',
+    'stat.temperature': 'Temperatur',
+    'stat.humidity': 'Luftfeuchtigkeit',
+    'stat.dataTime': 'Datenstand',
+    'stat.mainAllergen': 'Hauptallergen:',
+
+    'button.refresh': 'Aktualisieren',
+    'button.useLocation': 'Meinen Standort verwenden',
+    'button.profile': 'Mein Allergieprofil',
+    'button.help': 'Hilfe',
+    'button.saveLocation': 'Aktuellen Ort speichern',
+    'button.compare': 'Alle vergleichen',
+
+    'autoRefresh.label': 'Automatisch aktualisieren',
+    'autoRefresh.off': 'Aus',
+    'autoRefresh.hourly': 'Stündlich',
+    'autoRefresh.every3': 'Alle 3 Stunden',
+    'autoRefresh.every6': 'Alle 6 Stunden',
+    'autoRefresh.paused': 'Pausiert',
+    'autoRefresh.next': 'Nächste Aktualisierung {time}',
+
+    'search.placeholder': 'Stadt, Postleitzahl oder „Breite, Länge“ suchen',
+
+    'prefs.language': 'Sprache',
+    'prefs.temperature': 'Temperatur',
+    'prefs.pollenUnit': 'Pollen-Einheit',
+    'prefs.aqi': 'Angezeigter Luftqualitätsindex',
+
+    'chart.pollen': 'Pollen',
+    'chart.air': 'Luftqualität',
+    'chart.pollenLevels': 'Pollenbelastung',
+    'chart.combined': 'Kombinierte Ansicht',
+    'chart.uv': 'UV-Index',
+    'chart.particulate': 'Feinstaub',
+    'chart.risk': 'Allergierisiko',
+
+    'tips.mask': 'Bei hohem Pollenflug draußen eine Maske tragen',
+    'tips.windows': 'In der Hauptsaison die Fenster geschlossen halten',
+    'tips.clothes': 'Nach längerem Aufenthalt im Freien die Kleidung wechseln',
+    'tips.purifier': 'Drinnen Luftreiniger mit HEPA-Filter verwenden',
+    'tips.check': 'Vor Aktivitäten im Freien den Pollenflug prüfen',
+    'tips.sunscreen': 'Ab UV-Index 3 Sonnenschutz auftragen',
+    'tips.shower': 'Vor dem Schlafen duschen, um Pollen aus Haaren und von der Haut zu entfernen',
+    'tips.medication': 'Allergiemedikamente schon vor den ersten Symptomen erwägen',
+
+    'planner.intro': 'Finde die Zeiten mit den wenigsten Pollen, Schadstoffen und UV für Laufrunde, Arbeitsweg oder Spielen im Freien.',
+    'planner.activity': 'Aktivität',
+    'planner.duration': 'Dauer',
+    'planner.from': 'Von',
+    'planner.to': 'Bis',
+    'planner.daytime': 'Nur tagsüber',
+    'planner.find': 'Beste Zeiten finden',
+    'planner.hours': '{count} Stunden',
+    'planner.hour': '1 Stunde',
+    'planner.best': 'Beste Wahl',
+    'planner.loading': 'Vorhersagedaten werden noch geladen.',
+    'planner.empty': 'Keine Vorhersagestunden mit Pollendaten passen in diesen Zeitraum. Versuche eine kürzere Aktivität oder einen längeren Zeitraum.',
+    'planner.invalidRange': 'Bitte einen gültigen Zeitraum wählen.',
+
+    'level.None': 'Keine',
+    'level.Low': 'Niedrig',
+    'level.Moderate': 'Mäßig',
+    'level.High': 'Hoch',
+    'level.Very High': 'Sehr hoch',
+    'level.Extreme': 'Extrem',
+
+    'pollen.Birch': 'Birke',
+    'pollen.Alder': 'Erle',
+    'pollen.Grass': 'Gräser',
+    'pollen.Mugwort': 'Beifuß',
+    'pollen.Olive': 'Olive',
+    'pollen.Ragweed': 'Ambrosia',
+    'pollen.name': '{type}',
+
+    'unit.grains': 'Körner/m³',
+    'unit.pollen': 'Pollen/m³',
+    'unit.celsius': '°C',
+    'unit.fahrenheit': '°F',
+
+    'aqi.us': 'US-AQI',
+    'aqi.eu': 'Europäischer AQI',
+
+    'common.loading': 'Wird geladen...',
+    'common.error': 'Fehler',
+    'common.today': 'Heute',
+    'location.yours': '(Dein Standort)',
+    'location.error': 'Fehler beim Laden der Daten',
+    'error.loadFailed': 'Daten konnten nicht geladen werden: {message}',
+    'allergen.yours': 'Dein Allergen',
+    'allergen.yoursSuffix': '(dein Allergen)',
+    'breakdown.none': 'Keine Pollendaten verfügbar',
+
+    'forecast.drivenBy': 'Vor allem',
+    'forecast.aqiMax': 'AQI max.',
+    'forecast.uvMax': 'UV max.',
+    'forecast.bestTime': 'Beste Zeit für draußen:',
+    'forecast.window': '{time} für {hours} Std.',
+    'forecast.noDaytime': 'Keine Tagesdaten',
+    'forecast.allergen': 'Allergen',
+    'forecast.peak': 'Spitze',
+    'forecast.mean': 'Mittel',
+    'forecast.peakHour': 'Spitzenstunde',
+    'forecast.none': 'Keine Vorhersagedaten verfügbar',
+
+    'stale.banner': 'Du bist offline. Angezeigt werden gespeicherte Daten vom {time}.',
+    'stale.unknown': 'unbekannten Zeitpunkt',
+
+    'notification.warningTitle': '⚠️ Hoher Pollenflug',
+    'notification.infoTitle': 'ℹ️ Bee-Healthy-Hinweis',
+    'notification.view': 'Details ansehen',
+    'notification.dismiss': 'Schließen',
+
+    'thresholds.title': 'Pollenbelastung verstehen',
+    'thresholds.intro': 'Jede Pollenart wird nach eigenen Grenzwerten bewertet, denn eine für Ambrosia hohe Konzentration ist für Birke gering. Die Gesamtbelastung ist die höchste Stufe, die eine Pollenart erreicht.',
+    'thresholds.scheme': 'Grenzwertschema',
+    'thresholds.european': 'Europäisch (EAACI)',
+    'thresholds.us': 'USA (NAB)',
+    'thresholds.custom': 'Benutzerdefiniert',
+    'thresholds.total': 'Alle Pollen (Summe)',
+    'thresholds.caption': 'Untergrenze jeder Stufe in {unit}. Werte unter allen Grenzen gelten als {low}.',
+    'thresholds.save': 'Grenzwerte speichern',
+    'thresholds.invalid': 'Jede Pollenart braucht positive Grenzwerte, die von Mäßig bis Sehr hoch ansteigen.',
+
+    'section.map': 'Karte für Pollen & Luftqualität',
+    'map.intro': 'Eine Heatmap der aktuellen Pollen- oder Luftqualitätswerte rund um den Standort, mit deinen gespeicherten Orten.',
+    'map.show': 'Karte anzeigen',
+    'map.hide': 'Karte ausblenden',
+    'map.loading': '{count} Punkte rund um den Standort werden abgefragt...',
+    'map.hint': 'Klicke auf die Karte, um diesen Punkt zu laden.',
+    'map.error': 'Die Karte konnte nicht geladen werden: {message}',
+    'map.pollenLegend': 'Stärkste Pollenart im Verhältnis zu ihrer Grenze für „Hoch“',
+
+    'section.route': 'Belastung unterwegs',
+    'route.intro': 'Schätze, wie viel Pollen, Feinstaub und UV du auf einem Arbeitsweg oder einer Reise abbekommst, und finde eine bessere Abfahrtszeit.',
+    'route.waypoints': 'Wegpunkte',
+    'route.placeholder': 'Ein „Breite, Länge“ oder Ort pro Zeile',
+    'route.gpx': 'GPX importieren',
+    'route.mode': 'Verkehrsmittel',
+    'route.walking': 'Zu Fuß',
+    'route.cycling': 'Fahrrad',
+    'route.transit': 'Bus oder Bahn',
+    'route.driving': 'Auto',
+    'route.departure': 'Abfahrt',
+    'route.estimate': 'Belastung schätzen',
+    'route.loading': 'Vorhersage entlang der Route wird geladen...',
+    'route.tooFew': 'Gib mindestens zwei Wegpunkte ein oder importiere einen GPX-Track.',
+    'route.unknownPlace': '„{place}“ wurde nicht gefunden.',
+    'route.noDeparture': 'Wähle eine Abfahrtszeit.',
+    'route.outOfRange': 'Die Vorhersage deckt diese Fahrt nicht ab. Wähle eine frühere Abfahrt.',
+    'route.error': 'Die Route konnte nicht geschätzt werden: {message}',
+    'route.gpxLoaded': '{name} importiert: {count} Punkte, {km} km.',
+    'route.gpxEmpty': 'Diese GPX-Datei enthält keinen Track, keine Route und keine Wegpunkte.',
+    'route.summary': '{km} km in {duration}, {from}–{to}',
+    'route.duration': '{hours} Std. {minutes} Min.',
+    'route.dose': 'Belastung',
+    'route.suggest': 'Eine Abfahrt am {time} würde deine Belastung um {percent} % senken.',
+    'route.useSuggestion': 'Diese Zeit übernehmen',
+    'route.alreadyBest': 'Keine Abfahrt innerhalb von {hours} Stunden davor oder danach ist deutlich besser.',
+    'section.medications': 'Medikamenten-Erinnerungen',
+    'medication.intro': 'Lass dich an deine täglichen Einnahmen erinnern und daran, wann du vor der Pollensaison mit vorbeugenden Medikamenten beginnen solltest.',
+    'medication.name': 'Medikament',
+    'medication.namePlaceholder': 'z. B. Nasenspray',
+    'medication.times': 'Einnahmezeiten',
+    'medication.lead': 'Tage vor Saisonbeginn starten',
+    'medication.add': 'Medikament hinzufügen',
+    'medication.allergens': 'Saisonal für (leer lassen für ganzjährige Einnahme):',
+    'medication.note': 'Erinnerungen erscheinen, solange Bee Healthy in einem Tab geöffnet ist.',
+    'medication.invalid': 'Gib einen Namen und Einnahmezeiten wie 08:00, 20:00 ein.',
+    'medication.empty': 'Noch keine Medikamente.',
+    'medication.remove': 'Medikament entfernen',
+    'medication.daily': 'Jeden Tag',
+    'medication.inCourse': '{allergen}-Kur: {from} bis {end}, Saison ab {start}',
+    'medication.nextCourse': 'Nächste {allergen}-Kur beginnt am {from}, vor der Saison ab {start}',
+    'medication.adherence': '{taken} von {due} Einnahmen in den letzten {days} Tagen ({percent} %)',
+    'medication.doseReminder': 'Zeit für {name} ({time}).',
+    'medication.startCourse': 'Beginne jetzt mit {name}: Die {allergen}-Saison wird ab {start} erwartet.',
+
+    'report.title': 'Bee-Healthy Allergiebericht',
+    'report.mainAllergen': 'Hauptallergen',
+    'report.allergies': 'Allergien: {allergies}',
+    'report.severity': 'Schweregrad: {severity}',
+    'report.medications': 'Medikamente: {medications}',
+    'report.level': 'Stufe',
+    'report.day': 'Tag',
+    'report.driver': 'Hauptursache',
+    'report.symptoms': 'Symptomnotizen',
+    'report.date': 'Datum',
+    'report.score': 'Wert',
+    'report.medication': 'Medikament',
+    'report.chartAlt': 'Diagramm {title}',
+    'report.noCurrent': 'Keine aktuellen Daten',
+    'report.noForecast': 'Keine Vorhersagedaten',
+    'report.noSymptoms': 'Keine Symptome erfasst',
+
+    'summary.unknownLocation': 'Unbekannter Ort',
+    'summary.unknown': 'Unbekannt',
+    'summary.noAllergies': 'Keine angegeben',
+    'summary.noSeverity': 'Nicht angegeben',
+    'severity.mild': 'Leicht',
+    'severity.moderate': 'Mittel',
+    'severity.severe': 'Schwer',
+    'share.text': 'Pollen in {location}: {level} ({allergen}), AQI {aqi}, UV {uv}',
+    'profile.saved': 'Allergieprofil gespeichert',
+    'common.na': 'k. A.',
+
+    'metric.totalPollen': 'Pollen gesamt',
+    'metric.birchPollen': 'Birkenpollen',
+    'metric.alderPollen': 'Erlenpollen',
+    'metric.grassPollen': 'Gräserpollen',
+    'metric.mugwortPollen': 'Beifußpollen',
+    'metric.olivePollen': 'Olivenpollen',
+    'metric.ragweedPollen': 'Ambrosiapollen',
+    'metric.pm25': 'PM2,5',
+
+    'alert.yourAllergens': 'Hohe Pollenbelastung bei deinen Allergenen: {allergens}. Sei heute vorsichtig.',
+    'alert.highPollen': 'Hohe Pollenbelastung! Aktuelle Stufe: {level}. Sei vorsichtig, wenn du Allergien hast.',
+    'alert.forecast': '{metric} erreicht laut Vorhersage {value} am {when}.',
+    'alert.current': '{metric} liegt bei {value} und damit über deinem Grenzwert von {threshold}.',
+    'alert.ruleNow': '{metric} über {threshold} jetzt',
+    'alert.ruleForecast': '{metric} über {threshold} in den nächsten {hours} Std.',
+    'alert.ruleForecastHours': '{metric} über {threshold} in den nächsten {hours} Std. zwischen {from}:00 und {to}:00',
+    'alert.ruleQuiet': 'Ruhezeit {start}:00–{end}:00',
+    'alert.ruleDedupe': 'höchstens alle {hours} Std.',
+    'alert.invalidRule': 'Bitte wähle einen Messwert und einen numerischen Grenzwert',
+    'alert.noRules': 'Keine eigenen Regeln. Warnungen erscheinen, sobald ein Allergen die Stufe Hoch erreicht.',
+    'alert.removeRule': 'Regel entfernen',
+
+    'risk.pollen': 'Pollen',
+    'risk.pollenYours': 'Pollen (deine Allergene)',
+    'risk.pollenDetail': '{value} gewichtet',
+    'risk.air': 'Luftqualität',
+    'risk.weather': 'Wetter',
+    'risk.humidity': '{value} % Luftfeuchtigkeit',
+    'risk.wind': 'Wind {value} km/h',
+    'risk.uv': 'UV',
+    'risk.uvDetail': 'UV-Index {value}',
+    'risk.factor': '{label}: {points} Pkt. ({detail})',
+
+    'planner.noteBest': 'Geringste Belastung durch Pollen, Luftverschmutzung und UV in deinem Zeitraum.',
+    'planner.more.pollen': 'Mehr Pollen als im besten Zeitfenster ({value} statt {best}).',
+    'planner.less.pollen': 'Weniger Pollen als im besten Zeitfenster ({value} statt {best}).',
+    'planner.more.air': 'Mehr Luftverschmutzung als im besten Zeitfenster ({value} statt {best}).',
+    'planner.less.air': 'Weniger Luftverschmutzung als im besten Zeitfenster ({value} statt {best}).',
+    'planner.more.uv': 'Mehr UV als im besten Zeitfenster ({value} statt {best}).',
+    'planner.less.uv': 'Weniger UV als im besten Zeitfenster ({value} statt {best}).',
+    'planner.notePollen': 'Die Pollenbelastung bleibt {level}: Denk an Maske und Sonnenbrille und dusche danach.',
+    'planner.noteAir': 'Die Luftqualität ist für empfindliche Gruppen ungesund (AQI {aqi}): Belaste dich nur leicht.',
+    'planner.noteUv': 'UV-Spitze bei {uv}. {advice}',
+
+    'uv.adviceExtreme': 'Bleib um die Mittagszeit drinnen; Shirt, Hut, Sonnencreme und Schatten sind unerlässlich.',
+    'uv.adviceHigh': 'Such mittags den Schatten und trag Sonnencreme, Hut und Sonnenbrille.',
+    'uv.adviceModerate': 'Trag Sonnencreme und Sonnenbrille, wenn du länger draußen bist.',
+    'uv.adviceLow': 'Kein Sonnenschutz nötig.',
+
+    'dayDetails.history': 'Gemessen',
+    'dayDetails.forecast': 'Vorhersage',
+    'dayDetails.climatology': 'Typisch für dieses Datum (Vorjahre)',
+    'dayDetails.overall': 'Gesamt:',
+    'dayDetails.mean': 'Tagesmittel',
+    'dayDetails.unit': 'Werte in {unit}.',
+    'dayDetails.none': 'Für diesen Tag sind keine Pollendaten verfügbar.',
+
+    'symptom.sneezing': 'Niesen',
+    'symptom.itchyEyes': 'Juckende Augen',
+    'symptom.congestion': 'Verstopfte Nase',
+    'symptom.asthma': 'Asthma',
+    'diary.logged': 'Symptome für {date} erfasst',
+    'diary.empty': 'Noch keine Symptome erfasst.',
+    'diary.score': 'Wert {score}/40',
+    'diary.remove': 'Eintrag entfernen',
+
+    'sensitivity.needMore': 'Erfasse an mindestens {days} Tagen Symptome, um deine persönliche Empfindlichkeit zu sehen (bisher {logged}).',
+    'sensitivity.noVariation': 'Die Pollenwerte an deinen erfassten Tagen schwanken noch zu wenig.',
+    'sensitivity.unclear': 'Deine Symptome folgen noch keinem einzelnen Allergen eindeutig.',
+    'sensitivity.muchMore': 'Deine Symptome folgen {top} viel stärker als {low}.',
+    'sensitivity.closest': 'Deine Symptome folgen am ehesten {top}.',
+    'sensitivity.dataset': 'Korrelation mit Symptomen',
+    'sensitivity.axis': 'Korrelation (r)',
+
+    'briefing.subject': 'Bee-Healthy-Briefing für {location} – {date}',
+    'briefing.pollenNow': 'Pollen jetzt: {level} (Hauptallergen: {allergen})',
+    'briefing.peak': 'Spitze heute: {peak}',
+    'briefing.outdoors': 'Beste Zeit für draußen: {window}',
+    'briefing.uv': 'UV: {uv}. {advice}',
+    'briefing.allergies': 'Deine Allergien: {allergies} ({severity})',
+    'briefing.medications': 'Medikamente: {medications}',
+    'briefing.forecastPeak': '{level} ({value}), vor allem {allergen} gegen {time}',
+    'briefing.noPollen': 'Keine Pollen erwartet',
+    'briefing.endpoint.webhook': 'Webhook-URL',
+    'briefing.endpoint.emailjs': 'EmailJS-Endpunkt (optional)',
+    'briefing.endpoint.smtp': 'Relay-URL (Standard http://localhost:8025/send)',
+    'briefing.scheduled': 'Tägliches Briefing für {time} geplant.',
+    'briefing.saved': 'Einstellungen für das tägliche Briefing gespeichert.',
+    'briefing.sendFailed': 'Das tägliche Briefing konnte nicht gesendet werden: {message}',
+    'briefing.testSent': 'Test-Briefing gesendet.',
+    'briefing.testFailed': 'Test-Briefing fehlgeschlagen: {message}',
+
+    'notify.test': 'Testbenachrichtigung',
+    'notify.enableButton': 'Browser-Benachrichtigungen aktivieren',
+    'notify.unsupported': 'Dieser Browser unterstützt keine Benachrichtigungen',
+    'notify.enableInSettings': 'Bitte aktiviere Benachrichtigungen in deinen Browser-Einstellungen',
+    'notify.enabled': 'Benachrichtigungen aktiviert! Du erhältst jetzt Pollenwarnungen.',
+    'notify.denied': 'Benachrichtigungen wurden abgelehnt',
+    'notify.statusUnsupported': 'Benachrichtigungen nicht unterstützt',
+    'notify.statusEnabled': 'Browser-Benachrichtigungen aktiviert',
+    'notify.statusBlocked': 'Benachrichtigungen blockiert – prüfe die Browser-Einstellungen',
+    'notify.statusPrompt': 'Klicke auf „{button}“, um Warnungen zu erhalten',
+    'notify.testMessage': 'Dies ist eine Testbenachrichtigung. Du wirst gewarnt, wenn der Pollenflug hoch ist.',
+
+    'export.invalidRange': 'Bitte wähle einen gültigen Zeitraum für den Export.',
+    'export.empty': 'Keine Messwerte im gewählten Zeitraum.',
+    'share.title': 'Bee-Healthy Pollenbericht',
+    'share.failed': 'Teilen fehlgeschlagen. Bitte versuche es erneut.',
+    'share.copied': 'Link in die Zwischenablage kopiert',
+    'share.copyPrompt': 'Kopiere diesen Link:',
+
+    'savedLocations.namePrompt': 'Name für diesen Ort (z. B. Zuhause, Büro):',
+    'savedLocations.renamePrompt': 'Neuer Name für diesen Ort:',
+    'savedLocations.saved': '„{name}“ zu deinen Orten hinzugefügt',
+    'savedLocations.empty': 'Noch keine gespeicherten Orte. Speichere den aktuellen Ort, um eine Merkliste anzulegen.',
+    'savedLocations.show': 'Diesen Ort anzeigen',
+    'savedLocations.moveUp': 'Nach oben',
+    'savedLocations.moveDown': 'Nach unten',
+    'savedLocations.rename': 'Umbenennen',
+    'savedLocations.remove': 'Entfernen',
+    'compare.empty': 'Speichere mindestens einen Ort zum Vergleichen.',
+    'compare.loading': 'Vergleich wird geladen...',
+    'compare.error': 'Daten konnten nicht geladen werden',
+
+    'metric.pm10': 'PM10',
+    'metric.dust': 'Staub',
+
+    'search.coordinates': 'Koordinaten',
+    'search.noResults': 'Keine passenden Orte gefunden',
+    'search.unavailable': 'Die Ortssuche ist gerade nicht verfügbar',
+    'search.showing': '{place} wird angezeigt',
+    'geolocation.detecting': 'Wird ermittelt...',
+    'geolocation.requesting': 'Standortfreigabe wird angefragt...',
+    'geolocation.unsupported': 'Dieser Browser unterstützt keine Standortermittlung.',
+    'geolocation.detected': 'Standort ermittelt! ({lat}, {lon})',
+    'geolocation.failed': 'Dein Standort konnte nicht ermittelt werden.',
+    'geolocation.denied': 'Standortzugriff verweigert. Bitte erlaube den Zugriff in deinen Browser-Einstellungen.',
+    'geolocation.unavailable': 'Standortinformationen sind nicht verfügbar.',
+    'geolocation.timeout': 'Die Standortabfrage hat zu lange gedauert.',
+    'geolocation.unknown': 'Beim Ermitteln des Standorts ist ein unbekannter Fehler aufgetreten.',
+    'geolocation.searchInstead': '{message} Du kannst stattdessen nach einer Stadt oder Postleitzahl suchen.',
+
+    'chart.now': 'Jetzt',
+    'chart.noData': 'Keine Daten',
+    'chart.whoGuideline': 'WHO-Richtwert {metric} ({limit} μg/m³, 24 Std.)',
+    'chart.axis.pollen': 'Pollen ({unit})',
+    'chart.axis.aqi': 'AQI',
+    'chart.axis.particulate': 'Konzentration (μg/m³)',
+    'chart.axis.risk': 'Allergierisiko (0–100)',
+    'chart.axis.combined': 'AQI / Allergierisiko',
+    'chart.axis.timeOfDay': 'Uhrzeit',
+    'chart.axis.date': 'Datum',
+    'chart.title.pollen': 'Pollenbelastung ({window})',
+    'chart.title.air': 'Luftqualitätsindex ({window})',
+    'chart.title.uv': 'UV-Index ({window})',
+    'chart.title.particulate': 'Feinstaub ({window})',
+    'chart.title.risk': 'Persönliches Allergierisiko ({window})',
+    'chart.title.combined': 'Pollenbelastung & Luftqualität ({window})',
+
+    'pollenInfo.more': 'Mehr über {type}',
+    'pollenInfo.none': 'Keine Informationen verfügbar.',
+    'pollenInfo.seasonal': 'Saisoninformationen:',
+    'pollenInfo.season': 'Saison: {season}',
+    'pollenInfo.months': 'Monate: {from} bis {to}',
+    'pollenInfo.peak': 'Höhepunkt: {peak}',
+    'pollenInfo.noSeason': 'Keine Saisondaten verfügbar.',
+    'pollenInfo.birch': 'Birkenpollen sind in vielen Regionen ein häufiges Allergen und fliegen meist im Frühling. Sie können Niesen, eine laufende Nase und juckende Augen auslösen. Wer auf Birkenpollen allergisch ist, reagiert oft auch auf bestimmte Lebensmittel wie Äpfel, Karotten und Mandeln (Kreuzallergie).',
+    'pollenInfo.alder': 'Erlenpollen stammen von Erlen und fliegen vor allem im zeitigen Frühjahr. Sie sind in vielen Teilen der Welt ein wichtiges Allergen und können Heuschnupfen auslösen. Erlen wachsen oft in der Nähe von Gewässern wie Flüssen und Bächen.',
+    'pollenInfo.grass': 'Gräserpollen gehören zu den häufigsten Auslösern von Heuschnupfen, mit den stärksten Beschwerden im späten Frühjahr und Sommer. Viele Grasarten bilden Pollen, und die Belastung ist an warmen, trockenen Tagen mit leichtem Wind meist am höchsten.',
+    'pollenInfo.mugwort': 'Beifußpollen stammen vom Beifuß, einem Kraut, das im Spätsommer blüht. Sie sind in vielen Regionen ein häufiges Allergen und können starke allergische Reaktionen auslösen. Die Belastung ist in ländlichen Gegenden am höchsten.',
+    'pollenInfo.olive': 'Olivenpollen sind im Mittelmeerraum verbreitet, wo Olivenbäume angebaut werden. Die Blütezeit liegt meist im späten Frühjahr. Bei empfindlichen Menschen können Olivenpollen starke allergische Reaktionen auslösen.',
+    'pollenInfo.ragweed': 'Ambrosiapollen sind in Nordamerika ein Hauptauslöser saisonaler Allergien, vor allem im Herbst. Eine einzige Ambrosiapflanze kann pro Saison bis zu einer Milliarde Pollenkörner bilden, die der Wind Hunderte Kilometer weit tragen kann.',
+
+    'season.spring': 'Frühling',
+    'season.earlySpring': 'Zeitiges Frühjahr',
+    'season.lateSpringToSummer': 'Spätes Frühjahr bis Sommer',
+    'season.lateSummer': 'Spätsommer',
+    'season.lateSummerToFall': 'Spätsommer bis Herbst',
+    'season.peakMarch': 'März',
+    'season.peakApril': 'April',
+    'season.peakMay': 'Mai',
+    'season.peakJune': 'Juni',
+    'season.peakLateAugust': 'Ende August',
+    'season.peakSeptember': 'September',
+
+    'breakdown.noCurrent': 'Keine aktuellen Daten verfügbar',
+    'breakdown.insignificant': 'Derzeit kein nennenswerter Pollenflug',
+    'planner.defaultActivity': 'Zeit im Freien',
+    'planner.googleCalendar': 'Google Kalender',
+    'planner.icsFile': 'Kalenderdatei (.ics)',
+    'planner.plannedFor': 'Mit Bee-Healthy geplant für {location}.',
+    'planner.yourLocation': 'deinen Standort',
+
+    'loading.forecast': 'Vorhersage wird geladen...',
+    'loading.pollen': 'Pollendaten werden geladen...',
+    'loading.airQuality': 'Luftqualitätsdaten werden geladen...',
+    'search.label': 'Ort suchen',
+
+    'chartRange.label': 'Zeitraum',
+    'chartRange.last24': 'Letzte 24 Stunden',
+    'chartRange.last3Days': 'Letzte 3 Tage',
+    'chartRange.lastWeek': 'Letzte Woche',
+    'chartRange.yesterdayPlus2': 'Gestern bis übermorgen',
+    'chartRange.next24': 'Nächste 24 Stunden',
+    'chartRange.next3Days': 'Nächste 3 Tage',
+    'chartRange.next7Days': 'Nächste 7 Tage',
+    'chartRange.custom': 'Benutzerdefiniert',
+    'chart.earlier': 'Früher',
+    'chart.zoomIn': 'Vergrößern',
+    'chart.zoomOut': 'Verkleinern',
+    'chart.later': 'Später',
+
+    'diary.medication': 'Eingenommene Medikamente',
+    'diary.medicationPlaceholder': 'z. B. Cetirizin 10 mg',
+    'diary.log': 'Symptome eintragen',
+
+    'calendar.sun': 'So',
+    'calendar.mon': 'Mo',
+    'calendar.tue': 'Di',
+    'calendar.wed': 'Mi',
+    'calendar.thu': 'Do',
+    'calendar.fri': 'Fr',
+    'calendar.sat': 'Sa',
+    'calendar.low': 'Wenig Pollen',
+    'calendar.moderate': 'Mäßig viel Pollen',
+    'calendar.high': 'Viel Pollen',
+    'calendar.veryHigh': 'Sehr viel Pollen',
+    'calendar.typical': 'Typisch (noch keine Vorhersage)',
+
+    'notify.intro': 'Erhalte Warnungen, wenn der Pollenflug in deiner Gegend hoch ist.',
+    'notify.highPollen': 'Benachrichtige mich bei hohem Pollenflug',
+    'alert.rulesTitle': 'Warnregeln',
+    'alert.metric': 'Messwert',
+    'alert.threshold': 'Grenzwert',
+    'alert.when': 'Wann',
+    'alert.scopeNow': 'Jetzt gerade',
+    'alert.scope12': 'In den nächsten 12 Stunden',
+    'alert.scope24': 'In den nächsten 24 Stunden',
+    'alert.scope48': 'In den nächsten 48 Stunden',
+    'alert.forecastHours': 'Vorhersagestunden',
+    'alert.quietHours': 'Ruhezeiten',
+    'alert.repeat': 'Höchstens wiederholen alle (Stunden)',
+    'alert.add': 'Regel hinzufügen',
+
+    'briefing.title': 'Tägliches Briefing',
+    'briefing.enable': 'Schick mir jeden Tag ein Briefing um',
+    'briefing.delivery': 'Zustellung',
+    'briefing.transport.webhook': 'Webhook (Slack, Matrix)',
+    'briefing.transport.emailjs': 'E-Mail über EmailJS',
+    'briefing.transport.smtp': 'E-Mail über lokales SMTP-Relay',
+    'briefing.endpointLabel': 'Endpunkt-URL',
+    'briefing.recipient': 'E-Mail des Empfängers',
+    'briefing.serviceId': 'Service-ID',
+    'briefing.templateId': 'Vorlagen-ID',
+    'briefing.publicKey': 'Öffentlicher Schlüssel',
+    'briefing.serviceIdLabel': 'EmailJS-Service-ID',
+    'briefing.templateIdLabel': 'EmailJS-Vorlagen-ID',
+    'briefing.publicKeyLabel': 'Öffentlicher EmailJS-Schlüssel',
+    'briefing.save': 'Briefing speichern',
+    'briefing.note': 'Briefings werden gesendet, solange Bee-Healthy in einem Tab geöffnet ist.',
+    'briefing.preview': 'Briefing-Vorschau',
+    'briefing.sendTest': 'Test-Briefing senden',
+
+    'share.intro': 'Teile die aktuelle Lage mit anderen. Links öffnen diesen Ort, diese Diagrammansicht und diesen Zeitraum.',
+    'share.native': 'Teilen…',
+    'share.copy': 'Link kopieren',
+    'share.card': 'Bildkarte',
+    'share.email': 'E-Mail',
+    'share.report': 'Bericht für den Allergologen (PDF)',
+    'export.title': 'Daten exportieren',
+    'footer.credits': 'Bee-Healthy Pollen Tracker © 2023 | Daten von Open-Meteo',
+    'footer.disclaimer': 'Diese Informationen dienen nur der Aufklärung und ersetzen keinen ärztlichen Rat.',
+
+    'help.title': 'Bee-Healthy-Hilfe',
+    'help.low': 'Für die meisten Menschen kaum spürbar',
+    'help.moderate': 'Beschwerden bei empfindlichen Menschen möglich',
+    'help.high': 'Beschwerden bei empfindlichen Menschen wahrscheinlich',
+    'help.veryHigh': 'Beschwerden bei den meisten empfindlichen Menschen',
+    'help.chartsTitle': 'Diagramme verwenden',
+    'help.charts': 'Wechsle mit den Diagrammschaltflächen zwischen den Ansichten. Fahre über Datenpunkte, um genaue Werte zu sehen.',
+    'help.locationTitle': 'Standortdienste',
+    'help.location': 'Erlaube den Standortzugriff für möglichst genaue Daten. Deine Daten werden nicht auf unseren Servern gespeichert.',
+    'help.close': 'Verstanden!',
+
+    'shareCard.title': 'Teilkarte',
+    'shareCard.alt': 'Teilkarte mit der aktuellen Pollenlage',
+    'shareCard.download': 'Herunterladen',
+    'shareCard.share': 'Teilen',
+    'profile.privacy': 'Dein Profil wird nur auf diesem Gerät gespeichert.',
+    'profile.allergens': 'Allergene, auf die ich reagiere',
+    'profile.severity': 'Schweregrad',
+    'profile.medications': 'Medikamente',
+    'profile.medicationsPlaceholder': 'z. B. Cetirizin 10 mg täglich, Nasenspray',
+    'profile.save': 'Profil speichern'
+  },
+
+  es: {
+    'app.tagline': 'Sigue el polen, la calidad del aire y el índice UV para controlar mejor tus alergias',
+
+    'section.location': 'Ubicación',
+    'section.savedLocations': 'Ubicaciones guardadas',
+    'section.forecast': 'Previsión a 7 días',
+    'section.tips': 'Consejos para alérgicos',
+    'section.planner': 'Planificador al aire libre',
+    'section.breakdown': 'Polen actual por tipo',
+    'section.airQuality': 'Detalles de la calidad del aire',
+    'section.chart': 'Evolución del polen',
+    'section.diary': 'Diario de síntomas',
+    'section.sensitivity': 'Sensibilidad personal',
+    'section.calendar': 'Calendario polínico',
+    'section.notifications': 'Notificaciones',
+    'section.share': 'Compartir informe',
+
+    'stat.risk': 'Riesgo de alergia',
+    'stat.pollen': 'Nivel de polen',
+    'stat.aqi': 'Calidad del aire',
+    'stat.uv': 'Índice UV',
+    'stat.temperature': 'Temperatura',
+    'stat.humidity': 'Humedad',
+    'stat.dataTime': 'Hora de los datos',
+    'stat.mainAllergen': 'Alérgeno principal:',
+
+    'button.refresh': 'Actualizar datos',
+    'button.useLocation': 'Usar mi ubicación',
+    'button.profile': 'Mi perfil de alergia',
+    'button.help': 'Ayuda',
+    'button.saveLocation': 'Guardar ubicación actual',
+    'button.compare': 'Comparar todas',
+
+    'autoRefresh.label': 'Actualización automática',
+    'autoRefresh.off': 'Desactivada',
+    'autoRefresh.hourly': 'Cada hora',
+    'autoRefresh.every3': 'Cada 3 horas',
+    'autoRefresh.every6': 'Cada 6 horas',
+    'autoRefresh.paused': 'En pausa',
+    'autoRefresh.next': 'Próxima actualización {time}',
+
+    'search.placeholder': 'Busca ciudad, código postal o "lat, lon"',
+
+    'prefs.language': 'Idioma',
+    'prefs.temperature': 'Temperatura',
+    'prefs.pollenUnit': 'Unidad de polen',
+    'prefs.aqi': 'Índice de calidad del aire principal',
+
+    'chart.pollen': 'Polen',
+    'chart.air': 'Calidad del aire',
+    'chart.pollenLevels': 'Niveles de polen',
+    'chart.combined': 'Vista combinada',
+    'chart.uv': 'Índice UV',
+    'chart.particulate': 'Partículas',
+    'chart.risk': 'Riesgo de alergia',
+
+    'tips.mask': 'Usa mascarilla al aire libre cuando el polen esté alto',
+    'tips.windows': 'Mantén las ventanas cerradas en temporada alta de polen',
+    'tips.clothes': 'Cámbiate de ropa después de pasar mucho tiempo fuera',
+    'tips.purifier': 'Usa purificadores de aire con filtro HEPA en casa',
+    'tips.check': 'Consulta el polen antes de planificar actividades al aire libre',
+    'tips.sunscreen': 'Ponte protector solar con índice UV de 3 o más',
+    'tips.shower': 'Dúchate antes de dormir para quitar el polen del pelo y la piel',
+    'tips.medication': 'Plantéate tomar la medicación antes de que empiecen los síntomas',
+
+    'planner.intro': 'Encuentra las horas con menos polen, contaminación y UV para correr, ir al trabajo o jugar al aire libre.',
+    'planner.activity': 'Actividad',
+    'planner.duration': 'Duración',
+    'planner.from': 'Desde',
+    'planner.to': 'Hasta',
+    'planner.daytime': 'Solo de día',
+    'planner.find': 'Buscar mejores horas',
+    'planner.hours': '{count} horas',
+    'planner.hour': '1 hora',
+    'planner.best': 'Mejor opción',
+    'planner.loading': 'Los datos de previsión aún se están cargando.',
+    'planner.empty': 'Ninguna hora con datos de polen encaja en este rango. Prueba una actividad más corta o un rango más amplio.',
+    'planner.invalidRange': 'Elige un rango de fechas válido.',
+
+    'level.None': 'Ninguno',
+    'level.Low': 'Bajo',
+    'level.Moderate': 'Moderado',
+    'level.High': 'Alto',
+    'level.Very High': 'Muy alto',
+    'level.Extreme': 'Extremo',
+
+    'pollen.Birch': 'Abedul',
+    'pollen.Alder': 'Aliso',
+    'pollen.Grass': 'Gramíneas',
+    'pollen.Mugwort': 'Artemisa',
+    'pollen.Olive': 'Olivo',
+    'pollen.Ragweed': 'Ambrosía',
+    'pollen.name': '{type}',
+
+    'unit.grains': 'granos/m³',
+    'unit.pollen': 'pólenes/m³',
+    'unit.celsius': '°C',
+    'unit.fahrenheit': '°F',
+
+    'aqi.us': 'AQI de EE. UU.',
+    'aqi.eu': 'AQI europeo',
+
+    'common.loading': 'Cargando...',
+    'common.error': 'Error',
+    'common.today': 'Hoy',
+    'location.yours': '(Tu ubicación)',
+    'location.error': 'Error al cargar los datos',
+    'error.loadFailed': 'No se pudieron cargar los datos: {message}',
+    'allergen.yours': 'Tu alérgeno',
+    'allergen.yoursSuffix': '(tu alérgeno)',
+    'breakdown.none': 'No hay datos de polen',
+
+    'forecast.drivenBy': 'Sobre todo',
+    'forecast.aqiMax': 'AQI máx.',
+    'forecast.uvMax': 'UV máx.',
+    'forecast.bestTime': 'Mejor momento para salir:',
+    'forecast.window': '{time} durante {hours} h',
+    'forecast.noDaytime': 'Sin datos diurnos',
+    'forecast.allergen': 'Alérgeno',
+    'forecast.peak': 'Pico',
+    'forecast.mean': 'Media',
+    'forecast.peakHour': 'Hora pico',
+    'forecast.none': 'No hay datos de previsión',
+
+    'stale.banner': 'Sin conexión. Se muestran datos guardados, actualizados por última vez el {time}.',
+    'stale.unknown': 'un momento desconocido',
+
+    'notification.warningTitle': '⚠️ Alerta de polen alto',
+    'notification.infoTitle': 'ℹ️ Aviso de Bee-Healthy',
+    'notification.view': 'Ver detalles',
+    'notification.dismiss': 'Descartar',
+
+    'thresholds.title': 'Cómo interpretar los niveles de polen',
+    'thresholds.intro': 'Cada alérgeno se clasifica con sus propios umbrales, porque un recuento alto para la ambrosía es bajo para el abedul. El nivel general es el más alto que alcanza cualquier alérgeno.',
+    'thresholds.scheme': 'Esquema de umbrales',
+    'thresholds.european': 'Europeo (EAACI)',
+    'thresholds.us': 'EE. UU. (NAB)',
+    'thresholds.custom': 'Personalizado',
+    'thresholds.total': 'Todo el polen (suma)',
+    'thresholds.caption': 'Límite inferior de cada nivel en {unit}. Los recuentos por debajo de todos los umbrales son {low}.',
+    'thresholds.save': 'Guardar umbrales',
+    'thresholds.invalid': 'Cada alérgeno necesita umbrales positivos que aumenten de Moderado a Muy alto.',
+
+    'section.map': 'Mapa de polen y calidad del aire',
+    'map.intro': 'Un mapa de calor del polen o la calidad del aire actuales alrededor de la ubicación, con tus ubicaciones guardadas.',
+    'map.show': 'Mostrar mapa',
+    'map.hide': 'Ocultar mapa',
+    'map.loading': 'Consultando {count} puntos alrededor de la ubicación...',
+    'map.hint': 'Haz clic en cualquier punto del mapa para cargarlo.',
+    'map.error': 'No se pudo cargar el mapa: {message}',
+    'map.pollenLegend': 'Alérgeno más alto en relación con su umbral «Alto»',
+
+    'section.route': 'Exposición en ruta',
+    'route.intro': 'Calcula el polen, las PM2.5 y la radiación UV a las que te expondrás en un trayecto o viaje y encuentra una mejor hora de salida.',
+    'route.waypoints': 'Puntos de paso',
+    'route.placeholder': 'Una «lat, lon» o un lugar por línea',
+    'route.gpx': 'Importar GPX',
+    'route.mode': 'Medio de transporte',
+    'route.walking': 'A pie',
+    'route.cycling': 'En bicicleta',
+    'route.transit': 'Autobús o tranvía',
+    'route.driving': 'En coche',
+    'route.departure': 'Salida',
+    'route.estimate': 'Calcular exposición',
+    'route.loading': 'Obteniendo el pronóstico a lo largo de la ruta...',
+    'route.tooFew': 'Introduce al menos dos puntos de paso o importa una ruta GPX.',
+    'route.unknownPlace': 'No se encontró «{place}».',
+    'route.noDeparture': 'Elige una hora de salida.',
+    'route.outOfRange': 'El pronóstico no cubre este viaje. Elige una salida más temprana.',
+    'route.error': 'No se pudo calcular la ruta: {message}',
+    'route.gpxLoaded': '{name} importado: {count} puntos, {km} km.',
+    'route.gpxEmpty': 'Este archivo GPX no contiene tracks, rutas ni puntos de paso.',
+    'route.summary': '{km} km en {duration}, {from}–{to}',
+    'route.duration': '{hours} h {minutes} min',
+    'route.dose': 'Exposición',
+    'route.suggest': 'Salir el {time} reduciría tu exposición un {percent} %.',
+    'route.useSuggestion': 'Usar esta hora',
+    'route.alreadyBest': 'Ninguna salida en las {hours} horas anteriores o posteriores es claramente mejor.',
+    'section.medications': 'Recordatorios de medicación',
+    'medication.intro': 'Recibe avisos de tus tomas diarias y de cuándo empezar la medicación preventiva antes de tus temporadas de polen.',
+    'medication.name': 'Medicamento',
+    'medication.namePlaceholder': 'p. ej. Espray nasal',
+    'medication.times': 'Horas de toma',
+    'medication.lead': 'Empezar días antes de la temporada',
+    'medication.add': 'Añadir medicamento',
+    'medication.allergens': 'Estacional para (déjalo vacío si lo tomas todo el año):',
+    'medication.note': 'Los recordatorios aparecen mientras Bee Healthy está abierta en una pestaña.',
+    'medication.invalid': 'Introduce un nombre y horas de toma como 08:00, 20:00.',
+    'medication.empty': 'Aún no hay medicamentos.',
+    'medication.remove': 'Eliminar medicamento',
+    'medication.daily': 'Todos los días',
+    'medication.inCourse': 'Tratamiento para {allergen}: del {from} al {end}, temporada desde el {start}',
+    'medication.nextCourse': 'El próximo tratamiento para {allergen} empieza el {from}, antes de la temporada del {start}',
+    'medication.adherence': '{taken} de {due} tomas en los últimos {days} días ({percent} %)',
+    'medication.doseReminder': 'Es hora de tu {name} ({time}).',
+    'medication.startCourse': 'Empieza ya con {name}: la temporada de {allergen} se espera desde el {start}.',
+
+    'report.title': 'Informe de alergia de Bee-Healthy',
+    'report.mainAllergen': 'Alérgeno principal',
+    'report.allergies': 'Alergias: {allergies}',
+    'report.severity': 'Gravedad: {severity}',
+    'report.medications': 'Medicamentos: {medications}',
+    'report.level': 'Nivel',
+    'report.day': 'Día',
+    'report.driver': 'Causa principal',
+    'report.symptoms': 'Notas de síntomas',
+    'report.date': 'Fecha',
+    'report.score': 'Puntuación',
+    'report.medication': 'Medicamento',
+    'report.chartAlt': 'Gráfico de {title}',
+    'report.noCurrent': 'No hay datos actuales',
+    'report.noForecast': 'No hay datos de pronóstico',
+    'report.noSymptoms': 'No hay síntomas registrados',
+
+    'summary.unknownLocation': 'Ubicación desconocida',
+    'summary.unknown': 'Desconocido',
+    'summary.noAllergies': 'Ninguna indicada',
+    'summary.noSeverity': 'Sin indicar',
+    'severity.mild': 'Leve',
+    'severity.moderate': 'Moderada',
+    'severity.severe': 'Grave',
+    'share.text': 'Polen en {location}: {level} ({allergen}), AQI {aqi}, UV {uv}',
+    'profile.saved': 'Perfil de alergia guardado',
+    'common.na': 'N/D',
+
+    'metric.totalPollen': 'Polen total',
+    'metric.birchPollen': 'Polen de abedul',
+    'metric.alderPollen': 'Polen de aliso',
+    'metric.grassPollen': 'Polen de gramíneas',
+    'metric.mugwortPollen': 'Polen de artemisa',
+    'metric.olivePollen': 'Polen de olivo',
+    'metric.ragweedPollen': 'Polen de ambrosía',
+    'metric.pm25': 'PM2,5',
+
+    'alert.yourAllergens': 'Alerta de polen alto para tus alérgenos: {allergens}. Toma precauciones hoy.',
+    'alert.highPollen': '¡Alerta de polen alto! Nivel actual: {level}. Toma precauciones si tienes alergias.',
+    'alert.forecast': 'Se prevé que {metric} llegue a {value} el {when}.',
+    'alert.current': '{metric} está en {value}, por encima de tu umbral de {threshold}.',
+    'alert.ruleNow': '{metric} por encima de {threshold} ahora',
+    'alert.ruleForecast': '{metric} por encima de {threshold} en las próximas {hours} h',
+    'alert.ruleForecastHours': '{metric} por encima de {threshold} en las próximas {hours} h entre las {from}:00 y las {to}:00',
+    'alert.ruleQuiet': 'silencio {start}:00–{end}:00',
+    'alert.ruleDedupe': 'como mucho cada {hours} h',
+    'alert.invalidRule': 'Elige una métrica y un umbral numérico',
+    'alert.noRules': 'No hay reglas propias. Las alertas saltan cuando algún alérgeno llega a nivel alto.',
+    'alert.removeRule': 'Eliminar regla',
+
+    'risk.pollen': 'Polen',
+    'risk.pollenYours': 'Polen (tus alérgenos)',
+    'risk.pollenDetail': '{value} ponderado',
+    'risk.air': 'Calidad del aire',
+    'risk.weather': 'Tiempo',
+    'risk.humidity': '{value} % de humedad',
+    'risk.wind': 'viento {value} km/h',
+    'risk.uv': 'UV',
+    'risk.uvDetail': 'índice UV {value}',
+    'risk.factor': '{label}: {points} pts ({detail})',
+
+    'planner.noteBest': 'La menor exposición combinada a polen, contaminación y UV en tu rango.',
+    'planner.more.pollen': 'Más polen que en la mejor franja ({value} frente a {best}).',
+    'planner.less.pollen': 'Menos polen que en la mejor franja ({value} frente a {best}).',
+    'planner.more.air': 'Más contaminación que en la mejor franja ({value} frente a {best}).',
+    'planner.less.air': 'Menos contaminación que en la mejor franja ({value} frente a {best}).',
+    'planner.more.uv': 'Más UV que en la mejor franja ({value} frente a {best}).',
+    'planner.less.uv': 'Menos UV que en la mejor franja ({value} frente a {best}).',
+    'planner.notePollen': 'El polen sigue {level}: plantéate usar mascarilla y gafas de sol, y dúchate después.',
+    'planner.noteAir': 'La calidad del aire es perjudicial para grupos sensibles (AQI {aqi}): haz poco esfuerzo.',
+    'planner.noteUv': 'El UV llega a {uv}. {advice}',
+
+    'uv.adviceExtreme': 'Evita estar fuera a mediodía; camiseta, sombrero, protector solar y sombra son imprescindibles.',
+    'uv.adviceHigh': 'Busca la sombra a mediodía y usa protector solar, sombrero y gafas de sol.',
+    'uv.adviceModerate': 'Usa protector solar y gafas de sol si vas a estar mucho tiempo fuera.',
+    'uv.adviceLow': 'No hace falta protección solar.',
+
+    'dayDetails.history': 'Observado',
+    'dayDetails.forecast': 'Pronóstico',
+    'dayDetails.climatology': 'Típico para esta fecha (años anteriores)',
+    'dayDetails.overall': 'General:',
+    'dayDetails.mean': 'Media diaria',
+    'dayDetails.unit': 'Valores en {unit}.',
+    'dayDetails.none': 'No hay datos de polen para este día.',
+
+    'symptom.sneezing': 'Estornudos',
+    'symptom.itchyEyes': 'Picor de ojos',
+    'symptom.congestion': 'Congestión',
+    'symptom.asthma': 'Asma',
+    'diary.logged': 'Síntomas registrados para el {date}',
+    'diary.empty': 'Aún no hay síntomas registrados.',
+    'diary.score': 'puntuación {score}/40',
+    'diary.remove': 'Eliminar entrada',
+
+    'sensitivity.needMore': 'Registra síntomas al menos {days} días para ver tu sensibilidad personal ({logged} hasta ahora).',
+    'sensitivity.noVariation': 'Todavía no hay suficiente variación de polen en los días registrados.',
+    'sensitivity.unclear': 'Tus síntomas aún no siguen claramente a ningún alérgeno.',
+    'sensitivity.muchMore': 'Tus síntomas siguen a {top} mucho más que a {low}.',
+    'sensitivity.closest': 'Tus síntomas siguen más de cerca a {top}.',
+    'sensitivity.dataset': 'Correlación con los síntomas',
+    'sensitivity.axis': 'Correlación (r)',
+
+    'briefing.subject': 'Resumen de Bee-Healthy para {location} – {date}',
+    'briefing.pollenNow': 'Polen ahora: {level} (alérgeno principal: {allergen})',
+    'briefing.peak': 'Pico de hoy: {peak}',
+    'briefing.outdoors': 'Mejor momento para salir: {window}',
+    'briefing.uv': 'UV: {uv}. {advice}',
+    'briefing.allergies': 'Tus alergias: {allergies} ({severity})',
+    'briefing.medications': 'Medicamentos: {medications}',
+    'briefing.forecastPeak': '{level} ({value}), sobre todo {allergen} hacia las {time}',
+    'briefing.noPollen': 'No se espera polen',
+    'briefing.endpoint.webhook': 'URL del webhook',
+    'briefing.endpoint.emailjs': 'Endpoint de EmailJS (opcional)',
+    'briefing.endpoint.smtp': 'URL del relay (por defecto http://localhost:8025/send)',
+    'briefing.scheduled': 'Resumen diario programado para las {time}.',
+    'briefing.saved': 'Ajustes del resumen diario guardados.',
+    'briefing.sendFailed': 'No se pudo enviar el resumen diario: {message}',
+    'briefing.testSent': 'Resumen de prueba enviado.',
+    'briefing.testFailed': 'Error al enviar el resumen de prueba: {message}',
+
+    'notify.test': 'Notificación de prueba',
+    'notify.enableButton': 'Activar notificaciones del navegador',
+    'notify.unsupported': 'Este navegador no admite notificaciones',
+    'notify.enableInSettings': 'Activa las notificaciones en los ajustes de tu navegador',
+    'notify.enabled': '¡Notificaciones activadas! Ahora recibirás alertas de polen.',
+    'notify.denied': 'Permiso de notificaciones denegado',
+    'notify.statusUnsupported': 'Notificaciones no admitidas',
+    'notify.statusEnabled': 'Notificaciones del navegador activadas',
+    'notify.statusBlocked': 'Notificaciones bloqueadas: revisa los ajustes del navegador',
+    'notify.statusPrompt': 'Pulsa «{button}» para recibir alertas',
+    'notify.testMessage': 'Esta es una notificación de prueba. Te avisaremos cuando los niveles de polen sean altos.',
+
+    'export.invalidRange': 'Elige un intervalo de fechas válido para exportar.',
+    'export.empty': 'No hay mediciones en el intervalo elegido.',
+    'share.title': 'Informe de polen de Bee-Healthy',
+    'share.failed': 'No se pudo compartir. Inténtalo de nuevo.',
+    'share.copied': 'Enlace copiado al portapapeles',
+    'share.copyPrompt': 'Copia este enlace:',
+
+    'savedLocations.namePrompt': 'Nombre para esta ubicación (p. ej. Casa, Oficina):',
+    'savedLocations.renamePrompt': 'Nuevo nombre para esta ubicación:',
+    'savedLocations.saved': '«{name}» guardada en tus ubicaciones',
+    'savedLocations.empty': 'Aún no hay ubicaciones guardadas. Guarda la ubicación actual para empezar una lista.',
+    'savedLocations.show': 'Mostrar esta ubicación',
+    'savedLocations.moveUp': 'Subir',
+    'savedLocations.moveDown': 'Bajar',
+    'savedLocations.rename': 'Renombrar',
+    'savedLocations.remove': 'Eliminar',
+    'compare.empty': 'Guarda al menos una ubicación para comparar.',
+    'compare.loading': 'Cargando comparación...',
+    'compare.error': 'No se pudieron cargar los datos',
+
+    'metric.pm10': 'PM10',
+    'metric.dust': 'Polvo',
+
+    'search.coordinates': 'Coordenadas',
+    'search.noResults': 'No se encontraron lugares',
+    'search.unavailable': 'La búsqueda de ubicaciones no está disponible ahora',
+    'search.showing': 'Mostrando {place}',
+    'geolocation.detecting': 'Detectando...',
+    'geolocation.requesting': 'Solicitando permiso de ubicación...',
+    'geolocation.unsupported': 'Este navegador no admite la geolocalización.',
+    'geolocation.detected': '¡Ubicación detectada! ({lat}, {lon})',
+    'geolocation.failed': 'No se pudo obtener tu ubicación.',
+    'geolocation.denied': 'Acceso a la ubicación denegado. Permítelo en los ajustes de tu navegador.',
+    'geolocation.unavailable': 'La información de ubicación no está disponible.',
+    'geolocation.timeout': 'La solicitud de ubicación ha caducado.',
+    'geolocation.unknown': 'Se produjo un error desconocido al obtener la ubicación.',
+    'geolocation.searchInstead': '{message} También puedes buscar una ciudad o un código postal.',
+
+    'chart.now': 'Ahora',
+    'chart.noData': 'Sin datos',
+    'chart.whoGuideline': 'Guía de la OMS para {metric} ({limit} μg/m³, 24 h)',
+    'chart.axis.pollen': 'Polen ({unit})',
+    'chart.axis.aqi': 'AQI',
+    'chart.axis.particulate': 'Concentración (μg/m³)',
+    'chart.axis.risk': 'Riesgo de alergia (0-100)',
+    'chart.axis.combined': 'AQI / Riesgo de alergia',
+    'chart.axis.timeOfDay': 'Hora del día',
+    'chart.axis.date': 'Fecha',
+    'chart.title.pollen': 'Niveles de polen ({window})',
+    'chart.title.air': 'Índice de calidad del aire ({window})',
+    'chart.title.uv': 'Índice UV ({window})',
+    'chart.title.particulate': 'Partículas en suspensión ({window})',
+    'chart.title.risk': 'Riesgo personal de alergia ({window})',
+    'chart.title.combined': 'Polen y calidad del aire ({window})',
+
+    'pollenInfo.more': 'Más información sobre {type}',
+    'pollenInfo.none': 'No hay información disponible.',
+    'pollenInfo.seasonal': 'Información de temporada:',
+    'pollenInfo.season': 'Temporada: {season}',
+    'pollenInfo.months': 'Meses: de {from} a {to}',
+    'pollenInfo.peak': 'Pico: {peak}',
+    'pollenInfo.noSeason': 'No hay datos de temporada disponibles.',
+    'pollenInfo.birch': 'El polen de abedul es un alérgeno común en muchas regiones y suele liberarse en primavera. Puede causar estornudos, goteo nasal y picor de ojos. Las personas alérgicas al abedul también pueden sufrir reacciones cruzadas con alimentos como manzanas, zanahorias y almendras.',
+    'pollenInfo.alder': 'El polen de aliso lo liberan los alisos, sobre todo a principios de primavera. Es un alérgeno importante en muchas partes del mundo y puede provocar síntomas de fiebre del heno. Los alisos suelen crecer cerca del agua, como ríos y arroyos.',
+    'pollenInfo.grass': 'El polen de gramíneas es una de las causas más comunes de la fiebre del heno, con síntomas que alcanzan su pico a finales de primavera y en verano. Muchos tipos de gramíneas producen polen, y los niveles suelen ser más altos en días cálidos y secos con viento suave.',
+    'pollenInfo.mugwort': 'El polen de artemisa lo libera la artemisa, una mala hierba que florece a finales del verano. Es un alérgeno común en muchas regiones y puede causar reacciones alérgicas graves. Los recuentos son más altos en zonas rurales.',
+    'pollenInfo.olive': 'El polen de olivo abunda en las regiones mediterráneas donde se cultivan olivos. La polinización suele producirse a finales de primavera. Puede causar reacciones alérgicas importantes en personas sensibles.',
+    'pollenInfo.ragweed': 'El polen de ambrosía es una de las principales causas de alergias estacionales en Norteamérica, sobre todo en otoño. Una sola planta puede producir hasta mil millones de granos de polen por temporada, que el viento puede llevar a cientos de kilómetros.',
+
+    'season.spring': 'Primavera',
+    'season.earlySpring': 'Principios de primavera',
+    'season.lateSpringToSummer': 'Finales de primavera a verano',
+    'season.lateSummer': 'Finales de verano',
+    'season.lateSummerToFall': 'Finales de verano a otoño',
+    'season.peakMarch': 'Marzo',
+    'season.peakApril': 'Abril',
+    'season.peakMay': 'Mayo',
+    'season.peakJune': 'Junio',
+    'season.peakLateAugust': 'Finales de agosto',
+    'season.peakSeptember': 'Septiembre',
+
+    'breakdown.noCurrent': 'No hay datos actuales disponibles',
+    'breakdown.insignificant': 'No se detecta polen significativo en este momento',
+    'planner.defaultActivity': 'Tiempo al aire libre',
+    'planner.googleCalendar': 'Google Calendar',
+    'planner.icsFile': 'Archivo de calendario (.ics)',
+    'planner.plannedFor': 'Planificado con Bee-Healthy para {location}.',
+    'planner.yourLocation': 'tu ubicación',
+
+    'loading.forecast': 'Cargando pronóstico...',
+    'loading.pollen': 'Cargando datos de polen...',
+    'loading.airQuality': 'Cargando datos de calidad del aire...',
+    'search.label': 'Buscar ubicación',
+
+    'chartRange.label': 'Intervalo de tiempo',
+    'chartRange.last24': 'Últimas 24 horas',
+    'chartRange.last3Days': 'Últimos 3 días',
+    'chartRange.lastWeek': 'Última semana',
+    'chartRange.yesterdayPlus2': 'De ayer a pasado mañana',
+    'chartRange.next24': 'Próximas 24 horas',
+    'chartRange.next3Days': 'Próximos 3 días',
+    'chartRange.next7Days': 'Próximos 7 días',
+    'chartRange.custom': 'Personalizado',
+    'chart.earlier': 'Antes',
+    'chart.zoomIn': 'Acercar',
+    'chart.zoomOut': 'Alejar',
+    'chart.later': 'Después',
+
+    'diary.medication': 'Medicación tomada',
+    'diary.medicationPlaceholder': 'p. ej. Cetirizina 10 mg',
+    'diary.log': 'Registrar síntomas',
+
+    'calendar.sun': 'Dom',
+    'calendar.mon': 'Lun',
+    'calendar.tue': 'Mar',
+    'calendar.wed': 'Mié',
+    'calendar.thu': 'Jue',
+    'calendar.fri': 'Vie',
+    'calendar.sat': 'Sáb',
+    'calendar.low': 'Polen bajo',
+    'calendar.moderate': 'Polen moderado',
+    'calendar.high': 'Polen alto',
+    'calendar.veryHigh': 'Polen muy alto',
+    'calendar.typical': 'Típico (aún sin pronóstico)',
+
+    'notify.intro': 'Recibe alertas cuando los niveles de polen sean altos en tu zona.',
+    'notify.highPollen': 'Avisarme cuando el polen esté alto',
+    'alert.rulesTitle': 'Reglas de alerta',
+    'alert.metric': 'Métrica',
+    'alert.threshold': 'Umbral',
+    'alert.when': 'Cuándo',
+    'alert.scopeNow': 'Ahora mismo',
+    'alert.scope12': 'En las próximas 12 horas',
+    'alert.scope24': 'En las próximas 24 horas',
+    'alert.scope48': 'En las próximas 48 horas',
+    'alert.forecastHours': 'Horas del pronóstico',
+    'alert.quietHours': 'Horas de silencio',
+    'alert.repeat': 'Repetir como máximo cada (horas)',
+    'alert.add': 'Añadir regla',
+
+    'briefing.title': 'Resumen diario',
+    'briefing.enable': 'Enviarme un resumen cada día a las',
+    'briefing.delivery': 'Entrega',
+    'briefing.transport.webhook': 'Webhook (Slack, Matrix)',
+    'briefing.transport.emailjs': 'Correo mediante EmailJS',
+    'briefing.transport.smtp': 'Correo mediante un relay SMTP local',
+    'briefing.endpointLabel': 'URL del endpoint',
+    'briefing.recipient': 'Correo del destinatario',
+    'briefing.serviceId': 'ID del servicio',
+    'briefing.templateId': 'ID de la plantilla',
+    'briefing.publicKey': 'Clave pública',
+    'briefing.serviceIdLabel': 'ID del servicio de EmailJS',
+    'briefing.templateIdLabel': 'ID de la plantilla de EmailJS',
+    'briefing.publicKeyLabel': 'Clave pública de EmailJS',
+    'briefing.save': 'Guardar resumen',
+    'briefing.note': 'Los resúmenes se envían mientras Bee-Healthy esté abierto en una pestaña.',
+    'briefing.preview': 'Vista previa del resumen',
+    'briefing.sendTest': 'Enviar resumen de prueba',
+
+    'share.intro': 'Comparte las condiciones actuales. Los enlaces abren esta ubicación, vista del gráfico e intervalo de tiempo.',
+    'share.native': 'Compartir…',
+    'share.copy': 'Copiar enlace',
+    'share.card': 'Tarjeta de imagen',
+    'share.email': 'Correo',
+    'share.report': 'Informe para el alergólogo (PDF)',
+    'export.title': 'Exportar datos',
+    'footer.credits': 'Bee-Healthy Pollen Tracker © 2023 | Datos de Open-Meteo',
+    'footer.disclaimer': 'Esta información es solo educativa y no sustituye el consejo médico profesional.',
+
+    'help.title': 'Guía de ayuda de Bee-Healthy',
+    'help.low': 'Impacto mínimo para la mayoría',
+    'help.moderate': 'Posibles síntomas en personas sensibles',
+    'help.high': 'Síntomas probables en personas sensibles',
+    'help.veryHigh': 'Síntomas en la mayoría de personas sensibles',
+    'help.chartsTitle': 'Uso de los gráficos',
+    'help.charts': 'Cambia entre vistas con los controles del gráfico. Pasa el cursor sobre los puntos para ver los valores exactos.',
+    'help.locationTitle': 'Servicios de ubicación',
+    'help.location': 'Para obtener datos más precisos, permite el acceso a la ubicación. Tus datos no se guardan en nuestros servidores.',
+    'help.close': '¡Entendido!',
+
+    'shareCard.title': 'Tarjeta para compartir',
+    'shareCard.alt': 'Tarjeta con las condiciones actuales de polen',
+    'shareCard.download': 'Descargar',
+    'shareCard.share': 'Compartir',
+    'profile.privacy': 'Tu perfil solo se guarda en este dispositivo.',
+    'profile.allergens': 'Alérgenos a los que reacciono',
+    'profile.severity': 'Gravedad',
+    'profile.medications': 'Medicamentos',
+    'profile.medicationsPlaceholder': 'p. ej. Cetirizina 10 mg al día, spray nasal',
+    'profile.save': 'Guardar perfil'
+  }
+};
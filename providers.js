@@ -0,0 +1,402 @@
+// Bee-Healthy Pollen Tracker - Data providers
+//
+// Every provider normalizes its source into one internal reading model, so
+// rendering code never sees source-specific fields:
+//
+//   Readings: {
+//     timezone: 'Europe/Berlin' | null,
+//     current:  { time: 'YYYY-MM-DDTHH:MM', <metric>: number | null, ... } | null,
+//     hourly:   { time: ['YYYY-MM-DDTHH:MM', ...], <metric>: [number | null, ...], ... },
+//     meta:     { source: string, fromCache: boolean, cachedAt: string | null }
+//   }
+//
+// Times are local wall-clock times in `timezone`. Metric names are the
+// Open-Meteo ones listed in AIR_QUALITY_METRICS and WEATHER_METRICS.
+//
+//   Place: { name: string, detail: string, lat: number, lon: number }
+//
+// Adapters implement one or more of these interfaces:
+//   air quality: fetchAirQuality(lat, lon, { forecastDays, hourly, signal })
+//                fetchAirQualityHistory(lat, lon, startDate, endDate, metrics)
+//                fetchCurrentAirQuality(lat, lon)
+//                fetchAirQualityGrid(points, { signal })
+//   weather:     fetchWeather(lat, lon, { forecastDays, hourly, signal })
+//   geocoding:   reverseGeocode(lat, lon, language, { signal }), searchPlaces(query, language)
+//
+// `signal` is an AbortSignal that cancels the request. fetchAirQualityGrid
+// takes [{ lat, lon }, ...] and returns the current readings of every point
+// in one request: [{ lat, lon, current }, ...].
+
+const AIR_QUALITY_METRICS = [
+  'birch_pollen', 'alder_pollen', 'grass_pollen', 'mugwort_pollen', 'olive_pollen', 'ragweed_pollen',
+  'pm10', 'pm2_5', 'dust', 'us_aqi', 'european_aqi', 'uv_index'
+];
+
+const WEATHER_METRICS = ['temperature_2m', 'relative_humidity_2m', 'wind_speed_10m'];
+
+// Make sure every expected metric is present, filling gaps with null
+function normalizeReadings(data, metrics, meta) {
+  const hourly = { time: data?.hourly?.time ? [...data.hourly.time] : [] };
+  metrics.forEach(metric => {
+    const values = data?.hourly?.[metric];
+    hourly[metric] = hourly.time.map((_, i) => {
+      const value = values?.[i];
+      return typeof value === 'number' ? value : null;
+    });
+  });
+
+  let current = null;
+  if (data?.current) {
+    current = { time: data.current.time || null };
+    metrics.forEach(metric => {
+      const value = data.current[metric];
+      current[metric] = typeof value === 'number' ? value : null;
+    });
+  }
+
+  return {
+    timezone: data?.timezone || null,
+    current,
+    hourly,
+    meta: { fromCache: false, cachedAt: null, ...meta }
+  };
+}
+
+// Timeout and retry policy for API requests. Failed attempts are retried
+// after backoffMs, doubling each time.
+const FETCH_POLICY = {
+  timeoutMs: 10000,
+  retries: 2,
+  backoffMs: 500
+};
+
+// Errors worth another attempt: network failures, timeouts, rate limits
+// and server errors. Client errors and cancellations are final.
+function isRetryable(error) {
+  if (error.name === 'AbortError') return false;
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+// Wait before a retry, giving up early if the request is cancelled
+function backoff(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+// One request attempt, aborted after the policy timeout
+async function fetchOnce(url, label, signal) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_POLICY.timeoutMs);
+  const cancel = () => controller.abort();
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      const error = new Error(`${label} API error! status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError' && !signal?.aborted) {
+      throw new Error(`${label} API timed out after ${FETCH_POLICY.timeoutMs / 1000}s`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+}
+
+// Fetch JSON, raising on HTTP errors with the given label. Transient
+// failures are retried with exponential backoff; passing an AbortSignal
+// cancels the request and any pending retries.
+async function fetchJson(url, label, { signal } = {}) {
+  let response;
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+    try {
+      response = await fetchOnce(url, label, signal);
+      break;
+    } catch (error) {
+      if (attempt >= FETCH_POLICY.retries || signal?.aborted || !isRetryable(error)) {
+        throw error;
+      }
+      await backoff(FETCH_POLICY.backoffMs * 2 ** attempt, signal);
+    }
+  }
+
+  const data = await response.json();
+  return {
+    data,
+    // The service worker flags responses it served from its offline cache
+    fromCache: response.headers?.get('X-Bee-Healthy-From-Cache') === 'true',
+    cachedAt: response.headers?.get('X-Bee-Healthy-Cached-At') || null
+  };
+}
+
+// Open-Meteo air quality (CAMS) adapter
+class OpenMeteoAirQualityProvider {
+  constructor(baseUrl = 'https://air-quality-api.open-meteo.com/v1/air-quality') {
+    this.name = 'open-meteo';
+    this.baseUrl = baseUrl;
+  }
+
+  async fetchAirQuality(lat, lon, { forecastDays = 7, hourly = AIR_QUALITY_METRICS, signal } = {}) {
+    const current = AIR_QUALITY_METRICS.join(',');
+    const result = await fetchJson(
+      `${this.baseUrl}?latitude=${lat}&longitude=${lon}&hourly=${hourly.join(',')}&current=${current}&timezone=auto&forecast_days=${forecastDays}`,
+      'Air quality',
+      { signal }
+    );
+    return normalizeReadings(result.data, AIR_QUALITY_METRICS, {
+      source: this.name,
+      fromCache: result.fromCache,
+      cachedAt: result.cachedAt
+    });
+  }
+
+  async fetchAirQualityHistory(lat, lon, startDate, endDate, metrics = AIR_QUALITY_METRICS) {
+    const result = await fetchJson(
+      `${this.baseUrl}?latitude=${lat}&longitude=${lon}&hourly=${metrics.join(',')}&timezone=auto&start_date=${startDate}&end_date=${endDate}`,
+      'Air quality history'
+    );
+    return normalizeReadings(result.data, metrics, { source: this.name });
+  }
+
+  async fetchCurrentAirQuality(lat, lon) {
+    const result = await fetchJson(
+      `${this.baseUrl}?latitude=${lat}&longitude=${lon}&current=${AIR_QUALITY_METRICS.join(',')}&timezone=auto`,
+      'Air quality'
+    );
+    return normalizeReadings(result.data, AIR_QUALITY_METRICS, { source: this.name });
+  }
+
+  async fetchAirQualityGrid(points, { signal } = {}) {
+    const latitudes = points.map(point => point.lat).join(',');
+    const longitudes = points.map(point => point.lon).join(',');
+    const result = await fetchJson(
+      `${this.baseUrl}?latitude=${latitudes}&longitude=${longitudes}&current=${AIR_QUALITY_METRICS.join(',')}&timezone=auto`,
+      'Air quality map',
+      { signal }
+    );
+
+    // A single location comes back as an object rather than a list
+    const locations = Array.isArray(result.data) ? result.data : [result.data];
+    return points.map((point, i) => ({
+      lat: point.lat,
+      lon: point.lon,
+      current: normalizeReadings(locations[i], AIR_QUALITY_METRICS, { source: this.name }).current
+    }));
+  }
+}
+
+// Open-Meteo weather forecast adapter
+class OpenMeteoWeatherProvider {
+  constructor(baseUrl = 'https://api.open-meteo.com/v1/forecast') {
+    this.name = 'open-meteo';
+    this.baseUrl = baseUrl;
+  }
+
+  async fetchWeather(lat, lon, { forecastDays = 1, hourly = WEATHER_METRICS, signal } = {}) {
+    const hourlyParam = hourly.length > 0 ? `&hourly=${hourly.join(',')}` : '';
+    const result = await fetchJson(
+      `${this.baseUrl}?latitude=${lat}&longitude=${lon}&current=${WEATHER_METRICS.join(',')}${hourlyParam}&timezone=auto&forecast_days=${forecastDays}`,
+      'Weather',
+      { signal }
+    );
+    return normalizeReadings(result.data, WEATHER_METRICS, {
+      source: this.name,
+      fromCache: result.fromCache,
+      cachedAt: result.cachedAt
+    });
+  }
+}
+
+// Geocoding adapter: Open-Meteo has forward search only, so reverse
+// lookups go to BigDataCloud's free client endpoint
+class OpenMeteoGeocodingProvider {
+  constructor(searchUrl = 'https://geocoding-api.open-meteo.com/v1/search',
+              reverseUrl = 'https://api.bigdatacloud.net/data/reverse-geocode-client') {
+    this.name = 'open-meteo';
+    this.searchUrl = searchUrl;
+    this.reverseUrl = reverseUrl;
+  }
+
+  async reverseGeocode(lat, lon, language = 'en', { signal } = {}) {
+    const { data } = await fetchJson(
+      `${this.reverseUrl}?latitude=${lat}&longitude=${lon}&localityLanguage=${language}`,
+      'Reverse geocoding',
+      { signal }
+    );
+    return data.city || data.locality || null;
+  }
+
+  async searchPlaces(query, language = 'en') {
+    const { data } = await fetchJson(
+      `${this.searchUrl}?name=${encodeURIComponent(query)}&count=6&language=${language}&format=json`,
+      'Geocoding'
+    );
+    return (data.results || []).map(result => ({
+      name: result.name,
+      detail: [result.admin1, result.country].filter(Boolean).join(', '),
+      lat: result.latitude,
+      lon: result.longitude
+    }));
+  }
+}
+
+// Fixture-backed provider for offline development and tests. Fixture days
+// are re-dated so the first fixture day is always today.
+class MockDataProvider {
+  constructor(fixtures = null, fixtureUrl = 'fixtures') {
+    this.name = 'mock';
+    this.fixtures = fixtures;
+    this.fixtureUrl = fixtureUrl;
+  }
+
+  // Load fixtures on first use
+  async loadFixtures() {
+    if (this.fixtures) return this.fixtures;
+
+    const load = async (file) => (await fetchJson(`${this.fixtureUrl}/${file}`, 'Fixture')).data;
+    this.fixtures = {
+      airQuality: await load('air-quality.json'),
+      weather: await load('weather.json'),
+      places: await load('places.json')
+    };
+    return this.fixtures;
+  }
+
+  // Shift a local timestamp by whole days
+  shiftDays(time, days) {
+    const shifted = new Date(new Date(`${time.slice(0, 16)}:00Z`).getTime() + days * 86400000);
+    return shifted.toISOString().slice(0, time.length);
+  }
+
+  // Days between the fixture's first day and a target date (YYYY-MM-DD)
+  daysUntil(fixtureTime, targetDate) {
+    return Math.round((new Date(`${targetDate}T00:00:00Z`) - new Date(`${fixtureTime.slice(0, 10)}T00:00:00Z`)) / 86400000);
+  }
+
+  // Today's date as YYYY-MM-DD in the browser's timezone
+  today() {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+
+  // Re-date a fixture so it starts on the given day
+  rebase(fixture, startDate) {
+    const offset = this.daysUntil(fixture.hourly.time[0], startDate);
+    const data = JSON.parse(JSON.stringify(fixture));
+    data.hourly.time = data.hourly.time.map(time => this.shiftDays(time, offset));
+    if (data.current?.time) {
+      data.current.time = this.shiftDays(data.current.time, offset);
+    }
+    return data;
+  }
+
+  // Trim a fixture to a number of days
+  limitDays(data, days) {
+    const count = Math.min(data.hourly.time.length, days * 24);
+    Object.keys(data.hourly).forEach(key => {
+      data.hourly[key] = data.hourly[key].slice(0, count);
+    });
+    return data;
+  }
+
+  async fetchAirQuality(lat, lon, { forecastDays = 7, signal } = {}) {
+    const { airQuality } = await this.loadFixtures();
+    signal?.throwIfAborted();
+    const data = this.limitDays(this.rebase(airQuality, this.today()), forecastDays);
+    return normalizeReadings(data, AIR_QUALITY_METRICS, { source: this.name });
+  }
+
+  async fetchAirQualityHistory(lat, lon, startDate, endDate, metrics = AIR_QUALITY_METRICS) {
+    const { airQuality } = await this.loadFixtures();
+    const fixtureDays = Math.floor(airQuality.hourly.time.length / 24);
+    const hourly = { time: [] };
+    metrics.forEach(metric => { hourly[metric] = []; });
+
+    // Repeat fixture days across the requested range
+    const totalDays = this.daysUntil(startDate, endDate) + 1;
+    for (let day = 0; day < totalDays; day++) {
+      const date = this.shiftDays(`${startDate}T00:00`, day).slice(0, 10);
+      const sourceDay = day % fixtureDays;
+      for (let hour = 0; hour < 24; hour++) {
+        const index = sourceDay * 24 + hour;
+        hourly.time.push(`${date}T${String(hour).padStart(2, '0')}:00`);
+        metrics.forEach(metric => hourly[metric].push(airQuality.hourly[metric]?.[index] ?? null));
+      }
+    }
+
+    return normalizeReadings({ timezone: airQuality.timezone, hourly }, metrics, { source: this.name });
+  }
+
+  async fetchCurrentAirQuality(lat, lon) {
+    const readings = await this.fetchAirQuality(lat, lon, { forecastDays: 1 });
+    return { ...readings, hourly: { time: [] } };
+  }
+
+  // Vary the fixture's current readings smoothly with position, so the
+  // map shows a gradient offline
+  async fetchAirQualityGrid(points, { signal } = {}) {
+    const { current } = await this.fetchAirQuality(0, 0, { forecastDays: 1, signal });
+    return points.map(point => {
+      const factor = 1 + 0.6 * Math.sin(point.lat * 20) * Math.cos(point.lon * 15);
+      const varied = { ...current };
+      AIR_QUALITY_METRICS.forEach(metric => {
+        if (typeof current[metric] === 'number') {
+          varied[metric] = Math.round(current[metric] * factor * 10) / 10;
+        }
+      });
+      return { lat: point.lat, lon: point.lon, current: varied };
+    });
+  }
+
+  async fetchWeather(lat, lon, { forecastDays = 1, signal } = {}) {
+    const { weather } = await this.loadFixtures();
+    signal?.throwIfAborted();
+    const data = this.limitDays(this.rebase(weather, this.today()), forecastDays);
+    return normalizeReadings(data, WEATHER_METRICS, { source: this.name });
+  }
+
+  async reverseGeocode(lat, lon, language = 'en', { signal } = {}) {
+    const { places } = await this.loadFixtures();
+    signal?.throwIfAborted();
+    const nearest = places.reduce((best, place) => {
+      const distance = (place.lat - lat) ** 2 + (place.lon - lon) ** 2;
+      return !best || distance < best.distance ? { place, distance } : best;
+    }, null);
+    return nearest ? nearest.place.name : null;
+  }
+
+  async searchPlaces(query) {
+    const { places } = await this.loadFixtures();
+    const needle = query.trim().toLowerCase();
+    return places.filter(place =>
+      place.name.toLowerCase().startsWith(needle) || (place.postcodes || []).some(code => code.startsWith(needle))
+    );
+  }
+}
+
+// Build the provider set for a named source
+function createProviders(name = 'open-meteo') {
+  if (name === 'mock') {
+    const mock = new MockDataProvider();
+    return { airQuality: mock, weather: mock, geocoding: mock };
+  }
+
+  return {
+    airQuality: new OpenMeteoAirQualityProvider(),
+    weather: new OpenMeteoWeatherProvider(),
+    geocoding: new OpenMeteoGeocodingProvider()
+  };
+}
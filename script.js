@@ -1,9 +1,12 @@
 // Bee-Healthy Pollen Tracker - Main Application
-class BeeHealthyApp {
+class BeeHealthyApp extends BeeHealthyCore {
   constructor() {
-    // API Configuration
-    this.API_BASE_URL = 'https://air-quality-api.open-meteo.com/v1/air-quality';
-    this.WEATHER_API_URL = 'https://api.open-meteo.com/v1/forecast';
+    super();
+
+    // Data providers ("?provider=mock" uses local fixtures)
+    this.providerName = new URLSearchParams(window.location.search).get('provider') ||
+                        localStorage.getItem('beeHealthyProvider') || 'open-meteo';
+    this.providers = createProviders(this.providerName);
     this.DEFAULT_LAT = 52.52;
     this.DEFAULT_LON = 13.41;
 
@@ -11,7 +14,11 @@ class BeeHealthyApp {
     this.currentLat = this.DEFAULT_LAT;
     this.currentLon = this.DEFAULT_LON;
     this.userLocationDetected = false;
-    this.chartRange = 72; // Default to 3 days
+    // Chart time window in hours relative to now (negative = past)
+    this.chartWindow = { offset: -24, span: 72 };
+
+    // Local history of fetched readings
+    this.readingStore = new ReadingStore();
 
     // Chart instances
     this.pollenChart = null;
@@ -19,66 +26,93 @@ class BeeHealthyApp {
     this.uvChart = null;
     this.currentChartView = 'pollen';
 
-    // Constants
-    this.POLLEN_LEVELS = {
-      LOW: 0,
-      MODERATE: 10,
-      HIGH: 50,
-      VERY_HIGH: 100
-    };
-
-    this.UV_LEVELS = {
-      LOW: 0,
-      MODERATE: 3,
-      HIGH: 6,
-      VERY_HIGH: 8,
-      EXTREME: 11
+    // Chart series hidden by the user
+    this.hiddenChartSeries = [];
+
+    // Sensitivity chart instance
+    this.sensitivityChart = null;
+
+    // Saved locations watchlist
+    this.savedLocations = [];
+
+    // Alert rules and when each last fired
+    this.alertRules = [];
+    this.alertLog = {};
+
+    // Auto-refresh interval in minutes (0 = off)
+    this.autoRefreshMinutes = 60;
+    this.autoRefreshTimer = null;
+    this.lastRefreshAt = null;
+
+    // Location opened from a share link, shown without replacing the saved one
+    this.sharedLocation = null;
+    this.shareCardBlob = null;
+
+    // Map panel: sampled grid around the location, drawn when shown
+    this.mapVisible = false;
+    this.mapLayer = 'pollen';
+    this.mapSamples = null;
+    this.mapBounds = null;
+    this.mapController = null;
+
+    // Route exposure: an imported GPX track and the latest estimate
+    this.routeGpx = null;
+    this.routeEstimate = null;
+    this.routeController = null;
+
+    // Preference selects by preference key
+    this.PREFERENCE_INPUTS = {
+      language: 'pref-language',
+      temperatureUnit: 'pref-temperature',
+      pollenUnit: 'pref-pollen-unit',
+      aqiStandard: 'pref-aqi',
+      pollenThresholds: 'pref-thresholds'
     };
 
-    this.POLLEN_SEASONS = {
-      'Birch': { season: 'Spring', months: 'March to May', peak: 'April' },
-      'Alder': { season: 'Early Spring', months: 'February to April', peak: 'March' },
-      'Grass': { season: 'Late Spring to Summer', months: 'May to July', peak: 'June' },
-      'Mugwort': { season: 'Late Summer', months: 'August to September', peak: 'Late August' },
-      'Olive': { season: 'Spring', months: 'April to June', peak: 'May' },
-      'Ragweed': { season: 'Late Summer to Fall', months: 'August to October', peak: 'September' }
-    };
-
-    this.CHART_COLORS = {
-      birch: '#4CAF50',
-      alder: '#8BC34A',
-      grass: '#CDDC39',
-      mugwort: '#FF9800',
-      olive: '#795548',
-      ragweed: '#9C27B0',
-      aqi: '#2196F3',
-      pm10: '#FF5722',
-      pm25: '#607D8B',
-      uv: '#FFC107',
-      dust: '#795548',
-      carbon: '#607D8B',
-      temperature: '#F44336',
-      humidity: '#03A9F4'
-    };
+    // Daily briefing delivery settings
+    this.briefingSettings = null;
+    this.briefingTimer = null;
 
-    this.POLLEN_INFO = {
-      'Birch': "Birch pollen is a common allergen in many regions, typically released in the spring. It can cause symptoms like sneezing, runny nose, and itchy eyes. Those with birch pollen allergies may also experience cross-reactivity with certain foods like apples, carrots, and almonds.",
-      'Alder': "Alder pollen is released by alder trees, primarily in early spring. It's a significant allergen in many parts of the world and can trigger hay fever symptoms. Alder trees are often found near water sources like rivers and streams.",
-      'Grass': "Grass pollen is one of the most common causes of hay fever, with symptoms peaking in late spring and summer. There are many types of grass that produce pollen, and levels are typically highest on warm, dry days with mild winds.",
-      'Mugwort': "Mugwort pollen is released by the mugwort plant, a weed that blooms in late summer. It's a common allergen in many regions and can cause severe allergic reactions. Mugwort pollen counts are highest in rural areas.",
-      'Olive': "Olive pollen is prevalent in Mediterranean regions where olive trees are cultivated. The pollination season typically occurs in late spring. Olive pollen can cause significant allergic reactions in sensitive individuals.",
-      'Ragweed': "Ragweed pollen is a major cause of seasonal allergies in North America, particularly in the fall. A single ragweed plant can produce up to a billion grains of pollen per season, which can travel hundreds of miles on the wind."
-    };
+    // Medication reminders and the location's estimated season starts
+    this.medications = [];
+    this.medicationLog = null;
+    this.medicationTimer = null;
+    this.seasonStarts = {};
 
     this.init();
   }
 
   // Initialize the application
   init() {
+    this.loadPreferences();
+    this.applyTranslations();
+    this.renderPreferences();
+    this.renderThresholdTable();
+    this.loadUserProfile();
+    this.loadSymptomDiary();
+    this.loadHiddenChartSeries();
+    this.loadAlertRules();
+    this.loadSavedLocations();
     this.setupEventListeners();
+    this.readShareLink();
     this.loadSavedLocation();
     this.renderPollenCalendar();
     this.updateNotificationStatus();
+    this.renderAlertRules();
+    this.renderSavedLocations();
+    this.renderSymptomDiary();
+    this.renderChartSeriesToggles();
+    this.loadAutoRefresh();
+    this.loadBriefingSettings();
+    this.initExportRange();
+    this.initPlanner();
+    this.initRoute();
+    this.loadMedications();
+    this.initMedications();
+    this.renderMedications();
+    this.sendMedicationReminders();
+    this.listenToServiceWorker();
+    this.showSection(new URLSearchParams(window.location.search).get('section'));
   }
 
   // Set up event listeners
@@ -86,13 +120,59 @@ class BeeHealthyApp {
     // Chart view buttons
     document.querySelectorAll('.chart-btn[data-view]').forEach(btn => {
       btn.addEventListener('click', (e) => {
-        this.switchChartView(e.target.dataset.view);
+        this.switchChartView(e.currentTarget.dataset.view);
       });
     });
 
-    // Chart range selector
+    // GPX import for the route estimator
+    document.getElementById('route-gpx').addEventListener('change', (e) => this.importRouteGpx(e.target.files[0]));
+
+    // Clicking the map loads that point
+    document.getElementById('map-canvas').addEventListener('click', (e) => this.handleMapClick(e));
+
+    // Chart range selector ("offset:span" in hours)
     document.getElementById('chart-range').addEventListener('change', (e) => {
-      this.changeChartRange(parseInt(e.target.value));
+      const [offset, span] = e.target.value.split(':').map(Number);
+      this.changeChartRange(offset, span);
+    });
+
+    // High pollen alerts toggle
+    const notifyCheckbox = document.getElementById('notify-high-pollen');
+    notifyCheckbox.checked = localStorage.getItem('beeHealthyNotifyHighPollen') === 'true';
+    notifyCheckbox.addEventListener('change', (e) => {
+      localStorage.setItem('beeHealthyNotifyHighPollen', e.target.checked);
+      if (e.target.checked && this.lastReadings) {
+        this.evaluateAlertRules(this.lastReadings.current, this.lastReadings.hourly);
+      }
+      this.syncBackgroundChecks();
+    });
+
+    // Language and unit preferences
+    Object.entries(this.PREFERENCE_INPUTS).forEach(([key, id]) => {
+      document.getElementById(id).addEventListener('change', (e) => this.setPreference(key, e.target.value));
+    });
+
+    // Auto-refresh interval
+    document.getElementById('auto-refresh-interval').addEventListener('change', (e) => {
+      this.setAutoRefreshInterval(parseInt(e.target.value));
+    });
+
+    // Pause auto-refresh while the tab is hidden
+    document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+
+    // Location search with autocomplete
+    const searchInput = document.getElementById('location-search');
+    let searchTimer = null;
+    searchInput.addEventListener('input', (e) => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => this.updateLocationSuggestions(e.target.value), 300);
+    });
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        clearTimeout(searchTimer);
+        this.submitLocationSearch(e.target.value);
+      }
     });
 
     // Close modals when clicking outside
@@ -110,8 +190,169 @@ class BeeHealthyApp {
     });
   }
 
+  // Load language and unit preferences, defaulting to the browser's language
+  loadPreferences() {
+    const browserLanguage = (navigator.language || '').slice(0, 2);
+    if (this.LANGUAGES[browserLanguage]) {
+      this.preferences.language = browserLanguage;
+    }
+
+    try {
+      const saved = JSON.parse(localStorage.getItem('beeHealthyPreferences')) || {};
+      Object.entries(saved).forEach(([key, value]) => {
+        if (this.isValidPreference(key, value)) {
+          this.preferences[key] = value;
+        }
+      });
+    } catch (error) {
+      console.warn('Failed to load preferences:', error);
+    }
+  }
+
+  // Change one preference and re-render in the new language or units
+  setPreference(key, value) {
+    if (!this.isValidPreference(key, value)) return;
+
+    this.preferences[key] = value;
+    localStorage.setItem('beeHealthyPreferences', JSON.stringify(this.preferences));
+
+    this.applyTranslations();
+    this.renderPreferences();
+    this.renderThresholdTable();
+    this.initPlanner();
+    this.initRoute();
+    this.initMedications();
+    this.renderMedications();
+    this.renderAlertRules();
+    this.renderSymptomDiary();
+    this.renderSavedLocations();
+    this.renderChartSeriesToggles();
+    this.updateNotificationStatus();
+    this.updateBriefingFields();
+    this.updateCalendarDisplay();
+    this.scheduleAutoRefresh();
+    this.refreshData();
+  }
+
+  // Fill the preference selects with translated options
+  renderPreferences() {
+    const options = {
+      language: Object.entries(this.LANGUAGES),
+      temperatureUnit: this.PREFERENCE_OPTIONS.temperatureUnit.map(unit => [unit, this.t(`unit.${unit}`)]),
+      pollenUnit: this.PREFERENCE_OPTIONS.pollenUnit.map(unit => [unit, this.t(`unit.${unit}`)]),
+      aqiStandard: this.PREFERENCE_OPTIONS.aqiStandard.map(standard => [standard, this.t(`aqi.${standard}`)]),
+      pollenThresholds: this.PREFERENCE_OPTIONS.pollenThresholds.map(scheme => [scheme, this.t(`thresholds.${scheme}`)])
+    };
+
+    Object.entries(this.PREFERENCE_INPUTS).forEach(([key, id]) => {
+      const select = document.getElementById(id);
+      select.innerHTML = options[key]
+        .map(([value, label]) => `<option value="${value}">${this.escapeHtml(label)}</option>`)
+        .join('');
+      select.value = this.preferences[key];
+    });
+  }
+
+  // Show the active threshold scheme in the help guide; custom bands are editable
+  renderThresholdTable() {
+    const table = this.getThresholdTable();
+    const editable = this.preferences.pollenThresholds === 'custom';
+    const bands = ['MODERATE', 'HIGH', 'VERY_HIGH'];
+    const levels = ['Moderate', 'High', 'Very High'];
+
+    const rows = Object.entries(table).map(([key, values]) => {
+      const name = key === 'total'
+        ? this.t('thresholds.total')
+        : this.getPollenName(key.charAt(0).toUpperCase() + key.slice(1));
+      const cells = bands.map(band => editable
+        ? `<td><input type="number" id="threshold-${key}-${band}" class="form-control" min="0" step="any" value="${values[band]}"></td>`
+        : `<td>${this.formatNumber(values[band], 0)}</td>`).join('');
+      return `<tr><td>${this.escapeHtml(name)}</td>${cells}</tr>`;
+    }).join('');
+
+    document.getElementById('help-thresholds').innerHTML = `
+      <table class="day-details-table">
+        <caption>${this.escapeHtml(this.t('thresholds.caption', { unit: this.getPollenUnit(), low: this.getLevelLabel('Low') }))}</caption>
+        <tr>
+          <th>${this.t('forecast.allergen')}</th>
+          ${levels.map(level => `<th><span class="${this.getPollenLevelClass(level)}">${this.getLevelLabel(level)}</span></th>`).join('')}
+        </tr>
+        ${rows}
+      </table>
+      ${editable ? `
+        <div id="threshold-status" class="location-status"></div>
+        <button class="btn btn-secondary" onclick="app.saveCustomThresholds()">
+          <i class="fas fa-save"></i> ${this.t('thresholds.save')}
+        </button>` : ''}
+    `;
+  }
+
+  // Save the custom threshold table from the help guide inputs
+  saveCustomThresholds() {
+    const table = {};
+    Object.keys(this.POLLEN_THRESHOLD_SCHEMES.european).forEach(key => {
+      table[key] = {};
+      ['MODERATE', 'HIGH', 'VERY_HIGH'].forEach(band => {
+        table[key][band] = parseFloat(document.getElementById(`threshold-${key}-${band}`).value);
+      });
+    });
+
+    if (!this.isValidThresholdTable(table)) {
+      document.getElementById('threshold-status').textContent = this.t('thresholds.invalid');
+      return;
+    }
+    this.setPreference('customThresholds', table);
+  }
+
+  // Translate the page's static text
+  applyTranslations() {
+    document.documentElement.lang = this.preferences.language;
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = this.t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+      element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+    });
+    document.querySelectorAll('[data-i18n-alt]').forEach(element => {
+      element.alt = this.t(element.dataset.i18nAlt);
+    });
+  }
+
+  // Headline AQI in the preferred standard
+  formatAqiHeadline(reading) {
+    const { value, label } = this.getAqiHeadline(reading);
+    return `${value ?? '–'} (${label})`;
+  }
+
+  // Apply the location, chart view and range of a share link
+  readShareLink() {
+    const shared = this.parseShareQuery(window.location.search, -this.readingStore.RETENTION_DAYS * 24);
+
+    if (shared.view) {
+      this.switchChartView(shared.view);
+    }
+    if (shared.span !== undefined) {
+      this.chartWindow = { offset: shared.offset, span: shared.span };
+      this.clearChartRangeSelection();
+    }
+    if (shared.lat !== undefined) {
+      this.sharedLocation = { lat: shared.lat, lon: shared.lon };
+    }
+  }
+
   // Load saved location from localStorage
   loadSavedLocation() {
+    if (this.sharedLocation) {
+      this.currentLat = this.sharedLocation.lat;
+      this.currentLon = this.sharedLocation.lon;
+      this.userLocationDetected = false;
+      this.refreshData();
+      return;
+    }
+
     const savedLat = localStorage.getItem('beeHealthyLat');
     const savedLon = localStorage.getItem('beeHealthyLon');
     
@@ -127,7 +368,7 @@ class BeeHealthyApp {
   }
 
   // Show notification
-  showNotification(message, type = 'info') {
+  showNotification(message, type = 'info', section = null) {
     const notification = document.getElementById('notification');
     const notificationText = document.getElementById('notification-text');
     
@@ -143,50 +384,52 @@ class BeeHealthyApp {
     }, 5000);
 
     // Show browser notification if permission granted
-    this.showBrowserNotification(message, type);
+    this.showBrowserNotification(message, type, section);
   }
 
   // Show browser notification
-  async showBrowserNotification(message, type = 'info') {
+  async showBrowserNotification(message, type = 'info', section = null) {
     if (!('Notification' in window)) {
       return;
     }
 
     if (Notification.permission === 'granted') {
-      this.createBrowserNotification(message, type);
+      this.createBrowserNotification(message, type, section);
     } else if (Notification.permission !== 'denied') {
       const permission = await Notification.requestPermission();
       if (permission === 'granted') {
-        this.createBrowserNotification(message, type);
+        this.createBrowserNotification(message, type, section);
       }
     }
   }
 
-  // Create browser notification
-  createBrowserNotification(message, type) {
-    const title = type === 'warning' ? '⚠️ High Pollen Alert' : 'ℹ️ Bee-Healthy Update';
-    
-    const notification = new Notification(title, {
-      body: message,
-      icon: '/icon-192x192.png',
-      badge: '/icon-192x192.png',
-      tag: 'bee-healthy-notification',
-      requireInteraction: type === 'warning',
-      actions: [
-        {
-          action: 'view',
-          title: 'View Details'
-        },
-        {
-          action: 'dismiss',
-          title: 'Dismiss'
+  // Create browser notification. Notification actions need the service
+  // worker, so without one the notification only links back on click.
+  createBrowserNotification(message, type, section = null) {
+    const { title, options } = this.getBrowserNotification(message, type, section || 'current-conditions');
+
+    if (navigator.serviceWorker?.controller) {
+      navigator.serviceWorker.ready.then(async (registration) => {
+        await registration.showNotification(title, options);
+
+        // Auto close after 10 seconds (except warnings)
+        if (type !== 'warning') {
+          setTimeout(async () => {
+            const shown = await registration.getNotifications({ tag: options.tag });
+            shown.forEach(notification => notification.close());
+          }, 10000);
         }
-      ]
-    });
+      });
+      return;
+    }
+
+    const { actions, ...pageOptions } = options;
+    const notification = new Notification(title, pageOptions);
 
     // Handle notification click
     notification.onclick = () => {
       window.focus();
+      this.showSection(options.data.section);
       notification.close();
     };
 
@@ -198,10 +441,123 @@ class BeeHealthyApp {
     }
   }
 
+  // Scroll to a page section named in a notification link
+  showSection(section) {
+    if (!this.DEEP_LINK_SECTIONS.includes(section)) return;
+    document.getElementById(section)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  // Follow notification links relayed by the service worker
+  listenToServiceWorker() {
+    navigator.serviceWorker?.addEventListener('message', (e) => {
+      if (e.data?.type === 'bee-healthy-navigate') {
+        this.showSection(e.data.section);
+      }
+    });
+  }
+
+  // Share location and alert settings with the service worker and
+  // (un)register its periodic background check
+  async syncBackgroundChecks() {
+    if (!navigator.serviceWorker?.controller) return;
+
+    // Checks follow the user's own saved or detected location, never one
+    // opened from a share link
+    const notify = document.getElementById('notify-high-pollen').checked;
+    const lat = parseFloat(localStorage.getItem('beeHealthyLat'));
+    const lon = parseFloat(localStorage.getItem('beeHealthyLon'));
+    if (!Number.isNaN(lat) && !Number.isNaN(lon)) {
+      navigator.serviceWorker.controller.postMessage({
+        type: 'bee-healthy-config',
+        config: {
+          lat,
+          lon,
+          provider: this.providerName,
+          notify,
+          rules: this.alertRules.length > 0 ? this.alertRules : this.getDefaultAlertRules(),
+          alertLog: this.alertLog,
+          preferences: this.preferences
+        }
+      });
+    }
+
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      if (!registration.periodicSync) return;
+
+      if (notify && this.autoRefreshMinutes > 0) {
+        await registration.periodicSync.register('bee-healthy-conditions', {
+          minInterval: this.autoRefreshMinutes * 60000
+        });
+      } else {
+        await registration.periodicSync.unregister('bee-healthy-conditions');
+      }
+    } catch (error) {
+      console.warn('Periodic background sync unavailable:', error);
+    }
+  }
+
+  // Load the auto-refresh interval and start the timer
+  loadAutoRefresh() {
+    const saved = localStorage.getItem('beeHealthyAutoRefresh');
+    this.autoRefreshMinutes = saved === null ? 60 : parseInt(saved) || 0;
+    document.getElementById('auto-refresh-interval').value = String(this.autoRefreshMinutes);
+    this.scheduleAutoRefresh();
+  }
+
+  // Change the auto-refresh interval
+  setAutoRefreshInterval(minutes) {
+    this.autoRefreshMinutes = minutes;
+    localStorage.setItem('beeHealthyAutoRefresh', minutes);
+    this.scheduleAutoRefresh();
+    this.syncBackgroundChecks();
+  }
+
+  // Schedule the next auto-refresh; nothing is scheduled while the tab is hidden
+  scheduleAutoRefresh() {
+    clearTimeout(this.autoRefreshTimer);
+    this.autoRefreshTimer = null;
+    const statusEl = document.getElementById('auto-refresh-status');
+
+    if (this.autoRefreshMinutes <= 0) {
+      statusEl.textContent = '';
+      return;
+    }
+    if (document.hidden) {
+      statusEl.textContent = this.t('autoRefresh.paused');
+      return;
+    }
+
+    const delay = this.getNextRefreshDelay(this.autoRefreshMinutes);
+    const next = new Date(Date.now() + delay);
+    statusEl.textContent = this.t('autoRefresh.next', { time: next.toLocaleTimeString(this.getLocale(), { hour: '2-digit', minute: '2-digit' }) });
+
+    this.autoRefreshTimer = setTimeout(async () => {
+      this.autoRefreshTimer = null;
+      await this.refreshData();
+      this.scheduleAutoRefresh();
+    }, delay);
+  }
+
+  // Pause auto-refresh while hidden and catch up when shown again
+  async handleVisibilityChange() {
+    if (document.hidden || this.autoRefreshMinutes <= 0) {
+      this.scheduleAutoRefresh();
+      return;
+    }
+
+    const due = this.lastRefreshAt !== null &&
+                Date.now() - this.lastRefreshAt >= this.autoRefreshMinutes * 60000;
+    if (due) {
+      await this.refreshData();
+    }
+    this.scheduleAutoRefresh();
+  }
+
   // Request notification permission
   async requestNotificationPermission() {
     if (!('Notification' in window)) {
-      this.showNotification('Notifications not supported in this browser', 'info');
+      this.showNotification(this.t('notify.unsupported'), 'info');
       return false;
     }
 
@@ -210,17 +566,17 @@ class BeeHealthyApp {
     }
 
     if (Notification.permission === 'denied') {
-      this.showNotification('Please enable notifications in your browser settings', 'warning');
+      this.showNotification(this.t('notify.enableInSettings'), 'warning');
       return false;
     }
 
     const permission = await Notification.requestPermission();
     if (permission === 'granted') {
-      this.showNotification('Notifications enabled! You\'ll now receive pollen alerts.', 'info');
+      this.showNotification(this.t('notify.enabled'), 'info');
       this.updateNotificationStatus();
       return true;
     } else {
-      this.showNotification('Notification permission denied', 'info');
+      this.showNotification(this.t('notify.denied'), 'info');
       this.updateNotificationStatus();
       return false;
     }
@@ -232,23 +588,134 @@ class BeeHealthyApp {
     if (!statusEl) return;
 
     if (!('Notification' in window)) {
-      statusEl.innerHTML = '<i class="fas fa-times-circle"></i> Notifications not supported';
+      statusEl.innerHTML = `<i class="fas fa-times-circle"></i> ${this.t('notify.statusUnsupported')}`;
       statusEl.style.color = 'var(--danger)';
     } else if (Notification.permission === 'granted') {
-      statusEl.innerHTML = '<i class="fas fa-check-circle"></i> Browser notifications enabled';
+      statusEl.innerHTML = `<i class="fas fa-check-circle"></i> ${this.t('notify.statusEnabled')}`;
       statusEl.style.color = 'var(--success)';
     } else if (Notification.permission === 'denied') {
-      statusEl.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Notifications blocked - check browser settings';
+      statusEl.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${this.t('notify.statusBlocked')}`;
       statusEl.style.color = 'var(--warning)';
     } else {
-      statusEl.innerHTML = '<i class="fas fa-question-circle"></i> Click "Enable Browser Notifications" to get alerts';
+      statusEl.innerHTML = `<i class="fas fa-question-circle"></i> ${this.escapeHtml(this.t('notify.statusPrompt', { button: this.t('notify.enableButton') }))}`;
       statusEl.style.color = 'var(--text-light)';
     }
   }
 
   // Test notification
   testNotification() {
-    this.showNotification('This is a test notification. You will be alerted when pollen levels are high.', 'info');
+    this.showNotification(this.t('notify.testMessage'), 'info');
+  }
+
+  // Load alert rules and firing log from localStorage
+  loadAlertRules() {
+    try {
+      this.alertRules = JSON.parse(localStorage.getItem('beeHealthyAlertRules')) || [];
+      this.alertLog = JSON.parse(localStorage.getItem('beeHealthyAlertLog')) || {};
+    } catch (error) {
+      console.warn('Failed to load alert rules:', error);
+      this.alertRules = [];
+      this.alertLog = {};
+    }
+  }
+
+  // Save alert rules to localStorage
+  saveAlertRules() {
+    localStorage.setItem('beeHealthyAlertRules', JSON.stringify(this.alertRules));
+    this.syncBackgroundChecks();
+  }
+
+  // Add alert rule from the form
+  addAlertRule() {
+    const readHour = (id) => {
+      const value = document.getElementById(id).value;
+      return value === '' ? null : Math.min(23, Math.max(0, parseInt(value)));
+    };
+
+    const metric = document.getElementById('alert-metric').value;
+    const threshold = parseFloat(document.getElementById('alert-threshold').value);
+    const lookaheadHours = parseInt(document.getElementById('alert-scope').value);
+
+    if (!this.ALERT_METRICS[metric] || isNaN(threshold)) {
+      this.showNotification(this.t('alert.invalidRule'), 'info');
+      return;
+    }
+
+    this.alertRules.push({
+      id: `rule-${Date.now()}`,
+      metric,
+      scope: lookaheadHours > 0 ? 'forecast' : 'current',
+      threshold,
+      lookaheadHours,
+      fromHour: readHour('alert-from-hour'),
+      toHour: readHour('alert-to-hour'),
+      quietStart: readHour('alert-quiet-start'),
+      quietEnd: readHour('alert-quiet-end'),
+      dedupeMinutes: (parseFloat(document.getElementById('alert-dedupe').value) || 0) * 60
+    });
+
+    this.saveAlertRules();
+    this.renderAlertRules();
+  }
+
+  // Remove alert rule
+  removeAlertRule(id) {
+    this.alertRules = this.alertRules.filter(rule => rule.id !== id);
+    this.saveAlertRules();
+    this.renderAlertRules();
+  }
+
+  // Render alert rules list
+  renderAlertRules() {
+    const listEl = document.getElementById('alert-rules-list');
+    if (!listEl) return;
+
+    if (this.alertRules.length === 0) {
+      listEl.innerHTML = `<li class="loading">${this.t('alert.noRules')}</li>`;
+      return;
+    }
+
+    listEl.innerHTML = this.alertRules.map(rule => `
+      <li class="alert-rule">
+        <span>${this.describeAlertRule(rule)}</span>
+        <button class="btn" onclick="app.removeAlertRule('${rule.id}')" aria-label="${this.t('alert.removeRule')}">
+          <i class="fas fa-trash"></i>
+        </button>
+      </li>
+    `).join('');
+  }
+
+  // Evaluate alert rules against current values and the hourly forecast
+  evaluateAlertRules(current, hourlyData, now = new Date()) {
+    if (!document.getElementById('notify-high-pollen')?.checked) return [];
+
+    const rules = this.alertRules.length > 0 ? this.alertRules : this.getDefaultAlertRules();
+    const fired = this.checkAlertRules(rules, current, hourlyData, this.alertLog, now);
+    fired.forEach(alert => this.showNotification(alert.message, 'warning', alert.section));
+
+    this.pruneAlertLog(now);
+    return fired.map(alert => alert.message);
+  }
+
+  // Drop firing log entries older than the log keeps
+  pruneAlertLog(now) {
+    this.alertLog = this.mergeAlertLogs(this.alertLog, {}, now);
+    localStorage.setItem('beeHealthyAlertLog', JSON.stringify(this.alertLog));
+  }
+
+  // Take in alerts the service worker raised while the app was closed, so
+  // the app does not raise them again. The worker keeps its firing log in
+  // its config cache (see sw.js).
+  async loadWorkerAlertLog() {
+    try {
+      const cache = await window.caches?.open('bee-healthy-config-v1');
+      const response = await cache?.match('/bee-healthy-alert-log');
+      if (!response) return;
+      this.alertLog = this.mergeAlertLogs(this.alertLog, await response.json());
+      localStorage.setItem('beeHealthyAlertLog', JSON.stringify(this.alertLog));
+    } catch (error) {
+      console.warn('Failed to read the background alert log:', error);
+    }
   }
 
   // Show help modal
@@ -268,46 +735,434 @@ class BeeHealthyApp {
     });
   }
 
-  // Print report
-  printReport() {
+  // Print the allergist report; the print dialog can also save it as PDF
+  async printReport() {
+    const reportEl = document.getElementById('print-report');
+    reportEl.innerHTML = this.buildReportHtml(await this.captureChartImages());
+
+    document.body.classList.add('print-report-active');
+    window.addEventListener('afterprint', () => {
+      document.body.classList.remove('print-report-active');
+    }, { once: true });
     window.print();
   }
 
-  // Share report
-  shareReport(platform) {
-    const location = document.getElementById('location').textContent;
-    const pollenLevel = document.getElementById('pollen-level').textContent;
-    
-    if (navigator.share) {
-      navigator.share({
-        title: 'Bee-Healthy Pollen Report',
-        text: `Current pollen levels in ${location}: ${pollenLevel}`,
-        url: window.location.href
-      })
-      .catch(error => {
-        this.showNotification('Sharing failed. Please try again.', 'info');
+  // Default the export range to the past week and the forecast
+  initExportRange() {
+    const today = new Date();
+    const from = new Date(today);
+    from.setDate(today.getDate() - 7);
+    const to = new Date(today);
+    to.setDate(today.getDate() + 6);
+
+    document.getElementById('export-from').value = this.formatDateKey(from);
+    document.getElementById('export-to').value = this.formatDateKey(to);
+  }
+
+  // Selected export range, or null when it is invalid
+  getExportRange() {
+    const from = document.getElementById('export-from').value;
+    const to = document.getElementById('export-to').value;
+    if (!from || !to || from > to) {
+      this.showNotification(this.t('export.invalidRange'), 'warning');
+      return null;
+    }
+    return { from, to, fromTime: `${from}T00:00`, toTime: `${to}T23:59` };
+  }
+
+  // Hourly rows for the export range from stored history and the latest forecast
+  async getExportRows(range) {
+    let records = [];
+    try {
+      records = await this.readingStore.query(this.currentLat, this.currentLon, range.fromTime, range.toTime);
+    } catch (error) {
+      console.warn('Failed to read reading history:', error);
+    }
+
+    return this.mergeExportRows(
+      records,
+      this.lastReadings?.hourly,
+      this.lastReadings?.current?.time,
+      range.fromTime,
+      range.toTime,
+      this.readingStore.METRICS
+    );
+  }
+
+  // Download hourly readings as CSV
+  async exportCsv() {
+    const range = this.getExportRange();
+    if (!range) return;
+
+    const rows = await this.getExportRows(range);
+    if (rows.length === 0) {
+      this.showNotification(this.t('export.empty'), 'info');
+      return;
+    }
+
+    const csv = this.toCsv(rows, ['time', 'kind', ...this.readingStore.METRICS]);
+    this.downloadFile(`bee-healthy-${range.from}-to-${range.to}.csv`, csv, 'text/csv');
+  }
+
+  // Download hourly readings and symptom diary entries as JSON
+  async exportJson() {
+    const range = this.getExportRange();
+    if (!range) return;
+
+    const rows = await this.getExportRows(range);
+    const symptoms = Object.fromEntries(
+      Object.entries(this.symptomDiary).filter(([dateKey]) => dateKey >= range.from && dateKey <= range.to)
+    );
+    if (rows.length === 0 && Object.keys(symptoms).length === 0) {
+      this.showNotification(this.t('export.empty'), 'info');
+      return;
+    }
+
+    const data = {
+      location: this.currentLocationName || null,
+      latitude: this.currentLat,
+      longitude: this.currentLon,
+      timezone: this.lastTimezone || null,
+      from: range.from,
+      to: range.to,
+      exportedAt: new Date().toISOString(),
+      units: this.METRIC_UNITS,
+      readings: rows,
+      symptoms
+    };
+    this.downloadFile(`bee-healthy-${range.from}-to-${range.to}.json`, JSON.stringify(data, null, 2), 'application/json');
+  }
+
+  // Save generated content as a file
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // Render each report chart view without animation and capture it as an image
+  async captureChartImages() {
+    const data = await this.getChartData() || window.hourlyData;
+    if (!data) return [];
+
+    const originalView = this.currentChartView;
+    const images = [];
+    try {
+      Object.entries(this.REPORT_CHART_VIEWS).forEach(([view, titleKey]) => {
+        this.currentChartView = view;
+        this.createPollenChart(data);
+        this.pollenChart.update('none');
+        images.push({ title: this.t(titleKey), src: this.pollenChart.toBase64Image() });
       });
-    } else {
-      // Fallback for browsers without Web Share API
-      const shareText = `Current pollen levels in ${location}: ${pollenLevel}`;
-      const shareUrl = window.location.href;
-      
-      if (platform === 'facebook') {
-        window.open(`https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(shareUrl)}&quote=${encodeURIComponent(shareText)}`);
-      } else if (platform === 'twitter') {
-        window.open(`https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}&url=${encodeURIComponent(shareUrl)}`);
+    } finally {
+      this.currentChartView = originalView;
+      this.createPollenChart(data);
+    }
+    return images;
+  }
+
+  // Build the one-page report for an allergist
+  buildReportHtml(chartImages = []) {
+    const summary = this.generateEmailSummary();
+    const text = (id) => this.escapeHtml(document.getElementById(id)?.textContent || '–');
+    const dateLabel = (dateKey, options) => this.parseDateKey(dateKey).toLocaleDateString(this.getLocale(), options);
+
+    const stats = [
+      [this.t('stat.risk'), text('allergy-risk')],
+      [this.t('stat.pollen'), text('pollen-level')],
+      [this.t('report.mainAllergen'), this.escapeHtml(this.getMainAllergenName() || '–')],
+      [this.t('stat.aqi'), text('aqi')],
+      [this.t('stat.uv'), text('uv-index')],
+      [this.t('stat.temperature'), text('temperature')]
+    ].map(([label, value]) => `<div class="report-stat"><strong>${value}</strong><span>${label}</span></div>`).join('');
+
+    const breakdown = this.currentPollenTypes
+      ? this.rankAllergens(this.currentPollenTypes).map(([type, value]) => `
+          <tr${this.isUserAllergen(type) ? ' class="user-allergen"' : ''}>
+            <td>${this.getPollenName(type)}</td>
+            <td>${this.formatNumber(value || 0, 1)}</td>
+            <td>${this.getLevelLabel(value > 0 ? this.getPollenLevelCategory(value, type) : 'None')}</td>
+          </tr>`).join('')
+      : `<tr><td colspan="3">${this.t('report.noCurrent')}</td></tr>`;
+
+    const forecastDays = this.lastReadings ? Object.entries(this.aggregateDailyForecast(this.lastReadings.hourly)).slice(0, 7) : [];
+    const forecast = forecastDays.length > 0
+      ? forecastDays.map(([dateKey, day]) => `
+          <tr>
+            <td>${dateLabel(dateKey, { weekday: 'short', month: 'short', day: 'numeric' })}</td>
+            <td>${this.getLevelLabel(this.getDayPollenLevel(day))}</td>
+            <td>${this.formatNumber(day.totalMax, 1)}</td>
+            <td>${day.totalMax > 0 ? this.getPollenName(day.driver) : '–'}</td>
+            <td>${day.aqi ? Math.round(day.aqi.max) : '–'}</td>
+            <td>${day.uv ? this.formatNumber(day.uv.max, 1) : '–'}</td>
+          </tr>`).join('')
+      : `<tr><td colspan="6">${this.t('report.noForecast')}</td></tr>`;
+
+    const diaryDates = Object.keys(this.symptomDiary).sort().reverse().slice(0, 14);
+    const symptoms = diaryDates.length > 0
+      ? diaryDates.map(dateKey => {
+        const entry = this.symptomDiary[dateKey];
+        return `
+          <tr>
+            <td>${dateLabel(dateKey)}</td>
+            ${Object.keys(this.SYMPTOMS).map(symptom => `<td>${entry[symptom] || 0}</td>`).join('')}
+            <td>${this.getSymptomScore(entry)}/40</td>
+            <td>${this.escapeHtml(entry.medication || '')}</td>
+          </tr>`;
+      }).join('')
+      : `<tr><td colspan="${Object.keys(this.SYMPTOMS).length + 3}">${this.t('report.noSymptoms')}</td></tr>`;
+
+    const charts = chartImages.map(image => `
+      <figure>
+        <img src="${image.src}" alt="${this.t('report.chartAlt', { title: image.title })}">
+        <figcaption>${image.title}</figcaption>
+      </figure>`).join('');
+
+    const profile = [
+      this.t('report.allergies', { allergies: this.escapeHtml(summary.user_allergies) }),
+      this.t('report.severity', { severity: this.escapeHtml(summary.severity_level) }),
+      summary.user_medications && this.t('report.medications', { medications: this.escapeHtml(summary.user_medications) })
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <header>
+        <h1>${this.t('report.title')}</h1>
+        <p>${this.escapeHtml(summary.location)} · ${summary.date}</p>
+        <p>${profile}</p>
+      </header>
+      <div class="report-stats">${stats}</div>
+      <div class="report-columns">
+        <section>
+          <h2>${this.t('section.breakdown')}</h2>
+          <table class="day-details-table">
+            <thead><tr><th>${this.t('forecast.allergen')}</th><th>${this.getPollenUnit()}</th><th>${this.t('report.level')}</th></tr></thead>
+            <tbody>${breakdown}</tbody>
+          </table>
+        </section>
+        <section>
+          <h2>${this.t('section.forecast')}</h2>
+          <table class="day-details-table">
+            <thead><tr><th>${this.t('report.day')}</th><th>${this.t('report.level')}</th><th>${this.t('forecast.peak')}</th><th>${this.t('report.driver')}</th><th>${this.t('forecast.aqiMax')}</th><th>${this.t('forecast.uvMax')}</th></tr></thead>
+            <tbody>${forecast}</tbody>
+          </table>
+        </section>
+      </div>
+      <div class="report-charts">${charts}</div>
+      <section>
+        <h2>${this.t('report.symptoms')}</h2>
+        <table class="day-details-table">
+          <thead><tr><th>${this.t('report.date')}</th>${Object.values(this.SYMPTOMS).map(key => `<th>${this.t(key)}</th>`).join('')}<th>${this.t('report.score')}</th><th>${this.t('report.medication')}</th></tr></thead>
+          <tbody>${symptoms}</tbody>
+        </table>
+      </section>
+    `;
+  }
+
+  // Link to the current location, chart view and range
+  getShareUrl() {
+    const query = this.buildShareQuery({
+      lat: this.currentLat,
+      lon: this.currentLon,
+      view: this.currentChartView,
+      offset: this.chartWindow.offset,
+      span: this.chartWindow.span
+    });
+    return `${window.location.origin}${window.location.pathname}${query}`;
+  }
+
+  // One-line summary of the current conditions for sharing
+  getShareText() {
+    const location = this.currentLocationName || `${this.currentLat.toFixed(2)}, ${this.currentLon.toFixed(2)}`;
+    const pollenLevel = document.getElementById('pollen-level').textContent;
+    const mainAllergen = this.getMainAllergenName() || '–';
+    const aqi = document.getElementById('aqi').textContent;
+    const uv = document.getElementById('uv-index').textContent;
+
+    return this.t('share.text', { location, level: pollenLevel, allergen: mainAllergen, aqi, uv });
+  }
+
+  // Share report on a platform, through the system share sheet or as a copied link
+  async shareReport(platform) {
+    const text = this.getShareText();
+    const url = this.getShareUrl();
+
+    if (platform === 'native' && navigator.share) {
+      try {
+        await navigator.share({ title: this.t('share.title'), text, url });
+      } catch (error) {
+        if (error.name !== 'AbortError') {
+          this.showNotification(this.t('share.failed'), 'info');
+        }
+      }
+      return;
+    }
+
+    if (platform === 'copy' || platform === 'native') {
+      try {
+        await navigator.clipboard.writeText(url);
+        this.showNotification(this.t('share.copied'), 'info');
+      } catch (error) {
+        window.prompt(this.t('share.copyPrompt'), url);
+      }
+      return;
+    }
+
+    const shareUrl = this.getSharePlatformUrl(platform, text, url);
+    if (shareUrl) {
+      window.open(shareUrl, '_blank', 'noopener');
+    }
+  }
+
+  // Load an image from a URL
+  loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error('Image failed to load'));
+      image.src = src;
+    });
+  }
+
+  // Draw a 1200x630 social card from the current stats and chart
+  async renderShareCard() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1200;
+    canvas.height = 630;
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = '#1b5e20';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(40, 150, 1120, 420);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 44px "Segoe UI", sans-serif';
+    ctx.fillText(`🐝 ${this.t('share.title')}`, 40, 75);
+    ctx.font = '28px "Segoe UI", sans-serif';
+    const location = this.currentLocationName || `${this.currentLat.toFixed(2)}, ${this.currentLon.toFixed(2)}`;
+    ctx.fillText(`${location} · ${new Date().toLocaleDateString(this.getLocale())}`, 40, 120);
+
+    const stats = [
+      [this.t('stat.pollen'), document.getElementById('pollen-level').textContent],
+      [this.t('report.mainAllergen'), this.getMainAllergenName() || '–'],
+      [this.t('stat.aqi'), document.getElementById('aqi').textContent],
+      [this.t('stat.uv'), document.getElementById('uv-index').textContent]
+    ];
+    stats.forEach(([label, value], index) => {
+      const y = 210 + index * 95;
+      ctx.fillStyle = '#666666';
+      ctx.font = '22px "Segoe UI", sans-serif';
+      ctx.fillText(label, 70, y);
+      ctx.fillStyle = '#333333';
+      ctx.font = 'bold 34px "Segoe UI", sans-serif';
+      ctx.fillText(value, 70, y + 40, 330);
+    });
+
+    if (this.pollenChart) {
+      const chart = await this.loadImage(this.pollenChart.toBase64Image());
+      const scale = Math.min(720 / chart.width, 380 / chart.height);
+      ctx.drawImage(chart, 420, 170, chart.width * scale, chart.height * scale);
+    }
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = '20px "Segoe UI", sans-serif';
+    ctx.fillText(window.location.host, 40, 605);
+
+    return canvas;
+  }
+
+  // Render the share card and show it in a preview
+  async openShareCard() {
+    const canvas = await this.renderShareCard();
+    this.shareCardBlob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    document.getElementById('share-card-image').src = canvas.toDataURL('image/png');
+    document.getElementById('share-card-share').hidden = !navigator.canShare;
+    document.getElementById('shareCardModal').style.display = 'flex';
+  }
+
+  // Download the share card as a PNG
+  downloadShareCard() {
+    this.downloadFile('bee-healthy-pollen.png', this.shareCardBlob, 'image/png');
+  }
+
+  // Share the card image with the link through the system share sheet
+  async shareCardImage() {
+    const file = new File([this.shareCardBlob], 'bee-healthy-pollen.png', { type: 'image/png' });
+    const data = { title: this.t('share.title'), text: this.getShareText(), url: this.getShareUrl() };
+    if (navigator.canShare({ files: [file] })) {
+      data.files = [file];
+    }
+
+    try {
+      await navigator.share(data);
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.showNotification(this.t('share.failed'), 'info');
       }
     }
   }
 
-  // Change chart range
-  changeChartRange(range) {
-    this.chartRange = range;
+  // Close the share card preview
+  closeShareCard() {
+    document.getElementById('shareCardModal').style.display = 'none';
+  }
+
+  // Change chart time window
+  changeChartRange(offset, span) {
+    this.chartWindow = { offset, span };
+    this.updateCharts();
+  }
+
+  // Pan the chart window by half its span (-1 = earlier, 1 = later)
+  panChart(direction) {
+    const step = Math.max(1, Math.round(this.chartWindow.span / 2));
+    const offset = this.chartWindow.offset + direction * step;
+
+    this.chartWindow.offset = this.clampChartOffset(offset, this.chartWindow.span);
+    this.clearChartRangeSelection();
+    this.updateCharts();
+  }
+
+  // Keep a window start within recorded history and the forecast horizon
+  clampChartOffset(offset, span) {
+    const minOffset = -this.readingStore.RETENTION_DAYS * 24;
+    const maxOffset = this.CHART_MAX_FUTURE_HOURS - span;
+    return Math.min(maxOffset, Math.max(minOffset, offset));
+  }
+
+  // Zoom the chart window around its center (factor < 1 zooms in)
+  zoomChart(factor) {
+    const { offset, span } = this.chartWindow;
+    const newSpan = Math.min(this.CHART_SPAN_LIMITS.max, Math.max(this.CHART_SPAN_LIMITS.min, Math.round(span * factor)));
+    const center = offset + span / 2;
+
+    this.chartWindow = { offset: this.clampChartOffset(Math.round(center - newSpan / 2), newSpan), span: newSpan };
+    this.clearChartRangeSelection();
     this.updateCharts();
   }
 
+  // Show a custom window in the range selector after panning or zooming
+  clearChartRangeSelection() {
+    const select = document.getElementById('chart-range');
+    const value = `${this.chartWindow.offset}:${this.chartWindow.span}`;
+    const preset = Array.from(select.options).find(option => option.value === value);
+    select.value = preset ? value : 'custom';
+  }
+
+  // Current hour in the location's timezone as an API timestamp
+  getNowHour() {
+    const now = this.lastReadings?.current?.time || window.hourlyData?.time?.[0];
+    return now ? `${now.slice(0, 13)}:00` : null;
+  }
+
   // Calendar state
   currentCalendarDate = new Date();
+  calendarLoads = {};
   
   // Render pollen calendar
   renderPollenCalendar() {
@@ -323,37 +1178,37 @@ class BeeHealthyApp {
     const month = this.currentCalendarDate.getMonth();
     
     // Update month/year header
-    const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 
-                       'July', 'August', 'September', 'October', 'November', 'December'];
-    monthYearEl.textContent = `${monthNames[month]} ${year}`;
-    
-    // Get first day of month and number of days
-    const firstDay = new Date(year, month, 1);
-    const lastDay = new Date(year, month + 1, 0);
-    const startDate = new Date(firstDay);
-    const endDate = new Date(lastDay);
+    monthYearEl.textContent = this.currentCalendarDate.toLocaleDateString(this.getLocale(), { month: 'long', year: 'numeric' });
     
-    // Adjust start date to include previous month's days to fill first week
-    const dayOfWeek = firstDay.getDay();
-    startDate.setDate(startDate.getDate() - dayOfWeek);
+    const { startDate, endDate } = this.getCalendarGridRange(year, month);
+
+    // Weekday names in the chosen language, starting on Sunday like the grid
+    document.getElementById('calendar-weekdays').innerHTML = Array.from({ length: 7 }, (_, i) => {
+      const day = new Date(startDate);
+      day.setDate(startDate.getDate() + i);
+      return `<div>${day.toLocaleDateString(this.getLocale(), { weekday: 'short' })}</div>`;
+    }).join('');
     
     // Generate calendar days
     let calendarHTML = '';
     const currentDate = new Date(startDate);
     
-    while (currentDate <= endDate || currentDate.getDay() !== 0) {
+    while (currentDate <= endDate) {
       const isCurrentMonth = currentDate.getMonth() === month;
       const isToday = this.isToday(currentDate);
+      const dateKey = this.formatDateKey(currentDate);
+      const dayData = this.dailyAggregates[dateKey];
       const pollenLevel = this.getPollenLevelForDate(currentDate);
       
       let dayClasses = 'calendar-day';
       if (!isCurrentMonth) dayClasses += ' other-month';
       if (isToday) dayClasses += ' today';
+      if (dayData) dayClasses += ` source-${dayData.source}`;
       
       calendarHTML += `
-        <div class="${dayClasses}" onclick="app.showDayDetails('${currentDate.toISOString()}')">
+        <div class="${dayClasses}" onclick="app.showDayDetails('${dateKey}')">
           <div class="calendar-day-number">${currentDate.getDate()}</div>
-          ${pollenLevel ? `<div class="calendar-day-pollen ${pollenLevel.toLowerCase().replace(' ', '-')}">${pollenLevel}</div>` : ''}
+          ${pollenLevel ? `<div class="calendar-day-pollen ${pollenLevel.toLowerCase().replace(' ', '-')}">${this.getLevelLabel(pollenLevel)}</div>` : ''}
         </div>
       `;
       
@@ -361,135 +1216,505 @@ class BeeHealthyApp {
     }
     
     daysContainer.innerHTML = calendarHTML;
+
+    // Fetch real data for the visible days, re-rendering once it arrives
+    this.ensureCalendarData(year, month);
   }
-  
-  // Check if a date is today
-  isToday(date) {
-    const today = new Date();
-    return date.getDate() === today.getDate() &&
-           date.getMonth() === today.getMonth() &&
-           date.getFullYear() === today.getFullYear();
+
+  // Fetch hourly pollen history between two YYYY-MM-DD dates
+  async fetchPollenHistory(lat, lon, startKey, endKey) {
+    const pollenKeys = Object.keys(this.POLLEN_INFO).map(type => `${type.toLowerCase()}_pollen`);
+    const readings = await this.providers.airQuality.fetchAirQualityHistory(lat, lon, startKey, endKey, pollenKeys);
+    return readings.hourly;
   }
-  
-  // Get pollen level for a specific date (mock data for now)
-  getPollenLevelForDate(date) {
-    // This would ideally use real historical data or predictions
-    // For now, we'll generate some realistic seasonal patterns
-    const month = date.getMonth();
-    const day = date.getDate();
-    
-    // Spring months (March-May) - higher pollen
-    if (month >= 2 && month <= 4) {
-      if (month === 3 && day >= 15 && day <= 30) return 'High'; // April peak
-      if (month === 4 && day >= 1 && day <= 15) return 'High'; // April peak
-      if (month === 2 && day >= 20) return 'Moderate'; // Late March
-      if (month === 4 && day >= 16) return 'Moderate'; // Late April
-      return 'Low';
+
+  // Get typical pollen for a month at a location, from previous years
+  async getClimatology(lat, lon, month) {
+    const storageKey = `beeHealthyClimatology:${lat.toFixed(2)},${lon.toFixed(2)}:${month}`;
+    const cached = localStorage.getItem(storageKey);
+    if (cached) {
+      return JSON.parse(cached);
     }
-    
-    // Summer months (June-August) - grass pollen
-    if (month >= 5 && month <= 7) {
-      if (month === 5 && day >= 20) return 'High'; // Late May
-      if (month === 6) return 'High'; // June peak
-      if (month === 7 && day <= 15) return 'Moderate'; // Early July
-      return 'Low';
+
+    const thisYear = new Date().getFullYear();
+    const years = Array.from({ length: this.CLIMATOLOGY_YEARS }, (_, i) => thisYear - 1 - i);
+    const yearlyAggregates = await Promise.all(years.map(async year => {
+      const startKey = this.formatDateKey(new Date(year, month, 1));
+      const endKey = this.formatDateKey(new Date(year, month + 1, 0));
+      try {
+        const hourly = await this.fetchPollenHistory(lat, lon, startKey, endKey);
+        return this.aggregateDailyPollen(hourly, 'climatology');
+      } catch (error) {
+        console.warn(`Failed to load pollen history for ${year}:`, error);
+        return null;
+      }
+    }));
+
+    const climatology = this.buildClimatology(yearlyAggregates.filter(Boolean));
+    if (Object.keys(climatology).length > 0) {
+      this.pruneClimatology(storageKey);
+      localStorage.setItem(storageKey, JSON.stringify(climatology));
     }
-    
-    // Fall months (September-November) - ragweed
-    if (month >= 8 && month <= 10) {
-      if (month === 8 && day >= 20) return 'Moderate'; // Late August
-      if (month === 9) return 'High'; // September peak
-      if (month === 10 && day <= 15) return 'Moderate'; // Early October
-      return 'Low';
+    return climatology;
+  }
+
+  // Drop cached climatology for other locations, keeping at most one
+  // location's twelve months in localStorage
+  pruneClimatology(storageKey) {
+    const location = storageKey.split(':')[1];
+    const stale = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith('beeHealthyClimatology:') && key.split(':')[1] !== location) {
+        stale.push(key);
+      }
     }
-    
-    // Winter months - minimal pollen
-    return null;
+    stale.forEach(key => localStorage.removeItem(key));
+  }
+
+  // Load calendar data once per location and month
+  ensureCalendarData(year, month) {
+    const loadKey = `${this.currentLat},${this.currentLon}:${year}-${month}`;
+    if (this.calendarLoads[loadKey]) return;
+
+    const load = this.loadCalendarData(year, month)
+      .then(() => {
+        const shown = this.currentCalendarDate;
+        if (shown.getFullYear() === year && shown.getMonth() === month) {
+          this.updateCalendarDisplay();
+        }
+      })
+      .catch(error => {
+        console.warn('Failed to load calendar data:', error);
+        // Let the next visit to this month try again
+        if (this.calendarLoads[loadKey] === load) {
+          delete this.calendarLoads[loadKey];
+        }
+      });
+    this.calendarLoads[loadKey] = load;
+  }
+
+  // Load history for past days and climatology for days beyond the forecast
+  async loadCalendarData(year, month) {
+    const lat = this.currentLat;
+    const lon = this.currentLon;
+    const { startDate, endDate } = this.getCalendarGridRange(year, month);
+    const loaded = {};
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    // Past days come from the local history, then historical air-quality data
+    if (startDate < today) {
+      const yesterday = new Date(today);
+      yesterday.setDate(yesterday.getDate() - 1);
+      const historyEnd = endDate < yesterday ? endDate : yesterday;
+      const startKey = this.formatDateKey(startDate);
+      const endKey = this.formatDateKey(historyEnd);
+
+      const stored = await this.queryHistory(lat, lon, `${startKey}T00:00`, `${endKey}T23:00`);
+      const storedDays = this.aggregateDailyPollen(stored, 'history');
+      Object.keys(storedDays).forEach(key => {
+        if (storedDays[key].hours < 20) delete storedDays[key];
+      });
+
+      let pastDays = 0;
+      for (const date = new Date(startDate); date <= historyEnd; date.setDate(date.getDate() + 1)) {
+        pastDays++;
+      }
+
+      if (Object.keys(storedDays).length < pastDays) {
+        const hourly = await this.fetchPollenHistory(lat, lon, startKey, endKey);
+        Object.assign(loaded, this.aggregateDailyPollen(hourly, 'history'));
+      }
+      Object.assign(loaded, storedDays);
+    }
+
+    // Days not covered by history or the forecast fall back to climatology
+    const missing = [];
+    for (const date = new Date(startDate); date <= endDate; date.setDate(date.getDate() + 1)) {
+      const key = this.formatDateKey(date);
+      if (date >= today && !this.dailyAggregates[key]) {
+        missing.push(key);
+      }
+    }
+
+    const months = [...new Set(missing.map(key => this.parseDateKey(key).getMonth()))];
+    for (const missingMonth of months) {
+      const climatology = await this.getClimatology(lat, lon, missingMonth);
+      missing
+        .filter(key => this.parseDateKey(key).getMonth() === missingMonth)
+        .forEach(key => {
+          if (climatology[key.slice(5)]) {
+            loaded[key] = climatology[key.slice(5)];
+          }
+        });
+    }
+
+    // Ignore results if the location changed while loading
+    if (lat !== this.currentLat || lon !== this.currentLon) return;
+
+    // Never let history or climatology replace forecast days
+    Object.entries(loaded).forEach(([key, day]) => {
+      if (this.dailyAggregates[key]?.source !== 'forecast') {
+        this.dailyAggregates[key] = day;
+      }
+    });
+  }
+
+  // Replace calendar data after the forecast for a location is loaded
+  resetCalendarData(hourlyData) {
+    this.dailyAggregates = this.aggregateDailyPollen(hourlyData, 'forecast');
+    this.calendarLoads = {};
+    this.sensitivityCache = undefined;
+    this.updateCalendarDisplay();
   }
   
   // Navigate to previous month
   previousMonth() {
+    this.currentCalendarDate.setDate(1);
     this.currentCalendarDate.setMonth(this.currentCalendarDate.getMonth() - 1);
     this.updateCalendarDisplay();
   }
   
   // Navigate to next month
   nextMonth() {
+    this.currentCalendarDate.setDate(1);
     this.currentCalendarDate.setMonth(this.currentCalendarDate.getMonth() + 1);
     this.updateCalendarDisplay();
   }
   
-  // Show details for a specific day
-  showDayDetails(dateString) {
-    const date = new Date(dateString);
-    const pollenLevel = this.getPollenLevelForDate(date);
-    const pollenInfo = this.getPollenInfoForDate(date);
-    
-    let message = `Date: ${date.toLocaleDateString()}`;
-    if (pollenLevel) {
-      message += `\nPollen Level: ${pollenLevel}`;
-      message += `\n\n${pollenInfo}`;
+  // Show per-allergen peaks and means for a specific day
+  showDayDetails(dateKey) {
+    const date = this.parseDateKey(dateKey);
+    const dayData = this.dailyAggregates[dateKey];
+
+    document.getElementById('dayDetailsTitle').textContent = date.toLocaleDateString(this.getLocale(), {
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    const contentEl = document.getElementById('dayDetailsContent');
+
+    if (!dayData) {
+      contentEl.innerHTML = `<div class="loading"><i class="fas fa-info-circle"></i> ${this.t('dayDetails.none')}</div>`;
     } else {
-      message += '\nPollen Level: Minimal';
-      message += '\n\nWinter months typically have minimal pollen activity.';
+      const level = this.getPollenLevelForDate(date) || 'None';
+      const rows = this.rankAllergens(
+        Object.fromEntries(Object.entries(dayData.allergens).map(([type, stats]) => [type, stats.max]))
+      ).map(([type]) => {
+        const stats = dayData.allergens[type];
+        const levelClass = this.getPollenLevelClass(this.getPollenLevelCategory(stats.max, type));
+        return `
+          <tr${this.isUserAllergen(type) ? ' class="user-allergen"' : ''}>
+            <td>${this.getPollenName(type)}</td>
+            <td class="${levelClass}">${this.formatNumber(stats.max, 1)}</td>
+            <td>${this.formatNumber(stats.mean, 1)}</td>
+          </tr>
+        `;
+      }).join('');
+
+      contentEl.innerHTML = `
+        <p>
+          <span class="badge badge-info">${this.t(`dayDetails.${dayData.source}`)}</span>
+          ${this.t('dayDetails.overall')} <span class="${this.getPollenLevelClass(level)}">${this.getLevelLabel(level)}</span>
+        </p>
+        <table class="day-details-table">
+          <thead>
+            <tr><th>${this.t('forecast.allergen')}</th><th>${this.t('forecast.peak')}</th><th>${this.t('dayDetails.mean')}</th></tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+        <p class="stat-label">${this.t('dayDetails.unit', { unit: this.getPollenUnit() })}</p>
+      `;
     }
-    
-    this.showNotification(message, 'info');
+
+    document.getElementById('dayDetailsModal').style.display = 'flex';
   }
-  
-  // Get pollen information for a specific date
-  getPollenInfoForDate(date) {
-    const month = date.getMonth();
-    
-    if (month >= 2 && month <= 4) {
-      return 'Spring pollen season - primarily tree pollen (birch, alder, oak). Consider keeping windows closed and using air purifiers.';
-    } else if (month >= 5 && month <= 7) {
-      return 'Summer pollen season - primarily grass pollen. Peak levels typically occur on warm, dry days.';
-    } else if (month >= 8 && month <= 10) {
-      return 'Fall pollen season - primarily weed pollen (ragweed, mugwort). Levels can be high in rural areas.';
-    } else {
-      return 'Winter season - minimal pollen activity. Good time for outdoor activities if weather permits.';
+
+  // Hide day details modal
+  hideDayDetails() {
+    document.getElementById('dayDetailsModal').style.display = 'none';
+  }
+
+  // Load user profile from localStorage
+  loadUserProfile() {
+    try {
+      const saved = localStorage.getItem('beeHealthyProfile');
+      this.userProfile = saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn('Failed to load user profile:', error);
+      this.userProfile = null;
+    }
+  }
+
+  // Save user profile to localStorage
+  saveUserProfile(profile) {
+    this.userProfile = profile;
+    localStorage.setItem('beeHealthyProfile', JSON.stringify(profile));
+  }
+
+  // Show profile modal
+  showProfile() {
+    const profile = this.userProfile || { allergies: [], severity: '', medications: '' };
+
+    const allergensDiv = document.getElementById('profile-allergens');
+    allergensDiv.innerHTML = Object.keys(this.POLLEN_INFO).map(type => `
+      <label class="profile-allergen">
+        <input type="checkbox" value="${type.toLowerCase()}" ${profile.allergies.includes(type.toLowerCase()) ? 'checked' : ''}>
+        ${this.getPollenName(type)}
+      </label>
+    `).join('');
+
+    document.getElementById('profile-severity').value = profile.severity || '';
+    document.getElementById('profile-medications').value = profile.medications || '';
+    document.getElementById('profileModal').style.display = 'flex';
+  }
+
+  // Close profile modal
+  closeProfile() {
+    document.getElementById('profileModal').style.display = 'none';
+  }
+
+  // Save profile from modal form
+  submitProfile() {
+    const allergies = Array.from(document.querySelectorAll('#profile-allergens input:checked'))
+      .map(input => input.value);
+    const severity = document.getElementById('profile-severity').value;
+    const medications = document.getElementById('profile-medications').value.trim();
+
+    this.saveUserProfile({
+      allergies,
+      severity: this.SEVERITY_LEVELS.includes(severity) ? severity : '',
+      medications
+    });
+
+    this.closeProfile();
+    this.initMedications();
+    this.showNotification(this.t('profile.saved'), 'info');
+
+    // Re-rank current data with the new profile
+    if (this.currentPollenTypes) {
+      this.updateMainAllergen(this.currentPollenTypes);
+      this.updatePollenBreakdown(this.currentPollenTypes);
+      this.refreshAllergyRisk();
+    }
+  }
+
+  // Show the current allergy risk and its breakdown
+  updateAllergyRisk(current) {
+    const riskEl = document.getElementById('allergy-risk');
+    const breakdownEl = document.getElementById('allergy-risk-breakdown');
+    const risk = this.getRiskScore(current);
+
+    if (!risk) {
+      riskEl.textContent = this.t('common.na');
+      riskEl.className = '';
+      breakdownEl.innerHTML = '';
+      return;
+    }
+
+    riskEl.textContent = `${risk.score} (${this.getLevelLabel(risk.level)})`;
+    riskEl.className = this.getPollenLevelClass(risk.level);
+    breakdownEl.innerHTML = this.describeRiskFactors(risk)
+      .map(line => `<span>${this.escapeHtml(line)}</span>`)
+      .join('');
+  }
+
+  // Recompute the allergy risk after the profile or diary changed
+  refreshAllergyRisk() {
+    this.updateAllergyRisk(this.riskCurrent);
+    if (window.hourlyData) {
+      this.addRiskSeries(window.hourlyData);
+    }
+    if (this.pollenChart) {
+      this.updateCharts();
+    }
+  }
+
+  // Update main allergen line
+  updateMainAllergen(pollenTypes) {
+    const [type] = this.getMainAllergen(pollenTypes);
+    const suffix = this.isUserAllergen(type) ? ` ${this.t('allergen.yoursSuffix')}` : '';
+    document.getElementById("main-allergen").textContent = `${this.getPollenName(type)}${suffix}`;
+  }
+
+  // Name of the current main allergen for summaries, without the UI-only
+  // "your allergen" suffix; null before pollen data is loaded
+  getMainAllergenName() {
+    if (!this.currentPollenTypes) return null;
+    return this.getPollenName(this.getMainAllergen(this.currentPollenTypes)[0]);
+  }
+
+  // Load symptom diary from localStorage
+  loadSymptomDiary() {
+    try {
+      this.symptomDiary = JSON.parse(localStorage.getItem('beeHealthySymptoms')) || {};
+    } catch (error) {
+      console.warn('Failed to load symptom diary:', error);
+      this.symptomDiary = {};
     }
   }
 
+  // Save symptom diary to localStorage
+  saveSymptomDiary() {
+    localStorage.setItem('beeHealthySymptoms', JSON.stringify(this.symptomDiary));
+  }
+
+  // Save a symptom diary entry from the form
+  submitSymptomEntry() {
+    const dateKey = document.getElementById('symptom-date').value || this.formatDateKey(new Date());
+    const entry = {
+      medication: document.getElementById('symptom-medication').value.trim()
+    };
+    Object.keys(this.SYMPTOMS).forEach(symptom => {
+      entry[symptom] = parseInt(document.getElementById(`symptom-${symptom}`).value) || 0;
+    });
+
+    // Record the day's exposure alongside the symptoms
+    const exposure = this.getDailyExposure(dateKey) || this.symptomDiary[dateKey]?.exposure;
+    if (exposure) {
+      entry.exposure = exposure;
+    }
+
+    this.symptomDiary[dateKey] = entry;
+    this.saveSymptomDiary();
+    this.renderSymptomDiary();
+    this.showNotification(this.t('diary.logged', { date: this.parseDateKey(dateKey).toLocaleDateString(this.getLocale()) }), 'info');
 
+    if (this.currentPollenTypes) {
+      this.updateMainAllergen(this.currentPollenTypes);
+      this.updatePollenBreakdown(this.currentPollenTypes);
+      this.refreshAllergyRisk();
+    }
+  }
 
+  // Remove a symptom diary entry
+  removeSymptomEntry(dateKey) {
+    delete this.symptomDiary[dateKey];
+    this.saveSymptomDiary();
+    this.renderSymptomDiary();
+  }
 
+  // Render diary entries and the sensitivity chart
+  renderSymptomDiary() {
+    const listEl = document.getElementById('symptom-entries');
+    if (!listEl) return;
 
+    const dateInput = document.getElementById('symptom-date');
+    if (!dateInput.value) {
+      dateInput.value = this.formatDateKey(new Date());
+    }
 
+    const recent = Object.keys(this.symptomDiary).sort().reverse().slice(0, 7);
+    listEl.innerHTML = recent.length === 0
+      ? `<li class="loading">${this.t('diary.empty')}</li>`
+      : recent.map(dateKey => {
+        const entry = this.symptomDiary[dateKey];
+        const medication = entry.medication ? ` · ${this.escapeHtml(entry.medication)}` : '';
+        return `
+          <li class="symptom-entry">
+            <span>
+              <strong>${this.parseDateKey(dateKey).toLocaleDateString(this.getLocale())}</strong>
+              – ${this.t('diary.score', { score: this.getSymptomScore(entry) })}${medication}
+            </span>
+            <button class="btn" onclick="app.removeSymptomEntry('${dateKey}')" aria-label="${this.t('diary.remove')}">
+              <i class="fas fa-trash"></i>
+            </button>
+          </li>
+        `;
+      }).join('');
+
+    this.sensitivityCache = undefined;
+    this.renderSensitivityChart();
+  }
 
+  // Create sensitivity bar chart
+  renderSensitivityChart() {
+    const summaryEl = document.getElementById('sensitivity-summary');
+    const estimates = this.getSensitivityEstimates();
 
+    if (this.sensitivityChart) {
+      this.sensitivityChart.destroy();
+      this.sensitivityChart = null;
+    }
+
+    if (!estimates || Object.keys(estimates).length === 0) {
+      const logged = Object.keys(this.symptomDiary).length;
+      summaryEl.textContent = this.t('sensitivity.needMore', { days: this.MIN_DIARY_DAYS, logged });
+      return;
+    }
 
+    summaryEl.textContent = this.describeSensitivity(estimates);
 
+    const colorFor = (factor) => ({
+      'PM2.5': this.CHART_COLORS.pm25,
+      'AQI': this.CHART_COLORS.aqi
+    })[factor] || this.CHART_COLORS[factor.toLowerCase()];
+
+    const ctx = document.getElementById('sensitivityChart').getContext('2d');
+    this.sensitivityChart = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: Object.keys(estimates).map(factor => (this.POLLEN_INFO[factor] ? this.getPollenName(factor) : factor)),
+        datasets: [{
+          label: this.t('sensitivity.dataset'),
+          data: Object.values(estimates).map(r => Math.round(r * 100) / 100),
+          backgroundColor: Object.keys(estimates).map(colorFor)
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          y: {
+            min: -1,
+            max: 1,
+            title: {
+              display: true,
+              text: this.t('sensitivity.axis')
+            }
+          }
+        },
+        plugins: {
+          legend: {
+            display: false
+          }
+        }
+      }
+    });
+  }
 
   // Generate email summary content for EmailJS template
   generateEmailSummary() {
-    const currentDate = new Date().toLocaleDateString();
-    const location = document.getElementById('location')?.textContent || 'Unknown Location';
-    const pollenLevel = document.getElementById('pollen-level')?.textContent || 'Unknown';
-    const mainAllergen = document.getElementById('main-allergen')?.textContent || 'Unknown';
+    const currentDate = new Date().toLocaleDateString(this.getLocale());
+    const location = document.getElementById('location')?.textContent || this.t('summary.unknownLocation');
+    const level = this.currentPollenTypes ? this.getOverallPollenLevel(this.currentPollenTypes) : null;
+    const pollenLevel = level ? this.getLevelLabel(level) : this.t('summary.unknown');
+    const mainAllergen = this.getMainAllergenName() || this.t('summary.unknown');
     
     // Get pollen level class for styling
     let pollenLevelClass = 'low';
-    if (pollenLevel.toLowerCase().includes('high')) {
+    if (level === 'High' || level === 'Very High') {
       pollenLevelClass = 'high';
-    } else if (pollenLevel.toLowerCase().includes('moderate')) {
+    } else if (level === 'Moderate') {
       pollenLevelClass = 'moderate';
     }
     
     // Format user allergies
-    let userAllergies = 'None specified';
+    let userAllergies = this.t('summary.noAllergies');
     if (this.userProfile?.allergies?.length > 0) {
       userAllergies = this.userProfile.allergies.map(allergy => 
-        allergy.charAt(0).toUpperCase() + allergy.slice(1)
+        this.getPollenName(allergy.charAt(0).toUpperCase() + allergy.slice(1))
       ).join(', ');
     }
     
     // Format severity level
-    let severityLevel = 'Not specified';
+    let severityLevel = this.t('summary.noSeverity');
     if (this.userProfile?.severity) {
-      severityLevel = this.userProfile.severity.charAt(0).toUpperCase() + 
-                     this.userProfile.severity.slice(1);
+      severityLevel = this.t(`severity.${this.userProfile.severity}`);
     }
     
     // Format medications
@@ -510,60 +1735,439 @@ class BeeHealthyApp {
     };
   }
 
+  // Extend the email summary with today's forecast for the daily briefing
+  buildDailyBriefing() {
+    const params = {
+      ...this.generateEmailSummary(),
+      forecast_peak: this.t('report.noForecast'),
+      best_outdoor_window: this.t('forecast.noDaytime'),
+      uv_max: this.t('summary.unknown'),
+      uv_advice: ''
+    };
+
+    const readings = this.lastReadings;
+    if (readings?.current) {
+      const todayKey = readings.current.time.slice(0, 10);
+      const today = this.aggregateDailyForecast(readings.hourly)[todayKey];
+
+      if (today) {
+        const peakTime = today.allergens[today.driver].peakTime;
+        params.forecast_peak = today.totalMax > 0
+          ? this.t('briefing.forecastPeak', {
+            level: this.getLevelLabel(this.getDayPollenLevel(today)),
+            value: this.formatPollenValue(today.totalMax),
+            allergen: this.getPollenName(today.driver),
+            time: this.formatHour(peakTime)
+          })
+          : this.t('briefing.noPollen');
+        if (today.bestWindow) {
+          params.best_outdoor_window = this.t('forecast.window', { time: this.formatHour(today.bestWindow.start), hours: today.bestWindow.hours });
+        }
+        if (today.uv) {
+          params.uv_max = `${this.formatNumber(today.uv.max, 1)} (${this.getLevelLabel(this.getUVLevelCategory(today.uv.max))})`;
+          params.uv_advice = this.getUVAdvice(today.uv.max);
+        }
+      }
+    }
+
+    return this.formatBriefing(params);
+  }
+
+  // Load briefing settings and schedule the next briefing
+  loadBriefingSettings() {
+    const defaults = { enabled: false, time: '07:00', type: 'webhook', endpoint: '', recipient: '', serviceId: '', templateId: '', userId: '', lastSentDate: null };
+    try {
+      this.briefingSettings = { ...defaults, ...JSON.parse(localStorage.getItem('beeHealthyBriefing')) };
+    } catch (error) {
+      console.warn('Failed to load briefing settings:', error);
+      this.briefingSettings = defaults;
+    }
+
+    const settings = this.briefingSettings;
+    document.getElementById('briefing-enabled').checked = settings.enabled;
+    document.getElementById('briefing-time').value = settings.time;
+    document.getElementById('briefing-transport').value = settings.type;
+    document.getElementById('briefing-endpoint').value = settings.endpoint;
+    document.getElementById('briefing-recipient').value = settings.recipient;
+    document.getElementById('briefing-service-id').value = settings.serviceId;
+    document.getElementById('briefing-template-id').value = settings.templateId;
+    document.getElementById('briefing-user-id').value = settings.userId;
+    this.updateBriefingFields();
+    this.scheduleBriefing();
+  }
+
+  // Read briefing settings from the form
+  readBriefingForm() {
+    return {
+      ...this.briefingSettings,
+      enabled: document.getElementById('briefing-enabled').checked,
+      time: document.getElementById('briefing-time').value || '07:00',
+      type: document.getElementById('briefing-transport').value,
+      endpoint: document.getElementById('briefing-endpoint').value.trim(),
+      recipient: document.getElementById('briefing-recipient').value.trim(),
+      serviceId: document.getElementById('briefing-service-id').value.trim(),
+      templateId: document.getElementById('briefing-template-id').value.trim(),
+      userId: document.getElementById('briefing-user-id').value.trim()
+    };
+  }
+
+  // Show the form fields the selected transport uses
+  updateBriefingFields() {
+    const type = document.getElementById('briefing-transport').value;
+    document.getElementById('briefing-endpoint').placeholder = this.t(`briefing.endpoint.${type}`);
+    document.getElementById('briefing-recipient').style.display = type === 'webhook' ? 'none' : '';
+    document.getElementById('briefing-emailjs-fields').style.display = type === 'emailjs' ? '' : 'none';
+  }
+
+  // Save briefing settings from the form
+  saveBriefingSettings() {
+    const settings = this.readBriefingForm();
+    try {
+      createTransport(settings);
+    } catch (error) {
+      this.showNotification(error.message, 'warning');
+      return;
+    }
+
+    this.briefingSettings = settings;
+    localStorage.setItem('beeHealthyBriefing', JSON.stringify(settings));
+    this.scheduleBriefing();
+    this.showNotification(settings.enabled ? this.t('briefing.scheduled', { time: settings.time }) : this.t('briefing.saved'), 'info');
+  }
 
+  // Schedule the next daily briefing while the app is open
+  scheduleBriefing(delay = null) {
+    clearTimeout(this.briefingTimer);
+    this.briefingTimer = null;
+    if (!this.briefingSettings?.enabled) return;
 
-  // Get pollen level category
-  getPollenLevelCategory(value) {
-    if (value >= this.POLLEN_LEVELS.VERY_HIGH) return 'Very High';
-    if (value >= this.POLLEN_LEVELS.HIGH) return 'High';
-    if (value >= this.POLLEN_LEVELS.MODERATE) return 'Moderate';
-    return 'Low';
+    if (delay === null) {
+      delay = this.getNextBriefingDelay(this.briefingSettings.time, this.briefingSettings.lastSentDate);
+    }
+    this.briefingTimer = setTimeout(() => this.sendDailyBriefing(), delay);
   }
 
-  // Get UV level category
-  getUVLevelCategory(value) {
-    if (value >= this.UV_LEVELS.EXTREME) return 'Extreme';
-    if (value >= this.UV_LEVELS.VERY_HIGH) return 'Very High';
-    if (value >= this.UV_LEVELS.HIGH) return 'High';
-    if (value >= this.UV_LEVELS.MODERATE) return 'Moderate';
-    return 'Low';
+  // Refresh the data and send today's briefing
+  async sendDailyBriefing() {
+    this.briefingTimer = null;
+    const today = this.formatDateKey(new Date());
+
+    if (this.briefingSettings.lastSentDate !== today) {
+      await this.refreshData();
+      try {
+        await createTransport(this.briefingSettings).send(this.buildDailyBriefing());
+        this.briefingSettings.lastSentDate = today;
+        localStorage.setItem('beeHealthyBriefing', JSON.stringify(this.briefingSettings));
+      } catch (error) {
+        console.error('Failed to send daily briefing:', error);
+        this.showNotification(this.t('briefing.sendFailed', { message: error.message }), 'warning');
+        this.scheduleBriefing(this.BRIEFING_RETRY_MINUTES * 60000);
+        return;
+      }
+    }
+
+    this.scheduleBriefing();
   }
 
-  // Get UV level class
-  getUVLevelClass(level) {
-    const levelLower = level.toLowerCase();
-    if (levelLower.includes('extreme')) return 'uv-extreme';
-    if (levelLower.includes('very high')) return 'uv-very-high';
-    if (levelLower.includes('high')) return 'uv-high';
-    if (levelLower.includes('moderate')) return 'uv-moderate';
-    return 'uv-low';
+  // Send a briefing now with the settings in the form
+  async sendTestBriefing() {
+    try {
+      await createTransport(this.readBriefingForm()).send(this.buildDailyBriefing());
+      this.showNotification(this.t('briefing.testSent'), 'info');
+    } catch (error) {
+      this.showNotification(this.t('briefing.testFailed', { message: error.message }), 'warning');
+    }
   }
 
-  // Get pollen level color class
-  getPollenLevelClass(level) {
-    const levelLower = level.toLowerCase();
-    if (levelLower.includes('very high') || levelLower.includes('high')) return 'high';
-    if (levelLower.includes('moderate')) return 'moderate';
-    return 'low';
+  // Show the briefing as it would be sent
+  previewBriefing() {
+    const briefing = this.buildDailyBriefing();
+    document.getElementById('briefingSubject').textContent = briefing.subject;
+    document.getElementById('briefingPreview').innerHTML = briefing.html;
+    document.getElementById('briefingModal').style.display = 'flex';
   }
 
-  // Format pollen value
-  formatPollenValue(value) {
-    return value ? `${value.toFixed(1)} grains/m³` : '0.0 grains/m³';
+  // Close the briefing preview
+  closeBriefingPreview() {
+    document.getElementById('briefingModal').style.display = 'none';
   }
 
   // Get location name from coordinates
-  async getLocationName(lat, lon) {
+  async getLocationName(lat, lon, signal = null) {
     try {
-      const response = await fetch(`https://api.bigdatacloud.net/data/reverse-geocode-client?latitude=${lat}&longitude=${lon}&localityLanguage=en`);
-      const data = await response.json();
-      return data.city || data.locality || `${lat.toFixed(2)}, ${lon.toFixed(2)}`;
+      const name = await this.providers.geocoding.reverseGeocode(lat, lon, this.preferences.language, { signal });
+      return name || `${lat.toFixed(2)}, ${lon.toFixed(2)}`;
     } catch (error) {
       console.warn('Failed to get location name:', error);
       return `${lat.toFixed(2)}, ${lon.toFixed(2)}`;
     }
   }
 
+  // Load saved locations watchlist from localStorage
+  loadSavedLocations() {
+    try {
+      this.savedLocations = JSON.parse(localStorage.getItem('beeHealthyLocations')) || [];
+    } catch (error) {
+      console.warn('Failed to load saved locations:', error);
+      this.savedLocations = [];
+    }
+  }
+
+  // Persist saved locations and refresh the list
+  saveSavedLocations() {
+    localStorage.setItem('beeHealthyLocations', JSON.stringify(this.savedLocations));
+    this.renderSavedLocations();
+  }
+
+  // Add the current location to the watchlist
+  addCurrentLocation() {
+    const suggested = this.currentLocationName || `${this.currentLat.toFixed(2)}, ${this.currentLon.toFixed(2)}`;
+    const name = window.prompt(this.t('savedLocations.namePrompt'), suggested);
+    if (!name || !name.trim()) return;
+
+    this.savedLocations.push({
+      id: `loc-${Date.now()}`,
+      name: name.trim(),
+      lat: this.currentLat,
+      lon: this.currentLon
+    });
+    this.saveSavedLocations();
+    this.showNotification(this.t('savedLocations.saved', { name: name.trim() }), 'info');
+  }
+
+  // Rename a saved location
+  renameLocation(id) {
+    const location = this.savedLocations.find(loc => loc.id === id);
+    if (!location) return;
+
+    const name = window.prompt(this.t('savedLocations.renamePrompt'), location.name);
+    if (!name || !name.trim()) return;
+
+    location.name = name.trim();
+    this.saveSavedLocations();
+  }
+
+  // Remove a saved location
+  removeLocation(id) {
+    this.savedLocations = this.savedLocations.filter(loc => loc.id !== id);
+    this.saveSavedLocations();
+  }
+
+  // Move a saved location up (-1) or down (+1) in the list
+  moveLocation(id, direction) {
+    const index = this.savedLocations.findIndex(loc => loc.id === id);
+    const target = index + direction;
+    if (index < 0 || target < 0 || target >= this.savedLocations.length) return;
+
+    const [location] = this.savedLocations.splice(index, 1);
+    this.savedLocations.splice(target, 0, location);
+    this.saveSavedLocations();
+  }
+
+  // Switch the dashboard to a saved location
+  selectSavedLocation(id) {
+    const location = this.savedLocations.find(loc => loc.id === id);
+    if (!location) return;
+
+    this.setLocation(location.lat, location.lon, false);
+  }
+
+  // Set the current location, persist it and reload data
+  async setLocation(lat, lon, detected) {
+    this.currentLat = lat;
+    this.currentLon = lon;
+    this.userLocationDetected = detected;
+
+    localStorage.setItem('beeHealthyLat', lat);
+    localStorage.setItem('beeHealthyLon', lon);
+
+    await this.refreshData();
+  }
+
+  // Render saved locations list
+  renderSavedLocations() {
+    const listEl = document.getElementById('saved-locations-list');
+    if (!listEl) return;
+
+    if (this.savedLocations.length === 0) {
+      listEl.innerHTML = `<li class="loading">${this.t('savedLocations.empty')}</li>`;
+      return;
+    }
+
+    listEl.innerHTML = this.savedLocations.map((location, index) => `
+      <li class="saved-location">
+        <button class="saved-location-name" onclick="app.selectSavedLocation('${location.id}')" title="${this.t('savedLocations.show')}">
+          <i class="fas fa-map-pin"></i> ${this.escapeHtml(location.name)}
+          <small>(${location.lat.toFixed(2)}, ${location.lon.toFixed(2)})</small>
+        </button>
+        <span class="saved-location-actions">
+          <button class="btn" onclick="app.moveLocation('${location.id}', -1)" ${index === 0 ? 'disabled' : ''} aria-label="${this.t('savedLocations.moveUp')}">
+            <i class="fas fa-arrow-up"></i>
+          </button>
+          <button class="btn" onclick="app.moveLocation('${location.id}', 1)" ${index === this.savedLocations.length - 1 ? 'disabled' : ''} aria-label="${this.t('savedLocations.moveDown')}">
+            <i class="fas fa-arrow-down"></i>
+          </button>
+          <button class="btn" onclick="app.renameLocation('${location.id}')" aria-label="${this.t('savedLocations.rename')}">
+            <i class="fas fa-pen"></i>
+          </button>
+          <button class="btn" onclick="app.removeLocation('${location.id}')" aria-label="${this.t('savedLocations.remove')}">
+            <i class="fas fa-trash"></i>
+          </button>
+        </span>
+      </li>
+    `).join('');
+
+    if (this.mapVisible && this.mapSamples) {
+      this.drawMap();
+    }
+  }
+
+  // Fetch current air quality and weather for a single point
+  async fetchCurrentConditions(lat, lon) {
+    const [aqData, weatherData] = await Promise.all([
+      this.providers.airQuality.fetchCurrentAirQuality(lat, lon),
+      this.providers.weather.fetchWeather(lat, lon, { hourly: [] })
+    ]);
+    return { current: aqData.current, weatherCurrent: weatherData.current };
+  }
+
+  // Show side-by-side stats for every saved location
+  async compareLocations() {
+    const container = document.getElementById('location-comparison');
+    if (this.savedLocations.length === 0) {
+      container.innerHTML = `<div class="loading"><i class="fas fa-info-circle"></i> ${this.t('compare.empty')}</div>`;
+      return;
+    }
+
+    container.innerHTML = `<div class="loading"><span class="loading-spinner"></span> ${this.t('compare.loading')}</div>`;
+
+    const results = await Promise.all(this.savedLocations.map(location =>
+      this.fetchCurrentConditions(location.lat, location.lon)
+        .then(data => ({ location, ...data }))
+        .catch(error => ({ location, error }))
+    ));
+
+    container.innerHTML = results.map(result => this.renderComparisonCard(result)).join('');
+  }
+
+  // Render one location's stat grid for the comparison view
+  renderComparisonCard({ location, current, weatherCurrent, error }) {
+    const name = this.escapeHtml(location.name);
+
+    if (error || !current) {
+      return `
+        <div class="comparison-card">
+          <h3>${name}</h3>
+          <div class="error"><i class="fas fa-exclamation-triangle"></i> ${this.t('compare.error')}</div>
+        </div>
+      `;
+    }
+
+    const pollenTypes = this.getPollenTypes(current);
+    const pollenLevel = this.getOverallPollenLevel(pollenTypes);
+    const uvIndex = current.uv_index || 0;
+    const uvLevel = this.getUVLevelCategory(uvIndex);
+    const [mainAllergen] = this.getMainAllergen(pollenTypes);
+
+    return `
+      <div class="comparison-card">
+        <h3><button class="saved-location-name" onclick="app.selectSavedLocation('${location.id}')">${name}</button></h3>
+        <div class="stat-grid">
+          <div class="stat-item">
+            <i class="fas fa-seedling" style="color: #4CAF50;"></i>
+            <div class="stat-value ${this.getPollenLevelClass(pollenLevel)}">${this.getLevelLabel(pollenLevel)}</div>
+            <div class="stat-label">${this.t('stat.pollen')}</div>
+          </div>
+          <div class="stat-item">
+            <i class="fas fa-wind" style="color: #2196F3;"></i>
+            <div class="stat-value">${this.formatAqiHeadline(current)}</div>
+            <div class="stat-label">${this.t('stat.aqi')}</div>
+          </div>
+          <div class="stat-item">
+            <i class="fas fa-sun" style="color: #FF9800;"></i>
+            <div class="stat-value ${this.getUVLevelClass(uvLevel)}">${this.formatNumber(uvIndex, 1)} (${this.getLevelLabel(uvLevel)})</div>
+            <div class="stat-label">${this.t('stat.uv')}</div>
+          </div>
+          <div class="stat-item">
+            <i class="fas fa-temperature-high" style="color: #F44336;"></i>
+            <div class="stat-value">${typeof weatherCurrent?.temperature_2m === 'number' ? this.formatTemperature(weatherCurrent.temperature_2m) : '–'}</div>
+            <div class="stat-label">${this.t('stat.temperature')}</div>
+          </div>
+        </div>
+        <p>🌱 ${this.t('stat.mainAllergen')} <strong>${this.getPollenName(mainAllergen)}</strong></p>
+      </div>
+    `;
+  }
+
+  // Resolve a city name or postcode to candidate locations
+  async searchLocations(query) {
+    const coordinates = this.parseCoordinates(query);
+    if (coordinates) {
+      return [coordinates];
+    }
+
+    return this.providers.geocoding.searchPlaces(query.trim(), this.preferences.language);
+  }
+
+  // Update autocomplete list for the search box
+  async updateLocationSuggestions(query) {
+    const listEl = document.getElementById('location-suggestions');
+
+    if (query.trim().length < 2) {
+      this.locationSuggestions = [];
+      listEl.innerHTML = '';
+      return;
+    }
+
+    try {
+      const results = await this.searchLocations(query);
+
+      // Ignore stale responses if the user kept typing
+      if (document.getElementById('location-search').value !== query) return;
+
+      this.locationSuggestions = results;
+      listEl.innerHTML = results.length === 0
+        ? `<li class="loading">${this.t('search.noResults')}</li>`
+        : results.map((result, index) => `
+          <li>
+            <button onclick="app.chooseLocationSuggestion(${index})">
+              <strong>${this.escapeHtml(result.name)}</strong>
+              <small>${this.escapeHtml(result.detail)}</small>
+            </button>
+          </li>
+        `).join('');
+    } catch (error) {
+      console.warn('Location search failed:', error);
+      listEl.innerHTML = `<li class="location-error">${this.t('search.unavailable')}</li>`;
+    }
+  }
+
+  // Pick the first match when the search is submitted
+  async submitLocationSearch(query) {
+    if (!query.trim()) return;
+
+    await this.updateLocationSuggestions(query);
+    if (this.locationSuggestions?.length > 0) {
+      this.chooseLocationSuggestion(0);
+    }
+  }
+
+  // Load the chosen search result
+  chooseLocationSuggestion(index) {
+    const result = this.locationSuggestions?.[index];
+    if (!result) return;
+
+    document.getElementById('location-search').value = '';
+    document.getElementById('location-suggestions').innerHTML = '';
+    this.locationSuggestions = [];
+
+    const locationStatus = document.getElementById('location-status');
+    locationStatus.textContent = this.t('search.showing', { place: result.detail ? `${result.name}, ${result.detail}` : result.name });
+    locationStatus.className = 'location-status';
+
+    this.setLocation(result.lat, result.lon, false);
+  }
+
   // Detect user's current location
   detectUserLocation() {
     const locationBtn = document.getElementById('location-btn');
@@ -571,12 +2175,12 @@ class BeeHealthyApp {
     
     // Disable button and show loading
     locationBtn.disabled = true;
-    locationBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Detecting...';
-    locationStatus.textContent = 'Requesting location permission...';
+    locationBtn.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${this.t('geolocation.detecting')}`;
+    locationStatus.textContent = this.t('geolocation.requesting');
     locationStatus.className = 'location-status';
 
     if (!navigator.geolocation) {
-      this.showLocationError('Geolocation is not supported by this browser.');
+      this.showLocationError(this.t('geolocation.unsupported'));
       return;
     }
 
@@ -595,7 +2199,7 @@ class BeeHealthyApp {
         localStorage.setItem('beeHealthyLat', lat);
         localStorage.setItem('beeHealthyLon', lon);
         
-        locationStatus.textContent = `Location detected! (${lat.toFixed(4)}, ${lon.toFixed(4)})`;
+        locationStatus.textContent = this.t('geolocation.detected', { lat: lat.toFixed(4), lon: lon.toFixed(4) });
         locationStatus.className = 'location-status';
         
         // Fetch data for new location
@@ -603,24 +2207,24 @@ class BeeHealthyApp {
         
         // Re-enable button
         locationBtn.disabled = false;
-        locationBtn.innerHTML = '<i class="fas fa-location-arrow"></i> Use My Location';
+        locationBtn.innerHTML = `<i class="fas fa-location-arrow"></i> <span data-i18n="button.useLocation">${this.t('button.useLocation')}</span>`;
       },
       // Error callback
       (error) => {
-        let errorMessage = 'Unable to retrieve your location.';
+        let errorMessage = this.t('geolocation.failed');
         
         switch(error.code) {
           case error.PERMISSION_DENIED:
-            errorMessage = 'Location access denied. Please allow location access in your browser settings.';
+            errorMessage = this.t('geolocation.denied');
             break;
           case error.POSITION_UNAVAILABLE:
-            errorMessage = 'Location information is unavailable.';
+            errorMessage = this.t('geolocation.unavailable');
             break;
           case error.TIMEOUT:
-            errorMessage = 'Location request timed out.';
+            errorMessage = this.t('geolocation.timeout');
             break;
           case error.UNKNOWN_ERROR:
-            errorMessage = 'An unknown error occurred while getting location.';
+            errorMessage = this.t('geolocation.unknown');
             break;
         }
         
@@ -640,12 +2244,12 @@ class BeeHealthyApp {
     const locationBtn = document.getElementById('location-btn');
     const locationStatus = document.getElementById('location-status');
     
-    locationStatus.textContent = message;
+    locationStatus.textContent = this.t('geolocation.searchInstead', { message });
     locationStatus.className = 'location-error';
     
     // Re-enable button
     locationBtn.disabled = false;
-    locationBtn.innerHTML = '<i class="fas fa-location-arrow"></i> Use My Location';
+    locationBtn.innerHTML = `<i class="fas fa-location-arrow"></i> <span data-i18n="button.useLocation">${this.t('button.useLocation')}</span>`;
   }
 
   // Switch chart view
@@ -654,9 +2258,10 @@ class BeeHealthyApp {
     
     // Update button states
     document.querySelectorAll('.chart-btn[data-view]').forEach(btn => {
-      btn.classList.remove('active');
+      btn.classList.toggle('active', btn.dataset.view === view);
     });
-    event.target.classList.add('active');
+
+    this.renderChartSeriesToggles();
     
     // Recreate charts with new view
     if (this.pollenChart) {
@@ -664,6 +2269,76 @@ class BeeHealthyApp {
     }
   }
 
+  // Load the chart series the user hid from localStorage
+  loadHiddenChartSeries() {
+    try {
+      const hidden = JSON.parse(localStorage.getItem('beeHealthyHiddenSeries'));
+      this.hiddenChartSeries = Array.isArray(hidden) ? hidden : [];
+    } catch (error) {
+      console.warn('Failed to load hidden chart series:', error);
+      this.hiddenChartSeries = [];
+    }
+  }
+
+  // Render per-series toggles for the current chart view
+  renderChartSeriesToggles() {
+    const container = document.getElementById('chart-series-toggles');
+    if (!container) return;
+
+    container.innerHTML = Object.entries(this.CHART_SERIES)
+      .filter(([, series]) => series.views.includes(this.currentChartView))
+      .map(([key, series]) => `
+        <label class="series-toggle">
+          <input type="checkbox" ${this.hiddenChartSeries.includes(key) ? '' : 'checked'}
+                 onchange="app.toggleChartSeries('${key}', !this.checked)">
+          <span class="series-swatch" style="background: ${this.CHART_COLORS[series.color]};"></span>
+          ${this.t(series.label)}
+        </label>
+      `).join('');
+  }
+
+  // Show or hide a chart series and remember the choice
+  toggleChartSeries(key, hidden) {
+    this.hiddenChartSeries = this.hiddenChartSeries.filter(hiddenKey => hiddenKey !== key);
+    if (hidden) {
+      this.hiddenChartSeries.push(key);
+    }
+    localStorage.setItem('beeHealthyHiddenSeries', JSON.stringify(this.hiddenChartSeries));
+
+    this.renderChartSeriesToggles();
+    if (this.pollenChart) {
+      this.updateCharts();
+    }
+  }
+
+  // Chart.js plugin drawing a vertical "now" line
+  getNowMarkerPlugin() {
+    return {
+      id: 'nowMarker',
+      afterDatasetsDraw(chart, args, options) {
+        if (options.index === undefined || options.index < 0) return;
+
+        const x = chart.scales.x.getPixelForValue(options.index);
+        const { top, bottom } = chart.chartArea;
+        const ctx = chart.ctx;
+
+        ctx.save();
+        ctx.strokeStyle = '#d32f2f';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, top);
+        ctx.lineTo(x, bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#d32f2f';
+        ctx.font = '12px sans-serif';
+        ctx.fillText(options.label, x + 4, top + 12);
+        ctx.restore();
+      }
+    };
+  }
+
   // Create pollen chart
   createPollenChart(hourlyData) {
     const ctx = document.getElementById('pollenChart').getContext('2d');
@@ -673,78 +2348,68 @@ class BeeHealthyApp {
       this.pollenChart.destroy();
     }
 
-    // Prepare data - show selected range of data
-    const dataPoints = Math.min(this.chartRange, hourlyData.time.length);
-    const labels = hourlyData.time.slice(0, dataPoints).map(time => {
-      const date = new Date(time);
-      if (this.chartRange <= 24) {
-        return date.toLocaleTimeString('en-US', { 
-          hour: '2-digit',
-          minute: '2-digit'
-        });
-      } else {
-        return date.toLocaleDateString('en-US', { 
-          month: 'short', 
-          day: 'numeric',
-          hour: '2-digit'
-        });
-      }
-    });
+    // Prepare data - the series already covers the selected window
+    const dataPoints = hourlyData.time.length;
+    const shortSpan = this.chartWindow.span <= 24;
+    const labels = hourlyData.time.map(time => shortSpan
+      ? this.formatLocalTime(time, { weekday: 'short', hour: '2-digit', minute: '2-digit' })
+      : this.formatLocalTime(time, { month: 'short', day: 'numeric', hour: '2-digit' })
+    );
+    const nowIndex = hourlyData.nowTime ? hourlyData.time.indexOf(hourlyData.nowTime) : -1;
+    const windowLabel = dataPoints > 0
+      ? `${this.formatLocalTime(hourlyData.time[0], { month: 'short', day: 'numeric', hour: '2-digit' })} – ${this.formatLocalTime(hourlyData.time[dataPoints - 1], { month: 'short', day: 'numeric', hour: '2-digit' })}`
+      : this.t('chart.noData');
 
     const datasets = [];
-    
-    if (this.currentChartView === 'pollen' || this.currentChartView === 'combined') {
-      datasets.push({
-        label: 'Birch Pollen',
-        data: hourlyData.birch_pollen.slice(0, dataPoints),
-        borderColor: this.CHART_COLORS.birch,
-        backgroundColor: this.CHART_COLORS.birch + '20',
-        tension: 0.4,
-        borderWidth: 2
-      });
-      datasets.push({
-        label: 'Grass Pollen',
-        data: hourlyData.grass_pollen.slice(0, dataPoints),
-        borderColor: this.CHART_COLORS.grass,
-        backgroundColor: this.CHART_COLORS.grass + '20',
-        tension: 0.4,
-        borderWidth: 2
-      });
-      datasets.push({
-        label: 'Mugwort Pollen',
-        data: hourlyData.mugwort_pollen.slice(0, dataPoints),
-        borderColor: this.CHART_COLORS.mugwort,
-        backgroundColor: this.CHART_COLORS.mugwort + '20',
-        tension: 0.4,
-        borderWidth: 2
-      });
-    }
+    const view = this.currentChartView;
+
+    Object.entries(this.CHART_SERIES).forEach(([key, series]) => {
+      if (!series.views.includes(view)) return;
 
-    if (this.currentChartView === 'air' || this.currentChartView === 'combined') {
+      const color = this.CHART_COLORS[series.color];
       datasets.push({
-        label: 'US AQI',
-        data: hourlyData.us_aqi ? hourlyData.us_aqi.slice(0, dataPoints) : [],
-        borderColor: this.CHART_COLORS.aqi,
-        backgroundColor: this.CHART_COLORS.aqi + '20',
+        label: this.t(series.label),
+        data: hourlyData[key] || [],
+        borderColor: color,
+        backgroundColor: color + '20',
         tension: 0.4,
         borderWidth: 2,
-        yAxisID: 'y1'
+        hidden: this.hiddenChartSeries.includes(key),
+        seriesKey: key,
+        yAxisID: series.axis === 'y1' && view === 'combined' ? 'y1' : 'y'
       });
-    }
+    });
 
-    if (this.currentChartView === 'uv') {
-      datasets.push({
-        label: 'UV Index',
-        data: hourlyData.uv_index ? hourlyData.uv_index.slice(0, dataPoints) : [],
-        borderColor: this.CHART_COLORS.uv,
-        backgroundColor: this.CHART_COLORS.uv + '20',
-        tension: 0.4,
-        borderWidth: 2
+    // WHO 24-hour guideline reference lines for particulates
+    if (view === 'particulate') {
+      Object.entries(this.WHO_GUIDELINES).forEach(([key, limit]) => {
+        datasets.push({
+          label: this.t('chart.whoGuideline', { metric: this.t(this.CHART_SERIES[key].label), limit: this.formatNumber(limit, 0) }),
+          data: hourlyData.time.map(() => limit),
+          borderColor: this.CHART_COLORS[this.CHART_SERIES[key].color],
+          borderDash: [6, 6],
+          borderWidth: 1,
+          pointRadius: 0,
+          fill: false,
+          hidden: this.hiddenChartSeries.includes(key),
+          guideline: true
+        });
       });
     }
 
+    const pollenAxisTitle = this.t('chart.axis.pollen', { unit: this.getPollenUnit() });
+    const yAxisTitles = {
+      pollen: pollenAxisTitle,
+      combined: pollenAxisTitle,
+      air: this.t('chart.axis.aqi'),
+      particulate: this.t('chart.axis.particulate'),
+      uv: this.t('stat.uv'),
+      risk: this.t('chart.axis.risk')
+    };
+
     this.pollenChart = new Chart(ctx, {
       type: 'line',
+      plugins: [this.getNowMarkerPlugin()],
       data: {
         labels: labels,
         datasets: datasets
@@ -761,7 +2426,7 @@ class BeeHealthyApp {
             display: true,
             title: {
               display: true,
-              text: this.chartRange <= 24 ? 'Time of Day' : 'Date'
+              text: `${this.t(shortSpan ? 'chart.axis.timeOfDay' : 'chart.axis.date')}${this.lastTimezone ? ` (${this.lastTimezone})` : ''}`
             }
           },
           y: {
@@ -770,16 +2435,16 @@ class BeeHealthyApp {
             position: 'left',
             title: {
               display: true,
-              text: this.currentChartView === 'uv' ? 'UV Index' : 'Pollen (grains/m³)'
+              text: yAxisTitles[view]
             }
           },
           y1: {
             type: 'linear',
-            display: this.currentChartView === 'air' || this.currentChartView === 'combined',
+            display: view === 'combined',
             position: 'right',
             title: {
               display: true,
-              text: 'AQI'
+              text: this.t('chart.axis.combined')
             },
             grid: {
               drawOnChartArea: false,
@@ -789,169 +2454,234 @@ class BeeHealthyApp {
         plugins: {
           title: {
             display: true,
-            text: this.currentChartView === 'pollen' ? `Pollen Levels (${this.chartRange <= 24 ? '24 Hours' : this.chartRange === 72 ? '3 Days' : '7 Days'})` : 
-                  this.currentChartView === 'air' ? `Air Quality Index (${this.chartRange <= 24 ? '24 Hours' : this.chartRange === 72 ? '3 Days' : '7 Days'})` : 
-                  this.currentChartView === 'uv' ? `UV Index (${this.chartRange <= 24 ? '24 Hours' : this.chartRange === 72 ? '3 Days' : '7 Days'})` :
-                  `Pollen Levels & Air Quality (${this.chartRange <= 24 ? '24 Hours' : this.chartRange === 72 ? '3 Days' : '7 Days'})`
+            text: this.t(`chart.title.${this.currentChartView}`, { window: windowLabel })
+          },
+          nowMarker: {
+            index: nowIndex,
+            label: this.t('chart.now')
           },
           legend: {
             position: 'top',
+            labels: {
+              filter: (item, data) => !data.datasets[item.datasetIndex].guideline
+            },
+            onClick: (e, item, legend) => {
+              const dataset = legend.chart.data.datasets[item.datasetIndex];
+              this.toggleChartSeries(dataset.seriesKey, !dataset.hidden);
+            }
           },
           tooltip: {
             mode: 'index',
-            intersect: false
+            intersect: false,
+            callbacks: {
+              // Explain the risk score from its factors at that hour
+              afterLabel: (item) => {
+                if (item.dataset.seriesKey !== 'allergy_risk') return '';
+                const risk = this.getRiskScore(hourlyData, item.dataIndex);
+                return risk ? this.describeRiskFactors(risk).map(line => `  ${line}`) : '';
+              }
+            }
           }
         }
       }
     });
   }
 
-  // Fetch pollen and air quality data from Open-Meteo API
+  // Fetch pollen, air quality and weather data from the configured providers.
+  // Sources are fetched in parallel and rendered independently, so one failing
+  // source does not hide the others. Starting a new refresh cancels the previous one.
   async refreshData() {
-    try {
-      // Show loading state
-      this.showLoadingState();
+    this.refreshController?.abort();
+    const controller = new AbortController();
+    this.refreshController = controller;
+    const { signal } = controller;
+    const lat = this.currentLat;
+    const lon = this.currentLon;
+
+    // Show loading state
+    this.showLoadingState();
+
+    // Clear any existing error messages
+    this.clearErrors();
+
+    const [aqResult, weatherResult, locationName] = await Promise.all([
+      this.providers.airQuality.fetchAirQuality(lat, lon, { forecastDays: 7, signal })
+        .then(value => ({ value }), error => ({ error })),
+      this.providers.weather.fetchWeather(lat, lon, { forecastDays: 7, signal })
+        .then(value => ({ value }), error => ({ error })),
+      this.getLocationName(lat, lon, signal),
+      this.loadWorkerAlertLog()
+    ]);
+
+    // A newer refresh has taken over
+    if (signal.aborted) return;
+    this.refreshController = null;
+
+    if (aqResult.error && weatherResult.error) {
+      console.error('Error fetching data:', aqResult.error, weatherResult.error);
+      this.showErrorState(aqResult.error.message);
+      return;
+    }
 
-      // Clear any existing error messages
-      this.clearErrors();
+    this.lastRefreshAt = Date.now();
+    const aqData = aqResult.value || null;
+    const weatherData = weatherResult.value || null;
 
-      // Fetch air quality data
-      const aqResponse = await fetch(`${this.API_BASE_URL}?latitude=${this.currentLat}&longitude=${this.currentLon}&hourly=pm10,pm2_5,birch_pollen,alder_pollen,grass_pollen,mugwort_pollen,olive_pollen,ragweed_pollen,us_aqi,european_aqi,uv_index,dust&current=european_aqi,us_aqi,birch_pollen,alder_pollen,mugwort_pollen,grass_pollen,olive_pollen,ragweed_pollen,uv_index,pm2_5&timezone=auto&forecast_days=7`);
-      
-      if (!aqResponse.ok) {
-        throw new Error(`Air quality API error! status: ${aqResponse.status}`);
-      }
+    // Update UI with timezone information
+    this.currentLocationName = locationName;
+    this.lastTimezone = aqData?.timezone || weatherData?.timezone || null;
+    const timezoneInfo = this.lastTimezone ? ` (${this.lastTimezone})` : '';
+    const locationText = this.userLocationDetected ? `${locationName} 🌿 ${this.t('location.yours')}${timezoneInfo}` : `${locationName} 🌿${timezoneInfo}`;
+    document.getElementById("location").textContent = locationText;
 
-      const aqData = await aqResponse.json();
-      
-      // Fetch weather data
-      const weatherResponse = await fetch(`${this.WEATHER_API_URL}?latitude=${this.currentLat}&longitude=${this.currentLon}&current=temperature_2m,relative_humidity_2m&hourly=temperature_2m,relative_humidity_2m&timezone=auto&forecast_days=1`);
-      
-      if (!weatherResponse.ok) {
-        throw new Error(`Weather API error! status: ${weatherResponse.status}`);
-      }
+    if (weatherData) {
+      this.renderWeather(weatherData);
+    } else {
+      console.error('Error fetching weather data:', weatherResult.error);
+      this.showErrorState(weatherResult.error.message, ['temperature']);
+    }
 
-      const weatherData = await weatherResponse.json();
-      
-      // Combine data
-      const combinedData = {
-        ...aqData,
-        weather: weatherData
-      };
-      
-      // Store hourly data globally for charts
-      window.hourlyData = combinedData.hourly;
-      
-      // Get location name
-      const locationName = await this.getLocationName(this.currentLat, this.currentLon);
-      
-      // Process current data
-      const current = combinedData.current;
-      
-      // Debug: Check if current data exists
-      if (!current) {
-        console.error('No current data available');
-        document.getElementById("pollen-breakdown").innerHTML = '<div class="error">No current data available</div>';
-        return;
-      }
-      
-      const pollenTypes = {
-        'Birch': current.birch_pollen || 0,
-        'Alder': current.alder_pollen || 0,
-        'Grass': current.grass_pollen || 0,
-        'Mugwort': current.mugwort_pollen || 0,
-        'Olive': current.olive_pollen || 0,
-        'Ragweed': current.ragweed_pollen || 0
-      };
-
-      // Check if any pollen data is available
-      const hasPollenData = Object.values(pollenTypes).some(value => value > 0);
-
-      // Find main allergen (highest pollen count)
-      const mainAllergen = Object.entries(pollenTypes).reduce((a, b) => 
-        pollenTypes[a[0]] > pollenTypes[b[0]] ? a : b
-      );
-
-      // Calculate overall pollen level
-      const totalPollen = Object.values(pollenTypes).reduce((sum, value) => sum + (value || 0), 0);
-      const overallPollenLevel = this.getPollenLevelCategory(totalPollen);
-
-      // Get UV index from current data
-      const currentUVIndex = current.uv_index || 0;
-      const uvLevel = this.getUVLevelCategory(currentUVIndex);
-
-      // Get temperature from weather data
-      const currentTemp = combinedData.weather.current ? combinedData.weather.current.temperature_2m : null;
-
-      // Update UI with timezone information
-      const timezoneInfo = combinedData.timezone ? ` (${combinedData.timezone})` : '';
-      const locationText = this.userLocationDetected ? `${locationName} 🌿 (Your Location)${timezoneInfo}` : `${locationName} 🌿${timezoneInfo}`;
-      document.getElementById("location").textContent = locationText;
-
-      const pollenLevelEl = document.getElementById("pollen-level");
-      pollenLevelEl.textContent = overallPollenLevel;
-      pollenLevelEl.className = this.getPollenLevelClass(overallPollenLevel);
-      
-      document.getElementById("main-allergen").textContent = mainAllergen[0];
-      document.getElementById("aqi").textContent = `EU: ${current.european_aqi} | US: ${current.us_aqi}`;
-      
-      const uvIndexEl = document.getElementById("uv-index");
-      uvIndexEl.textContent = `${currentUVIndex.toFixed(1)} (${uvLevel})`;
-      uvIndexEl.className = this.getUVLevelClass(uvLevel);
-      
-      if (currentTemp) {
-        document.getElementById("temperature").textContent = `${currentTemp}°C`;
-      }
+    if (aqData) {
+      this.renderAirQuality(aqData, weatherData);
+    } else {
+      console.error('Error fetching air quality data:', aqResult.error);
+      this.showErrorState(aqResult.error.message, ['allergy-risk', 'pollen-level', 'main-allergen', 'aqi', 'uv-index']);
+    }
+
+    // Flag stale data when offline
+    const cached = [aqData, weatherData].find(data => data?.meta.fromCache);
+    if (cached) {
+      this.showStaleBanner(cached.meta.cachedAt);
+    } else {
+      this.hideStaleBanner();
+    }
 
-      // Update pollen breakdown
-      this.updatePollenBreakdown(pollenTypes);
+    // Keep background checks pointed at this location
+    this.syncBackgroundChecks();
+    this.updateSeasonStarts();
 
-      // Update air quality details
-      this.updateAirQualityDetails(current, combinedData.weather.current);
+    if (this.mapVisible) {
+      this.updateMap();
+    }
+  }
 
-      // Update forecast with 7-day data
-      this.updateForecast(combinedData.hourly);
+  // Render current weather readings
+  renderWeather(weatherData) {
+    const currentTemp = weatherData.current ? weatherData.current.temperature_2m : null;
+    if (currentTemp !== null) {
+      document.getElementById("temperature").textContent = this.formatTemperature(currentTemp);
+    }
+  }
 
-      // Create charts
-      this.createPollenChart(combinedData.hourly);
+  // Render pollen and air quality readings, then everything derived from them
+  renderAirQuality(aqData, weatherData) {
+    // Store hourly data globally for charts, with weather and allergy risk
+    const hourly = this.addRiskSeries(this.mergeHourlySeries(aqData.hourly, weatherData?.hourly));
+    window.hourlyData = hourly;
 
-      // Show notification if pollen is high
-      if (overallPollenLevel === 'High' || overallPollenLevel === 'Very High') {
-        this.showNotification(`High pollen alert! Current level: ${overallPollenLevel}. Take precautions if you have allergies.`, 'warning');
-      }
+    // Process current data
+    const current = aqData.current;
 
-    } catch (error) {
-      console.error('Error fetching data:', error);
-      this.showErrorState(error.message);
+    if (!current) {
+      console.error('No current data available');
+      document.getElementById("pollen-breakdown").innerHTML = `<div class="error">${this.t('breakdown.noCurrent')}</div>`;
+      return;
     }
+
+    const pollenTypes = this.getPollenTypes(current);
+
+    // Keep current readings for re-ranking after profile changes
+    this.currentPollenTypes = pollenTypes;
+    this.lastReadings = { current, hourly };
+    this.riskCurrent = { ...weatherData?.current, ...current };
+
+    // Overall pollen level from the most severe allergen
+    const overallPollenLevel = this.getOverallPollenLevel(pollenTypes);
+
+    // Get UV index from current data
+    const currentUVIndex = current.uv_index || 0;
+    const uvLevel = this.getUVLevelCategory(currentUVIndex);
+
+    const pollenLevelEl = document.getElementById("pollen-level");
+    pollenLevelEl.textContent = this.getLevelLabel(overallPollenLevel);
+    pollenLevelEl.className = this.getPollenLevelClass(overallPollenLevel);
+
+    this.updateMainAllergen(pollenTypes);
+    this.updateAllergyRisk(this.riskCurrent);
+    document.getElementById("aqi").textContent = this.formatAqiHeadline(current);
+
+    const uvIndexEl = document.getElementById("uv-index");
+    uvIndexEl.textContent = `${this.formatNumber(currentUVIndex, 1)} (${this.getLevelLabel(uvLevel)})`;
+    uvIndexEl.className = this.getUVLevelClass(uvLevel);
+
+    // Update pollen breakdown
+    this.updatePollenBreakdown(pollenTypes);
+
+    // Update air quality details
+    this.updateAirQualityDetails(current, weatherData?.current);
+
+    // Update forecast with 7-day data
+    this.updateForecast(aqData.hourly, current.time);
+    this.updatePlannerRange(aqData.hourly, current.time);
+    this.updateRouteDeparture(current.time);
+
+    // Rebuild calendar from real data for this location
+    this.resetCalendarData(aqData.hourly);
+
+    // Keep a local history, then draw charts for the selected window
+    this.recordHistory(current, aqData.hourly, weatherData?.hourly)
+      .then(() => this.updateCharts());
+
+    // Evaluate user alert rules
+    this.evaluateAlertRules(current, aqData.hourly);
   }
 
   // Show loading state
   showLoadingState() {
-    document.getElementById("location").innerHTML = '<span class="loading-spinner"></span> Loading...';
-    document.getElementById("pollen-level").innerHTML = '<span class="loading-spinner"></span> Loading...';
-    document.getElementById("main-allergen").innerHTML = '<span class="loading-spinner"></span> Loading...';
-    document.getElementById("aqi").innerHTML = '<span class="loading-spinner"></span> Loading...';
-    document.getElementById("uv-index").innerHTML = '<span class="loading-spinner"></span> Loading...';
-    document.getElementById("temperature").innerHTML = '<span class="loading-spinner"></span> Loading...';
+    document.getElementById("location").innerHTML = `<span class="loading-spinner"></span> ${this.t('common.loading')}`;
+    document.getElementById("allergy-risk").innerHTML = `<span class="loading-spinner"></span> ${this.t('common.loading')}`;
+    document.getElementById("pollen-level").innerHTML = `<span class="loading-spinner"></span> ${this.t('common.loading')}`;
+    document.getElementById("main-allergen").innerHTML = `<span class="loading-spinner"></span> ${this.t('common.loading')}`;
+    document.getElementById("aqi").innerHTML = `<span class="loading-spinner"></span> ${this.t('common.loading')}`;
+    document.getElementById("uv-index").innerHTML = `<span class="loading-spinner"></span> ${this.t('common.loading')}`;
+    document.getElementById("temperature").innerHTML = `<span class="loading-spinner"></span> ${this.t('common.loading')}`;
   }
 
   // Show error state
-  showErrorState(errorMessage) {
-    document.getElementById("location").textContent = "Error loading data";
-    document.getElementById("pollen-level").textContent = "Error";
-    document.getElementById("main-allergen").textContent = "Error";
-    document.getElementById("aqi").textContent = "Error";
-    document.getElementById("uv-index").textContent = "Error";
-    document.getElementById("temperature").textContent = "Error";
-    
+  showErrorState(errorMessage, fields = null) {
+    // Without a field list the whole refresh failed
+    if (!fields) {
+      document.getElementById("location").textContent = this.t('location.error');
+    }
+    (fields || ['allergy-risk', 'pollen-level', 'main-allergen', 'aqi', 'uv-index', 'temperature']).forEach(id => {
+      document.getElementById(id).textContent = this.t('common.error');
+    });
+
     // Show error message
     const errorDiv = document.createElement('div');
     errorDiv.className = 'error';
-    errorDiv.innerHTML = `<i class="fas fa-exclamation-triangle"></i> Failed to load data: ${errorMessage}`;
+    errorDiv.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${this.t('error.loadFailed', { message: errorMessage })}`;
     document.querySelector('.location-info').appendChild(errorDiv);
   }
 
+  // Show banner for data served from the offline cache
+  showStaleBanner(cachedAt) {
+    const banner = document.getElementById('stale-banner');
+    if (!banner) return;
+
+    const updated = cachedAt ? this.formatInstant(cachedAt, { dateStyle: 'medium', timeStyle: 'short' }) : this.t('stale.unknown');
+    banner.innerHTML = `<i class="fas fa-wifi"></i> ${this.t('stale.banner', { time: updated })}`;
+    banner.style.display = 'flex';
+  }
+
+  // Hide offline banner
+  hideStaleBanner() {
+    const banner = document.getElementById('stale-banner');
+    if (banner) {
+      banner.style.display = 'none';
+    }
+  }
+
   // Clear errors
   clearErrors() {
     const existingErrors = document.querySelectorAll('.error');
@@ -964,28 +2694,31 @@ class BeeHealthyApp {
     breakdownDiv.innerHTML = '';
 
     if (!pollenTypes || Object.keys(pollenTypes).length === 0) {
-      breakdownDiv.innerHTML = '<div class="error"><i class="fas fa-exclamation-circle"></i> No pollen data available</div>';
+      breakdownDiv.innerHTML = `<div class="error"><i class="fas fa-exclamation-circle"></i> ${this.t('breakdown.none')}</div>`;
       return;
     }
 
     let hasData = false;
-    Object.entries(pollenTypes).forEach(([type, value]) => {
+    this.rankAllergens(pollenTypes).forEach(([type, value]) => {
       const pollenValue = value || 0;
-      const level = this.getPollenLevelCategory(pollenValue);
+      const level = this.getPollenLevelCategory(pollenValue, type);
       const levelClass = this.getPollenLevelClass(level);
 
-      const displayValue = pollenValue > 0 ? pollenValue.toFixed(1) : '0.0';
-      const displayLevel = pollenValue > 0 ? level : 'None';
+      const displayLevel = this.getLevelLabel(pollenValue > 0 ? level : 'None');
 
       const itemDiv = document.createElement('div');
       itemDiv.className = 'pollen-item';
+      const isMine = this.isUserAllergen(type);
+      if (isMine) {
+        itemDiv.classList.add('user-allergen');
+      }
 
       itemDiv.innerHTML = `
         <span>
-          ${type} Pollen:
-          <button onclick="app.showPollenInfo('${type}')" style="margin-left:6px; background:none; border:none; cursor:pointer; font-size:1.1em;" aria-label="More info about ${type} pollen">ℹ️</button>
+          ${this.t('pollen.name', { type: this.getPollenName(type) })}:${isMine ? ` <span class="badge badge-info">${this.t('allergen.yours')}</span>` : ''}
+          <button onclick="app.showPollenInfo('${type}')" style="margin-left:6px; background:none; border:none; cursor:pointer; font-size:1.1em;" aria-label="${this.t('pollenInfo.more', { type: this.t('pollen.name', { type: this.getPollenName(type) }) })}">ℹ️</button>
         </span>
-        <span class="pollen-value ${levelClass}">${displayValue} grains/m³ 
+        <span class="pollen-value ${levelClass}">${this.formatPollenValue(pollenValue)}
           <span class="badge ${levelClass}">${displayLevel}</span>
         </span>
       `;
@@ -1001,7 +2734,7 @@ class BeeHealthyApp {
       noteDiv.className = 'loading';
       noteDiv.style.marginTop = '10px';
       noteDiv.style.fontStyle = 'italic';
-      noteDiv.innerHTML = '<i class="fas fa-check"></i> No significant pollen detected at this time';
+      noteDiv.innerHTML = `<i class="fas fa-check"></i> ${this.t('breakdown.insignificant')}`;
       breakdownDiv.appendChild(noteDiv);
     }
   }
@@ -1014,31 +2747,31 @@ class BeeHealthyApp {
     
     let html = `
       <div class="pollen-item">
-        <span>European AQI:</span>
+        <span>${this.t('aqi.eu')}:</span>
         <span class="pollen-value">${current.european_aqi}</span>
       </div>
       <div class="pollen-item">
-        <span>US AQI:</span>
+        <span>${this.t('aqi.us')}:</span>
         <span class="pollen-value">${current.us_aqi}</span>
       </div>
       <div class="pollen-item">
         <span>PM2.5:</span>
-        <span class="pollen-value">${(current.pm2_5 || 0).toFixed(1)} μg/m³</span>
+        <span class="pollen-value">${this.formatNumber(current.pm2_5 || 0, 1)} μg/m³</span>
       </div>
       <div class="pollen-item">
-        <span>UV Index:</span>
-        <span class="pollen-value ${uvLevelClass}">${(current.uv_index || 0).toFixed(1)} (${uvLevel})</span>
+        <span>${this.t('stat.uv')}:</span>
+        <span class="pollen-value ${uvLevelClass}">${this.formatNumber(current.uv_index || 0, 1)} (${this.getLevelLabel(uvLevel)})</span>
       </div>
     `;
     
     if (weatherCurrent) {
       html += `
         <div class="pollen-item">
-          <span>Temperature:</span>
-          <span class="pollen-value">${weatherCurrent.temperature_2m}°C</span>
+          <span>${this.t('stat.temperature')}:</span>
+          <span class="pollen-value">${this.formatTemperature(weatherCurrent.temperature_2m)}</span>
         </div>
         <div class="pollen-item">
-          <span>Humidity:</span>
+          <span>${this.t('stat.humidity')}:</span>
           <span class="pollen-value">${weatherCurrent.relative_humidity_2m}%</span>
         </div>
       `;
@@ -1046,8 +2779,8 @@ class BeeHealthyApp {
     
     html += `
       <div class="pollen-item">
-        <span>Data Time:</span>
-        <span class="pollen-value">${new Date(current.time).toLocaleString()}</span>
+        <span>${this.t('stat.dataTime')}:</span>
+        <span class="pollen-value">${this.formatLocalTime(current.time, { dateStyle: 'medium', timeStyle: 'short' })}</span>
       </div>
     `;
     
@@ -1055,54 +2788,352 @@ class BeeHealthyApp {
   }
 
   // Update forecast section
-  updateForecast(hourlyData) {
+  updateForecast(hourlyData, currentTime = null) {
     const forecastList = document.getElementById("forecast-list");
     forecastList.innerHTML = '';
 
-    // Get next 7 days forecast (every 24 hours)
-    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const today = new Date();
-    
-    for (let i = 1; i <= 7; i++) {
-      const forecastDate = new Date(today);
-      forecastDate.setDate(today.getDate() + i);
-      
-      // Get average pollen for the day (using first hour of the day)
-      const dayIndex = i * 24;
-      const grassPollen = hourlyData.grass_pollen[dayIndex] || 0;
-      const birchPollen = hourlyData.birch_pollen[dayIndex] || 0;
-      const mugwortPollen = hourlyData.mugwort_pollen[dayIndex] || 0;
-      const alderPollen = hourlyData.alder_pollen[dayIndex] || 0;
-      const olivePollen = hourlyData.olive_pollen[dayIndex] || 0;
-      const ragweedPollen = hourlyData.ragweed_pollen[dayIndex] || 0;
-      
-      const totalPollen = grassPollen + birchPollen + mugwortPollen + alderPollen + olivePollen + ragweedPollen;
-      const level = this.getPollenLevelCategory(totalPollen);
+    // "Today" is the current date in the API timezone when known
+    const todayKey = currentTime ? currentTime.slice(0, 10) : this.formatDateKey(new Date());
+    const dailyForecast = this.aggregateDailyForecast(hourlyData);
+
+    Object.entries(dailyForecast).slice(0, 7).forEach(([dateKey, day]) => {
+      const level = this.getDayPollenLevel(day);
       const levelClass = this.getPollenLevelClass(level);
-      
+      const label = dateKey === todayKey
+        ? this.t('common.today')
+        : `${this.formatLocalTime(`${dateKey}T12:00`, { weekday: 'short' })} ${this.formatLocalTime(`${dateKey}T12:00`, { day: 'numeric' })}`;
+
+      const allergenRows = this.rankAllergens(
+        Object.fromEntries(Object.entries(day.allergens).map(([type, stats]) => [type, stats.max]))
+      ).map(([type]) => {
+        const stats = day.allergens[type];
+        return `
+          <tr${this.isUserAllergen(type) ? ' class="user-allergen"' : ''}>
+            <td>${this.getPollenName(type)}</td>
+            <td>${this.formatNumber(stats.max, 1)}</td>
+            <td>${this.formatNumber(stats.mean, 1)}</td>
+            <td>${stats.max > 0 ? this.formatHour(stats.peakTime) : '–'}</td>
+          </tr>
+        `;
+      }).join('');
+
+      const bestWindow = day.bestWindow
+        ? this.t('forecast.window', { time: this.formatHour(day.bestWindow.start), hours: day.bestWindow.hours })
+        : this.t('forecast.noDaytime');
+
       const li = document.createElement('li');
-      li.innerHTML = `${days[forecastDate.getDay()]} – <span class="${levelClass}">${level}</span>`;
+      li.className = 'forecast-day';
+      li.innerHTML = `
+        <details>
+          <summary>
+            <span class="forecast-day-label">${label}</span> – <span class="${levelClass}">${this.getLevelLabel(level)}</span>
+            ${day.totalMax > 0 ? `<small>(${this.getPollenName(day.driver)})</small>` : ''}
+          </summary>
+          <div class="forecast-day-details">
+            <p>
+              ${this.t('forecast.drivenBy')} <strong>${this.getPollenName(day.driver)}</strong> ·
+              ${this.t('forecast.aqiMax')} ${day.aqi ? Math.round(day.aqi.max) : '–'} ·
+              ${this.t('forecast.uvMax')} ${day.uv ? this.formatNumber(day.uv.max, 1) : '–'}
+            </p>
+            <p><i class="fas fa-walking"></i> ${this.t('forecast.bestTime')} <strong>${bestWindow}</strong></p>
+            <table class="day-details-table">
+              <thead>
+                <tr><th>${this.t('forecast.allergen')}</th><th>${this.t('forecast.peak')}</th><th>${this.t('forecast.mean')}</th><th>${this.t('forecast.peakHour')}</th></tr>
+              </thead>
+              <tbody>${allergenRows}</tbody>
+            </table>
+          </div>
+        </details>
+      `;
       forecastList.appendChild(li);
+    });
+
+    if (forecastList.children.length === 0) {
+      forecastList.innerHTML = `<li class="error"><i class="fas fa-exclamation-circle"></i> ${this.t('forecast.none')}</li>`;
+    }
+  }
+
+  // Fill the planner's duration choices
+  initPlanner() {
+    const select = document.getElementById('planner-duration');
+    const selected = select.value;
+    select.innerHTML = this.PLANNER_DURATIONS
+      .map(hours => `<option value="${hours}">${hours === 1 ? this.t('planner.hour') : this.t('planner.hours', { count: hours })}</option>`)
+      .join('');
+    select.value = selected || this.OUTDOOR_WINDOW_HOURS;
+  }
+
+  // Limit the planner's dates to the forecast, defaulting to the next three days
+  updatePlannerRange(hourlyData, currentTime) {
+    if (!hourlyData?.time?.length || !currentTime) return;
+
+    const first = currentTime.slice(0, 10);
+    const last = hourlyData.time[hourlyData.time.length - 1].slice(0, 10);
+    const fromInput = document.getElementById('planner-from');
+    const toInput = document.getElementById('planner-to');
+
+    [fromInput, toInput].forEach(input => {
+      input.min = first;
+      input.max = last;
+    });
+    if (!fromInput.value || fromInput.value < first || fromInput.value > last) {
+      fromInput.value = first;
+    }
+    if (!toInput.value || toInput.value < fromInput.value || toInput.value > last) {
+      const to = this.shiftLocalTime(`${fromInput.value}T00:00`, 48).slice(0, 10);
+      toInput.value = to < last ? to : last;
+    }
+  }
+
+  // Find and show the lowest-exposure slots for the planned activity
+  planOutdoorTime() {
+    const resultsEl = document.getElementById('planner-results');
+    const nowHour = this.getNowHour();
+    if (!window.hourlyData || !nowHour) {
+      resultsEl.innerHTML = `<li class="loading">${this.t('planner.loading')}</li>`;
+      return;
+    }
+
+    const from = document.getElementById('planner-from').value;
+    const to = document.getElementById('planner-to').value;
+    if (!from || !to || from > to) {
+      this.showNotification(this.t('planner.invalidRange'), 'warning');
+      return;
+    }
+
+    const fromTime = `${from}T00:00` > nowHour ? `${from}T00:00` : nowHour;
+    const toTime = this.shiftLocalTime(`${to}T00:00`, 24);
+    this.plannerActivity = document.getElementById('planner-activity').value.trim() || this.t('planner.defaultActivity');
+    const windows = this.findOutdoorWindows(window.hourlyData, {
+      fromTime,
+      toTime,
+      hours: parseInt(document.getElementById('planner-duration').value) || this.OUTDOOR_WINDOW_HOURS,
+      daytimeOnly: document.getElementById('planner-daytime').checked
+    });
+    this.plannerWindows = windows.map(slot => ({ ...slot, notes: this.explainOutdoorWindow(slot, windows[0]) }));
+
+    if (windows.length === 0) {
+      resultsEl.innerHTML = `<li class="loading">${this.t('planner.empty')}</li>`;
+      return;
+    }
+
+    resultsEl.innerHTML = this.plannerWindows.map((slot, index) => `
+      <li class="planner-slot">
+        <strong>${this.formatLocalTime(slot.start, { weekday: 'short', month: 'short', day: 'numeric' })},
+          ${this.formatHour(slot.start)}–${this.formatHour(slot.end)}</strong>
+        ${index === 0 ? `<span class="badge badge-info">${this.t('planner.best')}</span>` : ''}
+        <div class="stat-label">
+          ${this.t('chart.pollen')} ${this.formatPollenValue(slot.pollen)} (${this.getLevelLabel(slot.pollenLevel)}) ·
+          AQI ${Math.round(slot.aqi)} · ${this.t('forecast.uvMax')} ${this.formatNumber(slot.uv, 1)}
+        </div>
+        <ul>${slot.notes.map(note => `<li>${note}</li>`).join('')}</ul>
+        <button class="btn btn-secondary" onclick="app.addPlannerSlotToCalendar(${index}, 'google')">
+          <i class="fab fa-google"></i> ${this.t('planner.googleCalendar')}
+        </button>
+        <button class="btn btn-secondary" onclick="app.addPlannerSlotToCalendar(${index}, 'ics')">
+          <i class="fas fa-calendar-plus"></i> ${this.t('planner.icsFile')}
+        </button>
+      </li>
+    `).join('');
+  }
+
+  // Add a planner slot to Google Calendar or download it as an iCalendar file
+  addPlannerSlotToCalendar(index, target) {
+    const slot = this.plannerWindows?.[index];
+    if (!slot) return;
+
+    const event = {
+      start: slot.start,
+      end: slot.end,
+      summary: this.plannerActivity,
+      description: [...slot.notes, this.t('planner.plannedFor', { location: this.currentLocationName || this.t('planner.yourLocation') })].join('\n'),
+      timezone: this.lastTimezone
+    };
+
+    if (target === 'google') {
+      window.open(this.getGoogleCalendarUrl(event), '_blank', 'noopener');
+    } else {
+      const ics = this.buildIcsEvent({ ...event, uid: `${slot.start}-${this.currentLat.toFixed(2)},${this.currentLon.toFixed(2)}@bee-healthy` });
+      this.downloadFile(`bee-healthy-${slot.start.slice(0, 10)}.ics`, ics, 'text/calendar');
+    }
+  }
+
+  // Offer the travel modes for route estimates
+  initRoute() {
+    const select = document.getElementById('route-mode');
+    const selected = select.value;
+    select.innerHTML = Object.keys(this.ROUTE_SPEEDS)
+      .map(mode => `<option value="${mode}">${this.t(`route.${mode}`)}</option>`)
+      .join('');
+    select.value = selected || 'cycling';
+  }
+
+  // Default the route departure to the next hour at the location
+  updateRouteDeparture(currentTime) {
+    if (!currentTime) return;
+
+    const input = document.getElementById('route-departure');
+    input.min = `${currentTime.slice(0, 13)}:00`;
+    if (!input.value || input.value < input.min) {
+      input.value = this.shiftLocalTime(input.min, 1);
+    }
+  }
+
+  // Keep the waypoints of an imported GPX file for the next estimate
+  async importRouteGpx(file) {
+    if (!file) return;
+
+    const points = this.parseGpx(await file.text());
+    if (points.length < 2) {
+      this.routeGpx = null;
+      this.showNotification(this.t('route.gpxEmpty'), 'warning');
+      return;
+    }
+
+    this.routeGpx = { name: file.name, points };
+    document.getElementById('route-waypoints').value = '';
+    const km = this.sampleRoute(points, points.length).pop().km;
+    document.getElementById('route-results').innerHTML = `<div class="stat-label">${this.escapeHtml(this.t('route.gpxLoaded', {
+      name: file.name,
+      count: this.formatNumber(points.length),
+      km: this.formatNumber(km, 1)
+    }))}</div>`;
+  }
+
+  // Resolve typed waypoints, one "lat, lon" or place name per line
+  async resolveRouteWaypoints(text) {
+    const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+    return Promise.all(lines.map(async line => {
+      const coordinates = this.parseCoordinates(line);
+      if (coordinates) return coordinates;
+
+      const [place] = await this.providers.geocoding.searchPlaces(line, this.preferences.language);
+      if (!place) throw new Error(this.t('route.unknownPlace', { place: line }));
+      return place;
+    }));
+  }
+
+  // Estimate exposure along the route and look for a better departure
+  async estimateRoute() {
+    const resultsEl = document.getElementById('route-results');
+    const text = document.getElementById('route-waypoints').value.trim();
+    const departure = document.getElementById('route-departure').value;
+    const speed = this.ROUTE_SPEEDS[document.getElementById('route-mode').value] || this.ROUTE_SPEEDS.cycling;
+
+    if (!departure) {
+      resultsEl.innerHTML = `<div class="loading">${this.t('route.noDeparture')}</div>`;
+      return;
+    }
+
+    this.routeController?.abort();
+    const controller = new AbortController();
+    this.routeController = controller;
+    const { signal } = controller;
+    resultsEl.innerHTML = `<div class="loading"><span class="loading-spinner"></span> ${this.t('route.loading')}</div>`;
+
+    try {
+      // A track of repeated points samples to a single spot
+      const points = text ? await this.resolveRouteWaypoints(text) : this.routeGpx?.points || [];
+      const samples = this.sampleRoute(points);
+      if (samples.length < 2 || samples[samples.length - 1].km <= 0) {
+        resultsEl.innerHTML = `<div class="loading">${this.t('route.tooFew')}</div>`;
+        return;
+      }
+
+      // Same hourly forecast per coordinate as the dashboard
+      const series = await Promise.all(samples.map(sample =>
+        this.providers.airQuality.fetchAirQuality(sample.lat, sample.lon, { forecastDays: 7, signal })
+          .then(readings => readings.hourly)
+      ));
+      if (signal.aborted) return;
+
+      const chosen = this.estimateRouteExposure(samples, series, departure, speed);
+      if (!chosen) {
+        resultsEl.innerHTML = `<div class="loading">${this.t('route.outOfRange')}</div>`;
+        return;
+      }
+      const best = this.findBestDeparture(samples, series, departure, speed, this.getNowHour());
+      this.routeEstimate = { chosen, best };
+      this.renderRouteExposure(chosen, best);
+    } catch (error) {
+      if (signal.aborted) return;
+      console.error('Error estimating route exposure:', error);
+      resultsEl.innerHTML = `<div class="error"><i class="fas fa-exclamation-triangle"></i> ${this.escapeHtml(this.t('route.error', { message: error.message }))}</div>`;
+    } finally {
+      if (this.routeController === controller) this.routeController = null;
     }
   }
 
+  // Show the route's doses, allergen breakdown and departure suggestion
+  renderRouteExposure(chosen, best) {
+    const when = (time) => `${this.formatLocalTime(time, { weekday: 'short' })} ${this.formatHour(time)}`;
+    const minutes = Math.round(chosen.hours * 60);
+    const rows = [
+      [this.t('chart.pollen'), `${this.formatNumber(chosen.dose.pollen, 0)} ${this.getPollenUnit()}·h`, this.formatPollenValue(chosen.peak.pollen)],
+      ['PM2.5', `${this.formatNumber(chosen.dose.pm2_5, 0)} μg/m³·h`, `${this.formatNumber(chosen.peak.pm2_5, 1)} μg/m³`],
+      [this.t('stat.uv'), `${this.formatNumber(chosen.dose.uv, 1)} UV·h`, this.formatNumber(chosen.peak.uv, 1)]
+    ];
+    const allergens = this.rankAllergens(chosen.byAllergen)
+      .filter(([, dose]) => dose > 0)
+      .map(([type, dose]) => `
+        <li${this.isUserAllergen(type) ? ' class="user-allergen"' : ''}>
+          ${this.getPollenName(type)}: ${this.formatNumber(dose, 0)} ${this.getPollenUnit()}·h
+          ${this.isUserAllergen(type) ? `<small>${this.t('allergen.yoursSuffix')}</small>` : ''}
+        </li>`).join('');
+
+    // Only suggest another time when it saves a tenth or more
+    const saving = best && chosen.score > 0 ? Math.round((1 - best.score / chosen.score) * 100) : 0;
+    const suggestion = best && best.departure !== chosen.departure && saving >= 10
+      ? `<p class="route-suggestion">
+          <i class="fas fa-lightbulb"></i> ${this.t('route.suggest', { time: when(best.departure), percent: saving })}
+          <button class="btn btn-secondary" onclick="app.useRouteDeparture()">${this.t('route.useSuggestion')}</button>
+        </p>`
+      : `<p class="route-suggestion">${this.t('route.alreadyBest', { hours: this.ROUTE_DEPARTURE_SEARCH_HOURS })}</p>`;
+
+    document.getElementById('route-results').innerHTML = `
+      <strong>${this.t('route.summary', {
+        km: this.formatNumber(chosen.distanceKm, 1),
+        duration: this.t('route.duration', { hours: Math.floor(minutes / 60), minutes: minutes % 60 }),
+        from: when(chosen.departure),
+        to: when(chosen.arrival)
+      })}</strong>
+      <table class="day-details-table">
+        <tr><th></th><th>${this.t('route.dose')}</th><th>${this.t('forecast.peak')}</th></tr>
+        ${rows.map(([label, dose, peak]) => `<tr><td>${label}</td><td>${dose}</td><td>${peak}</td></tr>`).join('')}
+      </table>
+      ${allergens ? `<ul class="route-allergens">${allergens}</ul>` : ''}
+      ${suggestion}
+    `;
+  }
+
+  // Switch to the suggested departure and show its estimate
+  useRouteDeparture() {
+    const best = this.routeEstimate?.best;
+    if (!best) return;
+
+    document.getElementById('route-departure').value = best.departure;
+    this.routeEstimate = { chosen: best, best };
+    this.renderRouteExposure(best, best);
+  }
+
   // Show pollen info modal
   showPollenInfo(type) {
-    document.getElementById('pollenInfoTitle').textContent = type + " Pollen";
-    document.getElementById('pollenInfoText').textContent = this.POLLEN_INFO[type] || "No info available.";
+    document.getElementById('pollenInfoTitle').textContent = this.t('pollen.name', { type: this.getPollenName(type) });
+    document.getElementById('pollenInfoText').textContent = this.t(this.POLLEN_INFO[type] || 'pollenInfo.none');
     
     // Add season information
     const seasonInfo = this.POLLEN_SEASONS[type];
-    let seasonHtml = "<strong>Seasonal Information:</strong><br>";
+    let seasonHtml = `<strong>${this.t('pollenInfo.seasonal')}</strong><br>`;
     
     if (seasonInfo) {
+      const monthName = (month) => new Date(2024, month, 1).toLocaleDateString(this.getLocale(), { month: 'long' });
       seasonHtml += `
-        Season: ${seasonInfo.season}<br>
-        Months: ${seasonInfo.months}<br>
-        Peak: ${seasonInfo.peak}
+        ${this.t('pollenInfo.season', { season: this.t(seasonInfo.season) })}<br>
+        ${this.t('pollenInfo.months', { from: monthName(seasonInfo.startMonth), to: monthName(seasonInfo.endMonth) })}<br>
+        ${this.t('pollenInfo.peak', { peak: this.t(seasonInfo.peak) })}
       `;
     } else {
-      seasonHtml += "No seasonal data available.";
+      seasonHtml += this.t('pollenInfo.noSeason');
     }
     
     document.getElementById('pollenSeasonInfo').innerHTML = seasonHtml;
@@ -1114,10 +3145,478 @@ class BeeHealthyApp {
     document.getElementById('pollenInfoModal').style.display = 'none';
   }
 
+  // Store the latest readings locally and apply the retention policy,
+  // counted back from the current hour at the location
+  async recordHistory(current, hourlyData, weatherHourly) {
+    try {
+      await this.readingStore.recordReadings(this.currentLat, this.currentLon, current, hourlyData, weatherHourly);
+      if (current?.time) {
+        const cutoff = this.shiftLocalTime(`${current.time.slice(0, 13)}:00`, -24 * this.readingStore.RETENTION_DAYS);
+        await this.readingStore.enforceRetention(cutoff);
+      }
+    } catch (error) {
+      console.warn('Failed to record reading history:', error);
+    }
+  }
+
+  // Query stored history as an hourly series, or null when unavailable
+  async queryHistory(lat, lon, fromTime, toTime) {
+    try {
+      const records = await this.readingStore.query(lat, lon, fromTime, toTime, { pastOnly: true });
+      return records.length > 0 ? this.readingStore.toHourlySeries(records) : null;
+    } catch (error) {
+      console.warn('Failed to query reading history:', error);
+      return null;
+    }
+  }
+
+  // Build an hourly series for the chart window: recorded history for past
+  // hours, the forecast for the rest, and gaps where neither has data
+  async getChartData() {
+    const nowHour = this.getNowHour();
+    if (!nowHour) return null;
+
+    const fromTime = this.shiftLocalTime(nowHour, this.chartWindow.offset);
+    const toTime = this.shiftLocalTime(fromTime, this.chartWindow.span - 1);
+
+    const byTime = {};
+    const forecast = window.hourlyData;
+    if (forecast?.time) {
+      forecast.time.forEach((time, i) => {
+        if (time < fromTime || time > toTime) return;
+        byTime[time] = {};
+        Object.keys(forecast).forEach(metric => {
+          if (metric !== 'time') byTime[time][metric] = forecast[metric][i];
+        });
+      });
+    }
+
+    if (fromTime < nowHour) {
+      const historyEnd = toTime < nowHour ? toTime : nowHour;
+      const history = await this.queryHistory(this.currentLat, this.currentLon, fromTime, historyEnd);
+      history?.time.forEach((time, i) => {
+        byTime[time] = byTime[time] || {};
+        Object.keys(history).forEach(metric => {
+          if (metric !== 'time' && history[metric][i] !== null) byTime[time][metric] = history[metric][i];
+        });
+      });
+    }
+
+    const series = { time: [] };
+    const metrics = new Set(Object.values(byTime).flatMap(values => Object.keys(values)));
+    metrics.forEach(metric => { series[metric] = []; });
+
+    for (let time = fromTime; time <= toTime; time = this.shiftLocalTime(time, 1)) {
+      series.time.push(time);
+      metrics.forEach(metric => {
+        series[metric].push(byTime[time]?.[metric] ?? null);
+      });
+    }
+
+    series.nowTime = nowHour;
+    return this.addRiskSeries(series);
+  }
+
+  // Show or hide the map; it is only sampled while shown
+  toggleMap() {
+    this.mapVisible = !this.mapVisible;
+    document.getElementById('map-panel').style.display = this.mapVisible ? 'block' : 'none';
+
+    const label = document.getElementById('map-toggle-label');
+    label.dataset.i18n = this.mapVisible ? 'map.hide' : 'map.show';
+    label.textContent = this.t(label.dataset.i18n);
+
+    if (this.mapVisible) {
+      this.updateMap();
+    } else {
+      this.mapController?.abort();
+    }
+  }
+
+  // Switch the heatmap between pollen and air quality
+  setMapLayer(layer) {
+    this.mapLayer = layer;
+    document.querySelectorAll('.map-layer-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.layer === layer);
+    });
+    if (this.mapSamples) {
+      this.drawMap();
+    }
+  }
+
+  // Sample current readings on a grid around the location and draw them
+  async updateMap() {
+    this.mapController?.abort();
+    const controller = new AbortController();
+    this.mapController = controller;
+
+    const points = this.buildMapGrid(this.currentLat, this.currentLon);
+    const statusEl = document.getElementById('map-status');
+    statusEl.textContent = this.t('map.loading', { count: points.length });
+
+    try {
+      const samples = await this.providers.airQuality.fetchAirQualityGrid(points, { signal: controller.signal });
+      this.mapSamples = samples;
+      this.mapBounds = this.getMapBounds(points);
+      statusEl.textContent = this.t('map.hint');
+      this.drawMap();
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('Error loading map:', error);
+      statusEl.textContent = this.t('map.error', { message: error.message });
+    } finally {
+      if (this.mapController === controller) this.mapController = null;
+    }
+  }
+
+  // Draw the heatmap, a scale bar and the current and saved locations
+  drawMap() {
+    const canvas = document.getElementById('map-canvas');
+    const ctx = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const size = this.MAP_GRID.size;
+    const scores = this.mapSamples.map(sample => this.getMapScore(sample.current, this.mapLayer));
+
+    // Heatmap in blocks, blended between the sample points at cell centres
+    const block = 10;
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#f5f5f5';
+    ctx.fillRect(0, 0, width, height);
+    for (let y = 0; y < height; y += block) {
+      for (let x = 0; x < width; x += block) {
+        const score = this.interpolateGrid(scores, size, (x + block / 2) / width * size - 0.5, (y + block / 2) / height * size - 0.5);
+        if (score === null) continue;
+        ctx.fillStyle = this.getMapColor(score);
+        ctx.fillRect(x, y, block, block);
+      }
+    }
+
+    // Sample values
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+    this.mapSamples.forEach((sample, i) => {
+      if (scores[i] === null) return;
+      const { x, y } = this.projectToMap(sample.lat, sample.lon, this.mapBounds, width, height);
+      const value = this.mapLayer === 'aqi'
+        ? this.getAqiHeadline(sample.current).value
+        : Object.values(this.getPollenTypes(sample.current)).reduce((sum, amount) => sum + amount, 0);
+      ctx.fillText(this.formatNumber(value, 0), x, y + 4);
+    });
+
+    // Scale bar of one grid cell
+    const cell = width / size;
+    ctx.strokeStyle = '#333';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(10, height - 12);
+    ctx.lineTo(10 + cell, height - 12);
+    ctx.stroke();
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#333';
+    ctx.fillText(`${this.MAP_GRID.spacingKm} km`, 10, height - 18);
+
+    // Saved locations inside the map, then the current location on top
+    const marker = (lat, lon, color, label) => {
+      const { x, y } = this.projectToMap(lat, lon, this.mapBounds, width, height);
+      if (x < 0 || x > width || y < 0 || y > height) return;
+      ctx.fillStyle = color;
+      ctx.strokeStyle = 'white';
+      ctx.beginPath();
+      ctx.arc(x, y, 7, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      if (label) {
+        ctx.fillStyle = '#222';
+        ctx.textAlign = 'left';
+        ctx.fillText(label, x + 10, y - 8);
+      }
+    };
+    this.savedLocations.forEach(location => marker(location.lat, location.lon, '#1565c0', location.name));
+    marker(this.currentLat, this.currentLon, '#2e7d32', this.currentLocationName);
+
+    this.renderMapLegend();
+  }
+
+  // Colour scale of the current layer
+  renderMapLegend() {
+    const stops = this.MAP_COLOR_STOPS;
+    const max = stops[stops.length - 1][0];
+    const gradient = stops.map(([at]) => `${this.getMapColor(at, 1)} ${at / max * 100}%`).join(', ');
+    const labels = this.mapLayer === 'aqi'
+      ? [0, 1, 2].map(score => `${score * this.MAP_AQI_SCALE[this.preferences.aqiStandard]}`)
+      : [this.getLevelLabel('Low'), this.getLevelLabel('High'), `${this.getLevelLabel('High')} ×2`];
+    const caption = this.mapLayer === 'aqi' ? this.getAqiHeadline({}).label : this.t('map.pollenLegend');
+
+    document.getElementById('map-legend').innerHTML = `
+      <div class="map-legend-bar" style="background: linear-gradient(to right, ${gradient});"></div>
+      <div class="map-legend-labels">${labels.map(label => `<span>${this.escapeHtml(label)}</span>`).join('')}</div>
+      <small>${this.escapeHtml(caption)}</small>
+    `;
+  }
+
+  // Load the point under a click on the map
+  handleMapClick(event) {
+    if (!this.mapBounds) return;
+
+    const canvas = event.currentTarget;
+    const rect = canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * canvas.width / rect.width;
+    const y = (event.clientY - rect.top) * canvas.height / rect.height;
+    const { lat, lon } = this.unprojectFromMap(x, y, this.mapBounds, canvas.width, canvas.height);
+
+    this.setLocation(Number(lat.toFixed(4)), Number(lon.toFixed(4)), false);
+  }
+
+  // Load medications and the dose log from localStorage
+  loadMedications() {
+    try {
+      this.medications = JSON.parse(localStorage.getItem('beeHealthyMedications')) || [];
+      this.medicationLog = { taken: {}, reminded: {}, prompted: {}, ...JSON.parse(localStorage.getItem('beeHealthyMedicationLog')) };
+    } catch (error) {
+      console.warn('Failed to load medications:', error);
+      this.medications = [];
+      this.medicationLog = { taken: {}, reminded: {}, prompted: {} };
+    }
+  }
+
+  // Save medications and reschedule their reminders
+  saveMedications() {
+    localStorage.setItem('beeHealthyMedications', JSON.stringify(this.medications));
+    this.scheduleMedicationReminders();
+  }
+
+  // Save the dose log, keeping the adherence window plus some history
+  saveMedicationLog(now = new Date()) {
+    const cutoff = this.formatDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 90));
+    const log = this.medicationLog;
+    Object.keys(log.taken).forEach(dateKey => {
+      if (dateKey < cutoff) delete log.taken[dateKey];
+    });
+    Object.keys(log.reminded).forEach(key => {
+      if (key.split('@')[1] < cutoff) delete log.reminded[key];
+    });
+    Object.keys(log.prompted).forEach(key => {
+      if (parseInt(key.split(':').pop()) < now.getFullYear() - 1) delete log.prompted[key];
+    });
+    localStorage.setItem('beeHealthyMedicationLog', JSON.stringify(log));
+  }
+
+  // Render the medication form's allergen choices and profile suggestions
+  initMedications() {
+    const allergensEl = document.getElementById('medication-allergens');
+    const checked = Object.keys(this.POLLEN_SEASONS)
+      .filter(type => document.getElementById(`medication-allergen-${type}`)?.checked);
+    allergensEl.innerHTML = Object.keys(this.POLLEN_SEASONS).map(type => `
+      <label><input type="checkbox" id="medication-allergen-${type}" ${checked.includes(type) ? 'checked' : ''}> ${this.getPollenName(type)}</label>
+    `).join('');
+
+    // Medications from the allergy profile, one per comma, semicolon or line
+    const names = (this.userProfile?.medications || '').split(/[,;\n]/).map(name => name.trim()).filter(Boolean);
+    document.getElementById('medication-suggestions').innerHTML = names
+      .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+      .join('');
+  }
+
+  // Add a medication from the form
+  addMedication() {
+    const name = document.getElementById('medication-name').value.trim();
+    const times = this.parseDoseTimes(document.getElementById('medication-times').value);
+    const leadDays = parseInt(document.getElementById('medication-lead').value);
+    const allergens = Object.keys(this.POLLEN_SEASONS)
+      .filter(type => document.getElementById(`medication-allergen-${type}`).checked);
+
+    if (!name || !times) {
+      this.showNotification(this.t('medication.invalid'), 'warning');
+      return;
+    }
+
+    this.medications.push({
+      id: `med-${Date.now()}`,
+      name,
+      times,
+      allergens,
+      leadDays: isNaN(leadDays) ? this.MEDICATION_LEAD_DAYS : Math.min(60, Math.max(0, leadDays))
+    });
+    document.getElementById('medication-name').value = '';
+
+    this.saveMedications();
+    this.renderMedications();
+    this.updateSeasonStarts();
+  }
+
+  // Remove a medication; its log entries age out with the log
+  removeMedication(id) {
+    this.medications = this.medications.filter(medication => medication.id !== id);
+    this.saveMedications();
+    this.renderMedications();
+  }
+
+  // Mark one of today's doses as taken, or undo it
+  markDoseTaken(id, time, now = new Date()) {
+    const today = this.formatDateKey(now);
+    const day = this.medicationLog.taken[today] = this.medicationLog.taken[today] || {};
+    const taken = day[id] || [];
+    day[id] = taken.includes(time) ? taken.filter(entry => entry !== time) : [...taken, time];
+
+    this.saveMedicationLog(now);
+    this.renderMedications(now);
+  }
+
+  // Short local date for course dates
+  formatCourseDate(dateKey) {
+    return this.parseDateKey(dateKey).toLocaleDateString(this.getLocale(), { month: 'short', day: 'numeric' });
+  }
+
+  // Describe whether a medication is due today or when its next course starts
+  describeMedicationCourse(medication, today) {
+    if (medication.allergens.length === 0) {
+      return this.t('medication.daily');
+    }
+
+    const courses = this.getMedicationCourses(medication, today, this.seasonStarts);
+    const current = courses.find(course => course.from <= today);
+    const course = current || courses[0];
+    return this.t(current ? 'medication.inCourse' : 'medication.nextCourse', {
+      allergen: this.getPollenName(course.allergen),
+      from: this.formatCourseDate(course.from),
+      start: this.formatCourseDate(course.start),
+      end: this.formatCourseDate(course.end)
+    });
+  }
+
+  // Render the medication list with today's doses and adherence
+  renderMedications(now = new Date()) {
+    const listEl = document.getElementById('medication-list');
+    if (this.medications.length === 0) {
+      listEl.innerHTML = `<li class="loading">${this.t('medication.empty')}</li>`;
+      return;
+    }
+
+    const today = this.formatDateKey(now);
+    const taken = this.medicationLog.taken[today] || {};
+    listEl.innerHTML = this.medications.map(medication => {
+      const due = this.isMedicationDue(medication, today, this.seasonStarts);
+      const doses = due
+        ? medication.times.map(time => {
+          const done = (taken[medication.id] || []).includes(time);
+          return `<button class="btn dose-btn${done ? ' taken' : ''}" onclick="app.markDoseTaken('${medication.id}', '${time}')" aria-pressed="${done}">
+            <i class="fas ${done ? 'fa-check-circle' : 'fa-circle'}"></i> ${time}
+          </button>`;
+        }).join('')
+        : '';
+      const adherence = this.getAdherence(medication, this.medicationLog.taken, now, this.ADHERENCE_DAYS, this.seasonStarts);
+      const adherenceText = adherence.rate === null
+        ? ''
+        : this.t('medication.adherence', {
+          taken: adherence.taken,
+          due: adherence.due,
+          days: this.ADHERENCE_DAYS,
+          percent: this.formatNumber(adherence.rate * 100)
+        });
+
+      return `
+        <li class="medication">
+          <div class="medication-header">
+            <strong>${this.escapeHtml(medication.name)}</strong>
+            <button class="btn" onclick="app.removeMedication('${medication.id}')" aria-label="${this.t('medication.remove')}">
+              <i class="fas fa-trash"></i>
+            </button>
+          </div>
+          <small>${this.escapeHtml(this.describeMedicationCourse(medication, today))}</small>
+          ${doses ? `<div class="medication-doses">${doses}</div>` : ''}
+          ${adherenceText ? `<small class="medication-adherence">${this.escapeHtml(adherenceText)}</small>` : ''}
+        </li>
+      `;
+    }).join('');
+  }
+
+  // Estimate this location's season starts for the medications' allergens
+  // from previous years, falling back to the calendar table
+  async updateSeasonStarts() {
+    const lat = this.currentLat;
+    const lon = this.currentLon;
+    const types = [...new Set(this.medications.flatMap(medication => medication.allergens))];
+    if (lat === null || lon === null || types.length === 0) return;
+
+    const starts = {};
+    for (const type of types) {
+      const { startMonth } = this.POLLEN_SEASONS[type];
+      try {
+        const months = await Promise.all([Math.max(0, startMonth - 1), startMonth]
+          .map(month => this.getClimatology(lat, lon, month)));
+        const start = this.estimateSeasonStart(type, Object.assign({}, ...months));
+        if (start) starts[type] = start;
+      } catch (error) {
+        console.warn(`Failed to estimate the ${type} season start:`, error);
+      }
+    }
+
+    // Ignore results for a location the user has since left
+    if (lat !== this.currentLat || lon !== this.currentLon) return;
+    this.seasonStarts = starts;
+    this.renderMedications();
+    this.scheduleMedicationReminders();
+  }
+
+  // Schedule the next dose reminder while the app is open. Long waits are
+  // split into daily checks, beyond what a timer can hold.
+  scheduleMedicationReminders() {
+    clearTimeout(this.medicationTimer);
+    this.medicationTimer = null;
+    if (this.medications.length === 0) return;
+
+    const delay = this.getNextDoseDelay(this.medications, new Date(), this.seasonStarts);
+    this.medicationTimer = setTimeout(() => this.sendMedicationReminders(), Math.min(delay ?? Infinity, 24 * 3600000));
+  }
+
+  // Remind about doses due within the grace period that are not taken yet,
+  // and prompt once when a pre-season course begins
+  sendMedicationReminders(now = new Date()) {
+    this.medicationTimer = null;
+    const today = this.formatDateKey(now);
+    const taken = this.medicationLog.taken[today] || {};
+    const { reminded, prompted } = this.medicationLog;
+
+    this.medications.forEach(medication => {
+      if (this.isMedicationDue(medication, today, this.seasonStarts)) {
+        medication.times.forEach(time => {
+          const [hours, minutes] = time.split(':').map(Number);
+          const late = now - new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+          const key = `${medication.id}@${today}T${time}`;
+          if (late < 0 || late > this.MEDICATION_GRACE_MINUTES * 60000) return;
+          if (reminded[key] || (taken[medication.id] || []).includes(time)) return;
+
+          reminded[key] = true;
+          this.showNotification(this.t('medication.doseReminder', { name: medication.name, time }), 'info', 'medications');
+        });
+      }
+
+      this.getMedicationCourses(medication, today, this.seasonStarts)
+        .filter(course => course.from <= today && today < course.start)
+        .forEach(course => {
+          const key = `${medication.id}:${course.allergen}:${course.start.slice(0, 4)}`;
+          if (prompted[key]) return;
+
+          prompted[key] = true;
+          this.showNotification(this.t('medication.startCourse', {
+            name: medication.name,
+            allergen: this.getPollenName(course.allergen),
+            start: this.formatCourseDate(course.start)
+          }), 'warning', 'medications');
+        });
+    });
+
+    this.saveMedicationLog(now);
+    this.renderMedications(now);
+    this.scheduleMedicationReminders();
+  }
+
   // Update charts
-  updateCharts() {
-    if (window.hourlyData) {
-      this.createPollenChart(window.hourlyData);
+  async updateCharts() {
+    const data = await this.getChartData() || window.hourlyData;
+    if (data) {
+      this.createPollenChart(data);
     }
   }
 }
@@ -0,0 +1,202 @@
+// Bee-Healthy Pollen Tracker - Local time-series store for fetched readings
+class ReadingStore {
+  constructor() {
+    this.DB_NAME = 'bee-healthy';
+    this.DB_VERSION = 1;
+    this.STORE_NAME = 'readings';
+    this.RETENTION_DAYS = 90;
+
+    // Hourly metrics kept for each reading
+    this.METRICS = [
+      'birch_pollen', 'alder_pollen', 'grass_pollen', 'mugwort_pollen', 'olive_pollen', 'ragweed_pollen',
+      'pm10', 'pm2_5', 'dust', 'us_aqi', 'european_aqi', 'uv_index',
+      'temperature_2m', 'relative_humidity_2m', 'wind_speed_10m'
+    ];
+
+    // How far each kind of reading is trusted: the current reading is
+    // observed, past hours of the fetched series are model values and later
+    // hours are forecast. A record never replaces a more trusted one.
+    this.KIND_RANK = { forecast: 0, model: 1, observed: 2 };
+
+    this.dbPromise = null;
+  }
+
+  // Check whether IndexedDB is available
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  // Open (and create or upgrade) the database
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.STORE_NAME)) {
+          const store = db.createObjectStore(this.STORE_NAME, { keyPath: ['locationKey', 'time'] });
+          store.createIndex('time', 'time');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return this.dbPromise;
+  }
+
+  // Key readings by coordinates rounded to about 1 km
+  getLocationKey(lat, lon) {
+    return `${lat.toFixed(2)},${lon.toFixed(2)}`;
+  }
+
+  // Wrap an IDBRequest in a promise
+  promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Build the records for one refresh: the hourly series as model values up
+  // to the current time and forecast after it, with the current reading as
+  // the observed value for its hour
+  buildRecords(locationKey, current, hourlyData, weatherHourly = null, fetchedAt = Date.now()) {
+    const now = current?.time || null;
+    const records = new Map();
+
+    if (hourlyData?.time) {
+      hourlyData.time.forEach((time, i) => {
+        records.set(time, {
+          locationKey,
+          time,
+          kind: now && time <= now ? 'model' : 'forecast',
+          fetchedAt,
+          values: this.pickValues(hourlyData, i, weatherHourly)
+        });
+      });
+    }
+
+    // The current reading is the most reliable value for its hour
+    if (current?.time) {
+      const hour = `${current.time.slice(0, 13)}:00`;
+      const existing = records.get(hour);
+      const values = { ...(existing?.values || {}) };
+      this.METRICS.forEach(metric => {
+        if (typeof current[metric] === 'number') values[metric] = current[metric];
+      });
+      records.set(hour, { locationKey, time: hour, kind: 'observed', fetchedAt, values });
+    }
+
+    return [...records.values()];
+  }
+
+  // Whether a new record may replace the stored one for its hour
+  canReplace(existing, record) {
+    return !existing || this.KIND_RANK[record.kind] >= (this.KIND_RANK[existing.kind] ?? 0);
+  }
+
+  // Record the current reading and hourly series from one refresh
+  async recordReadings(lat, lon, current, hourlyData, weatherHourly = null) {
+    if (!this.isSupported()) return 0;
+
+    const locationKey = this.getLocationKey(lat, lon);
+    const records = this.buildRecords(locationKey, current, hourlyData, weatherHourly);
+
+    const db = await this.open();
+    const transaction = db.transaction(this.STORE_NAME, 'readwrite');
+    const store = transaction.objectStore(this.STORE_NAME);
+
+    await Promise.all(records.map(async record => {
+      if (record.kind !== 'observed') {
+        const existing = await this.promisify(store.get([locationKey, record.time]));
+        if (!this.canReplace(existing, record)) return;
+      }
+      store.put(record);
+    }));
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+    });
+
+    return records.length;
+  }
+
+  // Pick stored metrics for one hour of the API's hourly arrays
+  pickValues(hourlyData, index, weatherHourly) {
+    const values = {};
+    this.METRICS.forEach(metric => {
+      let value = hourlyData[metric]?.[index];
+
+      // Weather arrays are aligned by timestamp, not index
+      if (value === undefined && weatherHourly?.[metric]) {
+        const weatherIndex = weatherHourly.time.indexOf(hourlyData.time[index]);
+        value = weatherIndex >= 0 ? weatherHourly[metric][weatherIndex] : undefined;
+      }
+
+      if (value !== null && value !== undefined) values[metric] = value;
+    });
+    return values;
+  }
+
+  // Query readings for a location between two local timestamps (inclusive);
+  // pastOnly leaves out forecasts
+  async query(lat, lon, fromTime, toTime, { pastOnly = false } = {}) {
+    if (!this.isSupported()) return [];
+
+    const locationKey = this.getLocationKey(lat, lon);
+    const db = await this.open();
+    const store = db.transaction(this.STORE_NAME, 'readonly').objectStore(this.STORE_NAME);
+    const range = IDBKeyRange.bound([locationKey, fromTime], [locationKey, toTime]);
+    const records = await this.promisify(store.getAll(range));
+
+    return pastOnly ? records.filter(record => record.kind !== 'forecast') : records;
+  }
+
+  // Convert stored records into the API's hourly array shape
+  toHourlySeries(records) {
+    const series = { time: [] };
+    this.METRICS.forEach(metric => { series[metric] = []; });
+
+    records.forEach(record => {
+      series.time.push(record.time);
+      this.METRICS.forEach(metric => {
+        series[metric].push(record.values[metric] ?? null);
+      });
+    });
+
+    return series;
+  }
+
+  // Delete readings before a cutoff. Times are stored as the location's
+  // local timestamps, so the cutoff must be one too (YYYY-MM-DDTHH:MM).
+  async enforceRetention(cutoff) {
+    if (!this.isSupported()) return 0;
+
+    const db = await this.open();
+    const transaction = db.transaction(this.STORE_NAME, 'readwrite');
+    const index = transaction.objectStore(this.STORE_NAME).index('time');
+
+    let deleted = 0;
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(IDBKeyRange.upperBound(cutoff, true));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    return deleted;
+  }
+}
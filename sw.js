@@ -0,0 +1,271 @@
+// Bee-Healthy Pollen Tracker - Service Worker
+importScripts('/i18n.js', '/core.js', '/providers.js');
+
+const SHELL_CACHE = 'bee-healthy-shell-v7';
+const DATA_CACHE = 'bee-healthy-data-v2';
+const CONFIG_CACHE = 'bee-healthy-config-v1';
+
+// App shell precached on install
+const SHELL_ASSETS = [
+  '/',
+  '/index.html',
+  '/styles.css',
+  '/i18n.js',
+  '/core.js',
+  '/providers.js',
+  '/transports.js',
+  '/store.js',
+  '/script.js',
+  '/manifest.json'
+];
+
+// API hosts whose last successful responses are kept for offline use
+const DATA_HOSTS = [
+  'air-quality-api.open-meteo.com',
+  'api.open-meteo.com',
+  'api.bigdatacloud.net'
+];
+
+// Most API responses kept for offline use; the least recently stored go first
+const DATA_CACHE_MAX_ENTRIES = 60;
+
+// Headers added to cached API responses
+const CACHED_AT_HEADER = 'X-Bee-Healthy-Cached-At';
+const FROM_CACHE_HEADER = 'X-Bee-Healthy-From-Cache';
+
+// Settings shared by the app for background checks, and the firing log
+// shared with it; the app reads the log back from the config cache
+const CONFIG_KEY = '/bee-healthy-config';
+const ALERT_LOG_KEY = '/bee-healthy-alert-log';
+const PERIODIC_SYNC_TAG = 'bee-healthy-conditions';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = [SHELL_CACHE, DATA_CACHE, CONFIG_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => !keep.includes(key)).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (DATA_HOSTS.includes(url.hostname)) {
+    event.respondWith(networkFirstData(request, url));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(request));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'bee-healthy-config') {
+    event.waitUntil(saveConfig(event.data.config));
+  }
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PERIODIC_SYNC_TAG) {
+    event.waitUntil(checkConditions());
+  }
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  if (event.action === 'dismiss') return;
+  event.waitUntil(openSection(event.notification.data?.section));
+});
+
+// Read a JSON value kept in the config cache
+async function readJson(key) {
+  const cache = await caches.open(CONFIG_CACHE);
+  const response = await cache.match(key);
+  return response ? response.json() : null;
+}
+
+// Store a JSON value in the config cache
+async function writeJson(key, value) {
+  const cache = await caches.open(CONFIG_CACHE);
+  await cache.put(key, new Response(JSON.stringify(value), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+}
+
+// Store the app's settings and fold its firing log into the shared one
+async function saveConfig({ alertLog, ...config }) {
+  const core = new BeeHealthyCore();
+  await writeJson(CONFIG_KEY, config);
+  await writeJson(ALERT_LOG_KEY, core.mergeAlertLogs(await readJson(ALERT_LOG_KEY), alertLog));
+}
+
+// Fetch conditions for the saved location and raise any alerts while the
+// app is closed; an open, visible app raises its own
+async function checkConditions() {
+  const config = await readJson(CONFIG_KEY);
+  if (!config?.notify) return;
+
+  const windows = await self.clients.matchAll({ type: 'window' });
+  if (windows.some(client => client.visibilityState === 'visible')) return;
+
+  const core = new BeeHealthyCore();
+  Object.assign(core.preferences, config.preferences);
+  const providers = createProviders(config.provider);
+  const readings = await providers.airQuality.fetchAirQuality(config.lat, config.lon, { forecastDays: 3 });
+  core.lastTimezone = readings.timezone || null;
+
+  const now = new Date();
+  const alertLog = core.mergeAlertLogs(await readJson(ALERT_LOG_KEY), {}, now);
+  const fired = core.checkAlertRules(config.rules, readings.current, readings.hourly, alertLog, now);
+  await writeJson(ALERT_LOG_KEY, alertLog);
+
+  await Promise.all(fired.map(alert => {
+    const { title, options } = core.getBrowserNotification(alert.message, 'warning', alert.section);
+    return self.registration.showNotification(title, options);
+  }));
+}
+
+// Focus the app on a section, opening it if needed
+async function openSection(section = 'current-conditions') {
+  const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  if (windows.length > 0) {
+    windows[0].postMessage({ type: 'bee-healthy-navigate', section });
+    return windows[0].focus();
+  }
+  return self.clients.openWindow(`/?section=${encodeURIComponent(section)}`);
+}
+
+// Key under which an API response is stored: the request with coordinates
+// rounded to about 1 km, so the same place still finds its data offline
+// after a small move but another location never does
+function dataKey(url) {
+  const key = new URL(url);
+  ['latitude', 'longitude'].forEach(param => {
+    const value = key.searchParams.get(param);
+    if (value) {
+      key.searchParams.set(param, value.split(',').map(part => Number(part).toFixed(2)).join(','));
+    }
+  });
+  key.searchParams.sort();
+  return key.href;
+}
+
+// Delete the oldest entries beyond a cache's limit. put() moves a replaced
+// entry to the end, so keys are in the order they were last stored.
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+// Network first for API data; falls back to the last successful response
+// for the same request and place
+async function networkFirstData(request, url) {
+  const cache = await caches.open(DATA_CACHE);
+  const key = dataKey(url);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(key, await stampResponse(response.clone()));
+      await trimCache(cache, DATA_CACHE_MAX_ENTRIES);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (cached) {
+      return markFromCache(cached);
+    }
+    return new Response(JSON.stringify({ error: true, reason: 'Offline and no cached data' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+// Copy a response, recording when it was fetched
+async function stampResponse(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+  const body = await response.blob();
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// Copy a cached response, flagging it as served offline
+async function markFromCache(response) {
+  const headers = new Headers(response.headers);
+  headers.set(FROM_CACHE_HEADER, 'true');
+  const body = await response.blob();
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+// Serve the shell from cache and refresh it in the background
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    return cached;
+  }
+
+  const response = await network;
+  if (response) {
+    return response;
+  }
+
+  // Navigation fallback to the cached app shell
+  if (request.mode === 'navigate') {
+    const shell = await cache.match('/index.html');
+    if (shell) return shell;
+  }
+  return Response.error();
+}
+
+// Third-party static assets (Chart.js, Font Awesome) rarely change
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return Response.error();
+  }
+}
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, jsonResponse, settle } = require('./helpers/load');
+
+// Create an app with data loaded and a webhook that records what it receives
+async function createApp(settings = {}) {
+  const received = [];
+  const context = loadApp({
+    responses: {
+      'hooks.example.com': (url, options) => {
+        received.push({ url, body: JSON.parse(options.body) });
+        return jsonResponse({ ok: true });
+      },
+      'api.emailjs.com': (url, options) => {
+        received.push({ url, body: JSON.parse(options.body) });
+        return jsonResponse({}, settings.emailJsStatus || 200);
+      }
+    },
+    storage: { beeHealthyBriefing: JSON.stringify(settings) }
+  });
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  await settle();
+  return { app, received, document: context.document, createTransport: context.createTransport };
+}
+
+test('getUVAdvice follows the UV bands', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  assert.equal(core.getUVAdvice(1), 'No sun protection needed.');
+  assert.match(core.getUVAdvice(4), /sunscreen/);
+  assert.match(core.getUVAdvice(7), /Seek shade/);
+  assert.match(core.getUVAdvice(11.5), /Avoid being outside/);
+});
+
+test('getNextBriefingDelay waits for the next slot and catches up on a missed one', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const morning = new Date(2024, 3, 15, 6, 30);
+  const noon = new Date(2024, 3, 15, 12, 0);
+
+  assert.equal(core.getNextBriefingDelay('07:00', null, morning), 30 * 60000);
+  assert.equal(core.getNextBriefingDelay('07:00', '2024-04-14', noon), 0);
+  assert.equal(core.getNextBriefingDelay('07:00', '2024-04-15', noon), 19 * 3600000);
+});
+
+test('buildDailyBriefing adds the forecast peak, outdoor window and UV advice', async () => {
+  const { app } = await createApp();
+  const briefing = app.buildDailyBriefing();
+
+  assert.match(briefing.subject, /^Bee-Healthy briefing for Berlin/);
+  assert.match(briefing.params.forecast_peak, /driven by \w+ around \d\d:\d\d/);
+  assert.match(briefing.params.best_outdoor_window, /^\d\d:\d\d for 2h$/);
+  assert.match(briefing.params.uv_max, /^\d+\.\d \(/);
+  assert.ok(briefing.params.uv_advice.length > 0);
+  assert.equal(briefing.params.pollen_level, app.getOverallPollenLevel(app.currentPollenTypes));
+  assert.match(briefing.text, /Best time outdoors: /);
+});
+
+test('briefing HTML escapes user-entered text', async () => {
+  const { app } = await createApp();
+  app.userProfile = { allergies: [], severity: '', medications: '<b>Cetirizine</b>' };
+  assert.match(app.buildDailyBriefing().html, /&lt;b&gt;Cetirizine&lt;\/b&gt;/);
+});
+
+test('createTransport rejects incomplete settings', () => {
+  const { createTransport } = loadApp();
+  assert.throws(() => createTransport({ type: 'webhook' }), /Webhook needs a webhook URL/);
+  assert.throws(() => createTransport({ type: 'smtp' }), /SMTP relay needs a recipient address/);
+  assert.throws(() => createTransport({ type: 'emailjs', serviceId: 's' }), /EmailJS needs a template ID, a public key/);
+  assert.throws(() => createTransport({ type: 'pigeon' }), /Unknown briefing transport: pigeon/);
+});
+
+test('sendTestBriefing posts Slack and Matrix compatible JSON to a webhook', async () => {
+  const { app, received, document } = await createApp();
+  document.getElementById('briefing-transport').value = 'webhook';
+  document.getElementById('briefing-endpoint').value = 'https://hooks.example.com/T000/B000';
+  await app.sendTestBriefing();
+
+  assert.equal(received.length, 1);
+  assert.match(received[0].body.text, /^\*Bee-Healthy briefing for Berlin/);
+  assert.match(received[0].body.html, /^<ul><li>Pollen now: /);
+  assert.equal(document.getElementById('notification-text').textContent, 'Test briefing sent.');
+});
+
+test('EmailJS transport sends the summary as template parameters', async () => {
+  const { app, received } = await createApp({
+    enabled: true, type: 'emailjs', serviceId: 'service_1', templateId: 'template_1', userId: 'public_1', recipient: 'me@example.com'
+  });
+  await app.sendTestBriefing();
+
+  const { body } = received.at(-1);
+  assert.equal(body.service_id, 'service_1');
+  assert.equal(body.template_params.to_email, 'me@example.com');
+  assert.equal(body.template_params.location, app.generateEmailSummary().location);
+  assert.ok('forecast_peak' in body.template_params);
+});
+
+test('sendDailyBriefing records the day it was sent', async () => {
+  const { app, received } = await createApp({
+    enabled: true, time: '00:00', type: 'webhook', endpoint: 'https://hooks.example.com/daily'
+  });
+  await app.sendDailyBriefing();
+  const sent = received.length;
+  assert.ok(sent >= 1);
+  assert.equal(app.briefingSettings.lastSentDate, app.formatDateKey(new Date()));
+
+  // Already sent today
+  await app.sendDailyBriefing();
+  assert.equal(received.length, sent);
+});
+
+test('a failed delivery is reported and retried later', async () => {
+  const { app, document } = await createApp({
+    enabled: true, time: '00:00', type: 'emailjs', serviceId: 's', templateId: 't', userId: 'u', emailJsStatus: 403
+  });
+  await app.sendDailyBriefing();
+
+  assert.equal(app.briefingSettings.lastSentDate, null);
+  assert.match(document.getElementById('notification-text').textContent, /Daily briefing could not be sent: EmailJS error! status: 403/);
+  assert.notEqual(app.briefingTimer, null);
+});
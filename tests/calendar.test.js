@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, loadFixture, jsonResponse, settle } = require('./helpers/load');
+
+test('getClimatology fetches past years together and keeps one location cached', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+  const context = loadApp({
+    storage: { 'beeHealthyClimatology:48.14,11.58:3': '{}' },
+    responses: {
+      // Count overlapping April history requests; start-up loads pass through
+      'air-quality-api.open-meteo.com': async (url) => {
+        if (!url.includes('-04-01&end_date')) return jsonResponse(loadFixture('air-quality.json'));
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        await settle();
+        inFlight--;
+        return jsonResponse(loadFixture('air-quality.json'));
+      }
+    }
+  });
+  const app = new context.BeeHealthyApp();
+  const storage = context.window.localStorage;
+
+  const climatology = await app.getClimatology(52.52, 13.41, 3);
+  assert.ok(Object.keys(climatology).length > 0);
+  assert.equal(maxInFlight, app.CLIMATOLOGY_YEARS);
+  assert.equal(storage.getItem('beeHealthyClimatology:48.14,11.58:3'), null);
+  assert.ok(storage.getItem('beeHealthyClimatology:52.52,13.41:3'));
+
+  // Another month at the same location is kept alongside
+  await app.getClimatology(52.52, 13.41, 4);
+  assert.ok(storage.getItem('beeHealthyClimatology:52.52,13.41:3'));
+});
+
+test('ensureCalendarData retries a month whose load failed', async () => {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  let calls = 0;
+  app.loadCalendarData = async () => {
+    calls++;
+    if (calls === 1) throw new Error('offline');
+  };
+
+  app.ensureCalendarData(2024, 3);
+  await settle();
+  app.ensureCalendarData(2024, 3);
+  await settle();
+  app.ensureCalendarData(2024, 3);
+  assert.equal(calls, 2);
+});
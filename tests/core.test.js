@@ -0,0 +1,295 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, loadFixture } = require('./helpers/load');
+
+const { BeeHealthyCore } = loadApp();
+
+test('getPollenLevelCategory uses inclusive lower bounds', () => {
+  const core = new BeeHealthyCore();
+  assert.equal(core.getPollenLevelCategory(0), 'Low');
+  assert.equal(core.getPollenLevelCategory(9.9), 'Low');
+  assert.equal(core.getPollenLevelCategory(10), 'Moderate');
+  assert.equal(core.getPollenLevelCategory(49.9), 'Moderate');
+  assert.equal(core.getPollenLevelCategory(50), 'High');
+  assert.equal(core.getPollenLevelCategory(100), 'Very High');
+  assert.equal(core.getPollenLevelCategory(2500), 'Very High');
+});
+
+test('getPollenLevelCategory grades each allergen by the selected scheme', () => {
+  const core = new BeeHealthyCore();
+  assert.equal(core.getPollenLevelCategory(60, 'Birch'), 'Moderate');
+  assert.equal(core.getPollenLevelCategory(60, 'grass_pollen'), 'High');
+  assert.equal(core.getPollenLevelCategory(25, 'ragweed'), 'High');
+
+  core.preferences.pollenThresholds = 'us';
+  assert.equal(core.getPollenLevelCategory(60, 'Birch'), 'Moderate');
+  assert.equal(core.getPollenLevelCategory(200, 'Grass'), 'Very High');
+  assert.equal(core.getPollenLevelCategory(400), 'High');
+
+  core.preferences.pollenThresholds = 'custom';
+  core.preferences.customThresholds = { birch: { MODERATE: 1, HIGH: 5, VERY_HIGH: 20 } };
+  assert.equal(core.getPollenLevelCategory(6, 'Birch'), 'High');
+  assert.equal(core.getPollenLevelCategory(60, 'Grass'), 'High');
+});
+
+test('getOverallPollenLevel takes the most severe allergen', () => {
+  const core = new BeeHealthyCore();
+  assert.equal(core.getOverallPollenLevel({ Birch: 90, Ragweed: 25 }), 'High');
+  assert.equal(core.getOverallPollenLevel({ Birch: 0, Grass: 0 }), 'Low');
+  assert.equal(core.getDayPollenLevel({ allergens: { Birch: { max: 600 }, Grass: { max: 1 } } }), 'Very High');
+});
+
+test('isValidThresholdTable accepts only rising positive bands for known allergens', () => {
+  const core = new BeeHealthyCore();
+  assert.equal(core.isValidThresholdTable({ grass: { MODERATE: 5, HIGH: 20, VERY_HIGH: 200 } }), true);
+  assert.equal(core.isValidThresholdTable({ grass: { MODERATE: 20, HIGH: 5, VERY_HIGH: 200 } }), false);
+  assert.equal(core.isValidThresholdTable({ oak: { MODERATE: 5, HIGH: 20, VERY_HIGH: 200 } }), false);
+  assert.equal(core.isValidThresholdTable({ grass: { MODERATE: 0, HIGH: 20, VERY_HIGH: NaN } }), false);
+  assert.equal(core.isValidPreference('customThresholds', null), true);
+});
+
+test('getUVLevelCategory follows the WHO UV index bands', () => {
+  const core = new BeeHealthyCore();
+  assert.equal(core.getUVLevelCategory(0), 'Low');
+  assert.equal(core.getUVLevelCategory(2.9), 'Low');
+  assert.equal(core.getUVLevelCategory(3), 'Moderate');
+  assert.equal(core.getUVLevelCategory(6), 'High');
+  assert.equal(core.getUVLevelCategory(8), 'Very High');
+  assert.equal(core.getUVLevelCategory(11), 'Extreme');
+});
+
+test('getPollenLevelClass maps Very High to the same class as High', () => {
+  const core = new BeeHealthyCore();
+  assert.equal(core.getPollenLevelClass('Very High'), 'high');
+  assert.equal(core.getPollenLevelClass('High'), 'high');
+  assert.equal(core.getPollenLevelClass('Moderate'), 'moderate');
+  assert.equal(core.getPollenLevelClass('Low'), 'low');
+  assert.equal(core.getPollenLevelClass('None'), 'low');
+});
+
+test('getUVLevelClass distinguishes every UV band', () => {
+  const core = new BeeHealthyCore();
+  assert.equal(core.getUVLevelClass('Extreme'), 'uv-extreme');
+  assert.equal(core.getUVLevelClass('Very High'), 'uv-very-high');
+  assert.equal(core.getUVLevelClass('High'), 'uv-high');
+  assert.equal(core.getUVLevelClass('Moderate'), 'uv-moderate');
+  assert.equal(core.getUVLevelClass('Low'), 'uv-low');
+});
+
+test('getMainAllergen picks the highest reading', () => {
+  const core = new BeeHealthyCore();
+  const [type, value] = core.getMainAllergen({ Birch: 12, Alder: 3, Grass: 40, Mugwort: 0, Olive: 0, Ragweed: 0 });
+  assert.equal(type, 'Grass');
+  assert.equal(value, 40);
+});
+
+test('getMainAllergen keeps the first type on ties', () => {
+  const core = new BeeHealthyCore();
+  const [type] = core.getMainAllergen({ Birch: 5, Alder: 5, Grass: 0 });
+  assert.equal(type, 'Birch');
+});
+
+test('getMainAllergen prefers a profile allergen with any reading', () => {
+  const core = new BeeHealthyCore();
+  core.userProfile = { allergies: ['ragweed'], severity: 'moderate', medications: '' };
+  assert.equal(core.getMainAllergen({ Birch: 80, Ragweed: 2 })[0], 'Ragweed');
+  // A profile allergen with no pollen does not take over
+  assert.equal(core.getMainAllergen({ Birch: 80, Ragweed: 0 })[0], 'Birch');
+});
+
+test('getPollenTypes reads each allergen from current data', () => {
+  const core = new BeeHealthyCore();
+  const { current } = loadFixture('air-quality.json');
+  const types = core.getPollenTypes(current);
+  assert.deepEqual(Object.keys(types), ['Birch', 'Alder', 'Grass', 'Mugwort', 'Olive', 'Ragweed']);
+  assert.equal(types.Birch, current.birch_pollen);
+});
+
+test('aggregateDailyPollen groups hours by local date', () => {
+  const core = new BeeHealthyCore();
+  const hourly = {
+    time: ['2024-04-15T22:00', '2024-04-15T23:00', '2024-04-16T00:00'],
+    birch_pollen: [10, 30, 5],
+    grass_pollen: [1, null, 2]
+  };
+  const days = core.aggregateDailyPollen(hourly, 'forecast');
+
+  assert.deepEqual(Object.keys(days), ['2024-04-15', '2024-04-16']);
+  assert.equal(days['2024-04-15'].allergens.Birch.max, 30);
+  assert.equal(days['2024-04-15'].allergens.Birch.peakTime, '2024-04-15T23:00');
+  assert.equal(days['2024-04-15'].allergens.Birch.mean, 20);
+  assert.equal(days['2024-04-15'].totalMax, 30);
+  assert.equal(days['2024-04-16'].source, 'forecast');
+});
+
+test('aggregateDailyPollen drops days without readings', () => {
+  const core = new BeeHealthyCore();
+  const days = core.aggregateDailyPollen({ time: ['2024-04-15T00:00'], birch_pollen: [null] }, 'observed');
+  assert.equal(Object.keys(days).length, 0);
+  assert.equal(Object.keys(core.aggregateDailyPollen(undefined, 'observed')).length, 0);
+});
+
+test('aggregateDailyForecast names the allergen that sets the day\'s level as its driver', () => {
+  const core = new BeeHealthyCore();
+  const day = core.aggregateDailyForecast({ time: ['2024-04-15T12:00'], birch_pollen: [90], ragweed_pollen: [25] })['2024-04-15'];
+  assert.equal(core.getDayPollenLevel(day), 'High');
+  assert.equal(day.driver, 'Ragweed');
+
+  // Within the same level the allergen furthest into its bands leads
+  assert.equal(core.getLeadingAllergen({ Birch: 60, Grass: 10 }), 'Birch');
+  assert.equal(core.getLeadingAllergen({ Birch: 20, Grass: 40 }), 'Grass');
+});
+
+test('findBestOutdoorWindow only considers daytime hours', () => {
+  const core = new BeeHealthyCore();
+  const time = Array.from({ length: 24 }, (_, h) => `2024-04-15T${String(h).padStart(2, '0')}:00`);
+  const birch = time.map((_, h) => (h === 10 || h === 11 ? 0 : 60));
+  const best = core.findBestOutdoorWindow({ time, birch_pollen: birch }, time.map((_, i) => i));
+  assert.equal(best.start, '2024-04-15T10:00');
+  assert.equal(best.hours, 2);
+});
+
+test('correlate returns Pearson r and null for flat series', () => {
+  const core = new BeeHealthyCore();
+  assert.equal(core.correlate([1, 2, 3], [2, 4, 6]), 1);
+  assert.equal(core.correlate([1, 2, 3], [6, 4, 2]), -1);
+  assert.equal(core.correlate([1, 1, 1], [1, 2, 3]), null);
+  assert.equal(core.correlate([1], [1]), null);
+});
+
+test('parseCoordinates validates ranges', () => {
+  const core = new BeeHealthyCore();
+  assert.deepEqual(
+    { lat: core.parseCoordinates('52.52, 13.41').lat, lon: core.parseCoordinates('52.52, 13.41').lon },
+    { lat: 52.52, lon: 13.41 }
+  );
+  assert.equal(core.parseCoordinates('95, 13'), null);
+  assert.equal(core.parseCoordinates('Berlin'), null);
+});
+
+test('getNextRefreshDelay aligns refreshes to a few minutes past the hour', () => {
+  const core = new BeeHealthyCore();
+  const at = (time) => new Date(`2024-04-15T${time}:00Z`);
+  assert.equal(core.getNextRefreshDelay(60, at('10:03')), 2 * 60000);
+  assert.equal(core.getNextRefreshDelay(60, at('10:05')), 60 * 60000);
+  assert.equal(core.getNextRefreshDelay(60, at('10:30')), 35 * 60000);
+  assert.equal(core.getNextRefreshDelay(180, at('10:30')), (90 + 5) * 60000);
+});
+
+test('checkAlertRules fires once per de-duplication window', () => {
+  const core = new BeeHealthyCore();
+  const rules = core.getDefaultAlertRules();
+  const current = { birch_pollen: 80, grass_pollen: 60 };
+  const alertLog = {};
+  const now = new Date('2024-04-15T10:00:00');
+
+  const [alert] = core.checkAlertRules(rules, current, null, alertLog, now);
+  assert.match(alert.message, /Current level: High/);
+  assert.equal(alert.section, 'current-conditions');
+  assert.equal(alertLog[rules[0].id], now.getTime());
+
+  const later = new Date(now.getTime() + 60 * 60000);
+  assert.equal(core.checkAlertRules(rules, current, null, alertLog, later).length, 0);
+  const muchLater = new Date(now.getTime() + 4 * 60 * 60000);
+  assert.equal(core.checkAlertRules(rules, current, null, alertLog, muchLater).length, 1);
+});
+
+test('the default alert follows the overall level, not the summed count', () => {
+  const core = new BeeHealthyCore();
+  const rules = core.getDefaultAlertRules();
+  const now = new Date('2024-04-15T10:00:00');
+
+  // Birch 60 is Moderate on its own bands although the sum passes 50
+  assert.equal(core.getOverallPollenLevel(core.getPollenTypes({ birch_pollen: 60 })), 'Moderate');
+  assert.equal(core.checkAlertRules(rules, { birch_pollen: 60 }, null, {}, now).length, 0);
+
+  // Ragweed 25 is High on its own bands although the sum stays below 50
+  const [alert] = core.checkAlertRules(rules, { ragweed_pollen: 25 }, null, {}, now);
+  assert.match(alert.message, /Current level: High/);
+});
+
+test('checkAlertRules links forecast alerts to the forecast', () => {
+  const core = new BeeHealthyCore();
+  const rule = { ...core.getDefaultAlertRules()[0], id: 'uv', metric: 'uv_index', scope: 'forecast', threshold: 5, lookaheadHours: 12 };
+  const hourly = { time: ['2024-04-15T10:00', '2024-04-15T13:00'], uv_index: [2, 6.5] };
+
+  const [alert] = core.checkAlertRules([rule], null, hourly, {}, new Date('2024-04-15T09:30:00'));
+  assert.match(alert.message, /UV Index forecast to reach 6\.5/);
+  assert.equal(alert.section, 'forecast');
+});
+
+test('forecast alerts are keyed per rule and day and read hours at the location', () => {
+  const core = new BeeHealthyCore();
+  const rule = { ...core.getDefaultAlertRules()[0], id: 'uv', metric: 'uv_index', scope: 'forecast', threshold: 5, lookaheadHours: 12, dedupeMinutes: 360 };
+  const hourly = { time: ['2024-04-15T10:00', '2024-04-15T13:00', '2024-04-15T14:00'], uv_index: [2, 6.5, 7] };
+  const alertLog = {};
+
+  // 00:30 UTC is 09:30 in Tokyo, whatever the browser's timezone
+  core.lastTimezone = 'Asia/Tokyo';
+  const [alert] = core.checkAlertRules([rule], null, hourly, alertLog, new Date('2024-04-15T00:30:00Z'));
+  assert.match(alert.message, /at Mon 13:00\.$/);
+  assert.deepEqual(Object.keys(alertLog), ['uv@2024-04-15']);
+
+  // Once 13:00 has passed the first hit moves to 14:00, within the same window
+  assert.equal(core.checkAlertRules([rule], null, hourly, alertLog, new Date('2024-04-15T05:00:00Z')).length, 0);
+});
+
+test('getBrowserNotification offers view and dismiss actions', () => {
+  const core = new BeeHealthyCore();
+  const { title, options } = core.getBrowserNotification('Pollen is high', 'warning', 'forecast');
+  assert.equal(title, '⚠️ High Pollen Alert');
+  assert.equal(options.requireInteraction, true);
+  assert.equal(options.data.section, 'forecast');
+  assert.equal(options.actions.map(action => action.action).join(), 'view,dismiss');
+});
+
+test('getRiskScore counts the user\'s allergens in full and others in part', () => {
+  const core = new BeeHealthyCore();
+  core.sensitivityCache = null;
+  const current = { birch_pollen: 80, grass_pollen: 0, us_aqi: 30, pm2_5: 6, uv_index: 2 };
+
+  const everyone = core.getRiskScore(current);
+  core.userProfile = { allergies: ['grass'], severity: 'moderate', medications: '' };
+  const grassAllergic = core.getRiskScore(current);
+
+  assert.equal(everyone.factors[0].value, 0.8);
+  assert.equal(grassAllergic.factors[0].label, 'Pollen (your allergens)');
+  assert.equal(grassAllergic.factors[0].value, 0.2);
+  assert.ok(grassAllergic.score < everyone.score);
+});
+
+test('getRiskScore scales up the factors it has data for', () => {
+  const core = new BeeHealthyCore();
+  core.sensitivityCache = null;
+  const hourly = { time: ['2024-04-15T10:00', '2024-04-15T11:00'], birch_pollen: [50, null], grass_pollen: [0, null] };
+
+  const risk = core.getRiskScore(hourly, 0);
+  assert.equal(risk.factors.length, 1);
+  assert.equal(risk.score, 50);
+  assert.equal(risk.level, 'High');
+  assert.equal(core.getRiskScore(hourly, 1), null);
+  assert.equal(core.addRiskSeries(hourly).allergy_risk.join(), '50,');
+});
+
+test('getRiskScore rates warm, dry, windy weather as worse', () => {
+  const core = new BeeHealthyCore();
+  core.sensitivityCache = null;
+  const base = { birch_pollen: 20 };
+
+  const mild = core.getRiskScore({ ...base, temperature_2m: 8, relative_humidity_2m: 85, wind_speed_10m: 3 });
+  const harsh = core.getRiskScore({ ...base, temperature_2m: 26, relative_humidity_2m: 35, wind_speed_10m: 30 });
+  const weather = harsh.factors.find(factor => factor.key === 'weather');
+  assert.ok(harsh.score > mild.score);
+  assert.equal(weather.value, 1);
+  assert.equal(weather.detail, '26.0°C, 35% humidity, wind 30 km/h');
+});
+
+test('mergeHourlySeries aligns another source by timestamp', () => {
+  const core = new BeeHealthyCore();
+  const merged = core.mergeHourlySeries(
+    { time: ['2024-04-15T10:00', '2024-04-15T11:00', '2024-04-15T12:00'], birch_pollen: [1, 2, 3] },
+    { time: ['2024-04-15T11:00', '2024-04-15T12:00'], temperature_2m: [14, 15] }
+  );
+  assert.equal(merged.birch_pollen.join(), '1,2,3');
+  assert.equal(merged.temperature_2m.join(), ',14,15');
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, settle } = require('./helpers/load');
+
+// Create an app with data loaded and downloads captured
+async function createApp() {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  await settle();
+
+  const downloads = [];
+  app.downloadFile = (filename, content, type) => downloads.push({ filename, content, type });
+  return { app, downloads, document: context.document, window: context.window };
+}
+
+// Set the export date range inputs
+function setRange(document, from, to) {
+  document.getElementById('export-from').value = from;
+  document.getElementById('export-to').value = to;
+}
+
+test('toCsv quotes special characters and leaves missing values empty', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const csv = core.toCsv([
+    { time: '2024-04-15T00:00', note: 'a, "b"', value: 1.5 },
+    { time: '2024-04-15T01:00', note: null, value: 0 }
+  ], ['time', 'note', 'value']);
+
+  assert.equal(csv, 'time,note,value\n2024-04-15T00:00,"a, ""b""",1.5\n2024-04-15T01:00,,0\n');
+});
+
+test('mergeExportRows prefers stored readings and keeps to the range', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const records = [{ time: '2024-04-15T01:00', kind: 'observed', values: { birch_pollen: 9 } }];
+  const hourly = {
+    time: ['2024-04-15T00:00', '2024-04-15T01:00', '2024-04-15T02:00', '2024-04-16T00:00'],
+    birch_pollen: [1, 2, 3, 4]
+  };
+  const rows = core.mergeExportRows(records, hourly, '2024-04-15T01:00', '2024-04-15T00:00', '2024-04-15T23:59', ['birch_pollen', 'pm10']);
+
+  assert.deepEqual(JSON.parse(JSON.stringify(rows.map(row => [row.time, row.kind, row.birch_pollen, row.pm10]))), [
+    ['2024-04-15T00:00', 'model', 1, null],
+    ['2024-04-15T01:00', 'observed', 9, null],
+    ['2024-04-15T02:00', 'forecast', 3, null]
+  ]);
+});
+
+test('exportCsv downloads the hourly series for the chosen range', async () => {
+  const { app, downloads, document, window } = await createApp();
+  setRange(document, '2024-04-15', '2024-04-16');
+  await app.exportCsv();
+
+  const [download] = downloads;
+  assert.equal(download.filename, 'bee-healthy-2024-04-15-to-2024-04-16.csv');
+  assert.equal(download.type, 'text/csv');
+
+  const lines = download.content.trim().split('\n');
+  assert.equal(lines[0], `time,kind,${app.readingStore.METRICS.join(',')}`);
+  assert.equal(lines.length, 1 + 48);
+  assert.equal(lines[1].split(',')[2], String(window.hourlyData.birch_pollen[0]));
+});
+
+test('exportJson includes units and symptom entries in the range', async () => {
+  const { app, downloads, document } = await createApp();
+  app.symptomDiary = {
+    '2024-04-15': { sneezing: 6, itchyEyes: 2, congestion: 0, asthma: 0, medication: 'Cetirizine' },
+    '2024-05-01': { sneezing: 1, itchyEyes: 0, congestion: 0, asthma: 0, medication: '' }
+  };
+  setRange(document, '2024-04-15', '2024-04-21');
+  await app.exportJson();
+
+  const data = JSON.parse(downloads[0].content);
+  assert.equal(data.location, 'Berlin');
+  assert.equal(data.timezone, 'Europe/Berlin');
+  assert.equal(data.units.pm2_5, 'μg/m³');
+  assert.equal(data.readings.length, 168);
+  assert.deepEqual(Object.keys(data.symptoms), ['2024-04-15']);
+});
+
+test('exports reject an inverted date range', async () => {
+  const { app, downloads, document } = await createApp();
+  setRange(document, '2024-04-20', '2024-04-15');
+  await app.exportCsv();
+
+  assert.equal(downloads.length, 0);
+  assert.match(document.getElementById('notification-text').textContent, /valid date range/);
+});
+
+test('the allergist report has stats, breakdown, forecast, charts and symptom notes', async () => {
+  const { app, document } = await createApp();
+  app.symptomDiary = { '2024-04-15': { sneezing: 6, itchyEyes: 2, congestion: 1, asthma: 0, medication: 'Nasal <spray>' } };
+  app.switchChartView('uv');
+  await settle();
+
+  const images = await app.captureChartImages();
+  const html = app.buildReportHtml(images);
+
+  assert.equal(images.map(image => image.title).join(), 'Pollen,Air Quality');
+  assert.match(images[0].src, /Birch Pollen/);
+  assert.match(images[1].src, /US AQI/);
+  assert.equal(app.currentChartView, 'uv');
+
+  assert.match(html, /<h1>Bee-Healthy Allergy Report<\/h1>/);
+  assert.ok(html.includes(`<strong>${document.getElementById('pollen-level').textContent}</strong><span>Pollen Level</span>`));
+  const breakdown = html.slice(html.indexOf('Current Pollen Breakdown'), html.indexOf('7-Day Forecast'));
+  assert.equal((breakdown.match(/<tr>\s*<td>\w+<\/td>/g) || []).length, 6);
+  assert.equal((html.match(/<td>\w{3}, \w{3} \d+<\/td>/g) || []).length, 7);
+  assert.match(html, /<img src="data:image\/png;base64,/);
+  assert.match(html, /<td>9\/40<\/td>\s*<td>Nasal &lt;spray&gt;<\/td>/);
+});
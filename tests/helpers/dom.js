@@ -0,0 +1,162 @@
+// Minimal DOM stand-in: just enough of the element API for the app's
+// rendering code. Elements looked up by id are created on first use.
+class FakeClassList {
+  constructor(element) {
+    this.element = element;
+  }
+
+  get tokens() {
+    return this.element.className.split(/\s+/).filter(Boolean);
+  }
+
+  add(...names) {
+    this.element.className = [...new Set([...this.tokens, ...names])].join(' ');
+  }
+
+  remove(...names) {
+    this.element.className = this.tokens.filter(name => !names.includes(name)).join(' ');
+  }
+
+  toggle(name, force) {
+    const on = force === undefined ? !this.contains(name) : force;
+    on ? this.add(name) : this.remove(name);
+    return on;
+  }
+
+  contains(name) {
+    return this.tokens.includes(name);
+  }
+}
+
+class FakeElement {
+  constructor(tagName = 'div', id = '') {
+    this.tagName = tagName.toUpperCase();
+    this.id = id;
+    this.className = '';
+    this.classList = new FakeClassList(this);
+    this.style = {};
+    this.dataset = {};
+    this.attributes = {};
+    this.children = [];
+    this.parentNode = null;
+    this.listeners = {};
+    this.value = '';
+    this.checked = false;
+    this.disabled = false;
+    this.textContent = '';
+    this.html = '';
+  }
+
+  // Setting markup replaces any appended children
+  set innerHTML(html) {
+    this.html = String(html);
+    this.children = [];
+  }
+
+  get innerHTML() {
+    return this.html + this.children.map(child => child.innerHTML || child.textContent).join('');
+  }
+
+  appendChild(child) {
+    child.parentNode = this;
+    this.children.push(child);
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.children = this.parentNode.children.filter(child => child !== this);
+      this.parentNode = null;
+    }
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  getAttribute(name) {
+    return this.attributes[name] ?? null;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  dispatch(type, event = {}) {
+    (this.listeners[type] || []).forEach(listener => listener({ target: this, currentTarget: this, ...event }));
+  }
+
+  querySelectorAll(selector) {
+    const className = selector.startsWith('.') ? selector.slice(1) : null;
+    const found = [];
+    const walk = (element) => element.children.forEach(child => {
+      if (className && child.classList.contains(className)) found.push(child);
+      walk(child);
+    });
+    walk(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  focus() {}
+
+  scrollIntoView() {
+    this.scrolledIntoView = true;
+  }
+
+  getContext() {
+    return {};
+  }
+}
+
+class FakeDocument {
+  constructor() {
+    this.elements = new Map();
+    this.documentElement = new FakeElement('html');
+    this.body = new FakeElement('body');
+    this.listeners = {};
+    this.hidden = false;
+  }
+
+  getElementById(id) {
+    if (!this.elements.has(id)) {
+      this.elements.set(id, new FakeElement('div', id));
+    }
+    return this.elements.get(id);
+  }
+
+  createElement(tagName) {
+    return new FakeElement(tagName);
+  }
+
+  // Class selectors search every element looked up so far; '.location-info'
+  // is a container the app appends error messages to.
+  querySelectorAll(selector) {
+    if (!selector.startsWith('.')) return [];
+    const className = selector.slice(1);
+    const found = [];
+    this.elements.forEach(element => {
+      if (element.classList.contains(className)) found.push(element);
+      found.push(...element.querySelectorAll(selector));
+    });
+    return found;
+  }
+
+  querySelector(selector) {
+    if (selector === '.location-info') return this.getElementById('location-info');
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+  }
+
+  dispatch(type, event = {}) {
+    return Promise.all((this.listeners[type] || []).map(listener => listener({ target: this, ...event })));
+  }
+}
+
+module.exports = { FakeElement, FakeDocument };
@@ -0,0 +1,171 @@
+// Minimal in-memory IndexedDB stand-in: just enough for the reading store.
+// Requests succeed on a later task and a transaction completes once none of
+// its requests are pending, like the real thing.
+
+// Order keys like IndexedDB: arrays element by element, strings as strings
+function compareKeys(a, b) {
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const order = compareKeys(a[i], b[i]);
+      if (order !== 0) return order;
+    }
+    return a.length - b.length;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+class FakeKeyRange {
+  constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+    Object.assign(this, { lower, upper, lowerOpen, upperOpen });
+  }
+
+  static bound(lower, upper, lowerOpen, upperOpen) {
+    return new FakeKeyRange(lower, upper, lowerOpen, upperOpen);
+  }
+
+  static upperBound(upper, open) {
+    return new FakeKeyRange(undefined, upper, false, open);
+  }
+
+  includes(key) {
+    if (this.lower !== undefined) {
+      const order = compareKeys(key, this.lower);
+      if (order < 0 || (order === 0 && this.lowerOpen)) return false;
+    }
+    if (this.upper !== undefined) {
+      const order = compareKeys(key, this.upper);
+      if (order > 0 || (order === 0 && this.upperOpen)) return false;
+    }
+    return true;
+  }
+}
+
+class FakeTransaction {
+  constructor() {
+    this.pending = 0;
+    this.done = false;
+    this.oncomplete = null;
+    this.onerror = null;
+    this.checkComplete();
+  }
+
+  // Run a request's work on a later task and report its result
+  request(work, request = { result: undefined, error: null, onsuccess: null, onerror: null }) {
+    this.pending++;
+    setTimeout(() => {
+      request.result = work();
+      this.pending--;
+      request.onsuccess?.();
+      this.checkComplete();
+    });
+    return request;
+  }
+
+  checkComplete() {
+    setTimeout(() => {
+      if (this.pending > 0 || this.done) return;
+      this.done = true;
+      this.oncomplete?.();
+    });
+  }
+}
+
+class FakeObjectStore {
+  constructor(keyPath) {
+    this.keyPath = keyPath;
+    this.records = new Map();
+    this.indexes = {};
+  }
+
+  keyOf(record) {
+    return this.keyPath.map(path => record[path]);
+  }
+
+  createIndex(name, path) {
+    this.indexes[name] = path;
+  }
+
+  all() {
+    return [...this.records.values()];
+  }
+
+  bind(transaction) {
+    const store = this;
+    const find = (key) => store.records.get(JSON.stringify(key));
+    return {
+      get: (key) => transaction.request(() => find(key)),
+      put: (record) => transaction.request(() => {
+        store.records.set(JSON.stringify(store.keyOf(record)), structuredClone(record));
+      }),
+      getAll: (range) => transaction.request(() => store.all()
+        .filter(record => range.includes(store.keyOf(record)))
+        .sort((a, b) => compareKeys(store.keyOf(a), store.keyOf(b)))),
+      index: (name) => ({
+        // Walk matching records in index order; delete() removes the current one
+        openCursor: (range) => {
+          const path = store.indexes[name];
+          const matches = store.all()
+            .filter(record => range.includes(record[path]))
+            .sort((a, b) => compareKeys(a[path], b[path]));
+          let position = 0;
+          const cursorAt = () => {
+            if (position >= matches.length) return null;
+            const record = matches[position];
+            return {
+              value: record,
+              delete: () => store.records.delete(JSON.stringify(store.keyOf(record))),
+              continue: () => {
+                position++;
+                transaction.request(cursorAt, request);
+              }
+            };
+          };
+          const request = transaction.request(cursorAt);
+          return request;
+        }
+      })
+    };
+  }
+}
+
+class FakeDatabase {
+  constructor() {
+    this.stores = {};
+    this.objectStoreNames = { contains: (name) => name in this.stores };
+  }
+
+  createObjectStore(name, { keyPath }) {
+    this.stores[name] = new FakeObjectStore(keyPath);
+    return this.stores[name];
+  }
+
+  transaction(name) {
+    const transaction = new FakeTransaction();
+    const store = this.stores[name].bind(transaction);
+    transaction.objectStore = () => store;
+    return transaction;
+  }
+}
+
+// Create an indexedDB factory whose databases live as long as it does
+function createIndexedDB() {
+  const databases = new Map();
+  return {
+    databases,
+    open(name) {
+      const request = { result: null, error: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+      setTimeout(() => {
+        if (!databases.has(name)) {
+          databases.set(name, new FakeDatabase());
+          request.result = databases.get(name);
+          request.onupgradeneeded?.();
+        }
+        request.result = databases.get(name);
+        request.onsuccess?.();
+      });
+      return request;
+    }
+  };
+}
+
+module.exports = { createIndexedDB, FakeKeyRange };
@@ -0,0 +1,161 @@
+// Load the browser scripts into a sandbox with a DOM stand-in, fake storage
+// and a fetch that serves recorded Open-Meteo responses from fixtures/.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { FakeDocument } = require('./dom');
+const { createIndexedDB, FakeKeyRange } = require('./idb');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SCRIPTS = ['i18n.js', 'core.js', 'providers.js', 'transports.js', 'store.js', 'script.js'];
+
+// Read a recorded API response
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'fixtures', name), 'utf8'));
+}
+
+class FakeStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  get length() {
+    return this.items.size;
+  }
+
+  key(index) {
+    return [...this.items.keys()][index] ?? null;
+  }
+}
+
+// Build a JSON response like fetch() would
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: async () => JSON.parse(JSON.stringify(body))
+  };
+}
+
+// Route API requests to fixtures; `responses` overrides them by host with
+// a response or a function of the URL and request options returning one
+function createFetch(responses = {}) {
+  const requests = [];
+  const calls = [];
+  const route = (url, options) => {
+    const host = new URL(url, 'http://localhost/').hostname;
+    if (host in responses) {
+      const response = responses[host];
+      return typeof response === 'function' ? response(url, options) : response;
+    }
+    if (host === 'air-quality-api.open-meteo.com') return jsonResponse(loadFixture('air-quality.json'));
+    if (host === 'api.open-meteo.com') return jsonResponse(loadFixture('weather.json'));
+    if (host === 'api.bigdatacloud.net') return jsonResponse({ city: 'Berlin' });
+    if (host === 'geocoding-api.open-meteo.com') return jsonResponse({ results: [] });
+    return jsonResponse({}, 404);
+  };
+
+  // Like the real fetch, reject as soon as the request is aborted
+  const fetch = (url, options = {}) => {
+    const { signal } = options;
+    requests.push(url);
+    calls.push({ url, options });
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('The operation was aborted.', 'AbortError'));
+        return;
+      }
+      signal?.addEventListener('abort', () => reject(new DOMException('The operation was aborted.', 'AbortError')));
+      Promise.resolve().then(() => route(url, options)).then(resolve, reject);
+    });
+  };
+  fetch.requests = requests;
+  fetch.calls = calls;
+  return fetch;
+}
+
+// Load the app scripts and return their classes plus the sandbox globals;
+// `indexedDB` adds an in-memory IndexedDB for the reading store
+function loadApp({ responses = {}, storage = {}, search = '', indexedDB = false } = {}) {
+  const document = new FakeDocument();
+  document.getElementById('location-info').className = 'location-info';
+
+  const localStorage = new FakeStorage();
+  Object.entries(storage).forEach(([key, value]) => localStorage.setItem(key, value));
+
+  const charts = [];
+  const sandbox = {
+    document,
+    localStorage,
+    console: { ...console, log() {}, warn() {}, error() {} },
+    navigator: {},
+    location: { search, origin: 'http://localhost', pathname: '/', host: 'localhost', href: `http://localhost/${search}` },
+    fetch: createFetch(responses),
+    Chart: class {
+      constructor(ctx, config) {
+        this.config = config;
+        charts.push(this);
+      }
+      destroy() {}
+      update() {}
+      toBase64Image() {
+        return `data:image/png;base64,${this.config.data.datasets.map(dataset => dataset.label).join('|')}`;
+      }
+    },
+    // Long timers (auto-refresh) must not keep the test process alive
+    setTimeout: (callback, ms, ...args) => {
+      const timer = setTimeout(callback, ms, ...args);
+      return ms > 1000 ? timer.unref() : timer;
+    },
+    clearTimeout,
+    URL,
+    URLSearchParams,
+    AbortController,
+    AbortSignal,
+    DOMException,
+    charts,
+    listeners: {},
+    addEventListener(type, listener) {
+      (sandbox.listeners[type] = sandbox.listeners[type] || []).push(listener);
+    },
+    removeEventListener() {}
+  };
+  if (indexedDB) {
+    sandbox.indexedDB = createIndexedDB();
+    sandbox.IDBKeyRange = FakeKeyRange;
+  }
+  sandbox.window = sandbox;
+  vm.createContext(sandbox);
+
+  const source = SCRIPTS.map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n');
+  const classes = vm.runInContext(
+    `${source}\n;({ BeeHealthyCore, BeeHealthyApp, ReadingStore, MockDataProvider, createProviders, createTransport, FETCH_POLICY, MESSAGES })`,
+    sandbox,
+    { filename: 'bee-healthy.js' }
+  );
+
+  // Keep retries fast
+  classes.FETCH_POLICY.backoffMs = 1;
+
+  return { ...classes, window: sandbox, document };
+}
+
+// Wait for pending promise chains and timers to settle
+function settle() {
+  return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+module.exports = { loadApp, loadFixture, jsonResponse, settle };
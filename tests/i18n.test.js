@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadApp, loadFixture, settle } = require('./helpers/load');
+
+test('t fills placeholders and falls back to English', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  core.preferences.language = 'de';
+
+  assert.equal(core.t('autoRefresh.next', { time: '14:05' }), 'Nächste Aktualisierung 14:05');
+  assert.equal(core.t('unit.celsius'), '°C');
+  assert.equal(core.t('no.such.key'), 'no.such.key');
+});
+
+test('every catalog covers the English keys', () => {
+  const { MESSAGES } = loadApp();
+  const english = Object.keys(MESSAGES.en);
+
+  Object.entries(MESSAGES).forEach(([language, catalog]) => {
+    const missing = english.filter(key => !(key in catalog));
+    assert.equal(missing.join(), '', `${language} is missing keys`);
+  });
+});
+
+test('every catalog covers the keys used by the page', () => {
+  const { MESSAGES } = loadApp();
+  const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+  const keys = [...html.matchAll(/data-i18n(?:-[a-z-]+)?="([^"]+)"/g)].map(([, key]) => key);
+  assert.ok(keys.length > 100);
+
+  Object.entries(MESSAGES).forEach(([language, catalog]) => {
+    const missing = [...new Set(keys)].filter(key => !(key in catalog));
+    assert.equal(missing.join(), '', `${language} is missing keys`);
+  });
+});
+
+test('formatting follows the language and unit preferences', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  Object.assign(core.preferences, { language: 'de', temperatureUnit: 'fahrenheit', pollenUnit: 'pollen', aqiStandard: 'eu' });
+
+  assert.equal(core.formatTemperature(20), '68,0°F');
+  assert.equal(core.formatPollenValue(12.34), '12,3 Pollen/m³');
+  assert.equal(core.getLevelLabel('Very High'), 'Sehr hoch');
+  assert.equal(core.getAqiHeadline({ european_aqi: 32, us_aqi: 57 }).value, 32);
+  assert.equal(core.formatLocalTime('2024-04-15T13:00', { month: 'long' }), 'April');
+  assert.equal(core.isValidPreference('language', 'fr'), false);
+  assert.equal(core.isValidPreference('aqiStandard', 'eu'), true);
+});
+
+test('the browser language and saved preferences drive rendering and geocoding', async () => {
+  const context = loadApp({
+    storage: {
+      beeHealthyLat: '52.52',
+      beeHealthyLon: '13.41',
+      beeHealthyPreferences: JSON.stringify({ temperatureUnit: 'fahrenheit', aqiStandard: 'eu', language: 'xx' })
+    }
+  });
+  context.window.navigator.language = 'es-ES';
+  const app = new context.BeeHealthyApp();
+  await settle();
+
+  const { current } = loadFixture('air-quality.json');
+  const weather = loadFixture('weather.json');
+  const document = context.document;
+  assert.equal(app.preferences.language, 'es');
+  assert.equal(document.documentElement.lang, 'es');
+  assert.equal(document.getElementById('aqi').textContent, `${current.european_aqi} (AQI europeo)`);
+  assert.equal(document.getElementById('temperature').textContent, app.formatTemperature(weather.current.temperature_2m));
+  assert.match(document.getElementById('temperature').textContent, /°F$/);
+  assert.ok(context.window.fetch.requests.some(url => url.includes('localityLanguage=es')));
+
+  app.setPreference('language', 'de');
+  await settle();
+  assert.equal(JSON.parse(context.window.localStorage.getItem('beeHealthyPreferences')).language, 'de');
+  assert.equal(document.getElementById('pref-language').value, 'de');
+  assert.ok(context.window.fetch.requests.some(url => url.includes('localityLanguage=de')));
+  assert.match(document.getElementById('forecast-list').children[0].innerHTML, /Heute/);
+});
+
+test('alerts and the risk breakdown use the language and units', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  core.sensitivityCache = null;
+  Object.assign(core.preferences, { language: 'de', temperatureUnit: 'fahrenheit' });
+
+  const rule = { ...core.getDefaultAlertRules()[0], id: 'pm', metric: 'pm2_5', threshold: 12.5 };
+  const [alert] = core.checkAlertRules([rule], { pm2_5: 20.25 }, null, {}, new Date('2024-04-15T10:00:00'));
+  assert.equal(alert.message, 'PM2,5 liegt bei 20,3 μg/m³ und damit über deinem Grenzwert von 12,5 μg/m³.');
+  assert.equal(core.describeAlertRule(rule), 'PM2,5 über 12,5 μg/m³ jetzt, höchstens alle 3 Std.');
+
+  const risk = core.getRiskScore({ birch_pollen: 20, temperature_2m: 20, relative_humidity_2m: 50 });
+  assert.match(core.describeRiskFactors(risk).join('\n'), /^Wetter: \d+ Pkt\. \(68,0°F, 50 % Luftfeuchtigkeit\)$/m);
+  assert.equal(core.getUVAdvice(1), 'Kein Sonnenschutz nötig.');
+});
+
+test('the report and day details are written in the chosen language', async () => {
+  const context = loadApp({ storage: { beeHealthyPreferences: JSON.stringify({ language: 'de' }) } });
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  await settle();
+  app.symptomDiary = { '2024-04-15': { sneezing: 6, itchyEyes: 2, congestion: 1, asthma: 0 } };
+
+  const html = app.buildReportHtml();
+  assert.match(html, /<h1>Bee-Healthy Allergiebericht<\/h1>/);
+  assert.match(html, /<th>Juckende Augen<\/th>/);
+  assert.match(html, /<td>15\.4\.2024<\/td>/);
+  assert.match(html, /<td>Birke<\/td>/);
+  assert.doesNotMatch(html, /grains\/m³|Symptom Notes/);
+
+  const [dateKey] = Object.keys(app.dailyAggregates).sort();
+  app.showDayDetails(dateKey);
+  const details = context.document.getElementById('dayDetailsContent').innerHTML;
+  assert.match(details, /Gesamt:/);
+  assert.match(details, /Werte in Körner\/m³\./);
+});
+
+test('charts, search results and pollen info are written in the chosen language', async () => {
+  const context = loadApp({ storage: { beeHealthyPreferences: JSON.stringify({ language: 'de' }) } });
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  await settle();
+
+  const chart = context.window.charts[context.window.charts.length - 1];
+  assert.equal(chart.config.data.datasets[0].label, 'Birkenpollen');
+  assert.match(chart.config.options.plugins.title.text, /^Pollenbelastung \(/);
+  assert.equal(chart.config.options.plugins.nowMarker.label, 'Jetzt');
+  assert.equal(app.parseCoordinates('52.52, 13.41').detail, 'Koordinaten');
+
+  app.showPollenInfo('Birch');
+  const document = context.document;
+  assert.equal(document.getElementById('pollenInfoTitle').textContent, 'Birke');
+  assert.match(document.getElementById('pollenInfoText').textContent, /Kreuzallergie/);
+  assert.match(document.getElementById('pollenSeasonInfo').innerHTML, /Monate: März bis Mai/);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, loadFixture, jsonResponse, settle } = require('./helpers/load');
+
+test('buildMapGrid centres a square grid on the location and projects both ways', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const points = core.buildMapGrid(52.52, 13.41, 5, 10);
+
+  assert.equal(points.length, 25);
+  assert.deepEqual({ lat: points[12].lat, lon: points[12].lon }, { lat: 52.52, lon: 13.41 });
+  assert.ok(points[0].lat > points[24].lat && points[0].lon < points[24].lon);
+  assert.ok(Math.abs((points[7].lat - points[12].lat) * 111.32 - 10) < 0.05);
+
+  const bounds = core.getMapBounds(points);
+  const centre = core.projectToMap(52.52, 13.41, bounds, 500, 500);
+  assert.ok(Math.abs(centre.x - 250) < 1 && Math.abs(centre.y - 250) < 1);
+  const back = core.unprojectFromMap(centre.x, centre.y, bounds, 500, 500);
+  assert.ok(Math.abs(back.lat - 52.52) < 1e-9 && Math.abs(back.lon - 13.41) < 1e-9);
+});
+
+test('getMapScore compares readings with the High band and the AQI scale', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+
+  assert.equal(core.getMapScore({ birch_pollen: 50, grass_pollen: 25 }, 'pollen'), 0.5);
+  assert.equal(core.getMapScore({ us_aqi: 150, european_aqi: 30 }, 'aqi'), 1.5);
+  core.preferences.aqiStandard = 'eu';
+  assert.equal(core.getMapScore({ us_aqi: 150, european_aqi: 30 }, 'aqi'), 0.5);
+  assert.equal(core.getMapScore({ birch_pollen: null }, 'pollen'), null);
+
+  assert.equal(core.getMapColor(0, 1), 'rgba(76, 175, 80, 1)');
+  assert.equal(core.getMapColor(5, 1), 'rgba(244, 67, 54, 1)');
+  assert.equal(core.interpolateGrid([0, 2, 4, null], 2, 0.5, 0), 1);
+  assert.equal(core.interpolateGrid([0, 2, 4, null], 2, 0.5, 1), 4);
+});
+
+test('the map samples a grid in one request and loads the clicked point', async () => {
+  const { current } = loadFixture('air-quality.json');
+  const context = loadApp({
+    responses: {
+      'air-quality-api.open-meteo.com': (url) => {
+        const latitudes = new URL(url).searchParams.get('latitude').split(',');
+        return latitudes.length > 1
+          ? jsonResponse(latitudes.map((_, i) => ({ current: { ...current, birch_pollen: i } })))
+          : jsonResponse(loadFixture('air-quality.json'));
+      }
+    }
+  });
+  const app = new context.BeeHealthyApp();
+  let drawn = 0;
+  app.drawMap = () => { drawn++; };
+
+  app.toggleMap();
+  await settle();
+
+  const isGrid = (url) => url.includes('air-quality') && new URL(url).searchParams.get('latitude').includes(',');
+  assert.equal(context.window.fetch.requests.filter(isGrid).length, 1);
+  assert.equal(app.mapSamples.length, app.MAP_GRID.size ** 2);
+  assert.equal(app.mapSamples[3].current.birch_pollen, 3);
+  assert.equal(context.document.getElementById('map-status').textContent, 'Click anywhere on the map to load that point.');
+  assert.equal(context.document.getElementById('map-toggle-label').textContent, 'Hide Map');
+  assert.equal(drawn, 1);
+
+  const canvas = context.document.getElementById('map-canvas');
+  canvas.width = 700;
+  canvas.height = 700;
+  canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: 350, height: 350 });
+  const { north, west } = app.mapBounds;
+  app.handleMapClick({ currentTarget: canvas, clientX: 0, clientY: 0 });
+  await settle();
+
+  assert.equal(app.currentLat, Number(north.toFixed(4)));
+  assert.equal(app.currentLon, Number(west.toFixed(4)));
+  assert.equal(context.window.localStorage.getItem('beeHealthyLat'), String(app.currentLat));
+  // The refresh for the new point resamples the visible map around it
+  assert.equal(context.window.fetch.requests.filter(isGrid).length, 2);
+});
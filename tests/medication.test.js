@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp } = require('./helpers/load');
+
+const nasalSpray = { id: 'med-1', name: 'Nasal spray', times: ['08:00', '20:00'], allergens: ['Birch'], leadDays: 14 };
+
+test('parseDoseTimes normalises, sorts and rejects invalid times', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+
+  assert.deepEqual([...core.parseDoseTimes('20:00, 8:00; 08:00')], ['08:00', '20:00']);
+  assert.equal(core.parseDoseTimes('24:00'), null);
+  assert.equal(core.parseDoseTimes('morning'), null);
+  assert.equal(core.parseDoseTimes(' '), null);
+});
+
+test('getMedicationCourses starts ahead of the season and rolls over to next year', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+
+  const [course] = core.getMedicationCourses(nasalSpray, '2024-01-10');
+  assert.deepEqual({ ...course }, { allergen: 'Birch', from: '2024-02-16', start: '2024-03-01', end: '2024-05-31' });
+  assert.equal(core.getMedicationCourses(nasalSpray, '2024-06-01')[0].start, '2025-03-01');
+
+  // A season estimated from this location's history moves the course
+  assert.equal(core.getMedicationCourses(nasalSpray, '2024-01-10', { Birch: '03-20' })[0].from, '2024-03-06');
+
+  assert.equal(core.isMedicationDue(nasalSpray, '2024-02-15'), false);
+  assert.equal(core.isMedicationDue(nasalSpray, '2024-02-16'), true);
+  assert.equal(core.isMedicationDue(nasalSpray, '2024-06-01'), false);
+  assert.equal(core.isMedicationDue({ ...nasalSpray, allergens: [] }, '2024-06-01'), true);
+});
+
+test('estimateSeasonStart finds the first typical day at the Moderate band', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const day = (mean) => ({ allergens: { Birch: { mean, max: mean * 2 } } });
+
+  assert.equal(core.estimateSeasonStart('Birch', { '03-12': day(40), '02-27': day(2), '03-05': day(12) }), '03-05');
+  assert.equal(core.estimateSeasonStart('Birch', { '03-01': day(1) }), null);
+});
+
+test('getNextDoseDelay and getAdherence only count days within a course', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+
+  assert.equal(core.getNextDoseDelay([nasalSpray], new Date(2024, 2, 5, 9, 0)), 11 * 3600000);
+  assert.equal(core.getNextDoseDelay([nasalSpray], new Date(2024, 1, 15, 21, 0)), 11 * 3600000);
+  assert.equal(core.getNextDoseDelay([], new Date(2024, 2, 5)), null);
+
+  // Three days into the course, at midday: five doses due, three taken
+  const taken = { '2024-02-16': { 'med-1': ['08:00', '20:00'] }, '2024-02-17': { 'med-1': ['20:00'] } };
+  const adherence = core.getAdherence(nasalSpray, taken, new Date(2024, 1, 18, 12, 0));
+  assert.deepEqual({ ...adherence }, { due: 5, taken: 3, rate: 0.6 });
+  assert.equal(core.getAdherence(nasalSpray, {}, new Date(2024, 0, 10)).rate, null);
+});
+
+test('medication reminders notify once per dose and prompt once before the season', () => {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  const document = context.document;
+  const shown = [];
+  app.showBrowserNotification = (message, type, section) => shown.push({ message, type, section });
+
+  document.getElementById('medication-name').value = 'Nasal spray';
+  document.getElementById('medication-times').value = '8:00, 20:00';
+  document.getElementById('medication-lead').value = '14';
+  document.getElementById('medication-allergen-Birch').checked = true;
+  app.addMedication();
+  assert.equal(app.medications.length, 1);
+  assert.deepEqual([...app.medications[0].times], ['08:00', '20:00']);
+  const { id } = app.medications[0];
+  assert.ok(JSON.parse(context.window.localStorage.getItem('beeHealthyMedications'))[0].allergens.includes('Birch'));
+
+  app.sendMedicationReminders(new Date(2024, 1, 16, 8, 30));
+  assert.deepEqual(shown.map(entry => entry.message), [
+    'Time for your Nasal spray (08:00).',
+    'Start taking Nasal spray now: Birch season is expected from Mar 1.'
+  ]);
+  assert.equal(shown[0].section, 'medications');
+
+  // Neither is repeated, a taken dose is not reminded and a late one is skipped
+  app.sendMedicationReminders(new Date(2024, 1, 16, 8, 45));
+  app.markDoseTaken(id, '20:00', new Date(2024, 1, 16, 19, 55));
+  app.sendMedicationReminders(new Date(2024, 1, 16, 20, 10));
+  app.sendMedicationReminders(new Date(2024, 1, 17, 9, 30));
+  assert.equal(shown.length, 2);
+
+  const list = document.getElementById('medication-list').innerHTML;
+  assert.match(list, /Birch course: Feb 16 to May 31, season from Mar 1/);
+  assert.match(list, /Taken 1 of 3 doses in the last 14 days \(33%\)/);
+
+  app.removeMedication(id);
+  assert.match(document.getElementById('medication-list').innerHTML, /No medications yet/);
+});
+
+test('addMedication rejects a form without valid dose times', () => {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  const document = context.document;
+  document.getElementById('medication-name').value = 'Cetirizine';
+  document.getElementById('medication-times').value = 'after breakfast';
+  app.addMedication();
+
+  assert.equal(app.medications.length, 0);
+  assert.equal(document.getElementById('notification-text').textContent, 'Enter a name and dose times like 08:00, 20:00.');
+});
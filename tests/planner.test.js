@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, settle } = require('./helpers/load');
+
+// Hourly series starting at midnight with the given per-hour values
+function series(core, values) {
+  const hourly = { time: [] };
+  Object.entries(values).forEach(([metric, data]) => {
+    hourly[metric] = data;
+    data.forEach((_, i) => { hourly.time[i] = core.shiftLocalTime('2024-04-15T00:00', i); });
+  });
+  return hourly;
+}
+
+test('findOutdoorWindows ranks non-overlapping daytime windows by exposure', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const pollen = Array.from({ length: 24 }, (_, hour) => (hour === 9 || hour === 10 ? 2 : hour === 17 || hour === 18 ? 5 : 40));
+  const hourly = series(core, { birch_pollen: pollen, us_aqi: pollen.map(() => 20), uv_index: pollen.map(() => 1) });
+
+  const windows = core.findOutdoorWindows(hourly, { fromTime: '2024-04-15T00:00', toTime: '2024-04-16T00:00', hours: 2 });
+  assert.equal(windows.length, 3);
+  assert.equal(windows[0].start, '2024-04-15T09:00');
+  assert.equal(windows[0].end, '2024-04-15T11:00');
+  assert.equal(windows[1].start, '2024-04-15T17:00');
+  assert.ok(windows.every(slot => parseInt(slot.start.slice(11, 13)) >= core.DAYTIME_HOURS.start));
+  assert.ok(windows[2].start >= '2024-04-15T11:00' || windows[2].end <= '2024-04-15T09:00');
+});
+
+test('findOutdoorWindows skips hours before the range and without pollen data', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const pollen = Array.from({ length: 24 }, (_, hour) => (hour < 12 ? 1 : hour < 16 ? null : 30));
+  const hourly = series(core, { grass_pollen: pollen });
+
+  const windows = core.findOutdoorWindows(hourly, { fromTime: '2024-04-15T10:00', toTime: '2024-04-16T00:00', hours: 3, daytimeOnly: false, count: 5 });
+  assert.equal(windows[0].start, '2024-04-15T16:00');
+  assert.ok(windows.every(slot => slot.start >= '2024-04-15T16:00'));
+});
+
+test('findOutdoorWindows grades each allergen against its own bands', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  // A morning of birch 60 (Moderate) against an afternoon of ragweed 25 (High)
+  const birch = Array.from({ length: 24 }, (_, hour) => (hour < 12 ? 60 : 0));
+  const ragweed = Array.from({ length: 24 }, (_, hour) => (hour < 12 ? 0 : 25));
+  const hourly = series(core, { birch_pollen: birch, ragweed_pollen: ragweed });
+
+  const windows = core.findOutdoorWindows(hourly, { fromTime: '2024-04-15T00:00', toTime: '2024-04-16T00:00', hours: 2, count: 10 });
+  assert.ok(windows[0].start < '2024-04-15T12:00');
+  assert.equal(windows[0].pollenLevel, 'Moderate');
+  assert.equal(windows[windows.length - 1].pollenLevel, 'High');
+  assert.ok(core.getExposureScore(hourly, 14) > core.getExposureScore(hourly, 8));
+});
+
+test('explainOutdoorWindow states trade-offs against the best slot', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const best = { pollen: 4, pollenLevel: 'Low', aqi: 30, uv: 1 };
+  const other = { pollen: 60, pollenLevel: 'High', aqi: 30, uv: 5 };
+
+  assert.match(core.explainOutdoorWindow(best, best)[0], /^Lowest combined/);
+  const notes = core.explainOutdoorWindow(other, best).join(' ');
+  assert.match(notes, /More pollen than the best slot \(60\.0 grains\/m³ vs 4\.0 grains\/m³\)/);
+  assert.doesNotMatch(notes, /air pollution/);
+  assert.match(notes, /Pollen stays High/);
+  assert.match(notes, /UV peaks at 5\.0/);
+});
+
+test('buildIcsEvent and getGoogleCalendarUrl keep the location\'s local time', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const event = { start: '2024-04-15T09:00', end: '2024-04-15T11:00', summary: 'Run; easy', description: 'Low pollen\nUV low', timezone: 'Europe/Berlin' };
+
+  const ics = core.buildIcsEvent({ ...event, uid: 'test@bee-healthy', now: new Date('2024-04-14T12:00:00Z') });
+  assert.match(ics, /\r\nDTSTART;TZID=Europe\/Berlin:20240415T090000\r\n/);
+  assert.match(ics, /\r\nDTEND;TZID=Europe\/Berlin:20240415T110000\r\n/);
+  assert.match(ics, /\r\nSUMMARY:Run\\; easy\r\n/);
+  assert.match(ics, /\r\nDESCRIPTION:Low pollen\\nUV low\r\n/);
+
+  const params = new URL(core.getGoogleCalendarUrl(event)).searchParams;
+  assert.equal(params.get('dates'), '20240415T090000/20240415T110000');
+  assert.equal(params.get('ctz'), 'Europe/Berlin');
+});
+
+test('planOutdoorTime lists slots from the fetched forecast and exports one', async () => {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  await settle();
+  const downloads = [];
+  app.downloadFile = (filename, content, type) => downloads.push({ filename, content, type });
+
+  const document = context.document;
+  assert.ok(document.getElementById('planner-from').value);
+  document.getElementById('planner-duration').value = '2';
+  document.getElementById('planner-daytime').checked = true;
+  app.planOutdoorTime();
+
+  const results = document.getElementById('planner-results').innerHTML;
+  assert.equal(results.match(/class="planner-slot"/g).length, app.PLANNER_RESULTS);
+  assert.match(results, /Best/);
+
+  app.addPlannerSlotToCalendar(0, 'ics');
+  assert.equal(downloads.length, 1);
+  assert.equal(downloads[0].type, 'text/calendar');
+  assert.match(downloads[0].content, new RegExp(`DTSTART;TZID=Europe/Berlin:${app.plannerWindows[0].start.replace(/[-:]/g, '')}00`));
+});
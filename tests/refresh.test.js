@@ -0,0 +1,283 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, loadFixture, jsonResponse, settle } = require('./helpers/load');
+
+// Create an app and run one refresh against the given API responses
+async function refresh(responses = {}) {
+  const context = loadApp({ responses });
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  await settle();
+  return { app, document: context.document, window: context.window };
+}
+
+test('refreshData renders current conditions from Open-Meteo responses', async () => {
+  const { app, document, window } = await refresh();
+  const { current } = loadFixture('air-quality.json');
+  const weather = loadFixture('weather.json');
+
+  const level = app.getOverallPollenLevel(app.getPollenTypes(current));
+
+  assert.equal(document.getElementById('location').textContent, 'Berlin 🌿 (Europe/Berlin)');
+  assert.equal(document.getElementById('pollen-level').textContent, level);
+  assert.equal(document.getElementById('pollen-level').className, app.getPollenLevelClass(level));
+  assert.equal(document.getElementById('aqi').textContent, `${current.us_aqi} (US AQI)`);
+  assert.equal(document.getElementById('temperature').textContent, `${weather.current.temperature_2m}°C`);
+  assert.equal(document.getElementById('main-allergen').textContent, app.getMainAllergen(app.getPollenTypes(current))[0]);
+
+  assert.equal(document.getElementById('pollen-breakdown').children.length, 6);
+  assert.equal(document.getElementById('forecast-list').children.length, 7);
+  assert.equal(window.hourlyData.time.length, 168);
+  assert.equal(window.charts.length > 0, true);
+});
+
+test('refreshData requests a seven day air quality forecast for the current location', async () => {
+  const { window } = await refresh();
+  const url = window.fetch.requests.find(request => request.includes('air-quality-api') && request.includes('forecast_days'));
+  assert.match(url, /latitude=52\.52&longitude=13\.41/);
+  assert.match(url, /forecast_days=7/);
+});
+
+test('refreshData shows an error state when every source fails', async () => {
+  const { document } = await refresh({
+    'air-quality-api.open-meteo.com': jsonResponse({ error: true, reason: 'Internal error' }, 500),
+    'api.open-meteo.com': jsonResponse({ error: true, reason: 'Internal error' }, 500)
+  });
+
+  assert.equal(document.getElementById('location').textContent, 'Error loading data');
+  assert.equal(document.getElementById('pollen-level').textContent, 'Error');
+  assert.equal(document.getElementById('temperature').textContent, 'Error');
+  const [error] = document.getElementById('location-info').children;
+  assert.match(error.innerHTML, /Failed to load data: Air quality API error! status: 500/);
+});
+
+test('refreshData still shows the weather when air quality fails', async () => {
+  const { document } = await refresh({
+    'air-quality-api.open-meteo.com': () => Promise.reject(new Error('Failed to fetch'))
+  });
+  const weather = loadFixture('weather.json');
+
+  assert.equal(document.getElementById('location').textContent, 'Berlin 🌿 (Europe/Berlin)');
+  assert.equal(document.getElementById('temperature').textContent, `${weather.current.temperature_2m}°C`);
+  assert.equal(document.getElementById('main-allergen').textContent, 'Error');
+  assert.equal(document.getElementById('aqi').textContent, 'Error');
+  assert.match(document.getElementById('location-info').innerHTML, /Failed to load data: Failed to fetch/);
+});
+
+test('refreshData still shows pollen when the weather fails', async () => {
+  const { app, document } = await refresh({
+    'api.open-meteo.com': jsonResponse({ error: true }, 502)
+  });
+  const { current } = loadFixture('air-quality.json');
+
+  assert.equal(document.getElementById('temperature').textContent, 'Error');
+  assert.equal(document.getElementById('main-allergen').textContent, app.getMainAllergen(app.getPollenTypes(current))[0]);
+  assert.equal(document.getElementById('forecast-list').children.length, 7);
+  assert.match(document.getElementById('location-info').innerHTML, /Weather API error! status: 502/);
+});
+
+test('refreshData fetches every source before rendering', async () => {
+  const started = [];
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const hold = (body) => (url) => {
+    if (!url.includes('start_date')) started.push(new URL(url).hostname);
+    return gate.then(() => jsonResponse(body));
+  };
+  const context = loadApp({
+    responses: {
+      'air-quality-api.open-meteo.com': hold(loadFixture('air-quality.json')),
+      'api.open-meteo.com': hold(loadFixture('weather.json')),
+      'api.bigdatacloud.net': hold({ city: 'Berlin' })
+    }
+  });
+  const app = new context.BeeHealthyApp();
+  const done = app.refreshData();
+  await settle();
+
+  assert.deepEqual([...started].sort(), ['air-quality-api.open-meteo.com', 'api.bigdatacloud.net', 'api.open-meteo.com']);
+  release();
+  await done;
+  assert.equal(context.document.getElementById('location').textContent, 'Berlin 🌿 (Europe/Berlin)');
+});
+
+test('refreshData retries transient failures with backoff', async () => {
+  let attempts = 0;
+  const { document, window } = await refresh({
+    'air-quality-api.open-meteo.com': (url) => {
+      if (url.includes('start_date')) return jsonResponse(loadFixture('air-quality.json'));
+      attempts++;
+      return attempts < 3 ? jsonResponse({}, 503) : jsonResponse(loadFixture('air-quality.json'));
+    }
+  });
+
+  assert.equal(attempts, 3);
+  assert.equal(document.getElementById('location-info').children.length, 0);
+  assert.equal(window.hourlyData.time.length, 168);
+});
+
+test('refreshData does not retry client errors', async () => {
+  let attempts = 0;
+  const { document } = await refresh({
+    'air-quality-api.open-meteo.com': (url) => {
+      if (url.includes('start_date')) return jsonResponse(loadFixture('air-quality.json'));
+      attempts++;
+      return jsonResponse({ error: true, reason: 'Invalid latitude' }, 400);
+    }
+  });
+
+  assert.equal(attempts, 1);
+  assert.match(document.getElementById('location-info').innerHTML, /status: 400/);
+});
+
+test('refreshData times out requests that never answer', async () => {
+  const context = loadApp({
+    responses: { 'air-quality-api.open-meteo.com': () => new Promise(() => {}) }
+  });
+  context.FETCH_POLICY.timeoutMs = 10;
+  context.FETCH_POLICY.retries = 1;
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+
+  assert.equal(context.window.fetch.requests.filter(url => url.includes('air-quality-api') && url.includes('forecast_days')).length, 2);
+  assert.match(context.document.getElementById('location-info').innerHTML, /Air quality API timed out after 0\.01s/);
+});
+
+test('refreshData cancels a refresh superseded by a newer location', async () => {
+  const context = loadApp({
+    responses: {
+      'api.bigdatacloud.net': (url) => jsonResponse({ city: url.includes('latitude=48.14') ? 'Munich' : 'Berlin' })
+    }
+  });
+  const app = new context.BeeHealthyApp();
+
+  const first = app.refreshData();
+  app.currentLat = 48.14;
+  app.currentLon = 11.58;
+  const second = app.refreshData();
+  await Promise.all([first, second]);
+  await settle();
+
+  assert.equal(context.document.getElementById('location').textContent, 'Munich 🌿 (Europe/Berlin)');
+  assert.equal(app.currentLocationName, 'Munich');
+  assert.equal(context.document.getElementById('location-info').children.length, 0);
+});
+
+test('refreshData clears earlier errors on the next successful refresh', async () => {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  context.window.fetch = async () => jsonResponse({}, 500);
+  await app.refreshData();
+  assert.equal(context.document.getElementById('location-info').children.length, 1);
+
+  context.window.fetch = loadApp().window.fetch;
+  await app.refreshData();
+  await settle();
+  assert.equal(context.document.getElementById('location-info').children.length, 0);
+});
+
+test('refreshData reports a response without current data', async () => {
+  const { current, ...withoutCurrent } = loadFixture('air-quality.json');
+  const { document } = await refresh({
+    'air-quality-api.open-meteo.com': jsonResponse(withoutCurrent)
+  });
+
+  assert.match(document.getElementById('pollen-breakdown').innerHTML, /No current data available/);
+});
+
+test('refreshData treats missing pollen fields as no pollen', async () => {
+  const data = loadFixture('air-quality.json');
+  delete data.current.birch_pollen;
+  delete data.hourly.birch_pollen;
+  const { app, document } = await refresh({
+    'air-quality-api.open-meteo.com': jsonResponse(data)
+  });
+
+  assert.equal(app.currentPollenTypes.Birch, 0);
+  const birch = document.getElementById('pollen-breakdown').children
+    .find(item => item.innerHTML.includes('Birch Pollen:'));
+  assert.match(birch.innerHTML, /0\.0 grains\/m³/);
+  assert.match(birch.innerHTML, /<span class="badge low">None<\/span>/);
+});
+
+test('refreshData falls back to coordinates when reverse geocoding fails', async () => {
+  const { document } = await refresh({
+    'api.bigdatacloud.net': jsonResponse({}, 503)
+  });
+
+  assert.equal(document.getElementById('location').textContent, '52.52, 13.41 🌿 (Europe/Berlin)');
+});
+
+test('refreshData leaves the temperature alone without weather data', async () => {
+  const { document } = await refresh({
+    'api.open-meteo.com': jsonResponse({ timezone: 'Europe/Berlin' })
+  });
+
+  assert.match(document.getElementById('temperature').innerHTML, /Loading/);
+  assert.equal(document.getElementById('forecast-list').children.length, 7);
+});
+
+test('auto-refresh is scheduled by default and can be turned off', () => {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+
+  assert.equal(app.autoRefreshMinutes, 60);
+  assert.notEqual(app.autoRefreshTimer, null);
+  assert.match(context.document.getElementById('auto-refresh-status').textContent, /^Next update/);
+
+  app.setAutoRefreshInterval(0);
+  assert.equal(app.autoRefreshTimer, null);
+  assert.equal(context.window.localStorage.getItem('beeHealthyAutoRefresh'), '0');
+});
+
+test('auto-refresh pauses while hidden and catches up when shown', async () => {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  const requests = () => context.window.fetch.requests.filter(url => url.includes('air-quality') && url.includes('forecast_days=7')).length;
+
+  context.document.hidden = true;
+  await context.document.dispatch('visibilitychange');
+  assert.equal(app.autoRefreshTimer, null);
+  assert.equal(context.document.getElementById('auto-refresh-status').textContent, 'Paused');
+
+  // Shown again before the interval has passed: no extra refresh
+  context.document.hidden = false;
+  await context.document.dispatch('visibilitychange');
+  assert.equal(requests(), 1);
+  assert.notEqual(app.autoRefreshTimer, null);
+
+  // Shown again after the interval: refresh straight away
+  app.lastRefreshAt -= 61 * 60000;
+  await context.document.dispatch('visibilitychange');
+  assert.equal(requests(), 2);
+});
+
+test('notification links scroll to known sections only', () => {
+  const context = loadApp({ search: '?section=forecast' });
+  new context.BeeHealthyApp();
+  assert.equal(context.document.getElementById('forecast').scrolledIntoView, true);
+
+  const app = new context.BeeHealthyApp();
+  app.showSection('location-search');
+  assert.equal(context.document.getElementById('location-search').scrolledIntoView, undefined);
+});
+
+test('refreshData takes in alerts the service worker raised', async () => {
+  const context = loadApp({ storage: { beeHealthyAlertLog: JSON.stringify({ 'aqi-any': 1 }) } });
+  const firedAt = Date.now() - 60000;
+  const workerLog = { 'default-high-pollen': firedAt, 'uv@2024-04-15': firedAt };
+  context.window.caches = {
+    open: async (name) => ({
+      match: async (key) => (name === 'bee-healthy-config-v1' && key === '/bee-healthy-alert-log' ? jsonResponse(workerLog) : undefined)
+    })
+  };
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  await settle();
+
+  // The worker's entries stand, so the app does not raise them again; the
+  // app's own stale entry is dropped
+  assert.deepEqual(JSON.parse(JSON.stringify(app.alertLog)), workerLog);
+  assert.deepEqual(JSON.parse(context.window.localStorage.getItem('beeHealthyAlertLog')), workerLog);
+});
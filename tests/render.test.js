@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, loadFixture } = require('./helpers/load');
+
+// Create an app without a saved location, so nothing is fetched on start
+function createApp() {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  return { app, document: context.document };
+}
+
+test('updatePollenBreakdown lists allergens from highest to lowest', () => {
+  const { app, document } = createApp();
+  app.updatePollenBreakdown({ Birch: 12, Alder: 0, Grass: 140, Mugwort: 0, Olive: 3, Ragweed: 0 });
+
+  const items = document.getElementById('pollen-breakdown').children;
+  assert.equal(items.length, 6);
+  assert.match(items[0].innerHTML, /Grass Pollen:/);
+  assert.match(items[1].innerHTML, /Birch Pollen:/);
+  assert.match(items[2].innerHTML, /Olive Pollen:/);
+});
+
+test('updatePollenBreakdown shows Very High readings with the high class', () => {
+  const { app, document } = createApp();
+  app.updatePollenBreakdown({ Birch: 600, Alder: 0 });
+
+  const [birch, alder] = document.getElementById('pollen-breakdown').children;
+  assert.match(birch.innerHTML, /class="pollen-value high">600\.0 grains\/m³/);
+  assert.match(birch.innerHTML, /<span class="badge high">Very High<\/span>/);
+  assert.match(alder.innerHTML, /<span class="badge low">None<\/span>/);
+});
+
+test('updatePollenBreakdown marks profile allergens and ranks them first', () => {
+  const { app, document } = createApp();
+  app.userProfile = { allergies: ['olive'], severity: '', medications: '' };
+  app.updatePollenBreakdown({ Birch: 40, Olive: 2 });
+
+  const [first] = document.getElementById('pollen-breakdown').children;
+  assert.match(first.innerHTML, /Olive Pollen:/);
+  assert.match(first.innerHTML, /Your allergen/);
+  assert.ok(first.classList.contains('user-allergen'));
+});
+
+test('updatePollenBreakdown notes when no pollen is detected', () => {
+  const { app, document } = createApp();
+  app.updatePollenBreakdown({ Birch: 0, Grass: 0 });
+  assert.match(document.getElementById('pollen-breakdown').innerHTML, /No significant pollen detected/);
+
+  app.updatePollenBreakdown({});
+  assert.match(document.getElementById('pollen-breakdown').innerHTML, /No pollen data available/);
+});
+
+test('updateForecast renders one entry per local day', () => {
+  const { app, document } = createApp();
+  const { hourly, current } = loadFixture('air-quality.json');
+  app.updateForecast(hourly, current.time);
+
+  const days = document.getElementById('forecast-list').children;
+  assert.equal(days.length, 7);
+  assert.match(days[0].innerHTML, /<span class="forecast-day-label">Today<\/span>/);
+  assert.match(days[1].innerHTML, /<span class="forecast-day-label">Tue 16<\/span>/);
+});
+
+test('updateForecast classifies each day by its most severe allergen', () => {
+  const { app, document } = createApp();
+  const { hourly } = loadFixture('air-quality.json');
+  const daily = app.aggregateDailyForecast(hourly);
+  app.updateForecast(hourly, hourly.time[0]);
+
+  const days = document.getElementById('forecast-list').children;
+  Object.values(daily).forEach((day, i) => {
+    const level = app.getDayPollenLevel(day);
+    const levelClass = app.getPollenLevelClass(level);
+    assert.ok(days[i].innerHTML.includes(`<span class="${levelClass}">${level}</span>`));
+    assert.ok(days[i].innerHTML.includes(`Driven by <strong>${day.driver}</strong>`));
+  });
+});
+
+test('updateForecast reports missing forecast data', () => {
+  const { app, document } = createApp();
+  app.updateForecast({ time: [] });
+  assert.match(document.getElementById('forecast-list').innerHTML, /No forecast data available/);
+});
+
+test('updateAllergyRisk shows the score with one breakdown line per factor', () => {
+  const { app, document } = createApp();
+  app.sensitivityCache = null;
+  app.updateAllergyRisk({ birch_pollen: 60, us_aqi: 40, pm2_5: 9, temperature_2m: 18, relative_humidity_2m: 50, wind_speed_10m: 12, uv_index: 4 });
+
+  assert.match(document.getElementById('allergy-risk').textContent, /^\d+ \((Low|Moderate|High|Very High)\)$/);
+  const breakdown = document.getElementById('allergy-risk-breakdown').innerHTML;
+  assert.equal(breakdown.match(/<span>/g).length, 4);
+  assert.match(breakdown, /Air quality: \d+ pts \(US AQI 40, PM2\.5 9\.0 μg\/m³\)/);
+});
+
+test('the help guide shows the active scheme and saves valid custom thresholds', () => {
+  const { app, document } = createApp();
+  app.setPreference('pollenThresholds', 'us');
+  assert.match(document.getElementById('help-thresholds').innerHTML, /<td>Grass<\/td><td>5<\/td><td>20<\/td><td>200<\/td>/);
+
+  app.setPreference('pollenThresholds', 'custom');
+  // The DOM stand-in does not parse the rendered inputs, so fill them in
+  Object.entries(app.POLLEN_THRESHOLD_SCHEMES.european).forEach(([key, bands]) => {
+    Object.entries(bands).forEach(([band, value]) => {
+      document.getElementById(`threshold-${key}-${band}`).value = String(value);
+    });
+  });
+  document.getElementById('threshold-birch-HIGH').value = '5';
+  app.saveCustomThresholds();
+  assert.equal(document.getElementById('threshold-status').textContent, 'Each allergen needs positive bands that rise from Moderate to Very High.');
+  assert.equal(app.preferences.customThresholds, null);
+
+  document.getElementById('threshold-birch-MODERATE').value = '2';
+  app.saveCustomThresholds();
+  assert.equal(app.preferences.customThresholds.birch.HIGH, 5);
+  assert.equal(app.getPollenLevelCategory(6, 'Birch'), 'High');
+  assert.equal(app.getPollenLevelCategory(6, 'Grass'), 'Moderate');
+});
+
+test('a corrupt hidden series setting does not stop the app from starting', () => {
+  const context = loadApp({ storage: { beeHealthyHiddenSeries: '{not json' } });
+  const app = new context.BeeHealthyApp();
+
+  assert.equal(app.hiddenChartSeries.length, 0);
+  app.toggleChartSeries('birch', true);
+  assert.equal(context.window.localStorage.getItem('beeHealthyHiddenSeries'), '["birch"]');
+});
+
+test('zooming out near either edge keeps the chart window within the data', () => {
+  const { app, document } = createApp();
+  app.updateCharts = () => {};
+  document.getElementById('chart-range').options = [];
+  const minOffset = -app.readingStore.RETENTION_DAYS * 24;
+
+  app.chartWindow = { offset: app.CHART_MAX_FUTURE_HOURS - 24, span: 24 };
+  app.zoomChart(4);
+  assert.deepEqual({ ...app.chartWindow }, { offset: app.CHART_MAX_FUTURE_HOURS - 96, span: 96 });
+
+  app.chartWindow = { offset: minOffset, span: 24 };
+  app.zoomChart(4);
+  assert.deepEqual({ ...app.chartWindow }, { offset: minOffset, span: 96 });
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, settle } = require('./helpers/load');
+
+// Hourly series of 48 hours from midnight with constant readings except
+// for the given per-hour overrides
+function series(core, values, overrides = {}) {
+  const hourly = { time: [] };
+  for (let i = 0; i < 48; i++) {
+    hourly.time.push(core.shiftLocalTime('2024-04-15T00:00', i));
+  }
+  ['birch_pollen', 'alder_pollen', 'grass_pollen', 'mugwort_pollen', 'olive_pollen', 'ragweed_pollen', 'pm2_5', 'uv_index'].forEach(metric => {
+    hourly[metric] = hourly.time.map((_, i) => overrides[metric]?.[i] ?? values[metric] ?? 0);
+  });
+  return hourly;
+}
+
+test('parseGpx prefers track points and reads attributes in any order', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const gpx = `<?xml version="1.0"?>
+    <gpx><wpt lat="1" lon="1"><name>Start</name></wpt>
+      <trk><trkseg>
+        <trkpt lat="52.5200" lon="13.4050"><ele>34</ele></trkpt>
+        <trkpt lon='13.4100' lat='52.5250'/>
+      </trkseg></trk></gpx>`;
+
+  assert.equal(JSON.stringify(core.parseGpx(gpx)), '[{"lat":52.52,"lon":13.405},{"lat":52.525,"lon":13.41}]');
+  assert.equal(core.parseGpx('<gpx><wpt lat="48.1" lon="11.5"/></gpx>').length, 1);
+  assert.equal(core.parseGpx('<gpx></gpx>').length, 0);
+});
+
+test('sampleRoute keeps both ends and spreads samples by distance', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const points = Array.from({ length: 101 }, (_, i) => ({ lat: 52 + i * 0.001, lon: 13 }));
+
+  const samples = core.sampleRoute(points, 5);
+  assert.equal(samples.length, 5);
+  assert.equal(samples[0].km, 0);
+  assert.equal(samples[4].lat, points[100].lat);
+  assert.ok(Math.abs(samples[4].km - 11.12) < 0.05);
+  assert.ok(Math.abs(samples[2].km - samples[4].km / 2) < 0.2);
+});
+
+test('estimateRouteExposure sums doses over the legs and findBestDeparture avoids the peak', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const samples = [{ lat: 0, lon: 0, km: 0 }, { lat: 0, lon: 0.1, km: 10 }, { lat: 0, lon: 0.2, km: 20 }];
+  // Birch is 100 at 09:00 and 10:00, 10 otherwise. The two-hour trip reads
+  // each one-hour leg at the hour nearest its midpoint (08:30 -> 09:00).
+  const peak = { birch_pollen: Object.fromEntries([9, 10].map(hour => [hour, 100])) };
+  const data = samples.map(() => series(core, { birch_pollen: 10, pm2_5: 5, uv_index: 2 }, peak));
+
+  const trip = core.estimateRouteExposure(samples, data, '2024-04-15T08:00', 10);
+  assert.equal(trip.arrival, '2024-04-15T10:00');
+  assert.equal(trip.hours, 2);
+  assert.equal(trip.dose.pollen, 200);
+  assert.equal(trip.byAllergen.Birch, 200);
+  assert.equal(trip.dose.pollenLoad, 2);
+  assert.equal(trip.dose.pm2_5, 10);
+  assert.equal(trip.peak.uv, 2);
+
+  const best = core.findBestDeparture(samples, data, '2024-04-15T08:00', 10, '2024-04-15T05:00');
+  assert.ok(best.score < trip.score);
+  assert.equal(best.dose.pollen, 20);
+  assert.ok(best.departure >= '2024-04-15T05:00');
+
+  assert.equal(core.estimateRouteExposure(samples, data, '2024-04-16T23:00', 10), null);
+  assert.equal(core.estimateRouteExposure([samples[0]], data, '2024-04-15T08:00', 10), null);
+});
+
+test('route scores grade each allergen against its own bands', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const samples = [{ lat: 0, lon: 0, km: 0 }, { lat: 0, lon: 0.1, km: 10 }];
+  const trip = (values) => core.estimateRouteExposure(samples, samples.map(() => series(core, values)), '2024-04-15T08:00', 10);
+
+  // Ragweed 25 is High while birch 60 is only Moderate
+  assert.ok(trip({ ragweed_pollen: 25 }).score > trip({ birch_pollen: 60 }).score);
+});
+
+test('estimateRoute geocodes waypoints, fetches each sample and renders the doses', async () => {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  await settle();
+  app.providers.geocoding.searchPlaces = async (query) => (query === 'Potsdam' ? [{ name: 'Potsdam', lat: 52.39, lon: 13.06 }] : []);
+
+  const document = context.document;
+  assert.ok(document.getElementById('route-departure').value);
+  document.getElementById('route-mode').value = 'cycling';
+  document.getElementById('route-waypoints').value = '52.52, 13.41\nPotsdam';
+  const before = context.window.fetch.requests.length;
+  await app.estimateRoute();
+
+  const fetched = context.window.fetch.requests.slice(before);
+  assert.equal(fetched.filter(url => url.includes('air-quality')).length, 2);
+  const results = document.getElementById('route-results').innerHTML;
+  assert.match(results, /\d+(\.\d)? km in \d+ h \d+ min/);
+  assert.match(results, /PM2\.5<\/td><td>[\d,.]+ μg\/m³·h/);
+  assert.ok(app.routeEstimate.chosen.dose.pollen >= 0);
+
+  document.getElementById('route-waypoints').value = '52.52, 13.41\nNowhere';
+  await app.estimateRoute();
+  assert.match(document.getElementById('route-results').innerHTML, /Could not find &quot;Nowhere&quot;/);
+});
+
+test('a track of identical points asks for more waypoints', async () => {
+  const context = loadApp();
+  const app = new context.BeeHealthyApp();
+  await app.refreshData();
+  await settle();
+  const point = { lat: 52.52, lon: 13.41 };
+  assert.equal(app.estimateRouteExposure(app.sampleRoute(Array(80).fill(point)), [], '2024-04-15T08:00', 10), null);
+
+  app.routeGpx = { name: 'stationary.gpx', points: Array(80).fill(point) };
+  context.document.getElementById('route-waypoints').value = '';
+  const before = context.window.fetch.requests.length;
+  await app.estimateRoute();
+
+  assert.equal(context.document.getElementById('route-results').innerHTML, `<div class="loading">${app.t('route.tooFew')}</div>`);
+  assert.equal(context.window.fetch.requests.slice(before).filter(url => url.includes('air-quality')).length, 0);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, settle } = require('./helpers/load');
+
+test('share queries round-trip location, view and range', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const query = core.buildShareQuery({ lat: 48.137154, lon: 11.576124, view: 'air', offset: -48, span: 96 });
+
+  assert.equal(query, '?lat=48.1372&lon=11.5761&view=air&offset=-48&span=96');
+  assert.equal(JSON.stringify(core.parseShareQuery(query)), JSON.stringify({ lat: 48.1372, lon: 11.5761, view: 'air', span: 96, offset: -48 }));
+});
+
+test('parseShareQuery drops invalid values and clamps the range', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+
+  assert.equal(Object.keys(core.parseShareQuery('?lat=95&lon=10&view=map')).length, 0);
+  assert.equal(Object.keys(core.parseShareQuery('?section=forecast')).length, 0);
+
+  const shared = core.parseShareQuery('?offset=500&span=1000', -240);
+  assert.equal(shared.span, core.CHART_SPAN_LIMITS.max);
+  assert.equal(shared.offset, core.CHART_MAX_FUTURE_HOURS - core.CHART_SPAN_LIMITS.max);
+  assert.equal(core.parseShareQuery('?offset=-9999&span=24', -240).offset, -240);
+});
+
+test('getSharePlatformUrl encodes text and link per platform', () => {
+  const { BeeHealthyCore } = loadApp();
+  const core = new BeeHealthyCore();
+  const url = 'http://localhost/?lat=1&lon=2';
+
+  assert.equal(core.getSharePlatformUrl('whatsapp', 'Pollen: High', url), 'https://wa.me/?text=Pollen%3A%20High%20http%3A%2F%2Flocalhost%2F%3Flat%3D1%26lon%3D2');
+  assert.match(core.getSharePlatformUrl('email', 'Pollen: High', url), /^mailto:\?subject=.*&body=Pollen%3A%20High%0A%0Ahttp/);
+  assert.equal(core.getSharePlatformUrl('myspace', 'x', url), null);
+});
+
+test('a share link opens at its location, view and range without saving it', async () => {
+  const context = loadApp({
+    search: '?lat=48.1372&lon=11.5761&view=uv&offset=-48&span=96',
+    storage: { beeHealthyLat: '40.0', beeHealthyLon: '-3.0' }
+  });
+  context.document.getElementById('chart-range').options = [{ value: '-24:72' }];
+  const app = new context.BeeHealthyApp();
+  await settle();
+
+  assert.equal(app.currentLat, 48.1372);
+  assert.equal(app.currentLon, 11.5761);
+  assert.equal(app.userLocationDetected, false);
+  assert.equal(app.currentChartView, 'uv');
+  assert.equal(app.chartWindow.offset, -48);
+  assert.equal(app.chartWindow.span, 96);
+  assert.equal(context.document.getElementById('chart-range').value, 'custom');
+  assert.ok(context.window.fetch.requests.some(url => url.includes('latitude=48.1372')));
+  assert.equal(context.window.localStorage.getItem('beeHealthyLat'), '40.0');
+});
+
+test('background checks keep the saved location while a share link is open', async () => {
+  const context = loadApp({
+    search: '?lat=48.1372&lon=11.5761',
+    storage: { beeHealthyLat: '40.0', beeHealthyLon: '-3.0' }
+  });
+  const messages = [];
+  context.window.navigator.serviceWorker = {
+    controller: { postMessage: message => messages.push(message) },
+    addEventListener() {},
+    ready: Promise.resolve({})
+  };
+  const app = new context.BeeHealthyApp();
+  await settle();
+
+  assert.equal(app.currentLat, 48.1372);
+  assert.ok(messages.length > 0);
+  messages.forEach(({ config }) => {
+    assert.equal(config.lat, 40);
+    assert.equal(config.lon, -3);
+  });
+});
+
+test('shareReport opens the platform with the current deep link', async () => {
+  const context = loadApp({ storage: { beeHealthyLat: '52.52', beeHealthyLon: '13.41' } });
+  const opened = [];
+  context.window.open = (url) => opened.push(url);
+  const app = new context.BeeHealthyApp();
+  await settle();
+  app.switchChartView('air');
+
+  await app.shareReport('telegram');
+
+  assert.equal(opened.length, 1);
+  const params = new URL(opened[0]).searchParams;
+  assert.equal(params.get('url'), 'http://localhost/?lat=52.5200&lon=13.4100&view=air&offset=-24&span=72');
+  assert.match(params.get('text'), /^Pollen in .+: /);
+});
+
+test('share text and email summaries name the main allergen without the UI suffix', async () => {
+  const context = loadApp({
+    storage: {
+      beeHealthyLat: '52.52',
+      beeHealthyLon: '13.41',
+      beeHealthyProfile: JSON.stringify({ allergies: ['birch', 'grass', 'alder', 'olive', 'mugwort', 'ragweed'], severity: '', medications: '' })
+    }
+  });
+  const app = new context.BeeHealthyApp();
+  await settle();
+
+  assert.match(context.document.getElementById('main-allergen').textContent, /\(your allergen\)$/);
+  const name = app.getMainAllergenName();
+  assert.doesNotMatch(name, /your allergen/);
+  assert.equal(app.generateEmailSummary().main_allergen, name);
+  assert.match(app.getShareText(), new RegExp(`\\(${name}\\), AQI`));
+});
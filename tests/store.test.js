@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, loadFixture } = require('./helpers/load');
+
+const hourly = {
+  time: ['2024-04-15T08:00', '2024-04-15T09:00', '2024-04-15T10:00'],
+  birch_pollen: [10, 20, 30]
+};
+
+test('buildRecords labels past hours as model values and the current reading as observed', () => {
+  const { ReadingStore } = loadApp();
+  const store = new ReadingStore();
+  const weather = { time: ['2024-04-15T09:00'], temperature_2m: [14] };
+
+  const records = store.buildRecords('52.52,13.41', { time: '2024-04-15T09:15', birch_pollen: 25 }, hourly, weather, 1);
+  const byTime = Object.fromEntries(records.map(record => [record.time, record]));
+  assert.equal(byTime['2024-04-15T08:00'].kind, 'model');
+  assert.equal(byTime['2024-04-15T09:00'].kind, 'observed');
+  assert.equal(byTime['2024-04-15T09:00'].values.birch_pollen, 25);
+  assert.equal(byTime['2024-04-15T09:00'].values.temperature_2m, 14);
+  assert.equal(byTime['2024-04-15T10:00'].kind, 'forecast');
+
+  assert.equal(store.canReplace({ kind: 'observed' }, { kind: 'model' }), false);
+  assert.equal(store.canReplace({ kind: 'model' }, { kind: 'forecast' }), false);
+  assert.equal(store.canReplace({ kind: 'forecast' }, { kind: 'model' }), true);
+  assert.equal(store.canReplace(undefined, { kind: 'forecast' }), true);
+});
+
+test('recordReadings keeps the most trusted reading per hour and query leaves out forecasts', async () => {
+  const { ReadingStore } = loadApp({ indexedDB: true });
+  const store = new ReadingStore();
+
+  await store.recordReadings(52.52, 13.41, { time: '2024-04-15T09:00', birch_pollen: 25 }, hourly);
+  // A later refresh forecasts the observed hour differently
+  await store.recordReadings(52.52, 13.41, null, { time: ['2024-04-15T09:00'], birch_pollen: [99] });
+
+  const records = await store.query(52.52, 13.41, '2024-04-15T00:00', '2024-04-15T23:00');
+  assert.deepEqual(records.map(record => [record.time, record.kind, record.values.birch_pollen]), [
+    ['2024-04-15T08:00', 'model', 10],
+    ['2024-04-15T09:00', 'observed', 25],
+    ['2024-04-15T10:00', 'forecast', 30]
+  ]);
+  const past = await store.query(52.52, 13.41, '2024-04-15T00:00', '2024-04-15T23:00', { pastOnly: true });
+  assert.equal(past.length, 2);
+  assert.equal((await store.query(48.14, 11.58, '2024-04-15T00:00', '2024-04-15T23:00')).length, 0);
+});
+
+test('enforceRetention deletes readings before a local cutoff', async () => {
+  const { ReadingStore } = loadApp({ indexedDB: true });
+  const store = new ReadingStore();
+  await store.recordReadings(52.52, 13.41, null, hourly);
+
+  assert.equal(await store.enforceRetention('2024-04-15T09:00'), 1);
+  const records = await store.query(52.52, 13.41, '2024-04-15T00:00', '2024-04-15T23:00');
+  assert.deepEqual(records.map(record => record.time), ['2024-04-15T09:00', '2024-04-15T10:00']);
+});
+
+test('recordHistory prunes history counted back from the current hour at the location', async () => {
+  const context = loadApp({ indexedDB: true });
+  const app = new context.BeeHealthyApp();
+  app.currentLat = 52.52;
+  app.currentLon = 13.41;
+  const cutoffs = [];
+  const enforce = app.readingStore.enforceRetention.bind(app.readingStore);
+  app.readingStore.enforceRetention = (cutoff) => {
+    cutoffs.push(cutoff);
+    return enforce(cutoff);
+  };
+
+  const { current, hourly: series } = loadFixture('air-quality.json');
+  await app.recordHistory(current, series);
+
+  const expected = app.shiftLocalTime(`${current.time.slice(0, 13)}:00`, -24 * app.readingStore.RETENTION_DAYS);
+  assert.deepEqual(cutoffs, [expected]);
+  const stored = await app.readingStore.query(52.52, 13.41, '2000-01-01T00:00', '2100-01-01T00:00');
+  assert.ok(stored.some(record => record.kind === 'observed'));
+  assert.ok(stored.some(record => record.kind === 'model'));
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Cache Storage stand-in; put() moves a replaced entry to the end like the real one
+class FakeCache {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async match(key) {
+    return this.entries.get(key.url ?? key)?.clone();
+  }
+
+  async put(key, response) {
+    this.entries.delete(key.url ?? key);
+    this.entries.set(key.url ?? key, response);
+  }
+
+  async keys() {
+    return [...this.entries.keys()].map(url => ({ url }));
+  }
+
+  async delete(key) {
+    return this.entries.delete(key.url ?? key);
+  }
+}
+
+// Load the service worker with fake caches, a fetch that can go offline
+// and serves the mock provider's fixtures, and no open app windows
+function loadServiceWorker() {
+  const caches = new Map();
+  const listeners = {};
+  const network = { online: true };
+  const notifications = [];
+  const sandbox = {
+    console: { ...console, log() {}, warn() {} },
+    URL,
+    URLSearchParams,
+    Request,
+    Response,
+    Headers,
+    AbortController,
+    setTimeout,
+    clearTimeout,
+    location: { origin: 'http://localhost' },
+    caches: {
+      open: async (name) => {
+        if (!caches.has(name)) caches.set(name, new FakeCache());
+        return caches.get(name);
+      },
+      keys: async () => [...caches.keys()]
+    },
+    fetch: async (request) => {
+      if (!network.online) throw new TypeError('Failed to fetch');
+      if (typeof request === 'string') {
+        return new Response(fs.readFileSync(path.join(ROOT, request), 'utf8'), { headers: { 'Content-Type': 'application/json' } });
+      }
+      return new Response(JSON.stringify({ url: request.url }), { headers: { 'Content-Type': 'application/json' } });
+    },
+    clients: { matchAll: async () => [] },
+    registration: { showNotification: async (title, options) => { notifications.push({ title, options }); } },
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    importScripts: (...files) => files.forEach(file => {
+      vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+    })
+  };
+  sandbox.self = sandbox;
+  vm.createContext(sandbox);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), sandbox, { filename: 'sw.js' });
+
+  // Dispatch a fetch event and return the response the worker chose
+  const request = (url) => new Promise(resolve => {
+    listeners.fetch({ request: new Request(url), respondWith: resolve });
+  });
+  // Dispatch an extendable event and wait for the work it started
+  const dispatch = (type, data) => new Promise((resolve, reject) => {
+    listeners[type]({ ...data, waitUntil: promise => promise.then(resolve, reject) });
+  });
+  return { caches, network, notifications, request, dispatch };
+}
+
+const forecastUrl = (lat, lon) =>
+  `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${lat}&longitude=${lon}&hourly=birch_pollen&timezone=auto`;
+
+test('offline API requests fall back to data for the same place only', async () => {
+  const { network, request } = loadServiceWorker();
+  await request(forecastUrl(52.5200, 13.4050));
+  await request(forecastUrl(48.1374, 11.5755));
+
+  network.online = false;
+  const nearby = await request(forecastUrl(52.5203, 13.4049));
+  assert.equal(nearby.status, 200);
+  assert.equal(nearby.headers.get('X-Bee-Healthy-From-Cache'), 'true');
+  assert.match((await nearby.json()).url, /latitude=52\.52&/);
+
+  const elsewhere = await request(forecastUrl(40.4168, -3.7038));
+  assert.equal(elsewhere.status, 503);
+});
+
+test('the data cache keeps only the most recently stored responses', async () => {
+  const { caches, network, request } = loadServiceWorker();
+  for (let i = 0; i < 65; i++) {
+    await request(forecastUrl(40 + i * 0.1, 10));
+  }
+  // Storing the first place again keeps it over the next oldest
+  await request(forecastUrl(40, 10));
+  const dataCache = [...caches.entries()].find(([name]) => name.startsWith('bee-healthy-data'))[1];
+  assert.equal(dataCache.entries.size, 60);
+
+  network.online = false;
+  assert.equal((await request(forecastUrl(40, 10))).status, 200);
+  assert.equal((await request(forecastUrl(40.5, 10))).status, 503);
+  assert.equal((await request(forecastUrl(46.4, 10))).status, 200);
+});
+
+// Send the app's settings and firing log, then run a background check
+async function checkInBackground(worker, alertLog) {
+  const rule = { id: 'aqi-any', metric: 'us_aqi', scope: 'current', threshold: -1, quietStart: null, quietEnd: null, dedupeMinutes: 180 };
+  const config = { lat: 52.52, lon: 13.405, provider: 'mock', notify: true, rules: [rule], alertLog, preferences: {} };
+  await worker.dispatch('message', { data: { type: 'bee-healthy-config', config } });
+  await worker.dispatch('periodicsync', { tag: 'bee-healthy-conditions' });
+  return (await worker.caches.get('bee-healthy-config-v1').match('/bee-healthy-alert-log')).json();
+}
+
+test('background checks skip alerts the app just raised', async () => {
+  const worker = loadServiceWorker();
+  const firedAt = Date.now() - 60000;
+  const alertLog = await checkInBackground(worker, { 'aqi-any': firedAt });
+  assert.equal(worker.notifications.length, 0);
+  assert.equal(alertLog['aqi-any'], firedAt);
+});
+
+test('background checks log the alerts they raise for the app', async () => {
+  const worker = loadServiceWorker();
+  const before = Date.now();
+  const alertLog = await checkInBackground(worker, { 'aqi-any': before - 4 * 3600000, stale: before - 8 * 86400000 });
+  assert.equal(worker.notifications.length, 1);
+  assert.ok(alertLog['aqi-any'] >= before);
+  assert.equal(alertLog.stale, undefined);
+});
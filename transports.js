@@ -0,0 +1,105 @@
+// Bee-Healthy Pollen Tracker - Briefing transports
+//
+// Transports deliver a daily briefing to the user outside the app:
+//
+//   Briefing: {
+//     subject: string,
+//     text:    string,             plain-text body
+//     html:    string,             HTML body
+//     params:  { <name>: string }  template variables (see generateEmailSummary)
+//   }
+//
+// Each transport implements send(briefing), resolving once the endpoint has
+// accepted the message. Settings come from the briefing form:
+//
+//   { type: 'emailjs' | 'webhook' | 'smtp', endpoint, recipient, serviceId, templateId, userId }
+
+// POST a JSON body, raising on HTTP errors with the given label
+async function postJson(url, body, label) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw new Error(`${label} error! status: ${response.status}`);
+  }
+  return response;
+}
+
+// Fail early on settings a transport cannot work without
+function requireSettings(settings, fields, label) {
+  const missing = Object.entries(fields).filter(([key]) => !settings[key]).map(([, name]) => name);
+  if (missing.length > 0) {
+    throw new Error(`${label} needs ${missing.join(', ')}`);
+  }
+}
+
+// EmailJS REST API, or any endpoint accepting the same request
+class EmailJsTransport {
+  constructor(settings) {
+    requireSettings(settings, { serviceId: 'a service ID', templateId: 'a template ID', userId: 'a public key' }, 'EmailJS');
+    this.name = 'emailjs';
+    this.endpoint = settings.endpoint || 'https://api.emailjs.com/api/v1.0/email/send';
+    this.settings = settings;
+  }
+
+  async send(briefing) {
+    await postJson(this.endpoint, {
+      service_id: this.settings.serviceId,
+      template_id: this.settings.templateId,
+      user_id: this.settings.userId,
+      template_params: {
+        ...briefing.params,
+        subject: briefing.subject,
+        to_email: this.settings.recipient || ''
+      }
+    }, 'EmailJS');
+  }
+}
+
+// Incoming webhook. `text` is understood by Slack and Matrix hookshot;
+// `html` gives Matrix a formatted body.
+class WebhookTransport {
+  constructor(settings) {
+    requireSettings(settings, { endpoint: 'a webhook URL' }, 'Webhook');
+    this.name = 'webhook';
+    this.endpoint = settings.endpoint;
+  }
+
+  async send(briefing) {
+    await postJson(this.endpoint, {
+      text: `*${briefing.subject}*\n${briefing.text}`,
+      html: briefing.html,
+      username: 'Bee-Healthy'
+    }, 'Webhook');
+  }
+}
+
+// Local HTTP-to-SMTP relay (browsers cannot speak SMTP themselves)
+class SmtpRelayTransport {
+  constructor(settings) {
+    requireSettings(settings, { recipient: 'a recipient address' }, 'SMTP relay');
+    this.name = 'smtp';
+    this.endpoint = settings.endpoint || 'http://localhost:8025/send';
+    this.recipient = settings.recipient;
+  }
+
+  async send(briefing) {
+    await postJson(this.endpoint, {
+      from: 'Bee-Healthy <bee-healthy@localhost>',
+      to: this.recipient,
+      subject: briefing.subject,
+      text: briefing.text,
+      html: briefing.html
+    }, 'SMTP relay');
+  }
+}
+
+// Build the transport for the given settings
+function createTransport(settings) {
+  if (settings.type === 'emailjs') return new EmailJsTransport(settings);
+  if (settings.type === 'webhook') return new WebhookTransport(settings);
+  if (settings.type === 'smtp') return new SmtpRelayTransport(settings);
+  throw new Error(`Unknown briefing transport: ${settings.type}`);
+}